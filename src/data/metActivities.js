@@ -0,0 +1,31 @@
+// MET values by intensity, adapted from the 2011 Compendium of Physical Activities.
+// names are matched case-insensitively against the logged exercise name.
+module.exports = [
+  { key: 'walking', name: 'Walking', name_tw: '走路', aliases: ['walk', '散步', '健走'], met: { low: 2.8, moderate: 3.5, high: 5.0 } },
+  { key: 'running', name: 'Running', name_tw: '跑步', aliases: ['run', 'jogging', '慢跑'], met: { low: 7.0, moderate: 9.8, high: 11.5 } },
+  { key: 'cycling', name: 'Cycling', name_tw: '騎自行車', aliases: ['bike', 'bicycling', '腳踏車', '單車', '自行車'], met: { low: 4.0, moderate: 6.8, high: 10.0 } },
+  { key: 'swimming', name: 'Swimming', name_tw: '游泳', aliases: ['swim'], met: { low: 6.0, moderate: 8.3, high: 10.0 } },
+  { key: 'hiking', name: 'Hiking', name_tw: '登山', aliases: ['hike', '健行', '爬山'], met: { low: 5.3, moderate: 6.0, high: 7.8 } },
+  { key: 'yoga', name: 'Yoga', name_tw: '瑜伽', aliases: [], met: { low: 2.5, moderate: 3.0, high: 4.0 } },
+  { key: 'pilates', name: 'Pilates', name_tw: '皮拉提斯', aliases: [], met: { low: 2.8, moderate: 3.0, high: 3.8 } },
+  { key: 'weight_training', name: 'Weight training', name_tw: '重量訓練', aliases: ['weights', 'weightlifting', 'strength training', '重訓', '健身'], met: { low: 3.5, moderate: 5.0, high: 6.0 } },
+  { key: 'hiit', name: 'HIIT / circuit training', name_tw: '高強度間歇訓練', aliases: ['circuit training', '間歇訓練', '循環訓練'], met: { low: 5.0, moderate: 8.0, high: 9.0 } },
+  { key: 'aerobics', name: 'Aerobics', name_tw: '有氧運動', aliases: ['aerobic', '有氧'], met: { low: 5.0, moderate: 6.5, high: 7.3 } },
+  { key: 'dancing', name: 'Dancing', name_tw: '跳舞', aliases: ['dance', 'zumba', '舞蹈'], met: { low: 3.0, moderate: 5.0, high: 7.3 } },
+  { key: 'jump_rope', name: 'Jump rope', name_tw: '跳繩', aliases: ['skipping'], met: { low: 8.8, moderate: 11.8, high: 12.3 } },
+  { key: 'stair_climbing', name: 'Stair climbing', name_tw: '爬樓梯', aliases: ['stairs', 'stair climber'], met: { low: 4.0, moderate: 6.0, high: 8.8 } },
+  { key: 'elliptical', name: 'Elliptical trainer', name_tw: '橢圓機', aliases: [], met: { low: 4.6, moderate: 5.0, high: 7.0 } },
+  { key: 'rowing', name: 'Rowing machine', name_tw: '划船機', aliases: ['rowing', 'rower', '划船'], met: { low: 4.8, moderate: 7.0, high: 8.5 } },
+  { key: 'basketball', name: 'Basketball', name_tw: '籃球', aliases: [], met: { low: 4.5, moderate: 6.5, high: 8.0 } },
+  { key: 'badminton', name: 'Badminton', name_tw: '羽球', aliases: ['羽毛球'], met: { low: 4.5, moderate: 5.5, high: 7.0 } },
+  { key: 'table_tennis', name: 'Table tennis', name_tw: '桌球', aliases: ['ping pong', '乒乓球'], met: { low: 3.5, moderate: 4.0, high: 5.0 } },
+  { key: 'tennis', name: 'Tennis', name_tw: '網球', aliases: [], met: { low: 5.0, moderate: 7.3, high: 8.0 } },
+  { key: 'soccer', name: 'Soccer', name_tw: '足球', aliases: ['football'], met: { low: 5.0, moderate: 7.0, high: 10.0 } },
+  { key: 'volleyball', name: 'Volleyball', name_tw: '排球', aliases: [], met: { low: 3.0, moderate: 4.0, high: 6.0 } },
+  { key: 'martial_arts', name: 'Martial arts / boxing', name_tw: '武術', aliases: ['boxing', 'kickboxing', '拳擊', '跆拳道', '空手道'], met: { low: 5.3, moderate: 7.3, high: 10.3 } },
+  { key: 'golf', name: 'Golf', name_tw: '高爾夫', aliases: [], met: { low: 3.5, moderate: 4.3, high: 4.8 } },
+  { key: 'tai_chi', name: 'Tai chi', name_tw: '太極拳', aliases: ['太極'], met: { low: 2.5, moderate: 3.0, high: 4.0 } },
+  { key: 'stretching', name: 'Stretching', name_tw: '伸展', aliases: ['拉筋'], met: { low: 2.3, moderate: 2.5, high: 2.8 } },
+  { key: 'housework', name: 'Housework', name_tw: '家務', aliases: ['cleaning', '打掃'], met: { low: 2.5, moderate: 3.3, high: 3.8 } },
+  { key: 'gardening', name: 'Gardening', name_tw: '園藝', aliases: [], met: { low: 3.0, moderate: 3.8, high: 4.5 } }
+];
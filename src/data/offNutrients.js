@@ -0,0 +1,21 @@
+// Open Food Facts nutriments (per 100 g, keyed "<key>_100g") and the USDA
+// nutrient numbers they are stored under. Open Food Facts gives masses in
+// grams, so factor converts to unit_name. Names match the FoodData Central
+// nutrients, so all sources share one row per nutrient.
+module.exports = [
+  { key: 'energy-kcal', nutrient_nbr: '208', name: 'Energy (kcal)', name_tw: '熱量', unit_name: 'kcal', factor: 1 },
+  { key: 'energy', nutrient_nbr: '268', name: 'Energy (kJ)', name_tw: '熱量（千焦）', unit_name: 'kJ', factor: 1 },
+  { key: 'proteins', nutrient_nbr: '203', name: 'Protein', name_tw: '蛋白質', unit_name: 'g', factor: 1 },
+  { key: 'fat', nutrient_nbr: '204', name: 'Total lipid (fat)', name_tw: '脂肪', unit_name: 'g', factor: 1 },
+  { key: 'saturated-fat', nutrient_nbr: '606', name: 'Fatty acids, total saturated', name_tw: '飽和脂肪', unit_name: 'g', factor: 1 },
+  { key: 'trans-fat', nutrient_nbr: '605', name: 'Fatty acids, total trans', name_tw: '反式脂肪', unit_name: 'g', factor: 1 },
+  { key: 'cholesterol', nutrient_nbr: '601', name: 'Cholesterol', name_tw: '膽固醇', unit_name: 'mg', factor: 1000 },
+  { key: 'carbohydrates', nutrient_nbr: '205', name: 'Carbohydrate, by difference', name_tw: '碳水化合物', unit_name: 'g', factor: 1 },
+  { key: 'sugars', nutrient_nbr: '269', name: 'Sugars, total including NLEA', name_tw: '糖', unit_name: 'g', factor: 1 },
+  { key: 'fiber', nutrient_nbr: '291', name: 'Fiber, total dietary', name_tw: '膳食纖維', unit_name: 'g', factor: 1 },
+  { key: 'sodium', nutrient_nbr: '307', name: 'Sodium, Na', name_tw: '鈉', unit_name: 'mg', factor: 1000 },
+  { key: 'potassium', nutrient_nbr: '306', name: 'Potassium, K', name_tw: '鉀', unit_name: 'mg', factor: 1000 },
+  { key: 'calcium', nutrient_nbr: '301', name: 'Calcium, Ca', name_tw: '鈣', unit_name: 'mg', factor: 1000 },
+  { key: 'iron', nutrient_nbr: '303', name: 'Iron, Fe', name_tw: '鐵', unit_name: 'mg', factor: 1000 },
+  { key: 'vitamin-c', nutrient_nbr: '401', name: 'Vitamin C, total ascorbic acid', name_tw: '維生素C', unit_name: 'mg', factor: 1000 }
+];
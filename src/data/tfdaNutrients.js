@@ -0,0 +1,38 @@
+// Taiwan FDA 食品營養成分資料庫 analysis items (分析項) and the USDA nutrient
+// numbers they are stored under. name and unit_name match the FoodData Central
+// nutrients, so both sources share one row per nutrient. A fallback item is
+// only used when the food has no value for the preferred item.
+module.exports = [
+  { item: '修正熱量', nutrient_nbr: '208', name: 'Energy (kcal)', name_tw: '熱量', unit_name: 'kcal' },
+  { item: '熱量', nutrient_nbr: '208', name: 'Energy (kcal)', name_tw: '熱量', unit_name: 'kcal', fallback: true },
+  { item: '水分', nutrient_nbr: '255', name: 'Water', name_tw: '水分', unit_name: 'g' },
+  { item: '粗蛋白', nutrient_nbr: '203', name: 'Protein', name_tw: '蛋白質', unit_name: 'g' },
+  { item: '粗脂肪', nutrient_nbr: '204', name: 'Total lipid (fat)', name_tw: '脂肪', unit_name: 'g' },
+  { item: '總碳水化合物', nutrient_nbr: '205', name: 'Carbohydrate, by difference', name_tw: '碳水化合物', unit_name: 'g' },
+  { item: '膳食纖維', nutrient_nbr: '291', name: 'Fiber, total dietary', name_tw: '膳食纖維', unit_name: 'g' },
+  { item: '糖質總量', nutrient_nbr: '269', name: 'Sugars, total including NLEA', name_tw: '糖', unit_name: 'g' },
+  { item: '灰分', nutrient_nbr: '207', name: 'Ash', name_tw: '灰分', unit_name: 'g' },
+  { item: '飽和脂肪', nutrient_nbr: '606', name: 'Fatty acids, total saturated', name_tw: '飽和脂肪', unit_name: 'g' },
+  { item: '單元不飽和脂肪', nutrient_nbr: '645', name: 'Fatty acids, total monounsaturated', name_tw: '單元不飽和脂肪', unit_name: 'g' },
+  { item: '多元不飽和脂肪', nutrient_nbr: '646', name: 'Fatty acids, total polyunsaturated', name_tw: '多元不飽和脂肪', unit_name: 'g' },
+  { item: '反式脂肪', nutrient_nbr: '605', name: 'Fatty acids, total trans', name_tw: '反式脂肪', unit_name: 'g' },
+  { item: '膽固醇', nutrient_nbr: '601', name: 'Cholesterol', name_tw: '膽固醇', unit_name: 'mg' },
+  { item: '鈉', nutrient_nbr: '307', name: 'Sodium, Na', name_tw: '鈉', unit_name: 'mg' },
+  { item: '鉀', nutrient_nbr: '306', name: 'Potassium, K', name_tw: '鉀', unit_name: 'mg' },
+  { item: '鈣', nutrient_nbr: '301', name: 'Calcium, Ca', name_tw: '鈣', unit_name: 'mg' },
+  { item: '鎂', nutrient_nbr: '304', name: 'Magnesium, Mg', name_tw: '鎂', unit_name: 'mg' },
+  { item: '鐵', nutrient_nbr: '303', name: 'Iron, Fe', name_tw: '鐵', unit_name: 'mg' },
+  { item: '鋅', nutrient_nbr: '309', name: 'Zinc, Zn', name_tw: '鋅', unit_name: 'mg' },
+  { item: '磷', nutrient_nbr: '305', name: 'Phosphorus, P', name_tw: '磷', unit_name: 'mg' },
+  { item: '銅', nutrient_nbr: '312', name: 'Copper, Cu', name_tw: '銅', unit_name: 'mg' },
+  { item: '錳', nutrient_nbr: '315', name: 'Manganese, Mn', name_tw: '錳', unit_name: 'mg' },
+  { item: '維生素A總量(IU)', nutrient_nbr: '318', name: 'Vitamin A, IU', name_tw: '維生素A', unit_name: 'IU' },
+  { item: '維生素B1', nutrient_nbr: '404', name: 'Thiamin', name_tw: '維生素B1', unit_name: 'mg' },
+  { item: '維生素B2', nutrient_nbr: '405', name: 'Riboflavin', name_tw: '維生素B2', unit_name: 'mg' },
+  { item: '菸鹼素', nutrient_nbr: '406', name: 'Niacin', name_tw: '菸鹼素', unit_name: 'mg' },
+  { item: '維生素B6', nutrient_nbr: '415', name: 'Vitamin B-6', name_tw: '維生素B6', unit_name: 'mg' },
+  { item: '葉酸', nutrient_nbr: '417', name: 'Folate, total', name_tw: '葉酸', unit_name: 'µg' },
+  { item: '維生素B12', nutrient_nbr: '418', name: 'Vitamin B-12', name_tw: '維生素B12', unit_name: 'µg' },
+  { item: '維生素C', nutrient_nbr: '401', name: 'Vitamin C, total ascorbic acid', name_tw: '維生素C', unit_name: 'mg' },
+  { item: '維生素K1', nutrient_nbr: '430', name: 'Vitamin K (phylloquinone)', name_tw: '維生素K', unit_name: 'µg' }
+];
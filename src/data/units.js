@@ -0,0 +1,24 @@
+// Units accepted for logged amounts, matched case-insensitively by key or alias.
+// mass units convert to grams and volume units to ml by a fixed factor; portion
+// units have no fixed weight and need a gram weight for the specific food.
+module.exports = [
+  { key: 'g', type: 'mass', factor: 1, name_tw: '公克', aliases: ['gram', 'grams', '克', '公克'] },
+  { key: 'kg', type: 'mass', factor: 1000, name_tw: '公斤', aliases: ['kilogram', 'kilograms', '公斤'] },
+  { key: 'mg', type: 'mass', factor: 0.001, name_tw: '毫克', aliases: ['milligram', 'milligrams', '毫克'] },
+  { key: 'oz', type: 'mass', factor: 28.3495, name_tw: '盎司', aliases: ['ounce', 'ounces', '盎司'] },
+  { key: 'lb', type: 'mass', factor: 453.592, name_tw: '磅', aliases: ['lbs', 'pound', 'pounds', '磅'] },
+  { key: 'catty', type: 'mass', factor: 600, name_tw: '台斤', aliases: ['台斤', '斤'] },
+  { key: 'tael', type: 'mass', factor: 37.5, name_tw: '兩', aliases: ['兩'] },
+  { key: 'ml', type: 'volume', factor: 1, name_tw: '毫升', aliases: ['milliliter', 'milliliters', 'millilitre', 'cc', '毫升'] },
+  { key: 'l', type: 'volume', factor: 1000, name_tw: '公升', aliases: ['liter', 'liters', 'litre', 'litres', '公升', '升'] },
+  { key: 'tsp', type: 'volume', factor: 4.92892, name_tw: '茶匙', aliases: ['teaspoon', 'teaspoons', '茶匙', '小匙'] },
+  { key: 'tbsp', type: 'volume', factor: 14.7868, name_tw: '湯匙', aliases: ['tablespoon', 'tablespoons', '湯匙', '大匙'] },
+  { key: 'cup', type: 'volume', factor: 240, name_tw: '杯', aliases: ['cups', '杯'] },
+  { key: 'fl_oz', type: 'volume', factor: 29.5735, name_tw: '液量盎司', aliases: ['fl oz', 'floz', 'fluid ounce', 'fluid ounces'] },
+  { key: 'serving', type: 'portion', name_tw: '份', aliases: ['servings', '份'] },
+  { key: 'bowl', type: 'portion', name_tw: '碗', aliases: ['bowls', '碗'] },
+  { key: 'plate', type: 'portion', name_tw: '盤', aliases: ['plates', '盤'] },
+  { key: 'slice', type: 'portion', name_tw: '片', aliases: ['slices', '片'] },
+  { key: 'piece', type: 'portion', name_tw: '個', aliases: ['pieces', 'pc', 'pcs', 'each', '個', '顆', '塊', '隻', '條', '粒'] },
+  { key: 'pack', type: 'portion', name_tw: '包', aliases: ['package', 'packs', '包', '袋'] }
+];
@@ -1,6 +1,4 @@
 const { Pool } = require('pg');
-const fs = require('fs');
-const path = require('path');
 
 // Database configuration
 const dbConfig = {
@@ -54,42 +52,33 @@ async function getClient() {
   return await pool.connect();
 }
 
-// Close the pool
-async function closePool() {
-  await pool.end();
-}
-
-// Database initialization
-async function initializeDatabase() {
+// Run a callback inside a transaction on a dedicated client.
+// Commits when the callback resolves, rolls back when it throws.
+async function withTransaction(callback) {
+  const client = await getClient();
   try {
-    // Read and execute schema file
-    const schemaPath = path.join(__dirname, 'schema.sql');
-    if (fs.existsSync(schemaPath)) {
-      const schema = fs.readFileSync(schemaPath, 'utf8');
-      await query(schema);
-      console.log('✅ Database schema initialized');
-    }
-    
-    // Read and execute seed file if in development
-    if (process.env.NODE_ENV === 'development') {
-      const seedPath = path.join(__dirname, 'seed.sql');
-      if (fs.existsSync(seedPath)) {
-        const seed = fs.readFileSync(seedPath, 'utf8');
-        await query(seed);
-        console.log('🌱 Database seeded with initial data');
-      }
-    }
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
   } catch (error) {
-    console.error('❌ Database initialization failed:', error);
+    await client.query('ROLLBACK');
     throw error;
+  } finally {
+    client.release();
   }
 }
 
+// Close the pool
+async function closePool() {
+  await pool.end();
+}
+
 module.exports = {
   pool,
   query,
   getClient,
+  withTransaction,
   connectDB,
-  closePool,
-  initializeDatabase
+  closePool
 };
@@ -0,0 +1,75 @@
+require('dotenv').config();
+
+const { closePool } = require('./connection');
+const { migrate, rollback, status, createMigration } = require('./migrator');
+
+// Command line entry for the npm migration scripts:
+//   npm run migrate [-- --to=0003]
+//   npm run migrate:rollback [-- --steps=2 | --to=0001]
+//   npm run migrate:status
+//   npm run migrate:create -- add_barcodes
+
+const parseOptions = (args) => {
+  const options = {};
+  args.forEach(arg => {
+    const match = arg.match(/^--(steps|to)=(.+)$/);
+    if (!match) {
+      return;
+    }
+    if (match[1] === 'steps') {
+      const steps = parseInt(match[2]);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive integer');
+      }
+      options.steps = steps;
+    } else {
+      options.to = match[2].padStart(4, '0');
+    }
+  });
+  return options;
+};
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrate(parseOptions(args));
+      if (applied.length === 0) {
+        console.log('✅ Database is up to date');
+      }
+      break;
+    }
+    case 'down': {
+      const rolledBack = await rollback(parseOptions(args));
+      if (rolledBack.length === 0) {
+        console.log('Nothing to roll back');
+      }
+      break;
+    }
+    case 'status': {
+      const rows = await status();
+      rows.forEach(row => {
+        const appliedAt = row.appliedAt ? new Date(row.appliedAt).toISOString() : '';
+        const flag = row.changed ? '  (changed since applied)' : '';
+        console.log(`${row.state.padEnd(8)} ${row.version}_${row.name}  ${appliedAt}${flag}`);
+      });
+      break;
+    }
+    case 'create': {
+      const name = args.find(arg => !arg.startsWith('--'));
+      createMigration(name).forEach(file => console.log(`📝 Created ${file}`));
+      return;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down, status or create.`);
+  }
+}
+
+main()
+  .then(() => closePool())
+  .catch(async (error) => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+    await closePool();
+  });
@@ -0,0 +1,17 @@
+-- Drops everything created by the baseline. All data is lost.
+
+DROP TABLE IF EXISTS food_search_history CASCADE;
+DROP TABLE IF EXISTS user_preferences CASCADE;
+DROP TABLE IF EXISTS ai_analysis_logs CASCADE;
+DROP TABLE IF EXISTS user_goals CASCADE;
+DROP TABLE IF EXISTS user_weight_logs CASCADE;
+DROP TABLE IF EXISTS user_exercise_logs CASCADE;
+DROP TABLE IF EXISTS user_custom_foods CASCADE;
+DROP TABLE IF EXISTS user_food_logs CASCADE;
+DROP TABLE IF EXISTS food_nutrients CASCADE;
+DROP TABLE IF EXISTS nutrients CASCADE;
+DROP TABLE IF EXISTS foods CASCADE;
+DROP TABLE IF EXISTS food_categories CASCADE;
+DROP TABLE IF EXISTS users CASCADE;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
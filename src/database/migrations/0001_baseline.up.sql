@@ -232,18 +232,23 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
--- Create triggers for updated_at
+-- Create triggers for updated_at (dropped first so a re-run does not fail)
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_user_food_logs_updated_at ON user_food_logs;
 CREATE TRIGGER update_user_food_logs_updated_at BEFORE UPDATE ON user_food_logs
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_user_custom_foods_updated_at ON user_custom_foods;
 CREATE TRIGGER update_user_custom_foods_updated_at BEFORE UPDATE ON user_custom_foods
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_user_goals_updated_at ON user_goals;
 CREATE TRIGGER update_user_goals_updated_at BEFORE UPDATE ON user_goals
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_user_preferences_updated_at ON user_preferences;
 CREATE TRIGGER update_user_preferences_updated_at BEFORE UPDATE ON user_preferences
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,59 @@
+-- Drops the tables and columns added after the baseline. Their data is lost.
+
+DROP TABLE IF EXISTS user_goal_history CASCADE;
+DROP TABLE IF EXISTS user_water_logs CASCADE;
+DROP TABLE IF EXISTS user_food_log_nutrients CASCADE;
+DROP TABLE IF EXISTS user_saved_meal_items CASCADE;
+DROP TABLE IF EXISTS user_saved_meals CASCADE;
+DROP TABLE IF EXISTS user_recipe_nutrients CASCADE;
+DROP TABLE IF EXISTS user_recipe_ingredients CASCADE;
+DROP TABLE IF EXISTS user_recipes CASCADE;
+DROP TABLE IF EXISTS custom_food_reports CASCADE;
+DROP TABLE IF EXISTS custom_food_votes CASCADE;
+DROP TABLE IF EXISTS food_portions CASCADE;
+
+DROP INDEX IF EXISTS idx_user_goals_one_active;
+DROP INDEX IF EXISTS idx_user_custom_foods_user_id;
+DROP INDEX IF EXISTS idx_user_custom_foods_community;
+DROP INDEX IF EXISTS idx_user_custom_foods_name_trgm;
+
+ALTER TABLE user_preferences DROP COLUMN IF EXISTS energy_unit;
+
+ALTER TABLE user_goals DROP CONSTRAINT IF EXISTS user_goals_goal_type_check;
+ALTER TABLE user_goals
+    DROP COLUMN IF EXISTS start_value,
+    DROP COLUMN IF EXISTS start_date,
+    DROP COLUMN IF EXISTS status,
+    DROP COLUMN IF EXISTS achieved_at;
+
+ALTER TABLE user_food_logs
+    DROP COLUMN IF EXISTS custom_food_id,
+    DROP COLUMN IF EXISTS recipe_id,
+    DROP COLUMN IF EXISTS grams;
+
+ALTER TABLE user_custom_foods
+    DROP COLUMN IF EXISTS serving_weight_g,
+    DROP COLUMN IF EXISTS density,
+    DROP COLUMN IF EXISTS moderation_status,
+    DROP COLUMN IF EXISTS merged_into_id,
+    DROP COLUMN IF EXISTS moderated_by,
+    DROP COLUMN IF EXISTS moderated_at,
+    DROP COLUMN IF EXISTS upvote_count;
+
+ALTER TABLE foods DROP COLUMN IF EXISTS density;
+
+ALTER TABLE users
+    DROP COLUMN IF EXISTS weekly_rate,
+    DROP COLUMN IF EXISTS bmr_formula,
+    DROP COLUMN IF EXISTS bmr,
+    DROP COLUMN IF EXISTS tdee,
+    DROP COLUMN IF EXISTS target_protein,
+    DROP COLUMN IF EXISTS target_carbs,
+    DROP COLUMN IF EXISTS target_fat,
+    DROP COLUMN IF EXISTS adaptive_tdee_enabled,
+    DROP COLUMN IF EXISTS adaptive_tdee,
+    DROP COLUMN IF EXISTS adaptive_tdee_confidence,
+    DROP COLUMN IF EXISTS adaptive_tdee_checked_at,
+    DROP COLUMN IF EXISTS timezone,
+    DROP COLUMN IF EXISTS is_admin,
+    DROP COLUMN IF EXISTS verification_expires;
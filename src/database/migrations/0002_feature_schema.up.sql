@@ -0,0 +1,224 @@
+-- Columns, tables and indexes added since the baseline schema.sql. Written
+-- with ADD COLUMN IF NOT EXISTS and CREATE ... IF NOT EXISTS so databases
+-- created from the old schema.sql are brought up to date.
+
+-- Trigram similarity, for finding duplicate community foods
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Users: calorie targets, adaptive TDEE, time zone, roles and verification
+ALTER TABLE users ADD COLUMN IF NOT EXISTS weekly_rate DECIMAL(3,2); -- target kg change per week
+ALTER TABLE users ADD COLUMN IF NOT EXISTS bmr_formula VARCHAR(20) DEFAULT 'mifflin_st_jeor' CHECK (bmr_formula IN ('mifflin_st_jeor', 'harris_benedict'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS bmr INTEGER; -- derived, kcal/day
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tdee INTEGER; -- derived, kcal/day
+ALTER TABLE users ADD COLUMN IF NOT EXISTS target_protein DECIMAL(6,2); -- derived, g/day
+ALTER TABLE users ADD COLUMN IF NOT EXISTS target_carbs DECIMAL(6,2); -- derived, g/day
+ALTER TABLE users ADD COLUMN IF NOT EXISTS target_fat DECIMAL(6,2); -- derived, g/day
+ALTER TABLE users ADD COLUMN IF NOT EXISTS adaptive_tdee_enabled BOOLEAN DEFAULT FALSE; -- opt-in to weekly target adjustment
+ALTER TABLE users ADD COLUMN IF NOT EXISTS adaptive_tdee INTEGER; -- last applied estimate from logged intake and weight, kcal/day
+ALTER TABLE users ADD COLUMN IF NOT EXISTS adaptive_tdee_confidence DECIMAL(3,2); -- 0-1
+ALTER TABLE users ADD COLUMN IF NOT EXISTS adaptive_tdee_checked_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'Asia/Taipei'; -- IANA zone that defines the user's calendar days
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT FALSE; -- may moderate community foods
+ALTER TABLE users ADD COLUMN IF NOT EXISTS verification_expires TIMESTAMP;
+
+-- Foods: density for logging in volume units
+ALTER TABLE foods ADD COLUMN IF NOT EXISTS density DECIMAL(6,3); -- g per ml
+
+-- Food portions table (gram weight of household measures per food)
+CREATE TABLE IF NOT EXISTS food_portions (
+    id SERIAL PRIMARY KEY,
+    food_id INTEGER REFERENCES foods(id) ON DELETE CASCADE,
+    unit VARCHAR(20) NOT NULL, -- normalized unit key: 'bowl', 'slice', 'cup', 'tbsp', 'piece', ...
+    amount DECIMAL(8,3) DEFAULT 1, -- number of units the gram weight covers
+    gram_weight DECIMAL(10,3) NOT NULL,
+    description VARCHAR(200), -- e.g. '1 cup, chopped'
+    description_tw VARCHAR(200),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(food_id, unit)
+);
+
+-- Custom foods: weights for unit conversion and community moderation
+ALTER TABLE user_custom_foods ADD COLUMN IF NOT EXISTS serving_weight_g DECIMAL(8,2); -- grams in one serving, for logging in other units
+ALTER TABLE user_custom_foods ADD COLUMN IF NOT EXISTS density DECIMAL(6,3); -- g per ml
+ALTER TABLE user_custom_foods ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20) DEFAULT 'pending' CHECK (moderation_status IN ('pending', 'approved', 'hidden', 'merged'));
+ALTER TABLE user_custom_foods ADD COLUMN IF NOT EXISTS merged_into_id UUID REFERENCES user_custom_foods(id) ON DELETE SET NULL; -- kept entry when merged as a duplicate
+ALTER TABLE user_custom_foods ADD COLUMN IF NOT EXISTS moderated_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE user_custom_foods ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP;
+ALTER TABLE user_custom_foods ADD COLUMN IF NOT EXISTS upvote_count INTEGER NOT NULL DEFAULT 0;
+
+-- Community upvotes on public custom foods, one per user
+CREATE TABLE IF NOT EXISTS custom_food_votes (
+    custom_food_id UUID REFERENCES user_custom_foods(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (custom_food_id, user_id)
+);
+
+-- Community reports of bad public custom foods, one per user per food
+CREATE TABLE IF NOT EXISTS custom_food_reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    custom_food_id UUID REFERENCES user_custom_foods(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    reason VARCHAR(30) NOT NULL CHECK (reason IN ('incorrect_nutrition', 'duplicate', 'inappropriate', 'other')),
+    details VARCHAR(1000),
+    status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(custom_food_id, user_id)
+);
+
+-- User recipes; nutrition totals are computed from the ingredients
+CREATE TABLE IF NOT EXISTS user_recipes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(200) NOT NULL,
+    description TEXT,
+    servings DECIMAL(8,2) NOT NULL DEFAULT 1, -- yield in servings
+    cooked_weight_g DECIMAL(10,2), -- weighed yield after cooking
+    cooking_loss DECIMAL(4,3) CHECK (cooking_loss >= 0 AND cooking_loss < 1), -- fraction of raw weight lost when not weighed
+    retention_factors JSONB, -- { nutrient_nbr: fraction retained after cooking }
+    raw_weight_g DECIMAL(10,2), -- sum of ingredient weights, when all are known
+    yield_weight_g DECIMAL(10,2), -- cooked weight used for per 100 g values
+    calories DECIMAL(10,2), -- totals for the whole recipe
+    protein DECIMAL(10,2),
+    carbs DECIMAL(10,2),
+    fat DECIMAL(10,2),
+    fiber DECIMAL(10,2),
+    sugar DECIMAL(10,2),
+    sodium DECIMAL(10,2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recipe ingredient lines, each referencing a database food or a custom food
+CREATE TABLE IF NOT EXISTS user_recipe_ingredients (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    recipe_id UUID REFERENCES user_recipes(id) ON DELETE CASCADE,
+    food_id INTEGER REFERENCES foods(id),
+    custom_food_id UUID REFERENCES user_custom_foods(id) ON DELETE CASCADE,
+    amount DECIMAL(8,2) NOT NULL,
+    unit VARCHAR(20) NOT NULL,
+    grams DECIMAL(10,2), -- amount converted to grams, when known
+    position INTEGER NOT NULL DEFAULT 0,
+    notes VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((food_id IS NULL) <> (custom_food_id IS NULL))
+);
+
+-- Every nutrient in a recipe, totalled for the whole recipe after retention
+CREATE TABLE IF NOT EXISTS user_recipe_nutrients (
+    id SERIAL PRIMARY KEY,
+    recipe_id UUID REFERENCES user_recipes(id) ON DELETE CASCADE,
+    nutrient_id INTEGER REFERENCES nutrients(id) ON DELETE CASCADE,
+    amount DECIMAL(12,4) NOT NULL,
+    UNIQUE(recipe_id, nutrient_id)
+);
+
+-- Food logs: custom food and recipe sources, and the amount in grams
+ALTER TABLE user_food_logs ADD COLUMN IF NOT EXISTS custom_food_id UUID REFERENCES user_custom_foods(id) ON DELETE SET NULL;
+ALTER TABLE user_food_logs ADD COLUMN IF NOT EXISTS recipe_id UUID REFERENCES user_recipes(id) ON DELETE SET NULL;
+ALTER TABLE user_food_logs ADD COLUMN IF NOT EXISTS grams DECIMAL(10,2); -- amount converted to grams, when known
+
+-- Saved meals: named bundles of log items that can be logged in one call
+CREATE TABLE IF NOT EXISTS user_saved_meals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(200) NOT NULL,
+    description TEXT,
+    meal_type VARCHAR(20) CHECK (meal_type IN ('breakfast', 'lunch', 'dinner', 'snack')), -- default when logged
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Saved meal items keep the portion; nutrition is resolved from the source
+-- food when logged. Manual items (no source) keep their entered totals.
+CREATE TABLE IF NOT EXISTS user_saved_meal_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    saved_meal_id UUID REFERENCES user_saved_meals(id) ON DELETE CASCADE,
+    food_id INTEGER REFERENCES foods(id),
+    custom_food_id UUID REFERENCES user_custom_foods(id) ON DELETE CASCADE,
+    recipe_id UUID REFERENCES user_recipes(id) ON DELETE CASCADE,
+    custom_food_name VARCHAR(200),
+    amount DECIMAL(8,2) NOT NULL,
+    unit VARCHAR(20) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    calories DECIMAL(8,2),
+    protein DECIMAL(8,2),
+    carbs DECIMAL(8,2),
+    fat DECIMAL(8,2),
+    fiber DECIMAL(8,2),
+    sugar DECIMAL(8,2),
+    sodium DECIMAL(8,2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every nutrient recorded for a food log entry, scaled to the logged amount
+CREATE TABLE IF NOT EXISTS user_food_log_nutrients (
+    id SERIAL PRIMARY KEY,
+    log_id UUID REFERENCES user_food_logs(id) ON DELETE CASCADE,
+    nutrient_id INTEGER REFERENCES nutrients(id) ON DELETE CASCADE,
+    amount DECIMAL(12,4) NOT NULL,
+    UNIQUE(log_id, nutrient_id)
+);
+
+-- User water logs table
+CREATE TABLE IF NOT EXISTS user_water_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL CHECK (amount > 0), -- in ml
+    log_date DATE NOT NULL,
+    log_time TIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Goals: known goal types, starting point and lifecycle
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'user_goals_goal_type_check') THEN
+        ALTER TABLE user_goals ADD CONSTRAINT user_goals_goal_type_check
+            CHECK (goal_type IN ('weight_loss', 'weight_gain', 'maintenance', 'muscle_gain'));
+    END IF;
+END $$;
+ALTER TABLE user_goals ADD COLUMN IF NOT EXISTS start_value DECIMAL(8,2); -- weight in kg when the goal was set
+ALTER TABLE user_goals ADD COLUMN IF NOT EXISTS start_date DATE DEFAULT CURRENT_DATE;
+ALTER TABLE user_goals ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'achieved', 'abandoned'));
+ALTER TABLE user_goals ADD COLUMN IF NOT EXISTS achieved_at TIMESTAMP;
+
+-- User goal history table
+CREATE TABLE IF NOT EXISTS user_goal_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    goal_id UUID REFERENCES user_goals(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    event VARCHAR(20) NOT NULL CHECK (event IN ('created', 'updated', 'achieved', 'abandoned')),
+    value DECIMAL(8,2), -- weight in kg at the time of the event
+    details JSONB, -- goal snapshot and progress
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Preferences: energy unit
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS energy_unit VARCHAR(10) DEFAULT 'kcal' CHECK (energy_unit IN ('kcal', 'kj'));
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_user_custom_foods_user_id ON user_custom_foods(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_custom_foods_community ON user_custom_foods(moderation_status) WHERE is_public;
+CREATE INDEX IF NOT EXISTS idx_user_custom_foods_name_trgm ON user_custom_foods USING gin (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_custom_food_reports_open ON custom_food_reports(custom_food_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_user_recipes_user_id ON user_recipes(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_recipe_ingredients_recipe_id ON user_recipe_ingredients(recipe_id);
+CREATE INDEX IF NOT EXISTS idx_user_recipe_ingredients_custom_food_id ON user_recipe_ingredients(custom_food_id);
+CREATE INDEX IF NOT EXISTS idx_user_saved_meals_user_id ON user_saved_meals(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_saved_meal_items_saved_meal_id ON user_saved_meal_items(saved_meal_id);
+CREATE INDEX IF NOT EXISTS idx_user_food_log_nutrients_nutrient_id ON user_food_log_nutrients(nutrient_id);
+CREATE INDEX IF NOT EXISTS idx_user_water_logs_user_date ON user_water_logs(user_id, log_date);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_goals_one_active ON user_goals(user_id, goal_type) WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_user_goal_history_user_id ON user_goal_history(user_id);
+
+-- updated_at triggers for the new tables
+DROP TRIGGER IF EXISTS update_user_recipes_updated_at ON user_recipes;
+CREATE TRIGGER update_user_recipes_updated_at BEFORE UPDATE ON user_recipes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_user_saved_meals_updated_at ON user_saved_meals;
+CREATE TRIGGER update_user_saved_meals_updated_at BEFORE UPDATE ON user_saved_meals
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
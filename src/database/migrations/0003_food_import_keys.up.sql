@@ -0,0 +1,2 @@
+-- Category names identify categories across food data imports
+CREATE UNIQUE INDEX IF NOT EXISTS idx_food_categories_name ON food_categories(name);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_foods_description_trgm;
+ALTER TABLE foods DROP COLUMN IF EXISTS usda_food_id;
+ALTER TABLE foods DROP COLUMN IF EXISTS aliases_tw;
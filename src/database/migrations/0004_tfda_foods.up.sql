@@ -0,0 +1,8 @@
+-- Common Traditional Chinese names (俗名), searched with description_tw
+ALTER TABLE foods ADD COLUMN IF NOT EXISTS aliases_tw TEXT;
+
+-- Equivalent USDA food for entries imported from other databases
+ALTER TABLE foods ADD COLUMN IF NOT EXISTS usda_food_id INTEGER REFERENCES foods(id) ON DELETE SET NULL;
+
+-- Similarity matching of English descriptions when linking to USDA foods
+CREATE INDEX IF NOT EXISTS idx_foods_description_trgm ON foods USING gin (description gin_trgm_ops);
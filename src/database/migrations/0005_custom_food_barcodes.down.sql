@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_user_custom_foods_barcode;
+ALTER TABLE user_custom_foods DROP COLUMN IF EXISTS barcode;
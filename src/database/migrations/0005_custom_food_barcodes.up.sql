@@ -0,0 +1,4 @@
+-- Barcode (normalized GTIN-14) of a product a user entered after scanning it
+ALTER TABLE user_custom_foods ADD COLUMN IF NOT EXISTS barcode VARCHAR(14);
+
+CREATE INDEX IF NOT EXISTS idx_user_custom_foods_barcode ON user_custom_foods(barcode) WHERE barcode IS NOT NULL;
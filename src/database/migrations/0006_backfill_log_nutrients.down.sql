@@ -0,0 +1,2 @@
+-- Backfilled rows cannot be told apart from rows written when logging, and
+-- match the log columns, so they are kept.
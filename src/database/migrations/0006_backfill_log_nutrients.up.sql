@@ -0,0 +1,31 @@
+-- Nutrient rows for food logs written before user_food_log_nutrients existed,
+-- taken from the columns on the log so daily nutrient totals include them.
+-- Logs that already have a row for a nutrient keep it.
+
+-- Core nutrients, in case no food data has been imported yet
+INSERT INTO nutrients (nutrient_nbr, name, name_tw, unit_name)
+VALUES
+    ('208', 'Energy (kcal)', '熱量', 'kcal'),
+    ('203', 'Protein', '蛋白質', 'g'),
+    ('205', 'Carbohydrate, by difference', '碳水化合物', 'g'),
+    ('204', 'Total lipid (fat)', '脂肪', 'g'),
+    ('291', 'Fiber, total dietary', '膳食纖維', 'g'),
+    ('269', 'Sugars, total including NLEA', '糖', 'g'),
+    ('307', 'Sodium, Na', '鈉', 'mg')
+ON CONFLICT (nutrient_nbr) DO NOTHING;
+
+INSERT INTO user_food_log_nutrients (log_id, nutrient_id, amount)
+SELECT l.id, n.id, v.amount
+FROM user_food_logs l
+CROSS JOIN LATERAL (VALUES
+    ('208', l.calories),
+    ('203', l.protein),
+    ('205', l.carbs),
+    ('204', l.fat),
+    ('291', l.fiber),
+    ('269', l.sugar),
+    ('307', l.sodium)
+) AS v(nutrient_nbr, amount)
+JOIN nutrients n ON n.nutrient_nbr = v.nutrient_nbr
+WHERE v.amount IS NOT NULL
+ON CONFLICT (log_id, nutrient_id) DO NOTHING;
@@ -0,0 +1 @@
+ALTER TABLE user_exercise_logs DROP COLUMN IF EXISTS activity_key;
@@ -0,0 +1,3 @@
+-- Activity chosen from the MET table when an exercise was logged, so calories
+-- are re-estimated from the same activity when the log is edited
+ALTER TABLE user_exercise_logs ADD COLUMN IF NOT EXISTS activity_key VARCHAR(50);
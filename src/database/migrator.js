@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getClient } = require('./connection');
+
+// Versioned SQL migrations.
+//
+// Each migration is a pair of files in src/database/migrations:
+//   0002_add_barcodes.up.sql     applied by migrate
+//   0002_add_barcodes.down.sql   applied by rollback
+// Applied migrations are recorded in schema_migrations with a checksum of
+// their up script, so editing one after it has run is caught. Every run
+// holds a PostgreSQL advisory lock, so app instances starting together
+// apply each migration once.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key shared by every process that runs migrations
+const MIGRATION_LOCK_KEY = 720119;
+
+// How long to wait for another run to release the lock
+const LOCK_TIMEOUT_MS = parseInt(process.env.MIGRATION_LOCK_TIMEOUT_MS) || 60000;
+const LOCK_RETRY_MS = 1000;
+
+// Raised when migrations are missing, edited or fail to apply
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Line endings are normalized so a checkout on Windows does not change it
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+// Read every migration, ordered by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  fs.readdirSync(dir).forEach(file => {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      if (file.endsWith('.sql')) {
+        throw new MigrationError(`Unrecognised migration file name: ${file}`);
+      }
+      return;
+    }
+
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new MigrationError(`Migration ${version} has files with different names`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  });
+
+  return [...byVersion.values()]
+    .sort((a, b) => a.version.localeCompare(b.version))
+    .map(migration => {
+      if (!migration.up) {
+        throw new MigrationError(`Migration ${migration.version}_${migration.name} has no up script`);
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      execution_ms INTEGER,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+}
+
+async function getApplied(client) {
+  const exists = await client.query(`SELECT to_regclass('schema_migrations') IS NOT NULL as exists`);
+  if (!exists.rows[0].exists) {
+    return [];
+  }
+
+  const result = await client.query(
+    'SELECT version, name, checksum, execution_ms, applied_at FROM schema_migrations ORDER BY version ASC'
+  );
+  return result.rows;
+}
+
+// Applied migrations must still exist and be unchanged
+function verifyApplied(migrations, applied) {
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const problems = [];
+
+  applied.forEach(row => {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      problems.push(`${row.version}_${row.name} was applied but its file is missing`);
+    } else if (migration.checksum !== row.checksum) {
+      problems.push(`${row.version}_${row.name} was changed after it was applied`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new MigrationError(`Migration check failed:\n  ${problems.join('\n  ')}`);
+  }
+}
+
+// Run a callback on a dedicated client holding the migration lock
+async function withMigrationLock(callback) {
+  const client = await getClient();
+  let locked = false;
+
+  try {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    while (!locked) {
+      const result = await client.query('SELECT pg_try_advisory_lock($1) as locked', [MIGRATION_LOCK_KEY]);
+      locked = result.rows[0].locked;
+
+      if (!locked) {
+        if (Date.now() >= deadline) {
+          throw new MigrationError('Timed out waiting for another migration run to finish');
+        }
+        console.log('⏳ Waiting for another migration run to finish');
+        await sleep(LOCK_RETRY_MS);
+      }
+    }
+
+    return await callback(client);
+  } finally {
+    if (locked) {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+    client.release();
+  }
+}
+
+// Run one script and its bookkeeping in a transaction
+async function runInTransaction(client, label, sql, record) {
+  const start = Date.now();
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await record(Date.now() - start);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new MigrationError(`${label} failed: ${error.message}`);
+  }
+  return Date.now() - start;
+}
+
+/**
+ * Apply pending migrations in version order
+ * @param {Object} options - { to: last version to apply (optional) }
+ * @returns {Promise<Array>} Applied migrations ({ version, name, durationMs })
+ */
+async function migrate({ to } = {}) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    await ensureMigrationsTable(client);
+    const applied = await getApplied(client);
+    verifyApplied(migrations, applied);
+
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const pending = migrations.filter(migration =>
+      !appliedVersions.has(migration.version) && (!to || migration.version <= to)
+    );
+
+    const results = [];
+    for (const migration of pending) {
+      const label = `${migration.version}_${migration.name}`;
+      const durationMs = await runInTransaction(client, label, migration.up, (executionMs) =>
+        client.query(
+          'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+          [migration.version, migration.name, migration.checksum, executionMs]
+        )
+      );
+      console.log(`✅ Applied migration ${label} (${durationMs} ms)`);
+      results.push({ version: migration.version, name: migration.name, durationMs });
+    }
+
+    return results;
+  });
+}
+
+/**
+ * Undo applied migrations, newest first
+ * @param {Object} options - { steps: how many to undo (default 1), to: keep this version and older }
+ * @returns {Promise<Array>} Rolled back migrations ({ version, name, durationMs })
+ */
+async function rollback({ steps = 1, to } = {}) {
+  const migrations = loadMigrations();
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return withMigrationLock(async (client) => {
+    const applied = await getApplied(client);
+    verifyApplied(migrations, applied);
+
+    const newestFirst = [...applied].reverse();
+    const targets = to !== undefined
+      ? newestFirst.filter(row => row.version > to)
+      : newestFirst.slice(0, steps);
+
+    const results = [];
+    for (const row of targets) {
+      const migration = byVersion.get(row.version);
+      const label = `${migration.version}_${migration.name}`;
+      if (!migration.down) {
+        throw new MigrationError(`${label} has no down script and cannot be rolled back`);
+      }
+
+      const durationMs = await runInTransaction(client, `Rollback of ${label}`, migration.down, () =>
+        client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version])
+      );
+      console.log(`↩️  Rolled back migration ${label} (${durationMs} ms)`);
+      results.push({ version: migration.version, name: migration.name, durationMs });
+    }
+
+    return results;
+  });
+}
+
+/**
+ * Every known migration and whether it has been applied
+ * @returns {Promise<Array>} [{ version, name, state: 'applied'|'pending'|'missing', changed, appliedAt }]
+ */
+async function status() {
+  const migrations = loadMigrations();
+  const client = await getClient();
+
+  try {
+    const applied = await getApplied(client);
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    const rows = migrations.map(migration => {
+      const row = appliedByVersion.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        state: row ? 'applied' : 'pending',
+        changed: row ? row.checksum !== migration.checksum : false,
+        appliedAt: row ? row.applied_at : null
+      };
+    });
+
+    // Applied migrations whose files are gone
+    applied
+      .filter(row => !migrations.some(migration => migration.version === row.version))
+      .forEach(row => rows.push({
+        version: row.version,
+        name: row.name,
+        state: 'missing',
+        changed: false,
+        appliedAt: row.applied_at
+      }));
+
+    return rows.sort((a, b) => a.version.localeCompare(b.version));
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Write an empty up/down pair for a new migration
+ * @param {string} name - Short description, e.g. "add_barcodes"
+ * @returns {Array} Paths of the created files
+ */
+function createMigration(name) {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) {
+    throw new MigrationError('A migration name is required, e.g. add_barcodes');
+  }
+
+  const migrations = loadMigrations();
+  const last = migrations.length > 0 ? parseInt(migrations[migrations.length - 1].version) : 0;
+  const version = String(last + 1).padStart(4, '0');
+
+  return ['up', 'down'].map(direction => {
+    const file = path.join(MIGRATIONS_DIR, `${version}_${slug}.${direction}.sql`);
+    fs.writeFileSync(file, `-- ${version}_${slug} (${direction})\n\n`);
+    return file;
+  });
+}
+
+module.exports = {
+  MigrationError,
+  checksum,
+  loadMigrations,
+  migrate,
+  rollback,
+  status,
+  createMigration
+};
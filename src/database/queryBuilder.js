@@ -0,0 +1,146 @@
+// Helpers for building dynamic SQL safely.
+// Column names only ever come from code-defined whitelists; every value,
+// including interval lengths and dates, is passed as a bind parameter.
+
+// Raised when a request asks for something outside the whitelist
+class QueryBuilderError extends Error {
+  constructor(message, field = null) {
+    super(message);
+    this.name = 'QueryBuilderError';
+    this.status = 400;
+    this.field = field;
+  }
+}
+
+// Collects bind values and hands out their $n placeholders
+class QueryParams {
+  constructor(initialValues = []) {
+    this.values = [...initialValues];
+  }
+
+  // Add a value and return its placeholder
+  add(value) {
+    this.values.push(value);
+    return `$${this.values.length}`;
+  }
+}
+
+// Build "column = $n" assignments from API fields mapped through a whitelist.
+// fieldMap looks like { mealType: 'meal_type', amount: 'amount' }.
+function buildSetClause(data, fieldMap, params) {
+  const assignments = [];
+
+  Object.entries(data).forEach(([field, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(fieldMap, field)) {
+      throw new QueryBuilderError(`不允許更新欄位: ${field}`, field);
+    }
+    assignments.push(`${fieldMap[field]} = ${params.add(value)}`);
+  });
+
+  return assignments;
+}
+
+// Build a complete UPDATE ... RETURNING * statement.
+// where maps column names (from code, not input) to values, ANDed together.
+function buildUpdate({ table, data, fieldMap, where, touchUpdatedAt = true }) {
+  const params = new QueryParams();
+  const assignments = buildSetClause(data, fieldMap, params);
+
+  if (assignments.length === 0) {
+    throw new QueryBuilderError('沒有提供要更新的數據');
+  }
+
+  if (touchUpdatedAt) {
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+  }
+
+  const conditions = Object.entries(where).map(([column, value]) => `${column} = ${params.add(value)}`);
+
+  return {
+    text: `UPDATE ${table} SET ${assignments.join(', ')} WHERE ${conditions.join(' AND ')} RETURNING *`,
+    values: params.values
+  };
+}
+
+// Build INSERT ... ON CONFLICT (key) DO UPDATE for the provided fields only.
+// key maps the unique column(s) to their values, e.g. { user_id: userId }.
+function buildUpsert({ table, data, fieldMap, key, touchUpdatedAt = true }) {
+  const params = new QueryParams();
+  const columns = [];
+  const placeholders = [];
+  const updates = [];
+
+  Object.entries(key).forEach(([column, value]) => {
+    columns.push(column);
+    placeholders.push(params.add(value));
+  });
+
+  Object.entries(data).forEach(([field, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(fieldMap, field)) {
+      throw new QueryBuilderError(`不允許更新欄位: ${field}`, field);
+    }
+    const column = fieldMap[field];
+    columns.push(column);
+    placeholders.push(params.add(value));
+    updates.push(`${column} = EXCLUDED.${column}`);
+  });
+
+  if (updates.length === 0) {
+    throw new QueryBuilderError('沒有提供要更新的數據');
+  }
+
+  if (touchUpdatedAt) {
+    updates.push(`updated_at = CURRENT_TIMESTAMP`);
+  }
+
+  return {
+    text: `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) ` +
+      `ON CONFLICT (${Object.keys(key).join(', ')}) DO UPDATE SET ${updates.join(', ')} RETURNING *`,
+    values: params.values
+  };
+}
+
+// Validate a day count used in a rolling window
+function toDayCount(days, { min = 1, max = 365 } = {}) {
+  const value = Number(days);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new QueryBuilderError(`天數必須是 ${min} 到 ${max} 之間的整數`, 'period');
+  }
+  return value;
+}
+
+// "column >= <today> - N days" with N as a bind parameter.
+// today defaults to CURRENT_DATE but may be a placeholder for a date value.
+function lastDaysCondition(column, days, params, today = 'CURRENT_DATE') {
+  const dayCount = toDayCount(days);
+  return `${column} >= ${today} - make_interval(days => ${params.add(dayCount)})`;
+}
+
+// "column BETWEEN $a AND $b" for YYYY-MM-DD dates
+function dateRangeCondition(column, startDate, endDate, params) {
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(startDate) || !dateRegex.test(endDate)) {
+    throw new QueryBuilderError('日期格式不正確，請使用 YYYY-MM-DD 格式');
+  }
+  if (startDate > endDate) {
+    throw new QueryBuilderError('開始日期不能晚於結束日期');
+  }
+  return `${column} BETWEEN ${params.add(startDate)} AND ${params.add(endDate)}`;
+}
+
+module.exports = {
+  QueryBuilderError,
+  QueryParams,
+  buildSetClause,
+  buildUpdate,
+  buildUpsert,
+  toDayCount,
+  lastDaysCondition,
+  dateRangeCondition
+};
@@ -84,6 +84,22 @@ const cache = {
     }
   },
   
+  // Delete every key matching a glob pattern (uses SCAN, safe on large keyspaces)
+  async delPattern(pattern) {
+    try {
+      const client = getClient();
+      let deleted = 0;
+      for await (const key of client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+        await client.del(key);
+        deleted++;
+      }
+      return deleted;
+    } catch (error) {
+      console.error('❌ Cache delete pattern error:', error);
+      return 0;
+    }
+  },
+  
   // Check if key exists
   async exists(key) {
     try {
@@ -149,24 +165,137 @@ const cache = {
   }
 };
 
+// KEYS: session key, index key; ARGV: expected token id, new data, ttl, session id
+const ROTATE_SESSION_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then
+  return 'missing'
+end
+if cjson.decode(current).currentTokenId ~= ARGV[1] then
+  redis.call('DEL', KEYS[1])
+  redis.call('SREM', KEYS[2], ARGV[4])
+  return 'reused'
+end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', tonumber(ARGV[3]))
+redis.call('SADD', KEYS[2], ARGV[4])
+if redis.call('TTL', KEYS[2]) < tonumber(ARGV[3]) then
+  redis.call('EXPIRE', KEYS[2], tonumber(ARGV[3]))
+end
+return 'rotated'
+`;
+
 // Session management
+// Each login is its own session under session:<userId>:<sessionId>,
+// indexed by the sessions:<userId> set so all devices can be listed or revoked
 const session = {
   // Store user session
-  async store(userId, sessionData, ttl = 86400) { // 24 hours default
-    const key = `session:${userId}`;
-    return await cache.set(key, sessionData, ttl);
+  async store(userId, sessionId, sessionData, ttl = 86400) { // 24 hours default
+    try {
+      const client = getClient();
+      const key = `session:${userId}:${sessionId}`;
+      const indexKey = `sessions:${userId}`;
+      await client.setEx(key, ttl, JSON.stringify(sessionData));
+      await client.sAdd(indexKey, sessionId);
+      // Keep the index alive at least as long as its newest session
+      if (await client.ttl(indexKey) < ttl) {
+        await client.expire(indexKey, ttl);
+      }
+      return true;
+    } catch (error) {
+      console.error('❌ Session store error:', error);
+      return false;
+    }
   },
   
   // Get user session
-  async get(userId) {
-    const key = `session:${userId}`;
+  async get(userId, sessionId) {
+    const key = `session:${userId}:${sessionId}`;
     return await cache.get(key);
   },
   
+  // Check that a session has not been revoked or expired
+  async exists(userId, sessionId) {
+    return await cache.exists(`session:${userId}:${sessionId}`);
+  },
+  
+  // Replace a session only while it still holds the expected refresh token id.
+  // Runs as one script so two refreshes with the same token cannot both win;
+  // the loser sees a stale token id and the session is revoked as reused.
+  // Returns 'rotated', 'missing' or 'reused', or null when Redis fails.
+  async rotate(userId, sessionId, expectedTokenId, sessionData, ttl) {
+    try {
+      const client = getClient();
+      return await client.eval(ROTATE_SESSION_SCRIPT, {
+        keys: [`session:${userId}:${sessionId}`, `sessions:${userId}`],
+        arguments: [expectedTokenId, JSON.stringify(sessionData), String(ttl), sessionId]
+      });
+    } catch (error) {
+      console.error('❌ Session rotate error:', error);
+      return null;
+    }
+  },
+  
+  // List all active sessions for a user
+  async list(userId) {
+    try {
+      const client = getClient();
+      const indexKey = `sessions:${userId}`;
+      const sessionIds = await client.sMembers(indexKey);
+      
+      if (sessionIds.length === 0) {
+        return [];
+      }
+      
+      const values = await client.mGet(sessionIds.map(id => `session:${userId}:${id}`));
+      const sessions = [];
+      const expiredIds = [];
+      
+      values.forEach((value, index) => {
+        if (value) {
+          sessions.push(JSON.parse(value));
+        } else {
+          expiredIds.push(sessionIds[index]);
+        }
+      });
+      
+      // Drop index entries whose session already expired
+      if (expiredIds.length > 0) {
+        await client.sRem(indexKey, expiredIds);
+      }
+      
+      return sessions;
+    } catch (error) {
+      console.error('❌ Session list error:', error);
+      return [];
+    }
+  },
+  
   // Delete user session
-  async delete(userId) {
-    const key = `session:${userId}`;
-    return await cache.del(key);
+  async delete(userId, sessionId) {
+    try {
+      const client = getClient();
+      await client.del(`session:${userId}:${sessionId}`);
+      await client.sRem(`sessions:${userId}`, sessionId);
+      return true;
+    } catch (error) {
+      console.error('❌ Session delete error:', error);
+      return false;
+    }
+  },
+  
+  // Delete every session for a user
+  async deleteAll(userId) {
+    try {
+      const client = getClient();
+      const indexKey = `sessions:${userId}`;
+      const sessionIds = await client.sMembers(indexKey);
+      const keys = sessionIds.map(id => `session:${userId}:${id}`);
+      await client.del([...keys, indexKey]);
+      return sessionIds.length;
+    } catch (error) {
+      console.error('❌ Session delete all error:', error);
+      return 0;
+    }
   }
 };
 
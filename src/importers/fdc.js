@@ -0,0 +1,616 @@
+const fs = require('fs');
+const path = require('path');
+const { withTransaction } = require('../database/connection');
+const { readCsv, readJsonArray, inBatches } = require('./readers');
+const writer = require('./foodWriter');
+
+// USDA FoodData Central importer.
+//
+// Reads the downloads from https://fdc.nal.usda.gov/download-datasets:
+//   - a CSV directory (nutrient.csv, food_category.csv, food.csv,
+//     branded_food.csv, food_nutrient.csv, food_portion.csv, measure_unit.csv)
+//   - or a JSON file ({ "FoundationFoods": [...] }, { "SRLegacyFoods": [...] },
+//     { "BrandedFoods": [...] }), or a directory of them
+// Foods are upserted by fdc_id and nutrients by nutrient_nbr, one transaction
+// per batch, so an interrupted import can simply be run again.
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// --types values and the data_type stored for them
+const DATA_TYPES = {
+  foundation: 'foundation_food',
+  sr_legacy: 'sr_legacy_food',
+  branded: 'branded_food'
+};
+
+// dataType as written in the JSON downloads
+const JSON_DATA_TYPES = {
+  'Foundation': 'foundation_food',
+  'SR Legacy': 'sr_legacy_food',
+  'Branded': 'branded_food'
+};
+
+// FDC spells units in capitals in the CSV files
+const NUTRIENT_UNITS = { KCAL: 'kcal', KJ: 'kJ', G: 'g', MG: 'mg', UG: 'µg', IU: 'IU' };
+
+// Serving size units meaning grams in branded foods
+const GRAM_SERVING_UNITS = ['g', 'grm'];
+
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const text = (value, maxLength) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  if (trimmed === '') {
+    return null;
+  }
+  return maxLength ? trimmed.slice(0, maxLength) : trimmed;
+};
+
+// null for a missing value, NaN for one that is not a number
+const number = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  return Number(value);
+};
+
+// Statistics next to an amount are dropped rather than rejected when unreadable
+const optionalNumber = (value) => {
+  const parsed = number(value);
+  return parsed === null || Number.isNaN(parsed) ? null : parsed;
+};
+
+// FDC IDs are positive integers; stored as text
+const fdcId = (value) => {
+  const id = text(value);
+  return id && /^\d+$/.test(id) ? id : null;
+};
+
+// CSV files write nutrient numbers as "208.0"
+const nutrientNbr = (value) => {
+  const nbr = text(value);
+  return nbr ? nbr.replace(/\.0+$/, '') : null;
+};
+
+// Dates arrive as "2019-04-01" (CSV) or "4/1/2019" (JSON)
+const isoDate = (value) => {
+  const date = text(value);
+  if (!date) {
+    return null;
+  }
+  if (/^\d{4}-\d{2}-\d{2}/.test(date)) {
+    return date.slice(0, 10);
+  }
+  const match = date.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return match ? `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}` : null;
+};
+
+// FDC names both energy nutrients "Energy"
+const nutrientRow = ({ nbr, name, unitName, rank }) => {
+  const unit = NUTRIENT_UNITS[String(unitName).toUpperCase()] || unitName;
+  return {
+    nutrientNbr: nbr,
+    name: name === 'Energy' ? `Energy (${unit})` : name,
+    unitName: unit,
+    rank: Number.isInteger(rank) ? rank : null
+  };
+};
+
+// Checks shared by every food record; returns the reason it is rejected
+const foodProblem = (id, description) => {
+  if (!id) {
+    return 'invalid fdc_id';
+  }
+  if (!description) {
+    return 'missing description';
+  }
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    return `description longer than ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Household measure of a food, or the reason it cannot be used
+const portionRow = ({ foodId, measureName, modifier, portionDescription, amount, gramWeight }) => {
+  if (gramWeight === null || Number.isNaN(gramWeight) || gramWeight <= 0) {
+    return { problem: 'invalid gram_weight' };
+  }
+  const units = amount === null || Number.isNaN(amount) || amount <= 0 ? 1 : amount;
+  const measure = measureName && measureName !== 'undetermined' ? measureName : null;
+  const unit = writer.portionUnit([measure, modifier, portionDescription]);
+  if (!unit) {
+    return { skipped: 'portion unit not recognised' };
+  }
+
+  return {
+    row: {
+      foodId,
+      unit: unit.key,
+      amount: units,
+      gramWeight,
+      description: text(portionDescription || [units, measure, modifier].filter(Boolean).join(' '), 200)
+    },
+    density: writer.densityFor(unit, units, gramWeight)
+  };
+};
+
+// Branded foods give their serving size; only gram servings have a weight
+const servingRow = ({ foodId, servingSize, servingSizeUnit, householdServing }) => {
+  const size = number(servingSize);
+  if (!size || Number.isNaN(size) || size <= 0) {
+    return null;
+  }
+  if (!GRAM_SERVING_UNITS.includes(String(servingSizeUnit).trim().toLowerCase())) {
+    return null;
+  }
+  return {
+    foodId,
+    unit: 'serving',
+    amount: 1,
+    gramWeight: size,
+    description: text(householdServing, 200) || `${size} g`
+  };
+};
+
+class FdcImport {
+  constructor({ types, batchSize, report }) {
+    this.dataTypes = new Set(types.map(type => DATA_TYPES[type]));
+    this.batchSize = batchSize;
+    this.report = report;
+    this.nutrientIds = new Map(); // nutrient_nbr => nutrients.id
+    this.categoryIds = new Map(); // category name => food_categories.id
+    this.excludedFoods = new Set(); // FDC IDs of foods whose data type was not selected
+    this.portionKeys = new Set(); // food:unit pairs already taken from a portion file
+    this.densityFoods = new Set(); // foods whose density came from an earlier portion
+  }
+
+  // Run one upsert step per batch, each in its own transaction
+  async eachBatch(records, handle) {
+    for await (const batch of inBatches(records, this.batchSize)) {
+      await withTransaction(client => handle(batch, client));
+    }
+  }
+
+  async ensureCategories(names, client) {
+    const missing = names.filter(name => name && !this.categoryIds.has(name));
+    const { ids, counts } = await writer.upsertCategories(missing.map(name => ({ name })), client);
+    ids.forEach((id, name) => this.categoryIds.set(name, id));
+    this.report.count('food_categories', counts);
+  }
+
+  async ensureNutrients(rows, client) {
+    const missing = rows.filter(row => !this.nutrientIds.has(row.nutrientNbr));
+    const { ids, counts } = await writer.upsertNutrients(missing, client);
+    ids.forEach((id, nbr) => this.nutrientIds.set(nbr, id));
+    this.report.count('nutrients', counts);
+  }
+
+  // Keep the first portion per food and unit, and the first density per food
+  async writePortions(candidates, client) {
+    const portions = [];
+    const densities = [];
+    candidates.forEach(({ row, density }) => {
+      const key = `${row.foodId}:${row.unit}`;
+      if (this.portionKeys.has(key)) {
+        this.report.skip('duplicate portion unit for a food');
+        return;
+      }
+      this.portionKeys.add(key);
+      portions.push(row);
+      if (density && !this.densityFoods.has(row.foodId)) {
+        this.densityFoods.add(row.foodId);
+        densities.push({ foodId: row.foodId, density });
+      }
+    });
+
+    this.report.count('food_portions', await writer.upsertPortions(portions, client));
+    this.report.count('food densities', await writer.updateDensities(densities, client));
+  }
+
+  // ---- CSV download ----
+
+  async importCsvDirectory(dir) {
+    const file = name => path.join(dir, name);
+    const has = name => fs.existsSync(file(name));
+
+    if (!has('food.csv')) {
+      throw new Error(`${dir} has no food.csv; pass an FDC CSV download directory or JSON file`);
+    }
+
+    const fdcNutrients = has('nutrient.csv') ? await this.importNutrientsCsv(file('nutrient.csv')) : new Map();
+    const categories = has('food_category.csv') ? await this.importCategoriesCsv(file('food_category.csv')) : new Map();
+
+    await this.importFoodsCsv(file('food.csv'), categories);
+    if (has('branded_food.csv') && this.dataTypes.has('branded_food')) {
+      await this.importBrandedCsv(file('branded_food.csv'));
+    }
+    if (has('food_nutrient.csv')) {
+      await this.importFoodNutrientsCsv(file('food_nutrient.csv'), fdcNutrients);
+    }
+    if (has('food_portion.csv')) {
+      const measures = has('measure_unit.csv') ? await this.readMeasureUnits(file('measure_unit.csv')) : new Map();
+      await this.importPortionsCsv(file('food_portion.csv'), measures);
+    }
+  }
+
+  // Returns FDC nutrient id => nutrient_nbr (null when it has none)
+  async importNutrientsCsv(filePath) {
+    const fdcNutrients = new Map();
+    const rows = [];
+
+    for await (const { row, record } of readCsv(filePath)) {
+      const nbr = nutrientNbr(record.nutrient_nbr);
+      const name = text(record.name, 200);
+      const unitName = text(record.unit_name, 20);
+      if (!nbr) {
+        fdcNutrients.set(record.id, null);
+        this.report.skip('nutrients without a nutrient number');
+        continue;
+      }
+      if (!name || !unitName) {
+        this.report.reject('nutrient.csv', row, 'missing name or unit_name', record);
+        continue;
+      }
+      fdcNutrients.set(record.id, nbr);
+      rows.push(nutrientRow({ nbr, name, unitName, rank: number(record.rank) }));
+    }
+
+    await withTransaction(client => this.ensureNutrients(rows, client));
+    return fdcNutrients;
+  }
+
+  // Returns FDC category id => food_categories.id
+  async importCategoriesCsv(filePath) {
+    const names = new Map();
+    for await (const { row, record } of readCsv(filePath)) {
+      const name = text(record.description, 100);
+      if (!name) {
+        this.report.reject('food_category.csv', row, 'missing description', record);
+        continue;
+      }
+      names.set(record.id, name);
+    }
+
+    await withTransaction(client => this.ensureCategories([...names.values()], client));
+    return new Map([...names].map(([id, name]) => [id, this.categoryIds.get(name)]));
+  }
+
+  async importFoodsCsv(filePath, categories) {
+    await this.eachBatch(readCsv(filePath), async (batch, client) => {
+      const rows = [];
+      batch.forEach(({ row, record }) => {
+        const id = fdcId(record.fdc_id);
+        if (id && !this.dataTypes.has(record.data_type)) {
+          this.excludedFoods.add(Number(id));
+          this.report.skip(`${record.data_type || 'unknown'} foods not selected`);
+          return;
+        }
+
+        const description = text(record.description);
+        const problem = foodProblem(id, description);
+        if (problem) {
+          this.report.reject('food.csv', row, problem, record);
+          return;
+        }
+        rows.push({
+          fdcId: id,
+          dataType: record.data_type,
+          description,
+          categoryId: categories.get(record.food_category_id) || null,
+          publicationDate: isoDate(record.publication_date)
+        });
+      });
+
+      const { counts } = await writer.upsertFoods(rows, client);
+      this.report.count('foods', counts);
+    });
+  }
+
+  // Adds brand details and gram servings to foods read from food.csv
+  async importBrandedCsv(filePath) {
+    await this.eachBatch(readCsv(filePath), async (batch, client) => {
+      const wanted = batch.filter(({ record }) => !this.excludedFoods.has(Number(record.fdc_id)));
+      const foods = await writer.findFoods(wanted.map(({ record }) => fdcId(record.fdc_id)).filter(Boolean), client);
+      await this.ensureCategories(wanted.map(({ record }) => text(record.branded_food_category, 100)), client);
+
+      const rows = [];
+      const servings = [];
+      wanted.forEach(({ row, record }) => {
+        const food = foods.get(fdcId(record.fdc_id));
+        if (!food) {
+          this.report.reject('branded_food.csv', row, 'food not found in food.csv', record);
+          return;
+        }
+        rows.push({
+          fdcId: fdcId(record.fdc_id),
+          description: food.description,
+          categoryId: this.categoryIds.get(text(record.branded_food_category, 100)) || null,
+          brandOwner: text(record.brand_owner, 200),
+          brandName: text(record.brand_name, 200),
+          gtinUpc: text(record.gtin_upc, 50),
+          ingredients: text(record.ingredients),
+          marketCountry: text(record.market_country, 100)
+        });
+
+        const serving = servingRow({
+          foodId: food.id,
+          servingSize: record.serving_size,
+          servingSizeUnit: record.serving_size_unit,
+          householdServing: record.household_serving_fulltext
+        });
+        if (serving) {
+          servings.push({ row: serving, density: null });
+        }
+      });
+      this.report.skip('branded foods not selected', batch.length - wanted.length);
+
+      const { counts } = await writer.upsertFoods(rows, client);
+      this.report.count('foods', counts);
+      await this.writePortions(servings, client);
+    });
+  }
+
+  async importFoodNutrientsCsv(filePath, fdcNutrients) {
+    await this.eachBatch(readCsv(filePath), async (batch, client) => {
+      const candidates = [];
+      batch.forEach(({ row, record }) => {
+        if (this.excludedFoods.has(Number(record.fdc_id))) {
+          this.report.skip('nutrients of foods not selected');
+          return;
+        }
+
+        const nbr = fdcNutrients.get(record.nutrient_id);
+        if (nbr === null) {
+          this.report.skip('amounts of nutrients without a nutrient number');
+          return;
+        }
+        if (nbr === undefined) {
+          this.report.reject('food_nutrient.csv', row, 'nutrient not in nutrient.csv', record);
+          return;
+        }
+
+        const values = {
+          amount: number(record.amount),
+          dataPoints: number(record.data_points),
+          standardError: number(record.standard_error),
+          minValue: number(record.min),
+          maxValue: number(record.max),
+          medianValue: number(record.median)
+        };
+        if (values.amount === null || Object.values(values).some(value => Number.isNaN(value))) {
+          this.report.reject('food_nutrient.csv', row, 'amount is not a number', record);
+          return;
+        }
+        if (values.dataPoints !== null) {
+          values.dataPoints = Math.round(values.dataPoints);
+        }
+        candidates.push({ row, record, fdcId: fdcId(record.fdc_id), nutrientId: this.nutrientIds.get(nbr), values });
+      });
+
+      const foods = await writer.findFoods(candidates.map(candidate => candidate.fdcId).filter(Boolean), client);
+      const rows = [];
+      candidates.forEach(({ row, record, fdcId: id, nutrientId, values }) => {
+        const food = foods.get(id);
+        if (!food) {
+          this.report.reject('food_nutrient.csv', row, 'food not found in food.csv', record);
+          return;
+        }
+        rows.push({ foodId: food.id, nutrientId, ...values });
+      });
+
+      this.report.count('food_nutrients', await writer.upsertFoodNutrients(rows, client));
+    });
+  }
+
+  // Returns measure unit id => name
+  async readMeasureUnits(filePath) {
+    const measures = new Map();
+    for await (const { record } of readCsv(filePath)) {
+      measures.set(record.id, text(record.name));
+    }
+    return measures;
+  }
+
+  async importPortionsCsv(filePath, measures) {
+    await this.eachBatch(readCsv(filePath), async (batch, client) => {
+      const wanted = batch.filter(({ record }) => !this.excludedFoods.has(Number(record.fdc_id)));
+      this.report.skip('portions of foods not selected', batch.length - wanted.length);
+      const foods = await writer.findFoods(wanted.map(({ record }) => fdcId(record.fdc_id)).filter(Boolean), client);
+
+      const candidates = [];
+      wanted.forEach(({ row, record }) => {
+        const food = foods.get(fdcId(record.fdc_id));
+        if (!food) {
+          this.report.reject('food_portion.csv', row, 'food not found in food.csv', record);
+          return;
+        }
+
+        const portion = portionRow({
+          foodId: food.id,
+          measureName: measures.get(record.measure_unit_id),
+          modifier: text(record.modifier),
+          portionDescription: text(record.portion_description),
+          amount: number(record.amount),
+          gramWeight: number(record.gram_weight)
+        });
+        if (portion.problem) {
+          this.report.reject('food_portion.csv', row, portion.problem, record);
+        } else if (portion.skipped) {
+          this.report.skip(portion.skipped);
+        } else {
+          candidates.push(portion);
+        }
+      });
+
+      await this.writePortions(candidates, client);
+    });
+  }
+
+  // ---- JSON download ----
+
+  async importJsonFile(filePath) {
+    const source = path.basename(filePath);
+
+    await this.eachBatch(readJsonArray(filePath), async (batch, client) => {
+      const foods = [];
+      batch.forEach(({ row, record }) => {
+        const dataType = JSON_DATA_TYPES[record.dataType];
+        if (!dataType) {
+          this.report.reject(source, row, `unknown dataType "${record.dataType}"`, record);
+          return;
+        }
+        if (!this.dataTypes.has(dataType)) {
+          this.report.skip(`${dataType} foods not selected`);
+          return;
+        }
+
+        const id = fdcId(record.fdcId);
+        const description = text(record.description);
+        const problem = foodProblem(id, description);
+        if (problem) {
+          this.report.reject(source, row, problem, record);
+          return;
+        }
+        foods.push({ row, record, id, dataType, description });
+      });
+
+      // Nutrients and categories come embedded in each food
+      const nutrients = [];
+      foods.forEach(({ record }) => {
+        (record.foodNutrients || []).forEach(({ nutrient }) => {
+          const nbr = nutrient && nutrientNbr(nutrient.number);
+          if (nbr && nutrient.name && nutrient.unitName) {
+            nutrients.push(nutrientRow({ nbr, name: text(nutrient.name, 200), unitName: nutrient.unitName, rank: nutrient.rank }));
+          }
+        });
+      });
+      await this.ensureNutrients(nutrients, client);
+
+      const categoryOf = record => text(record.foodCategory ? record.foodCategory.description : record.brandedFoodCategory, 100);
+      await this.ensureCategories(foods.map(({ record }) => categoryOf(record)), client);
+
+      const { ids, counts } = await writer.upsertFoods(foods.map(({ record, id, dataType, description }) => ({
+        fdcId: id,
+        dataType,
+        description,
+        categoryId: this.categoryIds.get(categoryOf(record)) || null,
+        brandOwner: text(record.brandOwner, 200),
+        brandName: text(record.brandName, 200),
+        gtinUpc: text(record.gtinUpc, 50),
+        ingredients: text(record.ingredients),
+        marketCountry: text(record.marketCountry, 100),
+        publicationDate: isoDate(record.publicationDate)
+      })), client);
+      this.report.count('foods', counts);
+
+      const amounts = [];
+      const portions = [];
+      foods.forEach(({ row, record, id }) => {
+        const foodId = ids.get(id);
+
+        (record.foodNutrients || []).forEach(foodNutrient => {
+          const nbr = foodNutrient.nutrient && nutrientNbr(foodNutrient.nutrient.number);
+          if (!nbr) {
+            this.report.skip('amounts of nutrients without a nutrient number');
+            return;
+          }
+          if (!this.nutrientIds.has(nbr)) {
+            this.report.reject(source, row, `nutrient ${nbr} has no name or unit`, { fdcId: id, foodNutrient });
+            return;
+          }
+          const amount = number(foodNutrient.amount);
+          if (amount === null || Number.isNaN(amount)) {
+            this.report.reject(source, row, `amount of nutrient ${nbr} is not a number`, { fdcId: id, foodNutrient });
+            return;
+          }
+          const dataPoints = optionalNumber(foodNutrient.dataPoints);
+          amounts.push({
+            foodId,
+            nutrientId: this.nutrientIds.get(nbr),
+            amount,
+            dataPoints: dataPoints === null ? null : Math.round(dataPoints),
+            standardError: optionalNumber(foodNutrient.standardError),
+            minValue: optionalNumber(foodNutrient.min),
+            maxValue: optionalNumber(foodNutrient.max),
+            medianValue: optionalNumber(foodNutrient.median)
+          });
+        });
+
+        (record.foodPortions || []).forEach(foodPortion => {
+          const portion = portionRow({
+            foodId,
+            measureName: foodPortion.measureUnit ? text(foodPortion.measureUnit.name) : null,
+            modifier: text(foodPortion.modifier),
+            portionDescription: text(foodPortion.portionDescription),
+            amount: number(foodPortion.amount),
+            gramWeight: number(foodPortion.gramWeight)
+          });
+          if (portion.problem) {
+            this.report.reject(source, row, portion.problem, { fdcId: id, foodPortion });
+          } else if (portion.skipped) {
+            this.report.skip(portion.skipped);
+          } else {
+            portions.push(portion);
+          }
+        });
+
+        const serving = servingRow({
+          foodId,
+          servingSize: record.servingSize,
+          servingSizeUnit: record.servingSizeUnit,
+          householdServing: record.householdServingFullText
+        });
+        if (serving) {
+          portions.push({ row: serving, density: null });
+        }
+      });
+
+      this.report.count('food_nutrients', await writer.upsertFoodNutrients(amounts, client));
+      await this.writePortions(portions, client);
+    });
+  }
+}
+
+/**
+ * Import a FoodData Central download
+ * @param {string} sourcePath - CSV directory, JSON file, or directory of JSON files
+ * @param {Object} options - { types: keys of DATA_TYPES, batchSize, report: ImportReport }
+ * @returns {Promise<void>}
+ */
+async function importFdc(sourcePath, { types = Object.keys(DATA_TYPES), batchSize = DEFAULT_BATCH_SIZE, report }) {
+  const unknown = types.filter(type => !DATA_TYPES[type]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown FDC data type(s): ${unknown.join(', ')}. Use ${Object.keys(DATA_TYPES).join(', ')}.`);
+  }
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`${sourcePath} does not exist`);
+  }
+
+  const run = new FdcImport({ types, batchSize, report });
+
+  if (!fs.statSync(sourcePath).isDirectory()) {
+    await run.importJsonFile(sourcePath);
+    return;
+  }
+  if (fs.existsSync(path.join(sourcePath, 'food.csv'))) {
+    await run.importCsvDirectory(sourcePath);
+    return;
+  }
+
+  const jsonFiles = fs.readdirSync(sourcePath).filter(file => file.toLowerCase().endsWith('.json')).sort();
+  if (jsonFiles.length === 0) {
+    throw new Error(`${sourcePath} has neither food.csv nor JSON files`);
+  }
+  for (const file of jsonFiles) {
+    console.log(`📄 ${file}`);
+    await run.importJsonFile(path.join(sourcePath, file));
+  }
+}
+
+module.exports = {
+  DATA_TYPES,
+  importFdc
+};
@@ -0,0 +1,342 @@
+const UnitConversionService = require('../services/UnitConversionService');
+
+// Batch upserts shared by the food importers. Every function takes the
+// transaction client for the batch and returns { ids, counts } or counts,
+// where counts is { inserted, updated, unchanged } for the report. Rows that
+// would not change are left alone, so re-importing a file only rewrites
+// what changed.
+
+// Generic USDA foods other databases are linked to; branded products are too specific
+const USDA_LINK_DATA_TYPES = ['foundation_food', 'sr_legacy_food'];
+
+// Densities outside this range (g/ml) are measurement or data errors
+const MIN_DENSITY = 0.1;
+const MAX_DENSITY = 5;
+
+const countUpsert = (returned, total) => {
+  const inserted = returned.filter(row => row.inserted).length;
+  return { inserted, updated: returned.length - inserted, unchanged: total - returned.length };
+};
+
+// Keep the last row per key, so one statement never touches a row twice
+const dedupe = (rows, keyOf) => [...new Map(rows.map(row => [keyOf(row), row])).values()];
+
+const column = (rows, field) => rows.map(row => (row[field] === undefined ? null : row[field]));
+
+/**
+ * Upsert categories by name. Traditional Chinese names are only replaced
+ * when a value is given.
+ * @param {Array} rows - [{ name, nameTw }]
+ * @param {Object} db - Transaction client
+ * @returns {Promise<Object>} { ids: Map name => id, counts }
+ */
+async function upsertCategories(rows, db) {
+  const unique = dedupe(rows.filter(row => row.name), row => row.name);
+  if (unique.length === 0) {
+    return { ids: new Map(), counts: { inserted: 0, updated: 0, unchanged: 0 } };
+  }
+
+  const result = await db.query(
+    `INSERT INTO food_categories (name, name_tw)
+     SELECT * FROM unnest($1::varchar[], $2::varchar[])
+     ON CONFLICT (name) DO UPDATE
+     SET name_tw = COALESCE(EXCLUDED.name_tw, food_categories.name_tw)
+     WHERE food_categories.name_tw IS DISTINCT FROM COALESCE(EXCLUDED.name_tw, food_categories.name_tw)
+     RETURNING (xmax = 0) AS inserted`,
+    [column(unique, 'name'), column(unique, 'nameTw')]
+  );
+  const ids = await db.query('SELECT id, name FROM food_categories WHERE name = ANY($1)', [column(unique, 'name')]);
+
+  return {
+    ids: new Map(ids.rows.map(row => [row.name, row.id])),
+    counts: countUpsert(result.rows, unique.length)
+  };
+}
+
+/**
+ * Upsert nutrients by nutrient number. Traditional Chinese names are only
+ * replaced when a value is given.
+ * @param {Array} rows - [{ nutrientNbr, name, nameTw, unitName, rank }]
+ * @param {Object} db - Transaction client
+ * @returns {Promise<Object>} { ids: Map nutrientNbr => id, counts }
+ */
+async function upsertNutrients(rows, db) {
+  const unique = dedupe(rows, row => row.nutrientNbr);
+  if (unique.length === 0) {
+    return { ids: new Map(), counts: { inserted: 0, updated: 0, unchanged: 0 } };
+  }
+
+  const result = await db.query(
+    `INSERT INTO nutrients (nutrient_nbr, name, name_tw, unit_name, rank)
+     SELECT * FROM unnest($1::varchar[], $2::varchar[], $3::varchar[], $4::varchar[], $5::int[])
+     ON CONFLICT (nutrient_nbr) DO UPDATE
+     SET name = EXCLUDED.name,
+         name_tw = COALESCE(EXCLUDED.name_tw, nutrients.name_tw),
+         unit_name = EXCLUDED.unit_name,
+         rank = COALESCE(EXCLUDED.rank, nutrients.rank)
+     WHERE (nutrients.name, nutrients.name_tw, nutrients.unit_name, nutrients.rank)
+       IS DISTINCT FROM (EXCLUDED.name, COALESCE(EXCLUDED.name_tw, nutrients.name_tw),
+                         EXCLUDED.unit_name, COALESCE(EXCLUDED.rank, nutrients.rank))
+     RETURNING (xmax = 0) AS inserted`,
+    [
+      column(unique, 'nutrientNbr'), column(unique, 'name'), column(unique, 'nameTw'),
+      column(unique, 'unitName'), column(unique, 'rank')
+    ]
+  );
+
+  const ids = await db.query(
+    'SELECT id, nutrient_nbr FROM nutrients WHERE nutrient_nbr = ANY($1)',
+    [column(unique, 'nutrientNbr')]
+  );
+
+  return {
+    ids: new Map(ids.rows.map(row => [row.nutrient_nbr, row.id])),
+    counts: countUpsert(result.rows, unique.length)
+  };
+}
+
+/**
+ * Upsert foods by FDC ID. Optional columns left null keep their stored value,
+ * so files carrying only part of a food (e.g. FDC's food.csv and
+ * branded_food.csv) can be imported one after the other.
+ * @param {Array} rows - [{ fdcId, dataType, description, descriptionTw, aliasesTw, categoryId, brandOwner,
+ *   brandName, gtinUpc, ingredients, marketCountry, publicationDate }]
+ * @param {Object} db - Transaction client
+ * @returns {Promise<Object>} { ids: Map fdcId => id, counts }
+ */
+async function upsertFoods(rows, db) {
+  const unique = dedupe(rows, row => row.fdcId);
+  if (unique.length === 0) {
+    return { ids: new Map(), counts: { inserted: 0, updated: 0, unchanged: 0 } };
+  }
+
+  const kept = ['description_tw', 'aliases_tw', 'food_category_id', 'brand_owner', 'brand_name', 'gtin_upc',
+    'ingredients', 'market_country', 'publication_date'];
+  const merged = kept.map(name => `COALESCE(EXCLUDED.${name}, foods.${name})`);
+
+  const result = await db.query(
+    `INSERT INTO foods (
+       fdc_id, data_type, description, description_tw, aliases_tw, food_category_id, brand_owner, brand_name,
+       gtin_upc, ingredients, market_country, publication_date
+     )
+     SELECT * FROM unnest(
+       $1::varchar[], $2::varchar[], $3::varchar[], $4::varchar[], $5::text[], $6::int[], $7::varchar[],
+       $8::varchar[], $9::varchar[], $10::text[], $11::varchar[], $12::date[]
+     )
+     ON CONFLICT (fdc_id) DO UPDATE
+     SET data_type = COALESCE(EXCLUDED.data_type, foods.data_type),
+         description = EXCLUDED.description,
+         ${kept.map((name, index) => `${name} = ${merged[index]}`).join(',\n         ')}
+     WHERE (foods.data_type, foods.description, ${kept.map(name => `foods.${name}`).join(', ')})
+       IS DISTINCT FROM (COALESCE(EXCLUDED.data_type, foods.data_type), EXCLUDED.description, ${merged.join(', ')})
+     RETURNING (xmax = 0) AS inserted`,
+    [
+      column(unique, 'fdcId'), column(unique, 'dataType'), column(unique, 'description'),
+      column(unique, 'descriptionTw'), column(unique, 'aliasesTw'), column(unique, 'categoryId'), column(unique, 'brandOwner'),
+      column(unique, 'brandName'), column(unique, 'gtinUpc'), column(unique, 'ingredients'),
+      column(unique, 'marketCountry'), column(unique, 'publicationDate')
+    ]
+  );
+
+  const ids = await db.query('SELECT id, fdc_id FROM foods WHERE fdc_id = ANY($1)', [column(unique, 'fdcId')]);
+
+  return {
+    ids: new Map(ids.rows.map(row => [row.fdc_id, row.id])),
+    counts: countUpsert(result.rows, unique.length)
+  };
+}
+
+/**
+ * Look up stored foods by FDC ID
+ * @param {Array} fdcIds - FDC IDs
+ * @param {Object} db - Transaction client
+ * @returns {Promise<Map>} fdcId => { id, description }
+ */
+async function findFoods(fdcIds, db) {
+  const unique = [...new Set(fdcIds)];
+  if (unique.length === 0) {
+    return new Map();
+  }
+  const result = await db.query('SELECT id, fdc_id, description FROM foods WHERE fdc_id = ANY($1)', [unique]);
+  return new Map(result.rows.map(row => [row.fdc_id, { id: row.id, description: row.description }]));
+}
+
+/**
+ * Upsert per 100 g nutrient amounts by food and nutrient
+ * @param {Array} rows - [{ foodId, nutrientId, amount, dataPoints, standardError, minValue, maxValue, medianValue }]
+ * @param {Object} db - Transaction client
+ * @returns {Promise<Object>} counts
+ */
+async function upsertFoodNutrients(rows, db) {
+  const unique = dedupe(rows, row => `${row.foodId}:${row.nutrientId}`);
+  if (unique.length === 0) {
+    return { inserted: 0, updated: 0, unchanged: 0 };
+  }
+
+  const fields = ['amount', 'data_points', 'standard_error', 'min_value', 'max_value', 'median_value'];
+  const result = await db.query(
+    `INSERT INTO food_nutrients (food_id, nutrient_id, ${fields.join(', ')})
+     SELECT * FROM unnest(
+       $1::int[], $2::int[], $3::numeric[], $4::int[], $5::numeric[], $6::numeric[], $7::numeric[], $8::numeric[]
+     )
+     ON CONFLICT (food_id, nutrient_id) DO UPDATE
+     SET ${fields.map(name => `${name} = EXCLUDED.${name}`).join(', ')}
+     WHERE (${fields.map(name => `food_nutrients.${name}`).join(', ')})
+       IS DISTINCT FROM (${fields.map(name => `EXCLUDED.${name}`).join(', ')})
+     RETURNING (xmax = 0) AS inserted`,
+    [
+      column(unique, 'foodId'), column(unique, 'nutrientId'), column(unique, 'amount'),
+      column(unique, 'dataPoints'), column(unique, 'standardError'), column(unique, 'minValue'),
+      column(unique, 'maxValue'), column(unique, 'medianValue')
+    ]
+  );
+
+  return countUpsert(result.rows, unique.length);
+}
+
+/**
+ * Upsert household measure weights by food and unit
+ * @param {Array} rows - [{ foodId, unit, amount, gramWeight, description, descriptionTw }]
+ * @param {Object} db - Transaction client
+ * @returns {Promise<Object>} counts
+ */
+async function upsertPortions(rows, db) {
+  const unique = dedupe(rows, row => `${row.foodId}:${row.unit}`);
+  if (unique.length === 0) {
+    return { inserted: 0, updated: 0, unchanged: 0 };
+  }
+
+  const result = await db.query(
+    `INSERT INTO food_portions (food_id, unit, amount, gram_weight, description, description_tw)
+     SELECT * FROM unnest($1::int[], $2::varchar[], $3::numeric[], $4::numeric[], $5::varchar[], $6::varchar[])
+     ON CONFLICT (food_id, unit) DO UPDATE
+     SET amount = EXCLUDED.amount,
+         gram_weight = EXCLUDED.gram_weight,
+         description = EXCLUDED.description,
+         description_tw = COALESCE(EXCLUDED.description_tw, food_portions.description_tw)
+     WHERE (food_portions.amount, food_portions.gram_weight, food_portions.description, food_portions.description_tw)
+       IS DISTINCT FROM (EXCLUDED.amount, EXCLUDED.gram_weight, EXCLUDED.description,
+                         COALESCE(EXCLUDED.description_tw, food_portions.description_tw))
+     RETURNING (xmax = 0) AS inserted`,
+    [
+      column(unique, 'foodId'), column(unique, 'unit'), column(unique, 'amount'),
+      column(unique, 'gramWeight'), column(unique, 'description'), column(unique, 'descriptionTw')
+    ]
+  );
+
+  return countUpsert(result.rows, unique.length);
+}
+
+/**
+ * Store densities derived from volume portions
+ * @param {Array} rows - [{ foodId, density }]
+ * @param {Object} db - Transaction client
+ * @returns {Promise<Object>} counts
+ */
+async function updateDensities(rows, db) {
+  const unique = dedupe(rows, row => row.foodId);
+  if (unique.length === 0) {
+    return { inserted: 0, updated: 0, unchanged: 0 };
+  }
+
+  const result = await db.query(
+    `UPDATE foods f SET density = v.density
+     FROM unnest($1::int[], $2::numeric[]) AS v(id, density)
+     WHERE f.id = v.id AND f.density IS DISTINCT FROM v.density
+     RETURNING f.id`,
+    [column(unique, 'foodId'), column(unique, 'density')]
+  );
+
+  return { inserted: 0, updated: result.rows.length, unchanged: unique.length - result.rows.length };
+}
+
+/**
+ * Link foods from another database to the closest USDA food by English
+ * description (pg_trgm similarity). Existing links are replaced when a
+ * better match appears and cleared when none is close enough any more.
+ * @param {Array} foodIds - foods.id of the foods to link
+ * @param {number} minSimilarity - Lowest similarity accepted (0-1)
+ * @param {Object} db - Transaction client
+ * @returns {Promise<Object>} counts
+ */
+async function linkUsdaFoods(foodIds, minSimilarity, db) {
+  const unique = [...new Set(foodIds)];
+  if (unique.length === 0) {
+    return { inserted: 0, updated: 0, unchanged: 0 };
+  }
+
+  const result = await db.query(
+    `UPDATE foods f SET usda_food_id = m.usda_food_id
+     FROM (
+       SELECT t.id, best.id as usda_food_id
+       FROM foods t
+       LEFT JOIN LATERAL (
+         SELECT u.id
+         FROM foods u
+         WHERE u.data_type = ANY($2)
+           AND u.description % t.description
+           AND similarity(u.description, t.description) >= $3
+         ORDER BY similarity(u.description, t.description) DESC, u.id ASC
+         LIMIT 1
+       ) best ON true
+       WHERE t.id = ANY($1)
+     ) m
+     WHERE f.id = m.id AND f.usda_food_id IS DISTINCT FROM m.usda_food_id
+     RETURNING f.id`,
+    [unique, USDA_LINK_DATA_TYPES, minSimilarity]
+  );
+
+  return { inserted: 0, updated: result.rows.length, unchanged: unique.length - result.rows.length };
+}
+
+/**
+ * Match a household measure to a unit food logs accept. Mass units are left
+ * out: they convert without a portion.
+ * @param {Array} candidates - Measure names to try, most specific first
+ * @returns {Object|null} Unit entry
+ */
+function portionUnit(candidates) {
+  for (const candidate of candidates) {
+    if (!candidate) {
+      continue;
+    }
+    // "1 cup, chopped" or "tbsp (1 NLEA serving)" name their unit first
+    const name = String(candidate).replace(/^[\d./\s]+/, '').split(/[,(]/)[0].trim();
+    const unit = UnitConversionService.normalizeUnit(name);
+    if (unit) {
+      return unit.type === 'mass' ? null : unit;
+    }
+  }
+  return null;
+}
+
+/**
+ * Density implied by the gram weight of a volume measure
+ * @param {Object} unit - Unit entry
+ * @param {number} amount - Number of units the weight covers
+ * @param {number} gramWeight - Grams
+ * @returns {number|null} g/ml, when plausible
+ */
+function densityFor(unit, amount, gramWeight) {
+  if (!unit || unit.type !== 'volume' || !(amount > 0) || !(gramWeight > 0)) {
+    return null;
+  }
+  const density = gramWeight / (amount * unit.factor);
+  if (density < MIN_DENSITY || density > MAX_DENSITY) {
+    return null;
+  }
+  return Math.round(density * 1000) / 1000;
+}
+
+module.exports = {
+  upsertCategories,
+  upsertNutrients,
+  upsertFoods,
+  findFoods,
+  upsertFoodNutrients,
+  upsertPortions,
+  updateDensities,
+  linkUsdaFoods,
+  portionUnit,
+  densityFor
+};
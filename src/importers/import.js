@@ -0,0 +1,75 @@
+require('dotenv').config();
+
+const { closePool } = require('../database/connection');
+const ImportReport = require('./report');
+const { importFdc } = require('./fdc');
+const { importTfda } = require('./tfda');
+const { importOff } = require('./off');
+
+// Command line entry for loading food databases from downloaded files:
+//   npm run import:fdc -- ./FoodData_Central_csv_2024-04-18
+//   npm run import:fdc -- ./foundationDownload.json --types=foundation --rejects=rejects.jsonl
+//   npm run import:tfda -- ./食品營養成分資料庫.csv
+//   npm run import:off -- ./openfoodfacts-products.jsonl.gz --countries=taiwan
+// Options:
+//   --types=foundation,sr_legacy,branded   FDC data types to import (default all)
+//   --countries=taiwan,japan               Open Food Facts products sold in these countries (default all)
+//   --batch-size=500                       records (TFDA: foods) per transaction
+//   --rejects=file.jsonl                   write every rejected record to a file
+
+const IMPORTERS = {
+  fdc: importFdc,
+  tfda: importTfda,
+  off: importOff
+};
+
+const parseOptions = (args) => {
+  const options = {};
+  args.forEach(arg => {
+    const match = arg.match(/^--(types|countries|batch-size|rejects)=(.+)$/);
+    if (!match) {
+      return;
+    }
+    if (match[1] === 'types' || match[1] === 'countries') {
+      options[match[1]] = match[2].split(',').map(value => value.trim()).filter(Boolean);
+    } else if (match[1] === 'batch-size') {
+      const batchSize = parseInt(match[2]);
+      if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new Error('--batch-size must be a positive integer');
+      }
+      options.batchSize = batchSize;
+    } else {
+      options.rejectsPath = match[2];
+    }
+  });
+  return options;
+};
+
+async function main() {
+  const [source, sourcePath, ...args] = process.argv.slice(2);
+
+  const importer = IMPORTERS[source];
+  if (!importer) {
+    throw new Error(`Unknown source "${source}". Use ${Object.keys(IMPORTERS).join(', ')}.`);
+  }
+  if (!sourcePath) {
+    throw new Error(`A file or directory to import is required, e.g. npm run import:${source} -- ./data`);
+  }
+
+  const { rejectsPath, ...options } = parseOptions(args);
+  const report = new ImportReport({ rejectsPath });
+  try {
+    await importer(sourcePath, { ...options, report });
+  } finally {
+    await report.close();
+    report.print();
+  }
+}
+
+main()
+  .then(() => closePool())
+  .catch(async (error) => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+    await closePool();
+  });
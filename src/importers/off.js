@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const { withTransaction } = require('../database/connection');
+const { readCsv, readJsonLines, inBatches } = require('./readers');
+const writer = require('./foodWriter');
+const BarcodeService = require('../services/BarcodeService');
+const offNutrients = require('../data/offNutrients');
+
+// Open Food Facts importer.
+//
+// Reads the dumps from https://world.openfoodfacts.org/data, compressed or
+// not: the JSON Lines export (openfoodfacts-products.jsonl.gz) or the CSV
+// export (en.openfoodfacts.org.products.csv.gz, tab-separated). Products are
+// stored as branded foods with fdc_id "OFF-<GTIN-14>" and gtin_upc set to
+// the normalized barcode, so GET /api/food/barcode/:code finds them.
+
+const DEFAULT_BATCH_SIZE = 500;
+
+const FDC_ID_PREFIX = 'OFF-';
+const DATA_TYPE = 'branded_food';
+
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// kJ per kcal, for products that only give energy in kJ
+const KJ_PER_KCAL = 4.184;
+
+// Grams of salt per gram of sodium, for products that only give salt
+const SALT_PER_SODIUM = 2.5;
+
+const text = (value, maxLength) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  if (trimmed === '') {
+    return null;
+  }
+  return maxLength ? trimmed.slice(0, maxLength) : trimmed;
+};
+
+// Non-negative number, or null
+const quantity = (value) => {
+  const raw = text(value);
+  const parsed = raw === null ? NaN : Number(raw);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+};
+
+// The JSONL dump nests per 100 g values under nutriments; the CSV has columns
+const per100g = (record, key) => {
+  const source = record.nutriments || record;
+  return quantity(source[`${key}_100g`]);
+};
+
+// countries_tags is an array in JSONL and comma separated in the CSV
+const countryTags = (record) => {
+  const tags = record.countries_tags;
+  if (Array.isArray(tags)) {
+    return tags;
+  }
+  return String(tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+};
+
+// Unix seconds to YYYY-MM-DD
+const isoDate = (seconds) => {
+  const value = quantity(seconds);
+  return value ? new Date(value * 1000).toISOString().slice(0, 10) : null;
+};
+
+class OffImport {
+  constructor({ batchSize, report, source, countries }) {
+    this.batchSize = batchSize;
+    this.report = report;
+    this.source = source;
+    this.countryTags = countries ? countries.map(country => `en:${country.toLowerCase().replace(/\s+/g, '-')}`) : null;
+    this.nutrientIds = new Map(); // nutrient_nbr => nutrients.id
+  }
+
+  async importNutrients() {
+    const rows = offNutrients.map(nutrient => ({
+      nutrientNbr: nutrient.nutrient_nbr,
+      name: nutrient.name,
+      nameTw: nutrient.name_tw,
+      unitName: nutrient.unit_name
+    }));
+
+    await withTransaction(async (client) => {
+      const { ids, counts } = await writer.upsertNutrients(rows, client);
+      this.nutrientIds = ids;
+      this.report.count('nutrients', counts);
+    });
+  }
+
+  // Per 100 g amounts in our units, filling energy and sodium from kJ and salt
+  amountsOf(record) {
+    const values = new Map(); // nutrient_nbr => amount
+    offNutrients.forEach(nutrient => {
+      const value = per100g(record, nutrient.key);
+      if (value !== null) {
+        values.set(nutrient.nutrient_nbr, Math.round(value * nutrient.factor * 1000) / 1000);
+      }
+    });
+
+    if (!values.has('208') && values.has('268')) {
+      values.set('208', Math.round(values.get('268') / KJ_PER_KCAL * 10) / 10);
+    }
+    const salt = per100g(record, 'salt');
+    if (!values.has('307') && salt !== null) {
+      values.set('307', Math.round(salt / SALT_PER_SODIUM * 1000 * 10) / 10);
+    }
+    return values;
+  }
+
+  // Product details, or { skipped } / { problem } when it cannot be imported
+  productOf(record) {
+    if (this.countryTags && !countryTags(record).some(tag => this.countryTags.includes(tag))) {
+      return { skipped: 'products not sold in the selected countries' };
+    }
+
+    // Store-internal and other codes are not looked up by scanning
+    const code = String(record.code || '').trim();
+    if (!/^\d{8,14}$/.test(code)) {
+      return { skipped: 'codes that are not EAN-8, EAN-13 or UPC-A' };
+    }
+    let gtin;
+    try {
+      ({ gtin } = BarcodeService.normalize(code));
+    } catch (error) {
+      if (error instanceof BarcodeService.BarcodeError) {
+        return { problem: 'barcode check digit does not match' };
+      }
+      throw error;
+    }
+
+    const nameTw = text(record.product_name_zh);
+    const description = text(record.product_name) || text(record.product_name_en) || nameTw;
+    if (!description) {
+      return { skipped: 'products without a name' };
+    }
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      return { problem: `product_name longer than ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+
+    const amounts = this.amountsOf(record);
+    if (amounts.size === 0) {
+      return { skipped: 'products without nutrition facts' };
+    }
+
+    const servingUnit = text(record.serving_quantity_unit);
+    const servingGrams = !servingUnit || servingUnit.toLowerCase() === 'g' ? quantity(record.serving_quantity) : null;
+
+    return {
+      gtin,
+      amounts,
+      servingGrams: servingGrams > 0 ? servingGrams : null,
+      servingText: text(record.serving_size, 200),
+      food: {
+        fdcId: `${FDC_ID_PREFIX}${gtin}`,
+        dataType: DATA_TYPE,
+        description,
+        descriptionTw: nameTw && nameTw.length <= MAX_DESCRIPTION_LENGTH ? nameTw : null,
+        brandName: text(String(record.brands || '').split(',')[0], 200),
+        brandOwner: text(record.brand_owner, 200),
+        gtinUpc: gtin,
+        ingredients: text(record.ingredients_text),
+        marketCountry: text(record.countries_en || record.countries, 100),
+        publicationDate: isoDate(record.last_modified_t)
+      }
+    };
+  }
+
+  async importProducts(records) {
+    for await (const batch of inBatches(records, this.batchSize)) {
+      await withTransaction(client => this.importBatch(batch, client));
+    }
+  }
+
+  async importBatch(batch, client) {
+    const products = [];
+    batch.forEach(({ row, record, error }) => {
+      if (error) {
+        this.report.reject(this.source, row, error, null);
+        return;
+      }
+
+      const product = this.productOf(record);
+      if (product.skipped) {
+        this.report.skip(product.skipped);
+      } else if (product.problem) {
+        this.report.reject(this.source, row, product.problem, record);
+      } else {
+        products.push(product);
+      }
+    });
+
+    const { ids, counts } = await writer.upsertFoods(products.map(product => product.food), client);
+    this.report.count('foods', counts);
+
+    const amounts = [];
+    const portions = [];
+    products.forEach(product => {
+      const foodId = ids.get(product.food.fdcId);
+      product.amounts.forEach((amount, nbr) => {
+        amounts.push({ foodId, nutrientId: this.nutrientIds.get(nbr), amount });
+      });
+      if (product.servingGrams) {
+        portions.push({
+          foodId,
+          unit: 'serving',
+          amount: 1,
+          gramWeight: product.servingGrams,
+          description: product.servingText || `${product.servingGrams} g`
+        });
+      }
+    });
+
+    this.report.count('food_nutrients', await writer.upsertFoodNutrients(amounts, client));
+    this.report.count('food_portions', await writer.upsertPortions(portions, client));
+  }
+}
+
+/**
+ * Import an Open Food Facts dump
+ * @param {string} sourcePath - .jsonl or .csv export, optionally .gz
+ * @param {Object} options - { batchSize, countries: country names to keep, report: ImportReport }
+ * @returns {Promise<void>}
+ */
+async function importOff(sourcePath, { batchSize = DEFAULT_BATCH_SIZE, countries, report }) {
+  if (!fs.existsSync(sourcePath) || fs.statSync(sourcePath).isDirectory()) {
+    throw new Error(`${sourcePath} is not a file; pass the JSONL or CSV dump`);
+  }
+
+  const name = path.basename(sourcePath).toLowerCase().replace(/\.gz$/, '');
+  let records;
+  if (name.endsWith('.jsonl') || name.endsWith('.json')) {
+    records = readJsonLines(sourcePath);
+  } else if (name.endsWith('.csv')) {
+    records = readCsv(sourcePath, { delimiter: '\t', quoted: false });
+  } else {
+    throw new Error(`${sourcePath} is neither a .jsonl nor a .csv dump`);
+  }
+
+  const run = new OffImport({ batchSize, report, countries, source: path.basename(sourcePath) });
+  await run.importNutrients();
+  await run.importProducts(records);
+}
+
+module.exports = {
+  importOff
+};
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+
+// Streaming readers for bulk data files, so files larger than memory can be
+// imported. Each reader is an async generator yielding one record at a time.
+// Files ending in .gz are decompressed on the fly.
+
+// Text stream of a file, gunzipped when compressed
+const openText = (filePath) => {
+  const stream = fs.createReadStream(filePath);
+  const text = filePath.toLowerCase().endsWith('.gz') ? stream.pipe(zlib.createGunzip()) : stream;
+  text.setEncoding('utf8');
+  return text;
+};
+
+/**
+ * Read a CSV file (RFC 4180: quoted fields may hold commas, quotes and
+ * newlines) as objects keyed by the header row
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} options - { delimiter: field separator, quoted: false when
+ *   quotes are ordinary characters, as in Open Food Facts' tab-separated dump }
+ * @yields {Object} { row: 1-based record number after the header, record }
+ */
+async function* readCsv(filePath, { delimiter = ',', quoted = true } = {}) {
+  const stream = openText(filePath);
+
+  let header = null;
+  let row = 0;
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let quotePending = false; // saw a quote inside a quoted field
+  let first = true;
+
+  const finishRecord = function* () {
+    fields.push(field);
+    field = '';
+    const values = fields;
+    fields = [];
+
+    // Blank lines carry no record
+    if (values.length === 1 && values[0] === '') {
+      return;
+    }
+    if (!header) {
+      header = values.map(name => name.trim());
+      return;
+    }
+
+    row += 1;
+    const record = {};
+    header.forEach((name, index) => {
+      record[name] = values[index] !== undefined ? values[index] : '';
+    });
+    yield { row, record };
+  };
+
+  for await (let chunk of stream) {
+    if (first) {
+      chunk = chunk.replace(/^\uFEFF/, '');
+      first = false;
+    }
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+          // fall through: the quote closed the field
+        } else if (char === '"') {
+          quotePending = true;
+          continue;
+        } else {
+          // Copy the run up to the next quote in one go
+          const next = chunk.indexOf('"', i);
+          const end = next === -1 ? chunk.length : next;
+          field += chunk.slice(i, end);
+          i = end - 1;
+          continue;
+        }
+      }
+
+      if (char === '"' && field === '' && quoted) {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        fields.push(field);
+        field = '';
+      } else if (char === '\n') {
+        yield* finishRecord();
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  }
+
+  if (field !== '' || fields.length > 0) {
+    yield* finishRecord();
+  }
+}
+
+/**
+ * Read the objects of a JSON array without loading the whole file. The array
+ * may be the document itself or the first array inside the root object, as
+ * in FoodData Central downloads ({ "FoundationFoods": [ ... ] }).
+ * @param {string} filePath - Path to the JSON file
+ * @yields {Object} { row: 1-based item number, record }
+ */
+async function* readJsonArray(filePath) {
+  const stream = openText(filePath);
+
+  let depth = 0;
+  let itemDepth = null; // depth inside the array whose items are read
+  let inString = false;
+  let escaped = false;
+  let capture = null;
+  let captureStart = 0;
+  let row = 0;
+
+  for await (const chunk of stream) {
+    if (capture !== null) {
+      captureStart = 0;
+    }
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        if (itemDepth === null && char === '[' && depth <= 1) {
+          itemDepth = depth + 1;
+        } else if (depth === itemDepth && capture === null) {
+          capture = '';
+          captureStart = i;
+        }
+        depth += 1;
+      } else if (char === '}' || char === ']') {
+        depth -= 1;
+        if (capture !== null && depth === itemDepth) {
+          const text = capture + chunk.slice(captureStart, i + 1);
+          capture = null;
+          row += 1;
+          yield { row, record: JSON.parse(text) };
+        } else if (itemDepth !== null && depth < itemDepth) {
+          return;
+        }
+      }
+    }
+
+    if (capture !== null) {
+      capture += chunk.slice(captureStart);
+    }
+  }
+}
+
+/**
+ * Read a JSON Lines file, one object per line. A line that is not valid JSON
+ * is yielded with an error instead of ending the read.
+ * @param {string} filePath - Path to the JSONL file
+ * @yields {Object} { row: 1-based line number, record } or { row, error }
+ */
+async function* readJsonLines(filePath) {
+  const lines = readline.createInterface({ input: openText(filePath), crlfDelay: Infinity });
+
+  let row = 0;
+  for await (const line of lines) {
+    row += 1;
+    if (line.trim() === '') {
+      continue;
+    }
+    try {
+      yield { row, record: JSON.parse(line) };
+    } catch (error) {
+      yield { row, error: `invalid JSON: ${error.message}` };
+    }
+  }
+}
+
+/**
+ * Group records from a reader into arrays of at most `size`
+ * @param {AsyncIterable} records - Reader output
+ * @param {number} size - Records per batch
+ * @yields {Array} Batch of records
+ */
+async function* inBatches(records, size) {
+  let batch = [];
+  for await (const item of records) {
+    batch.push(item);
+    if (batch.length >= size) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+module.exports = {
+  readCsv,
+  readJsonArray,
+  readJsonLines,
+  inBatches
+};
@@ -0,0 +1,119 @@
+const fs = require('fs');
+
+// Most rejected records kept in memory for the summary when no rejects file is given
+const MAX_SAMPLE_REJECTS = 20;
+
+// Counts what an import run wrote, skipped and rejected. Rejected records
+// can be written to a JSON Lines file for fixing and re-importing.
+class ImportReport {
+  constructor({ rejectsPath = null } = {}) {
+    this.tables = {};
+    this.skipped = {};
+    this.rejected = {};
+    this.sampleRejects = [];
+    this.rejectsPath = rejectsPath;
+    this.rejectsStream = rejectsPath ? fs.createWriteStream(rejectsPath) : null;
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Add upsert counts for a table
+   * @param {string} table - Table name
+   * @param {Object} counts - { inserted, updated, unchanged }
+   */
+  count(table, { inserted = 0, updated = 0, unchanged = 0 }) {
+    const totals = this.tables[table] || { inserted: 0, updated: 0, unchanged: 0 };
+    totals.inserted += inserted;
+    totals.updated += updated;
+    totals.unchanged += unchanged;
+    this.tables[table] = totals;
+  }
+
+  /**
+   * Note a record deliberately left out (not an error)
+   * @param {string} reason - Why it was skipped
+   * @param {number} amount - How many records
+   */
+  skip(reason, amount = 1) {
+    if (amount <= 0) {
+      return;
+    }
+    this.skipped[reason] = (this.skipped[reason] || 0) + amount;
+  }
+
+  /**
+   * Note a record that could not be imported
+   * @param {string} source - File the record came from
+   * @param {number} row - Record number in the file
+   * @param {string} reason - What was wrong
+   * @param {Object} record - The record as read
+   */
+  reject(source, row, reason, record) {
+    this.rejected[reason] = (this.rejected[reason] || 0) + 1;
+
+    const entry = { source, row, reason, record };
+    if (this.rejectsStream) {
+      this.rejectsStream.write(`${JSON.stringify(entry)}\n`);
+    } else if (this.sampleRejects.length < MAX_SAMPLE_REJECTS) {
+      this.sampleRejects.push(entry);
+    }
+  }
+
+  get rejectedCount() {
+    return Object.values(this.rejected).reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Summary of the run
+   * @returns {Object} { tables, skipped, rejected, rejectedCount, durationMs }
+   */
+  summary() {
+    return {
+      tables: this.tables,
+      skipped: this.skipped,
+      rejected: this.rejected,
+      rejectedCount: this.rejectedCount,
+      durationMs: Date.now() - this.startedAt
+    };
+  }
+
+  // Print the summary for the command line
+  print() {
+    const { tables, skipped, rejected, rejectedCount, durationMs } = this.summary();
+
+    console.log(`\n📦 Import finished in ${(durationMs / 1000).toFixed(1)} s`);
+    Object.entries(tables).forEach(([table, counts]) => {
+      console.log(`  ${table.padEnd(18)} inserted ${counts.inserted}, updated ${counts.updated}, unchanged ${counts.unchanged}`);
+    });
+    Object.entries(skipped).forEach(([reason, count]) => {
+      console.log(`  skipped ${count}: ${reason}`);
+    });
+
+    if (rejectedCount === 0) {
+      console.log('✅ No records rejected');
+      return;
+    }
+
+    console.log(`⚠️  Rejected ${rejectedCount} records`);
+    Object.entries(rejected).forEach(([reason, count]) => {
+      console.log(`  ${count}: ${reason}`);
+    });
+    if (this.rejectsPath) {
+      console.log(`  Details written to ${this.rejectsPath}`);
+    } else {
+      this.sampleRejects.forEach(entry => {
+        console.log(`  ${entry.source}#${entry.row}: ${entry.reason}`);
+      });
+    }
+  }
+
+  // Flush the rejects file
+  close() {
+    if (!this.rejectsStream) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.rejectsStream.end(resolve));
+  }
+}
+
+module.exports = ImportReport;
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const path = require('path');
+const { withTransaction } = require('../database/connection');
+const { readCsv, readJsonArray, inBatches } = require('./readers');
+const writer = require('./foodWriter');
+const tfdaNutrients = require('../data/tfdaNutrients');
+
+// Taiwan FDA 食品營養成分資料庫 importer.
+//
+// Reads the open data export (CSV or JSON) from https://consumer.fda.gov.tw/,
+// which has one row per food and analysis item (分析項). Rows of one food are
+// consecutive and share its 整合編號. Foods are stored with fdc_id
+// "TFDA-<整合編號>" and data_type 'tfda_food', so re-imports upsert them like
+// FoodData Central foods, and each is linked to the closest USDA food by
+// English name.
+
+const DEFAULT_BATCH_SIZE = 200; // foods, each with dozens of rows
+
+const FDC_ID_PREFIX = 'TFDA-';
+const DATA_TYPE = 'tfda_food';
+
+// Lowest English name similarity for linking to a USDA food
+const LINK_SIMILARITY = 0.5;
+
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Columns of the export
+const FIELDS = {
+  code: '整合編號',
+  name: '樣品名稱',
+  aliases: '俗名',
+  englishName: '樣品英文名稱',
+  category: '食品分類',
+  item: '分析項',
+  unit: '含量單位',
+  per100g: '每100克含量',
+  samples: '樣本數',
+  standardError: '標準差',
+  unitWeight: '每單位重'
+};
+
+// TFDA food groups and the English category they are stored under. Names
+// shared with FoodData Central put both sources in one category.
+const CATEGORIES = {
+  '穀物類': 'Cereal Grains and Pasta',
+  '澱粉類': 'Starchy Roots and Tubers',
+  '堅果及種子類': 'Nut and Seed Products',
+  '水果類': 'Fruits and Fruit Juices',
+  '蔬菜類': 'Vegetables and Vegetable Products',
+  '藻類': 'Seaweeds and Algae',
+  '菇類': 'Mushrooms',
+  '豆類': 'Legumes and Legume Products',
+  '肉類': 'Meat Products',
+  '魚貝類': 'Finfish and Shellfish Products',
+  '蛋類': 'Egg Products',
+  '乳品類': 'Milk and Dairy Products',
+  '油脂類': 'Fats and Oils',
+  '糖類': 'Sweets',
+  '嗜好性飲料類': 'Beverages',
+  '調味料及香辛料類': 'Spices and Herbs',
+  '糕餅點心類': 'Baked Products',
+  '加工調理食品及其他類': 'Prepared Foods and Others'
+};
+
+// Values meaning "not analysed" and "trace"
+const MISSING_VALUES = ['', '-', '--', 'N/A'];
+const TRACE_VALUES = ['tr', '微量'];
+
+const NUTRIENTS_BY_ITEM = new Map(tfdaNutrients.map(nutrient => [nutrient.item, nutrient]));
+
+const text = (value, maxLength) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  if (trimmed === '') {
+    return null;
+  }
+  return maxLength ? trimmed.slice(0, maxLength) : trimmed;
+};
+
+// null when not analysed, 0 for trace amounts, NaN when unreadable
+const amountOf = (value) => {
+  const raw = value === undefined || value === null ? '' : String(value).trim();
+  if (MISSING_VALUES.includes(raw)) {
+    return null;
+  }
+  if (TRACE_VALUES.includes(raw.toLowerCase())) {
+    return 0;
+  }
+  return Number(raw.replace(/,/g, ''));
+};
+
+// µg is written ug or μg (Greek mu) in the export
+const sameUnit = (a, b) => {
+  const normalize = unit => String(unit || '').trim().toLowerCase().replace(/^(ug|μg)$/, 'µg');
+  return normalize(a) === normalize(b);
+};
+
+// "每單位重" reads like "200g" or "約50公克"
+const unitWeightOf = (value) => {
+  const match = String(value || '').match(/([\d.]+)\s*(g|公克|克)?/i);
+  const grams = match ? Number(match[1]) : NaN;
+  return grams > 0 ? grams : null;
+};
+
+// Group consecutive rows of the same food
+async function* groupByFood(records) {
+  let group = null;
+  for await (const item of records) {
+    const code = text(item.record[FIELDS.code]);
+    if (group && group.code === code) {
+      group.items.push(item);
+      continue;
+    }
+    if (group) {
+      yield group;
+    }
+    group = { code, items: [item] };
+  }
+  if (group) {
+    yield group;
+  }
+}
+
+// Food details from the first row of its group, or the reason it is rejected
+const foodOf = ({ code, items }) => {
+  const record = items[0].record;
+  const nameTw = text(record[FIELDS.name]);
+  const englishName = text(record[FIELDS.englishName]);
+  const description = englishName || nameTw;
+
+  if (!code) {
+    return { problem: `missing ${FIELDS.code}` };
+  }
+  if (!nameTw) {
+    return { problem: `missing ${FIELDS.name}` };
+  }
+  if (description.length > MAX_DESCRIPTION_LENGTH || nameTw.length > MAX_DESCRIPTION_LENGTH) {
+    return { problem: `name longer than ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+
+  const categoryTw = text(record[FIELDS.category], 100);
+  return {
+    fdcId: `${FDC_ID_PREFIX}${code}`,
+    description,
+    descriptionTw: nameTw,
+    aliasesTw: text(record[FIELDS.aliases]),
+    category: categoryTw ? { name: CATEGORIES[categoryTw] || categoryTw, nameTw: categoryTw } : null,
+    hasEnglishName: Boolean(englishName),
+    unitWeight: unitWeightOf(record[FIELDS.unitWeight])
+  };
+};
+
+class TfdaImport {
+  constructor({ batchSize, report, source }) {
+    this.batchSize = batchSize;
+    this.report = report;
+    this.source = source;
+    this.nutrientIds = new Map(); // nutrient_nbr => nutrients.id
+  }
+
+  async importNutrients() {
+    const rows = tfdaNutrients.map(nutrient => ({
+      nutrientNbr: nutrient.nutrient_nbr,
+      name: nutrient.name,
+      nameTw: nutrient.name_tw,
+      unitName: nutrient.unit_name
+    }));
+
+    await withTransaction(async (client) => {
+      const { ids, counts } = await writer.upsertNutrients(rows, client);
+      this.nutrientIds = ids;
+      this.report.count('nutrients', counts);
+    });
+  }
+
+  // Per 100 g amounts of one food, preferring non-fallback items
+  amountsOf(foodId, items) {
+    const amounts = new Map(); // nutrient_nbr => row
+    const fallbacks = [];
+
+    items.forEach(({ row, record }) => {
+      const nutrient = NUTRIENTS_BY_ITEM.get(text(record[FIELDS.item]));
+      if (!nutrient) {
+        this.report.skip('analysis items without a matching nutrient');
+        return;
+      }
+
+      const amount = amountOf(record[FIELDS.per100g]);
+      if (amount === null) {
+        this.report.skip('analysis items not analysed');
+        return;
+      }
+      if (Number.isNaN(amount)) {
+        this.report.reject(this.source, row, `${FIELDS.per100g} is not a number`, record);
+        return;
+      }
+      if (!sameUnit(record[FIELDS.unit], nutrient.unit_name)) {
+        this.report.reject(this.source, row, `${nutrient.item} is in ${record[FIELDS.unit]}, expected ${nutrient.unit_name}`, record);
+        return;
+      }
+
+      const samples = amountOf(record[FIELDS.samples]);
+      const standardError = amountOf(record[FIELDS.standardError]);
+      const value = {
+        foodId,
+        nutrientId: this.nutrientIds.get(nutrient.nutrient_nbr),
+        amount,
+        dataPoints: Number.isInteger(samples) ? samples : null,
+        standardError: standardError === null || Number.isNaN(standardError) ? null : standardError
+      };
+      if (nutrient.fallback) {
+        fallbacks.push([nutrient.nutrient_nbr, value]);
+      } else {
+        amounts.set(nutrient.nutrient_nbr, value);
+      }
+    });
+
+    fallbacks.forEach(([nbr, value]) => {
+      if (!amounts.has(nbr)) {
+        amounts.set(nbr, value);
+      }
+    });
+    return [...amounts.values()];
+  }
+
+  async importFoods(records) {
+    for await (const batch of inBatches(groupByFood(records), this.batchSize)) {
+      await withTransaction(client => this.importBatch(batch, client));
+    }
+  }
+
+  async importBatch(groups, client) {
+    const foods = [];
+    groups.forEach(group => {
+      const food = foodOf(group);
+      if (food.problem) {
+        const { row, record } = group.items[0];
+        this.report.reject(this.source, row, food.problem, record);
+        return;
+      }
+      foods.push({ ...food, items: group.items });
+    });
+
+    const categories = await writer.upsertCategories(foods.filter(food => food.category).map(food => food.category), client);
+    this.report.count('food_categories', categories.counts);
+
+    const { ids, counts } = await writer.upsertFoods(foods.map(food => ({
+      fdcId: food.fdcId,
+      dataType: DATA_TYPE,
+      description: food.description,
+      descriptionTw: food.descriptionTw,
+      aliasesTw: food.aliasesTw,
+      categoryId: food.category ? categories.ids.get(food.category.name) : null
+    })), client);
+    this.report.count('foods', counts);
+
+    const amounts = [];
+    const portions = [];
+    foods.forEach(food => {
+      const foodId = ids.get(food.fdcId);
+      amounts.push(...this.amountsOf(foodId, food.items));
+      if (food.unitWeight) {
+        portions.push({
+          foodId,
+          unit: 'piece',
+          amount: 1,
+          gramWeight: food.unitWeight,
+          description: `1 piece (${food.unitWeight} g)`,
+          descriptionTw: `每單位 ${food.unitWeight} 公克`
+        });
+      }
+    });
+
+    this.report.count('food_nutrients', await writer.upsertFoodNutrients(amounts, client));
+    this.report.count('food_portions', await writer.upsertPortions(portions, client));
+
+    const linkable = foods.filter(food => food.hasEnglishName);
+    this.report.skip('foods without an English name to link by', foods.length - linkable.length);
+    this.report.count('USDA links', await writer.linkUsdaFoods(
+      linkable.map(food => ids.get(food.fdcId)), LINK_SIMILARITY, client
+    ));
+  }
+}
+
+/**
+ * Import a Taiwan FDA food composition export
+ * @param {string} sourcePath - CSV or JSON export file
+ * @param {Object} options - { batchSize: foods per transaction, report: ImportReport }
+ * @returns {Promise<void>}
+ */
+async function importTfda(sourcePath, { batchSize = DEFAULT_BATCH_SIZE, report }) {
+  if (!fs.existsSync(sourcePath) || fs.statSync(sourcePath).isDirectory()) {
+    throw new Error(`${sourcePath} is not a file; pass the CSV or JSON export`);
+  }
+
+  const extension = path.extname(sourcePath).toLowerCase();
+  if (extension !== '.csv' && extension !== '.json') {
+    throw new Error(`${sourcePath} is neither .csv nor .json`);
+  }
+
+  const run = new TfdaImport({ batchSize, report, source: path.basename(sourcePath) });
+  await run.importNutrients();
+  await run.importFoods(extension === '.csv' ? readCsv(sourcePath) : readJsonArray(sourcePath));
+}
+
+module.exports = {
+  CATEGORIES,
+  importTfda
+};
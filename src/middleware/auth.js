@@ -1,10 +1,95 @@
-// 簡化的認證中間件
-const authenticateToken = (req, res, next) => {
-  // 暫時跳過認證，直接通過
-  req.user = { id: 'demo-user', name: 'Demo User' };
-  next();
+const AuthService = require('../services/AuthService');
+const { query } = require('../database/connection');
+const { session } = require('../database/redis');
+
+// JWT 認證中間件（令牌所屬的登入階段必須仍然存在，登出或撤銷後立即失效）
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const [scheme, token] = (authHeader || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: '未提供認證令牌'
+    });
+  }
+
+  let payload;
+  try {
+    payload = AuthService.verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? '認證令牌已過期' : '認證令牌無效'
+    });
+  }
+
+  try {
+    if (!payload.sid || !(await session.exists(payload.sub, payload.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: '登入階段已失效，請重新登入'
+      });
+    }
+
+    req.user = { id: payload.sub, email: payload.email, sessionId: payload.sid };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// 限制未驗證電子郵件的帳號（需放在 authenticateToken 之後）
+const requireVerified = async (req, res, next) => {
+  try {
+    const result = await query(
+      'SELECT is_verified FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: '用戶不存在'
+      });
+    }
+
+    if (!result.rows[0].is_verified) {
+      return res.status(403).json({
+        success: false,
+        message: '請先完成電子郵件驗證'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// 限制管理員操作（需放在 authenticateToken 之後）
+const requireAdmin = async (req, res, next) => {
+  try {
+    const result = await query(
+      'SELECT is_admin FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].is_admin) {
+      return res.status(403).json({
+        success: false,
+        message: '需要管理員權限'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
 module.exports = {
-  authenticateToken
+  authenticateToken,
+  requireVerified,
+  requireAdmin
 };
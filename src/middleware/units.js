@@ -0,0 +1,43 @@
+const UnitPreferenceService = require('../services/UnitPreferenceService');
+
+// 單位偏好中間件
+//
+// Values are stored in metric (kg, cm, ml, g) and kcal. Routes declare which
+// fields carry a measurement, by dotted path with '*' for any key or index:
+//   applyUnitPreferences({
+//     input:  { bodyWeight: ['weight'] },
+//     output: { bodyWeight: ['log.weight', 'logs.*.weight'], energy: ['summary.total.calories'] }
+//   })
+// Input fields are converted from the user's units before validation, so place
+// this after authenticateToken and before validateRequest. Successful responses
+// are converted for display and carry a `units` object naming each unit.
+// Dimensions: bodyWeight, height, volume, mass, energy.
+const applyUnitPreferences = ({ input = {}, output = {} } = {}) => async (req, res, next) => {
+  let units;
+  try {
+    units = await UnitPreferenceService.getForUser(req.user.id);
+  } catch (error) {
+    return next(error);
+  }
+
+  req.units = units;
+  req.body = UnitPreferenceService.normalizeInput(req.body, input, units);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (!body || body.success === false) {
+      return json(body);
+    }
+
+    return json({
+      ...UnitPreferenceService.formatResponse(body, output, units),
+      units: UnitPreferenceService.labels(units)
+    });
+  };
+
+  next();
+};
+
+module.exports = {
+  applyUnitPreferences
+};
@@ -1,7 +1,186 @@
-// 簡化的驗證中間件
+// 請求驗證中間件
+//
+// Schemas are declared per request location:
+//   validateRequest({
+//     params: { id: { required: true, type: 'uuid' } },
+//     query:  { limit: { required: false, type: 'number', min: 1, max: 100 } },
+//     body:   { mealType: { required: true, type: 'string', enum: ['breakfast', 'lunch'] } }
+//   })
+//
+// Supported rule keys: required, nullable, type, enum, min, max, minLength,
+// maxLength, pattern, items (array element rule), properties (nested object
+// schema). Types: string, number, integer, boolean, uuid, date, time, array, object.
+// Query and params values arrive as strings and are coerced to the declared
+// type. Fields not declared in the schema are stripped.
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Convert string input from query strings and route params
+const coerceValue = (value, type) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  switch (type) {
+    case 'number':
+    case 'integer':
+      return value.trim() === '' ? value : Number(value);
+    case 'boolean':
+      if (value === 'true' || value === '1') return true;
+      if (value === 'false' || value === '0') return false;
+      return value;
+    default:
+      return value;
+  }
+};
+
+const isValidDate = (value) => {
+  if (!DATE_REGEX.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Check a value against its declared type; returns an error message or null
+const checkType = (value, type) => {
+  switch (type) {
+    case undefined:
+      return null;
+    case 'string':
+      return typeof value === 'string' ? null : '必須是字串';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : '必須是數字';
+    case 'integer':
+      return Number.isInteger(value) ? null : '必須是整數';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : '必須是布林值';
+    case 'uuid':
+      return typeof value === 'string' && UUID_REGEX.test(value) ? null : '必須是有效的 UUID';
+    case 'date':
+      return typeof value === 'string' && isValidDate(value) ? null : '必須是 YYYY-MM-DD 格式的日期';
+    case 'time':
+      return typeof value === 'string' && TIME_REGEX.test(value) ? null : '必須是 HH:MM 或 HH:MM:SS 格式的時間';
+    case 'array':
+      return Array.isArray(value) ? null : '必須是陣列';
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : '必須是物件';
+    default:
+      return `未知的類型 ${type}`;
+  }
+};
+
+// Validate a single value; pushes errors and returns the sanitized value
+const validateValue = (value, rule, field, errors, coerce) => {
+  const input = coerce ? coerceValue(value, rule.type) : value;
+
+  const typeError = checkType(input, rule.type);
+  if (typeError) {
+    errors.push({ field, message: `${field} ${typeError}` });
+    return undefined;
+  }
+
+  if (rule.enum && !rule.enum.includes(input)) {
+    errors.push({ field, message: `${field} 必須是以下其中之一: ${rule.enum.join(', ')}` });
+  }
+
+  if (typeof input === 'number') {
+    if (rule.min !== undefined && input < rule.min) {
+      errors.push({ field, message: `${field} 不能小於 ${rule.min}` });
+    }
+    if (rule.max !== undefined && input > rule.max) {
+      errors.push({ field, message: `${field} 不能大於 ${rule.max}` });
+    }
+  }
+
+  if (typeof input === 'string' || Array.isArray(input)) {
+    if (rule.minLength !== undefined && input.length < rule.minLength) {
+      errors.push({ field, message: `${field} 長度不能少於 ${rule.minLength}` });
+    }
+    if (rule.maxLength !== undefined && input.length > rule.maxLength) {
+      errors.push({ field, message: `${field} 長度不能超過 ${rule.maxLength}` });
+    }
+  }
+
+  if (rule.pattern && typeof input === 'string' && !rule.pattern.test(input)) {
+    errors.push({ field, message: `${field} 格式不正確` });
+  }
+
+  if (Array.isArray(input) && rule.items) {
+    return input.map((item, index) =>
+      validateValue(item, rule.items, `${field}[${index}]`, errors, coerce)
+    );
+  }
+
+  if (rule.type === 'object' && rule.properties) {
+    return validateObject(input, rule.properties, field, errors, coerce);
+  }
+
+  return input;
+};
+
+// Validate an object against a schema, dropping undeclared keys
+const validateObject = (source, schema, prefix, errors, coerce) => {
+  const data = source || {};
+  const sanitized = {};
+
+  Object.entries(schema).forEach(([key, rule]) => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const value = data[key];
+    const isMissing = value === undefined || value === null ||
+      (coerce && value === '' && rule.type !== 'string');
+
+    if (isMissing) {
+      if (rule.required) {
+        errors.push({ field, message: `${field} 為必填欄位` });
+      } else if (value === null && rule.nullable) {
+        // Explicit null lets clients clear optional fields
+        sanitized[key] = null;
+      }
+      return;
+    }
+
+    const result = validateValue(value, rule, field, errors, coerce);
+    if (result !== undefined) {
+      sanitized[key] = result;
+    }
+  });
+
+  return sanitized;
+};
+
 const validateRequest = (schema) => {
   return (req, res, next) => {
-    // 暫時跳過驗證，直接通過
+    const errors = [];
+    const sanitized = {};
+
+    LOCATIONS.forEach(location => {
+      if (!schema[location]) {
+        return;
+      }
+      // Query strings and route params are always strings
+      const coerce = location !== 'body';
+      const locationErrors = [];
+      sanitized[location] = validateObject(req[location], schema[location], '', locationErrors, coerce);
+      locationErrors.forEach(error => errors.push({ location, ...error }));
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: '請求參數驗證失敗',
+        errors
+      });
+    }
+
+    Object.entries(sanitized).forEach(([location, values]) => {
+      req[location] = values;
+    });
+
     next();
   };
 };
@@ -3,9 +3,11 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const AIService = require('../services/AIService');
-const { authenticateToken } = require('../middleware/auth');
+const TimezoneService = require('../services/TimezoneService');
+const { authenticateToken, requireVerified } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
 const { rateLimit } = require('../database/redis');
+const { QueryBuilderError, QueryParams, lastDaysCondition } = require('../database/queryBuilder');
 const router = express.Router();
 
 // Configure multer for image uploads
@@ -48,6 +50,7 @@ const upload = multer({
  */
 router.post('/recognize-food', 
   authenticateToken,
+  requireVerified,
   upload.single('image'),
   async (req, res) => {
     try {
@@ -104,6 +107,7 @@ router.post('/recognize-food',
  */
 router.post('/recognize-food-base64',
   authenticateToken,
+  requireVerified,
   validateRequest({
     body: {
       image: { required: true, type: 'string' },
@@ -150,6 +154,7 @@ router.post('/recognize-food-base64',
  */
 router.post('/nutrition-advice',
   authenticateToken,
+  requireVerified,
   validateRequest({
     body: {
       nutritionData: { required: true, type: 'object' }
@@ -222,6 +227,7 @@ router.post('/nutrition-advice',
  */
 router.post('/generate-meal-plan',
   authenticateToken,
+  requireVerified,
   validateRequest({
     body: {
       preferences: { required: false, type: 'object' },
@@ -295,9 +301,10 @@ router.post('/generate-meal-plan',
  */
 router.post('/analyze-trends',
   authenticateToken,
+  requireVerified,
   validateRequest({
     body: {
-      period: { required: false, type: 'number', min: 7, max: 365 } // days
+      period: { required: false, type: 'integer', min: 7, max: 365 } // days
     }
   }),
   async (req, res) => {
@@ -332,10 +339,13 @@ router.post('/analyze-trends',
       
       const userProfile = userResult.rows[0];
       
-      // Get nutrition history
+      // Get nutrition history, with the window ending on the user's local today
+      const params = new QueryParams([req.user.id]);
+      const today = TimezoneService.today(userProfile.timezone);
+      const dateCondition = lastDaysCondition('log_date', period, params, `${params.add(today)}::date`);
       const historyResult = await query(
         `SELECT 
-          log_date,
+          to_char(log_date, 'YYYY-MM-DD') as log_date,
           SUM(calories) as calories,
           SUM(protein) as protein,
           SUM(carbs) as carbs,
@@ -343,10 +353,10 @@ router.post('/analyze-trends',
           SUM(fiber) as fiber
         FROM user_food_logs 
         WHERE user_id = $1 
-          AND log_date >= CURRENT_DATE - INTERVAL '${period} days'
+          AND ${dateCondition}
         GROUP BY log_date 
         ORDER BY log_date ASC`,
-        [req.user.id]
+        params.values
       );
       
       const nutritionHistory = historyResult.rows;
@@ -377,6 +387,13 @@ router.post('/analyze-trends',
       
       res.json(analysis);
     } catch (error) {
+      if (error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Trend analysis error:', error);
       res.status(500).json({
         success: false,
@@ -393,6 +410,7 @@ router.post('/analyze-trends',
  */
 router.get('/tips',
   authenticateToken,
+  requireVerified,
   async (req, res) => {
     try {
       // Rate limiting
@@ -1,28 +1,562 @@
 const express = require('express');
+const AuthService = require('../services/AuthService');
+const SessionService = require('../services/SessionService');
+const EmailService = require('../services/EmailService');
+const TimezoneService = require('../services/TimezoneService');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { query } = require('../database/connection');
+const { rateLimit } = require('../database/redis');
 const router = express.Router();
 
-// 簡化的認證路由 - 暫時返回成功狀態
-router.post('/login', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Login endpoint ready',
-    token: 'demo-token'
-  });
-});
+const VERIFICATION_TOKEN_TTL_HOURS = 24;
+const RESET_TOKEN_TTL_HOURS = 1;
 
-router.post('/register', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Register endpoint ready',
-    token: 'demo-token'
-  });
+// Device details stored with each session so users can recognise them
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip
 });
 
-router.get('/verify', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Token verification endpoint ready'
-  });
-});
+/**
+ * @route POST /api/auth/register
+ * @desc Register a new account
+ * @access Public
+ */
+router.post('/register',
+  validateRequest({
+    body: {
+      email: { required: true, type: 'string', minLength: 3, maxLength: 255 },
+      password: { required: true, type: 'string', minLength: 8, maxLength: 128 },
+      username: { required: false, type: 'string', minLength: 1, maxLength: 100 },
+      firstName: { required: false, type: 'string', maxLength: 100 },
+      lastName: { required: false, type: 'string', maxLength: 100 },
+      timezone: { required: false, type: 'string', maxLength: 64 } // device zone, e.g. 'Asia/Taipei'
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { password, username, firstName, lastName } = req.body;
+      const email = String(req.body.email).trim().toLowerCase();
+
+      // An unknown zone from the device falls back to the default instead of failing signup
+      const timezone = TimezoneService.resolve(req.body.timezone);
+
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        return res.status(400).json({
+          success: false,
+          message: '電子郵件格式不正確'
+        });
+      }
+
+      // Check if email or username is taken
+      const existingResult = await query(
+        'SELECT id FROM users WHERE email = $1 OR ($2::varchar IS NOT NULL AND username = $2)',
+        [email, username || null]
+      );
+
+      if (existingResult.rows.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: '電子郵件或用戶名稱已被使用'
+        });
+      }
+
+      const passwordHash = await AuthService.hashPassword(password);
+      const verification = AuthService.generateOneTimeToken();
+
+      const result = await query(
+        `INSERT INTO users (
+          email, password_hash, username, first_name, last_name, timezone,
+          verification_token, verification_expires
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(hours => $8))
+        RETURNING *`,
+        [
+          email, passwordHash, username || null, firstName || null, lastName || null, timezone,
+          verification.tokenHash, VERIFICATION_TOKEN_TTL_HOURS
+        ]
+      );
+
+      const user = result.rows[0];
+
+      // A mail failure should not block registration; the user can resend
+      try {
+        await EmailService.sendVerificationEmail(user, verification.token);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+
+      const tokens = await SessionService.createSession(user, getClientInfo(req));
+
+      res.status(201).json({
+        success: true,
+        ...tokens,
+        user: AuthService.toPublicUser(user),
+        message: '註冊成功'
+      });
+    } catch (error) {
+      // Unique violation from a concurrent registration
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: '電子郵件或用戶名稱已被使用'
+        });
+      }
+
+      console.error('Register error:', error);
+      res.status(500).json({
+        success: false,
+        message: '註冊失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/auth/login
+ * @desc Log in with email and password
+ * @access Public
+ */
+router.post('/login',
+  validateRequest({
+    body: {
+      email: { required: true, type: 'string', minLength: 3, maxLength: 255 },
+      password: { required: true, type: 'string', minLength: 1, maxLength: 128 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { password } = req.body;
+      const email = String(req.body.email).trim().toLowerCase();
+
+      const result = await query(
+        'SELECT * FROM users WHERE email = $1',
+        [email]
+      );
+
+      const user = result.rows[0];
+      const passwordMatches = user
+        ? await AuthService.verifyPassword(password, user.password_hash)
+        : false;
+
+      if (!passwordMatches) {
+        return res.status(401).json({
+          success: false,
+          message: '電子郵件或密碼錯誤'
+        });
+      }
+
+      const tokens = await SessionService.createSession(user, getClientInfo(req));
+
+      res.json({
+        success: true,
+        ...tokens,
+        user: AuthService.toPublicUser(user),
+        message: '登入成功'
+      });
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({
+        success: false,
+        message: '登入失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/auth/verify
+ * @desc Verify access token and return the current user
+ * @access Private
+ */
+router.get('/verify',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const result = await query(
+        'SELECT * FROM users WHERE id = $1',
+        [req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(401).json({
+          success: false,
+          message: '用戶不存在'
+        });
+      }
+
+      res.json({
+        success: true,
+        user: AuthService.toPublicUser(result.rows[0])
+      });
+    } catch (error) {
+      console.error('Token verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: '驗證令牌失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/auth/refresh
+ * @desc Exchange a refresh token for a new access/refresh token pair
+ * @access Public
+ */
+router.post('/refresh',
+  validateRequest({
+    body: {
+      refreshToken: { required: true, type: 'string', minLength: 1 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const tokens = await SessionService.rotateSession(req.body.refreshToken, getClientInfo(req));
+
+      res.json({
+        success: true,
+        ...tokens
+      });
+    } catch (error) {
+      if (error instanceof SessionService.SessionError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          reason: error.reason
+        });
+      }
+
+      console.error('Token refresh error:', error);
+      res.status(500).json({
+        success: false,
+        message: '刷新令牌失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/auth/logout
+ * @desc Revoke the session the refresh token belongs to
+ * @access Public
+ */
+router.post('/logout',
+  validateRequest({
+    body: {
+      refreshToken: { required: true, type: 'string', minLength: 1 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      await SessionService.revokeByRefreshToken(req.body.refreshToken);
+
+      res.json({
+        success: true,
+        message: '已登出'
+      });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({
+        success: false,
+        message: '登出失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/auth/logout-all
+ * @desc Revoke every session of the current user
+ * @access Private
+ */
+router.post('/logout-all',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const revokedCount = await SessionService.revokeAllSessions(req.user.id);
+
+      res.json({
+        success: true,
+        revokedCount,
+        message: '已登出所有裝置'
+      });
+    } catch (error) {
+      console.error('Logout all error:', error);
+      res.status(500).json({
+        success: false,
+        message: '登出所有裝置失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/auth/sessions
+ * @desc List active sessions of the current user
+ * @access Private
+ */
+router.get('/sessions',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const sessions = await SessionService.listSessions(req.user.id);
+
+      res.json({
+        success: true,
+        sessions: sessions.map(item => ({
+          ...item,
+          isCurrent: item.id === req.user.sessionId
+        }))
+      });
+    } catch (error) {
+      console.error('List sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取登入裝置失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/auth/sessions/:id
+ * @desc Revoke one session of the current user
+ * @access Private
+ */
+router.delete('/sessions/:id',
+  authenticateToken,
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const revoked = await SessionService.revokeSession(req.user.id, req.params.id);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: '登入裝置不存在'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: '已登出該裝置'
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        message: '登出裝置失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/auth/verify-email
+ * @desc Confirm an email address with the emailed token
+ * @access Public
+ */
+router.post('/verify-email',
+  validateRequest({
+    body: {
+      token: { required: true, type: 'string', minLength: 1, maxLength: 255 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const tokenHash = AuthService.hashToken(req.body.token);
+
+      // Clearing the token in the same statement makes it single-use
+      const result = await query(
+        `UPDATE users
+         SET is_verified = TRUE, verification_token = NULL, verification_expires = NULL
+         WHERE verification_token = $1 AND verification_expires > NOW()
+         RETURNING *`,
+        [tokenHash]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: '驗證連結無效或已過期'
+        });
+      }
+
+      res.json({
+        success: true,
+        user: AuthService.toPublicUser(result.rows[0]),
+        message: '電子郵件驗證成功'
+      });
+    } catch (error) {
+      console.error('Email verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: '電子郵件驗證失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/auth/resend-verification
+ * @desc Send a new verification email to the current user
+ * @access Private
+ */
+router.post('/resend-verification',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const rateLimitResult = await rateLimit.check(`resend_verification_${req.user.id}`, 3, 3600);
+
+      if (!rateLimitResult.allowed) {
+        return res.status(429).json({
+          success: false,
+          message: '請求過於頻繁，請稍後再試',
+          retryAfter: rateLimitResult.resetTime
+        });
+      }
+
+      const verification = AuthService.generateOneTimeToken();
+
+      const result = await query(
+        `UPDATE users
+         SET verification_token = $1, verification_expires = NOW() + make_interval(hours => $2)
+         WHERE id = $3 AND is_verified = FALSE
+         RETURNING *`,
+        [verification.tokenHash, VERIFICATION_TOKEN_TTL_HOURS, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: '此帳號已完成驗證'
+        });
+      }
+
+      await EmailService.sendVerificationEmail(result.rows[0], verification.token);
+
+      res.json({
+        success: true,
+        message: '驗證郵件已寄出'
+      });
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: '寄送驗證郵件失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @desc Email a password reset link
+ * @access Public
+ */
+router.post('/forgot-password',
+  validateRequest({
+    body: {
+      email: { required: true, type: 'string', minLength: 3, maxLength: 255 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const email = String(req.body.email).trim().toLowerCase();
+
+      const rateLimitResult = await rateLimit.check(`forgot_password_${email}`, 3, 3600);
+
+      // Same response whether or not the account exists, to avoid leaking emails
+      const response = {
+        success: true,
+        message: '如果此電子郵件已註冊，您將收到重設密碼的郵件'
+      };
+
+      if (!rateLimitResult.allowed) {
+        return res.json(response);
+      }
+
+      const reset = AuthService.generateOneTimeToken();
+
+      const result = await query(
+        `UPDATE users
+         SET reset_password_token = $1, reset_password_expires = NOW() + make_interval(hours => $2)
+         WHERE email = $3
+         RETURNING *`,
+        [reset.tokenHash, RESET_TOKEN_TTL_HOURS, email]
+      );
+
+      if (result.rows.length > 0) {
+        await EmailService.sendPasswordResetEmail(result.rows[0], reset.token);
+      }
+
+      res.json(response);
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: '寄送重設密碼郵件失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/auth/reset-password
+ * @desc Set a new password with the emailed reset token
+ * @access Public
+ */
+router.post('/reset-password',
+  validateRequest({
+    body: {
+      token: { required: true, type: 'string', minLength: 1, maxLength: 255 },
+      password: { required: true, type: 'string', minLength: 8, maxLength: 128 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { token, password } = req.body;
+      const tokenHash = AuthService.hashToken(token);
+      const passwordHash = await AuthService.hashPassword(password);
+
+      // Receiving the link proves ownership of the address, so also mark it verified
+      const result = await query(
+        `UPDATE users
+         SET password_hash = $1, reset_password_token = NULL, reset_password_expires = NULL,
+             is_verified = TRUE
+         WHERE reset_password_token = $2 AND reset_password_expires > NOW()
+         RETURNING id`,
+        [passwordHash, tokenHash]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: '重設密碼連結無效或已過期'
+        });
+      }
+
+      // Existing sessions may belong to whoever knew the old password
+      await SessionService.revokeAllSessions(result.rows[0].id);
+
+      res.json({
+        success: true,
+        message: '密碼已重設，請重新登入'
+      });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        message: '重設密碼失敗'
+      });
+    }
+  }
+);
 
 module.exports = router;
@@ -0,0 +1,478 @@
+const express = require('express');
+const ExerciseService = require('../services/ExerciseService');
+const UserStatsService = require('../services/UserStatsService');
+const TimezoneService = require('../services/TimezoneService');
+const { authenticateToken } = require('../middleware/auth');
+const { applyUnitPreferences } = require('../middleware/units');
+const { validateRequest } = require('../middleware/validation');
+const { cache } = require('../database/redis');
+const { query } = require('../database/connection');
+const {
+  QueryBuilderError,
+  QueryParams,
+  buildUpdate,
+  dateRangeCondition
+} = require('../database/queryBuilder');
+const router = express.Router();
+
+// API fields that may be changed on an exercise log, and their columns
+const EXERCISE_LOG_UPDATE_FIELDS = {
+  exerciseName: 'exercise_name',
+  activityKey: 'activity_key',
+  duration: 'duration',
+  caloriesBurned: 'calories_burned',
+  intensity: 'intensity',
+  logDate: 'log_date',
+  logTime: 'log_time',
+  notes: 'notes'
+};
+
+const INTENSITIES = ['low', 'moderate', 'high'];
+
+// Daily summaries include exercise, so they must be refreshed too
+const clearExerciseCaches = async (userId, dates) => {
+  const uniqueDates = [...new Set(dates.filter(Boolean))];
+  await Promise.all(uniqueDates.map(date => cache.del(`daily_nutrition:${userId}:${date}`)));
+  await UserStatsService.invalidate(userId);
+};
+
+// Estimate calories with the user's current body weight
+const estimateForUser = async (userId, params) => {
+  const userResult = await query('SELECT weight FROM users WHERE id = $1', [userId]);
+  const weight = userResult.rows[0] ? userResult.rows[0].weight : null;
+  return ExerciseService.estimateCalories({ ...params, weight });
+};
+
+// Calories are entered and shown in the user's energy unit; logs store kcal
+const EXERCISE_UNITS = {
+  input: {
+    energy: ['caloriesBurned']
+  },
+  output: {
+    energy: [
+      'log.calories_burned', 'logs.*.calories_burned', 'estimate.caloriesBurned',
+      'summary.totalCaloriesBurned', 'summary.total.caloriesBurned',
+      'summary.averageDailyCaloriesBurned', 'summary.dailyData.*.caloriesBurned'
+    ],
+    bodyWeight: ['estimate.weightUsed']
+  }
+};
+
+/**
+ * @route GET /api/exercise/activities
+ * @desc List activities with MET values used for calorie estimation
+ * @access Private
+ */
+router.get('/activities',
+  authenticateToken,
+  validateRequest({
+    query: {
+      q: { required: false, type: 'string', maxLength: 100 }
+    }
+  }),
+  (req, res) => {
+    res.json({
+      success: true,
+      activities: ExerciseService.listActivities(req.query.q)
+    });
+  }
+);
+
+/**
+ * @route GET /api/exercise/daily
+ * @desc Get exercise totals and entries for a date
+ * @access Private
+ */
+router.get('/daily',
+  authenticateToken,
+  applyUnitPreferences(EXERCISE_UNITS),
+  validateRequest({
+    query: {
+      date: { required: true, type: 'date' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { date } = req.query;
+
+      const result = await query(
+        `SELECT * FROM user_exercise_logs
+         WHERE user_id = $1 AND log_date = $2
+         ORDER BY log_time ASC NULLS LAST, created_at ASC`,
+        [req.user.id, date]
+      );
+
+      const totals = result.rows.reduce((sum, log) => ({
+        duration: sum.duration + log.duration,
+        caloriesBurned: sum.caloriesBurned + parseFloat(log.calories_burned || 0)
+      }), { duration: 0, caloriesBurned: 0 });
+
+      res.json({
+        success: true,
+        date,
+        summary: {
+          totalDuration: totals.duration,
+          totalCaloriesBurned: Math.round(totals.caloriesBurned * 10) / 10,
+          sessions: result.rows.length
+        },
+        logs: result.rows
+      });
+    } catch (error) {
+      console.error('Daily exercise error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取每日運動數據失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/exercise/weekly
+ * @desc Get per-day exercise totals for a week (Monday start)
+ * @access Private
+ */
+router.get('/weekly',
+  authenticateToken,
+  applyUnitPreferences(EXERCISE_UNITS),
+  validateRequest({
+    query: {
+      weekStart: { required: false, type: 'date' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { weekStart } = req.query;
+
+      let startDate = weekStart;
+      if (!startDate) {
+        const { today } = await TimezoneService.getUserToday(req.user.id);
+        startDate = TimezoneService.weekStart(today);
+      }
+      const endDate = TimezoneService.addDays(startDate, 6);
+
+      const result = await query(
+        `SELECT
+          to_char(log_date, 'YYYY-MM-DD') as date,
+          SUM(duration) as duration,
+          COALESCE(SUM(calories_burned), 0) as calories_burned,
+          COUNT(*) as sessions
+        FROM user_exercise_logs
+        WHERE user_id = $1 AND log_date BETWEEN $2 AND $3
+        GROUP BY log_date
+        ORDER BY log_date ASC`,
+        [req.user.id, startDate, endDate]
+      );
+
+      const dailyData = result.rows.map(row => ({
+        date: row.date,
+        duration: parseInt(row.duration),
+        caloriesBurned: parseFloat(row.calories_burned),
+        sessions: parseInt(row.sessions)
+      }));
+
+      const total = dailyData.reduce((sum, day) => ({
+        duration: sum.duration + day.duration,
+        caloriesBurned: sum.caloriesBurned + day.caloriesBurned,
+        sessions: sum.sessions + day.sessions
+      }), { duration: 0, caloriesBurned: 0, sessions: 0 });
+
+      res.json({
+        success: true,
+        weekStart: startDate,
+        weekEnd: endDate,
+        summary: {
+          total,
+          activeDays: dailyData.length,
+          averageDailyCaloriesBurned: Math.round(total.caloriesBurned / 7),
+          dailyData
+        }
+      });
+    } catch (error) {
+      console.error('Weekly exercise error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取每週運動數據失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/exercise
+ * @desc List exercise logs
+ * @access Private
+ */
+router.get('/',
+  authenticateToken,
+  applyUnitPreferences(EXERCISE_UNITS),
+  validateRequest({
+    query: {
+      startDate: { required: false, type: 'date' },
+      endDate: { required: false, type: 'date' },
+      limit: { required: false, type: 'integer', min: 1, max: 100 },
+      offset: { required: false, type: 'integer', min: 0 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { startDate, endDate, limit = 20, offset = 0 } = req.query;
+
+      const params = new QueryParams([req.user.id]);
+      const conditions = ['user_id = $1'];
+
+      if (startDate && endDate) {
+        conditions.push(dateRangeCondition('log_date', startDate, endDate, params));
+      }
+
+      const result = await query(
+        `SELECT * FROM user_exercise_logs
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY log_date DESC, log_time DESC NULLS LAST, created_at DESC
+         LIMIT ${params.add(limit)} OFFSET ${params.add(offset)}`,
+        params.values
+      );
+
+      res.json({
+        success: true,
+        logs: result.rows,
+        limit,
+        offset
+      });
+    } catch (error) {
+      if (error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Exercise logs error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取運動記錄失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/exercise
+ * @desc Log an exercise; calories are estimated from METs when omitted
+ * @access Private
+ */
+router.post('/',
+  authenticateToken,
+  applyUnitPreferences(EXERCISE_UNITS),
+  validateRequest({
+    body: {
+      exerciseName: { required: true, type: 'string', minLength: 1, maxLength: 200 },
+      activityKey: { required: false, type: 'string', maxLength: 50 },
+      duration: { required: true, type: 'integer', min: 1, max: 1440 }, // minutes
+      caloriesBurned: { required: false, type: 'number', min: 0, max: 10000 },
+      intensity: { required: false, type: 'string', enum: INTENSITIES },
+      logDate: { required: true, type: 'date' },
+      logTime: { required: false, type: 'time' },
+      notes: { required: false, type: 'string', maxLength: 1000 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const {
+        exerciseName,
+        activityKey,
+        duration,
+        caloriesBurned,
+        intensity = 'moderate',
+        logDate,
+        logTime,
+        notes
+      } = req.body;
+
+      if (activityKey && !ExerciseService.findActivity(null, activityKey)) {
+        return res.status(400).json({
+          success: false,
+          message: '未知的運動項目'
+        });
+      }
+
+      let estimate = null;
+      if (caloriesBurned === undefined) {
+        estimate = await estimateForUser(req.user.id, { exerciseName, activityKey, intensity, duration });
+      }
+
+      const result = await query(
+        `INSERT INTO user_exercise_logs (
+          user_id, exercise_name, activity_key, duration, calories_burned, intensity, log_date, log_time, notes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *`,
+        [
+          req.user.id, exerciseName, activityKey || null, duration,
+          estimate ? estimate.caloriesBurned : caloriesBurned,
+          intensity, logDate, logTime || null, notes || null
+        ]
+      );
+
+      await clearExerciseCaches(req.user.id, [logDate]);
+
+      res.status(201).json({
+        success: true,
+        log: result.rows[0],
+        estimate,
+        message: '運動記錄添加成功'
+      });
+    } catch (error) {
+      console.error('Exercise logging error:', error);
+      res.status(500).json({
+        success: false,
+        message: '記錄運動失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/exercise/:id
+ * @desc Update an exercise log; calories are re-estimated from the stored
+ *       activity when the activity, duration or intensity changes and no
+ *       value is given
+ * @access Private
+ */
+router.put('/:id',
+  authenticateToken,
+  applyUnitPreferences(EXERCISE_UNITS),
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    },
+    body: {
+      exerciseName: { required: false, type: 'string', minLength: 1, maxLength: 200 },
+      activityKey: { required: false, nullable: true, type: 'string', maxLength: 50 }, // null to match by name
+      duration: { required: false, type: 'integer', min: 1, max: 1440 },
+      caloriesBurned: { required: false, type: 'number', min: 0, max: 10000 },
+      intensity: { required: false, type: 'string', enum: INTENSITIES },
+      logDate: { required: false, type: 'date' },
+      logTime: { required: false, nullable: true, type: 'time' },
+      notes: { required: false, nullable: true, type: 'string', maxLength: 1000 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const updateData = { ...req.body };
+
+      if (updateData.activityKey && !ExerciseService.findActivity(null, updateData.activityKey)) {
+        return res.status(400).json({
+          success: false,
+          message: '未知的運動項目'
+        });
+      }
+
+      const checkResult = await query(
+        `SELECT *, to_char(log_date, 'YYYY-MM-DD') as log_date_str
+         FROM user_exercise_logs WHERE id = $1 AND user_id = $2`,
+        [id, req.user.id]
+      );
+
+      if (checkResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: '運動記錄不存在或無權限修改'
+        });
+      }
+
+      const existingLog = checkResult.rows[0];
+
+      const affectsEstimate = ['exerciseName', 'activityKey', 'duration', 'intensity']
+        .some(field => updateData[field] !== undefined);
+      let estimate = null;
+
+      if (affectsEstimate && updateData.caloriesBurned === undefined) {
+        estimate = await estimateForUser(req.user.id, {
+          exerciseName: updateData.exerciseName || existingLog.exercise_name,
+          activityKey: updateData.activityKey !== undefined ? updateData.activityKey : existingLog.activity_key,
+          intensity: updateData.intensity || existingLog.intensity,
+          duration: updateData.duration || existingLog.duration
+        });
+        updateData.caloriesBurned = estimate.caloriesBurned;
+      }
+
+      const updateQuery = buildUpdate({
+        table: 'user_exercise_logs',
+        data: updateData,
+        fieldMap: EXERCISE_LOG_UPDATE_FIELDS,
+        where: { id, user_id: req.user.id },
+        touchUpdatedAt: false
+      });
+
+      const result = await query(updateQuery.text, updateQuery.values);
+
+      await clearExerciseCaches(req.user.id, [existingLog.log_date_str, updateData.logDate]);
+
+      res.json({
+        success: true,
+        log: result.rows[0],
+        estimate,
+        message: '運動記錄更新成功'
+      });
+    } catch (error) {
+      if (error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Exercise log update error:', error);
+      res.status(500).json({
+        success: false,
+        message: '更新運動記錄失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/exercise/:id
+ * @desc Delete an exercise log
+ * @access Private
+ */
+router.delete('/:id',
+  authenticateToken,
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const result = await query(
+        `DELETE FROM user_exercise_logs WHERE id = $1 AND user_id = $2
+         RETURNING to_char(log_date, 'YYYY-MM-DD') as log_date`,
+        [req.params.id, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: '運動記錄不存在或無權限刪除'
+        });
+      }
+
+      await clearExerciseCaches(req.user.id, [result.rows[0].log_date]);
+
+      res.json({
+        success: true,
+        message: '運動記錄刪除成功'
+      });
+    } catch (error) {
+      console.error('Exercise log deletion error:', error);
+      res.status(500).json({
+        success: false,
+        message: '刪除運動記錄失敗'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerified } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
 const { query } = require('../database/connection');
 const SimpleAIService = require('../services/SimpleAIService');
@@ -44,9 +44,11 @@ const upload = multer({
 /**
  * @route POST /api/food-recognition/analyze
  * @desc Analyze food image and return nutrition data
- * @access Public (for demo)
+ * @access Private
  */
 router.post('/analyze',
+  authenticateToken,
+  requireVerified,
   upload.single('image'),
   async (req, res) => {
     try {
@@ -111,9 +113,11 @@ router.post('/analyze',
 /**
  * @route POST /api/food-recognition/analyze-base64
  * @desc Analyze base64 encoded image
- * @access Public (for demo)
+ * @access Private
  */
 router.post('/analyze-base64',
+  authenticateToken,
+  requireVerified,
   validateRequest({
     body: {
       image: { required: true, type: 'string' },
@@ -166,7 +170,7 @@ router.get('/foods',
       let paramIndex = 1;
 
       if (search) {
-        searchQuery += ` AND (f.description ILIKE $${paramIndex} OR f.description_tw ILIKE $${paramIndex})`;
+        searchQuery += ` AND (f.description ILIKE $${paramIndex} OR f.description_tw ILIKE $${paramIndex} OR f.aliases_tw ILIKE $${paramIndex})`;
         queryParams.push(`%${search}%`);
         paramIndex++;
       }
@@ -1,13 +1,72 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const UnitConversionService = require('../services/UnitConversionService');
+const RecipeService = require('../services/RecipeService');
+const CommunityFoodService = require('../services/CommunityFoodService');
+const BarcodeService = require('../services/BarcodeService');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
 const { cache } = require('../database/redis');
-const { query } = require('../database/connection');
+const { query, withTransaction } = require('../database/connection');
+const { QueryBuilderError, QueryParams, buildUpdate } = require('../database/queryBuilder');
 const router = express.Router();
 
+// API fields that may be changed on a custom food, and their columns
+const CUSTOM_FOOD_UPDATE_FIELDS = {
+  name: 'name',
+  description: 'description',
+  servingSize: 'serving_size',
+  servingUnit: 'serving_unit',
+  servingWeight: 'serving_weight_g',
+  density: 'density',
+  caloriesPerServing: 'calories_per_serving',
+  proteinPerServing: 'protein_per_serving',
+  carbsPerServing: 'carbs_per_serving',
+  fatPerServing: 'fat_per_serving',
+  fiberPerServing: 'fiber_per_serving',
+  sugarPerServing: 'sugar_per_serving',
+  sodiumPerServing: 'sodium_per_serving',
+  barcode: 'barcode',
+  isPublic: 'is_public'
+};
+
+// Serving units must be ones food logs can convert
+const validateServingUnit = (servingUnit) => {
+  if (servingUnit !== undefined && !UnitConversionService.normalizeUnit(servingUnit)) {
+    return `不支援的單位: ${servingUnit}`;
+  }
+  return null;
+};
+
+// Add nutrition and household portions to a foods row
+const withFoodDetails = async (food) => {
+  const [nutritionResult, portionResult] = await Promise.all([
+    query(
+      `SELECT fn.*, n.name, n.name_tw, n.unit_name
+       FROM food_nutrients fn
+       JOIN nutrients n ON fn.nutrient_id = n.id
+       WHERE fn.food_id = $1
+       ORDER BY n.rank ASC`,
+      [food.id]
+    ),
+    query(
+      `SELECT unit, amount, gram_weight, description, description_tw
+       FROM food_portions
+       WHERE food_id = $1
+       ORDER BY gram_weight ASC`,
+      [food.id]
+    )
+  ]);
+
+  return {
+    ...food,
+    nutrition: nutritionResult.rows,
+    portions: portionResult.rows
+  };
+};
+
 /**
  * @route GET /api/food/search
- * @desc Search foods in database
+ * @desc Search foods in database and foods shared by the community
  * @access Private
  */
 router.get('/search',
@@ -17,16 +76,19 @@ router.get('/search',
       q: { required: true, type: 'string', minLength: 1 },
       limit: { required: false, type: 'number', min: 1, max: 100 },
       offset: { required: false, type: 'number', min: 0 },
-      category: { required: false, type: 'string' },
-      brand: { required: false, type: 'string' }
+      category: { required: false, type: 'integer', min: 1 },
+      brand: { required: false, type: 'string' },
+      community: { required: false, type: 'boolean' } // include public custom foods
     }
   }),
   async (req, res) => {
     try {
       const { q, limit = 20, offset = 0, category, brand } = req.query;
+      // Community foods have no category or brand, so those filters leave them out
+      const includeCommunity = req.query.community !== false && !category && !brand;
       
       // Check cache first
-      const cacheKey = `food_search:${q}:${limit}:${offset}:${category || ''}:${brand || ''}`;
+      const cacheKey = `food_search:${q}:${limit}:${offset}:${category || ''}:${brand || ''}:${includeCommunity}`;
       const cachedResult = await cache.get(cacheKey);
       
       if (cachedResult) {
@@ -34,82 +96,69 @@ router.get('/search',
           success: true,
           foods: cachedResult.foods,
           total: cachedResult.total,
+          communityFoods: cachedResult.communityFoods,
+          communityTotal: cachedResult.communityTotal,
           fromCache: true
         });
       }
 
-      // Build search query
-      let searchQuery = `
-        SELECT DISTINCT f.*, fc.name as category_name
-        FROM foods f
-        LEFT JOIN food_categories fc ON f.food_category_id = fc.id
-        WHERE (
+      // Build search filters
+      const params = new QueryParams([`%${q}%`]);
+      const conditions = [`(
           f.description ILIKE $1 
           OR f.description_tw ILIKE $1
+          OR f.aliases_tw ILIKE $1
           OR f.brand_name ILIKE $1
           OR f.ingredients ILIKE $1
-        )
-      `;
-      
-      const queryParams = [`%${q}%`];
-      let paramIndex = 2;
+        )`];
 
       // Add category filter
       if (category) {
-        searchQuery += ` AND f.food_category_id = $${paramIndex}`;
-        queryParams.push(category);
-        paramIndex++;
+        conditions.push(`f.food_category_id = ${params.add(category)}`);
       }
 
       // Add brand filter
       if (brand) {
-        searchQuery += ` AND f.brand_name ILIKE $${paramIndex}`;
-        queryParams.push(`%${brand}%`);
-        paramIndex++;
+        conditions.push(`f.brand_name ILIKE ${params.add(`%${brand}%`)}`);
       }
 
-      // Add ordering and pagination
-      searchQuery += ` ORDER BY f.description ASC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-      queryParams.push(limit, offset);
+      const whereClause = conditions.join(' AND ');
+      const filterValues = [...params.values];
 
-      const result = await query(searchQuery, queryParams);
+      // Add ordering and pagination
+      const result = await query(
+        `SELECT DISTINCT f.*, fc.name as category_name
+         FROM foods f
+         LEFT JOIN food_categories fc ON f.food_category_id = fc.id
+         WHERE ${whereClause}
+         ORDER BY f.description ASC
+         LIMIT ${params.add(limit)} OFFSET ${params.add(offset)}`,
+        params.values
+      );
 
       // Get total count for pagination
-      let countQuery = `
-        SELECT COUNT(DISTINCT f.id) as total
-        FROM foods f
-        WHERE (
-          f.description ILIKE $1 
-          OR f.description_tw ILIKE $1
-          OR f.brand_name ILIKE $1
-          OR f.ingredients ILIKE $1
-        )
-      `;
-      
-      const countParams = [`%${q}%`];
-      let countParamIndex = 2;
-
-      if (category) {
-        countQuery += ` AND f.food_category_id = $${countParamIndex}`;
-        countParams.push(category);
-        countParamIndex++;
-      }
-
-      if (brand) {
-        countQuery += ` AND f.brand_name ILIKE $${countParamIndex}`;
-        countParams.push(`%${brand}%`);
-      }
-
-      const countResult = await query(countQuery, countParams);
+      const countResult = await query(
+        `SELECT COUNT(DISTINCT f.id) as total
+         FROM foods f
+         WHERE ${whereClause}`,
+        filterValues
+      );
       const total = parseInt(countResult.rows[0].total);
 
+      // Public custom foods, credited to the user who shared them
+      const community = includeCommunity
+        ? await CommunityFoodService.search(q, { limit, offset })
+        : { foods: [], total: 0 };
+
       const response = {
         success: true,
         foods: result.rows,
         total,
+        communityFoods: community.foods,
+        communityTotal: community.total,
         limit: parseInt(limit),
         offset: parseInt(offset),
-        hasMore: offset + parseInt(limit) < total
+        hasMore: offset + parseInt(limit) < Math.max(total, community.total)
       };
 
       // Cache the result for 10 minutes
@@ -132,81 +181,6 @@ router.get('/search',
   }
 );
 
-/**
- * @route GET /api/food/:id
- * @desc Get food details by ID
- * @access Private
- */
-router.get('/:id',
-  authenticateToken,
-  validateRequest({
-    params: {
-      id: { required: true, type: 'number' }
-    }
-  }),
-  async (req, res) => {
-    try {
-      const { id } = req.params;
-      
-      // Check cache first
-      const cacheKey = `food:${id}`;
-      const cachedFood = await cache.get(cacheKey);
-      
-      if (cachedFood) {
-        return res.json({
-          success: true,
-          food: cachedFood,
-          fromCache: true
-        });
-      }
-
-      // Get food details
-      const foodResult = await query(
-        `SELECT f.*, fc.name as category_name, fc.name_tw as category_name_tw
-         FROM foods f
-         LEFT JOIN food_categories fc ON f.food_category_id = fc.id
-         WHERE f.id = $1`,
-        [id]
-      );
-
-      if (foodResult.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: '食物不存在'
-        });
-      }
-
-      const food = foodResult.rows[0];
-
-      // Get nutrition information
-      const nutritionResult = await query(
-        `SELECT fn.*, n.name, n.name_tw, n.unit_name
-         FROM food_nutrients fn
-         JOIN nutrients n ON fn.nutrient_id = n.id
-         WHERE fn.food_id = $1
-         ORDER BY n.rank ASC`,
-        [id]
-      );
-
-      food.nutrition = nutritionResult.rows;
-
-      // Cache the result for 1 hour
-      await cache.set(cacheKey, food, 3600);
-
-      res.json({
-        success: true,
-        food
-      });
-    } catch (error) {
-      console.error('Food details error:', error);
-      res.status(500).json({
-        success: false,
-        message: '獲取食物詳情失敗'
-      });
-    }
-  }
-);
-
 /**
  * @route GET /api/food/categories
  * @desc Get food categories
@@ -262,6 +236,8 @@ router.post('/custom',
       description: { required: false, type: 'string', maxLength: 500 },
       servingSize: { required: true, type: 'number', min: 0.1 },
       servingUnit: { required: true, type: 'string', minLength: 1, maxLength: 20 },
+      servingWeight: { required: false, type: 'number', min: 0.1 }, // grams in one serving
+      density: { required: false, type: 'number', min: 0.1, max: 5 }, // g/ml
       caloriesPerServing: { required: false, type: 'number', min: 0 },
       proteinPerServing: { required: false, type: 'number', min: 0 },
       carbsPerServing: { required: false, type: 'number', min: 0 },
@@ -269,6 +245,7 @@ router.post('/custom',
       fiberPerServing: { required: false, type: 'number', min: 0 },
       sugarPerServing: { required: false, type: 'number', min: 0 },
       sodiumPerServing: { required: false, type: 'number', min: 0 },
+      barcode: { required: false, type: 'string', maxLength: 20 }, // EAN-8/EAN-13/UPC-A of a packaged product
       isPublic: { required: false, type: 'boolean' }
     }
   }),
@@ -279,6 +256,8 @@ router.post('/custom',
         description,
         servingSize,
         servingUnit,
+        servingWeight,
+        density,
         caloriesPerServing,
         proteinPerServing,
         carbsPerServing,
@@ -286,31 +265,57 @@ router.post('/custom',
         fiberPerServing,
         sugarPerServing,
         sodiumPerServing,
+        barcode,
         isPublic = false
       } = req.body;
 
+      const unitError = validateServingUnit(servingUnit);
+      if (unitError) {
+        return res.status(400).json({
+          success: false,
+          message: unitError
+        });
+      }
+
+      const gtin = barcode ? await BarcodeService.normalizeForSubmission(barcode) : null;
+
       const result = await query(
         `INSERT INTO user_custom_foods (
-          user_id, name, description, serving_size, serving_unit,
+          user_id, name, description, serving_size, serving_unit, serving_weight_g, density,
           calories_per_serving, protein_per_serving, carbs_per_serving,
           fat_per_serving, fiber_per_serving, sugar_per_serving,
-          sodium_per_serving, is_public
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+          sodium_per_serving, barcode, is_public
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
         RETURNING *`,
         [
-          req.user.id, name, description, servingSize, servingUnit,
+          req.user.id, name, description, servingSize, servingUnit, servingWeight, density,
           caloriesPerServing, proteinPerServing, carbsPerServing,
           fatPerServing, fiberPerServing, sugarPerServing,
-          sodiumPerServing, isPublic
+          sodiumPerServing, gtin, isPublic
         ]
       );
 
+      const food = result.rows[0];
+
+      // Cached searches would not list a newly shared food
+      if (food.is_public) {
+        await cache.delPattern('food_search:*');
+      }
+
       res.status(201).json({
         success: true,
-        food: result.rows[0],
+        food,
+        possibleDuplicates: food.is_public ? await CommunityFoodService.findDuplicates(food) : [],
         message: '自定義食物創建成功'
       });
     } catch (error) {
+      if (error instanceof BarcodeService.BarcodeError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Custom food creation error:', error);
       res.status(500).json({
         success: false,
@@ -338,21 +343,18 @@ router.get('/custom',
     try {
       const { limit = 20, offset = 0, public: includePublic = false } = req.query;
 
-      let query = `
-        SELECT * FROM user_custom_foods 
-        WHERE user_id = $1
-      `;
-      
-      const params = [req.user.id];
-
-      if (includePublic) {
-        query += ` OR is_public = true`;
-      }
+      const params = new QueryParams([req.user.id]);
+      const ownerCondition = includePublic
+        ? `(user_id = $1 OR (is_public = true AND moderation_status IN ('pending', 'approved')))`
+        : 'user_id = $1';
 
-      query += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-      params.push(limit, offset);
-
-      const result = await query(query, params);
+      const result = await query(
+        `SELECT * FROM user_custom_foods 
+         WHERE ${ownerCondition}
+         ORDER BY created_at DESC
+         LIMIT ${params.add(limit)} OFFSET ${params.add(offset)}`,
+        params.values
+      );
 
       res.json({
         success: true,
@@ -386,6 +388,8 @@ router.put('/custom/:id',
       description: { required: false, type: 'string', maxLength: 500 },
       servingSize: { required: false, type: 'number', min: 0.1 },
       servingUnit: { required: false, type: 'string', minLength: 1, maxLength: 20 },
+      servingWeight: { required: false, type: 'number', min: 0.1 }, // grams in one serving
+      density: { required: false, type: 'number', min: 0.1, max: 5 }, // g/ml
       caloriesPerServing: { required: false, type: 'number', min: 0 },
       proteinPerServing: { required: false, type: 'number', min: 0 },
       carbsPerServing: { required: false, type: 'number', min: 0 },
@@ -393,6 +397,7 @@ router.put('/custom/:id',
       fiberPerServing: { required: false, type: 'number', min: 0 },
       sugarPerServing: { required: false, type: 'number', min: 0 },
       sodiumPerServing: { required: false, type: 'number', min: 0 },
+      barcode: { required: false, type: 'string', maxLength: 20 }, // empty to remove
       isPublic: { required: false, type: 'boolean' }
     }
   }),
@@ -401,6 +406,14 @@ router.put('/custom/:id',
       const { id } = req.params;
       const updateData = req.body;
 
+      const unitError = validateServingUnit(updateData.servingUnit);
+      if (unitError) {
+        return res.status(400).json({
+          success: false,
+          message: unitError
+        });
+      }
+
       // Check if food exists and belongs to user
       const checkResult = await query(
         'SELECT * FROM user_custom_foods WHERE id = $1 AND user_id = $2',
@@ -414,43 +427,59 @@ router.put('/custom/:id',
         });
       }
 
-      // Build update query dynamically
-      const updateFields = [];
-      const updateValues = [];
-      let paramIndex = 1;
+      if (updateData.barcode !== undefined) {
+        updateData.barcode = updateData.barcode
+          ? await BarcodeService.normalizeForSubmission(updateData.barcode)
+          : null;
+      }
 
-      Object.keys(updateData).forEach(key => {
-        if (updateData[key] !== undefined) {
-          updateFields.push(`${key} = $${paramIndex}`);
-          updateValues.push(updateData[key]);
-          paramIndex++;
-        }
+      const updateQuery = buildUpdate({
+        table: 'user_custom_foods',
+        data: updateData,
+        fieldMap: CUSTOM_FOOD_UPDATE_FIELDS,
+        where: { id, user_id: req.user.id }
       });
 
-      if (updateFields.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: '沒有提供要更新的數據'
-        });
-      }
+      // Recipes made with this food are recomputed with the new values;
+      // edited community foods go back to the moderation queue
+      const food = await withTransaction(async (client) => {
+        const result = await client.query(updateQuery.text, updateQuery.values);
+        await RecipeService.recomputeForCustomFood(id, client);
+
+        const updated = result.rows[0];
+        if (updated.is_public && updated.moderation_status === 'approved') {
+          const requeued = await client.query(
+            `UPDATE user_custom_foods SET moderation_status = 'pending'
+             WHERE id = $1
+             RETURNING *`,
+            [id]
+          );
+          return requeued.rows[0];
+        }
+        return updated;
+      });
 
-      updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
-      updateValues.push(id, req.user.id);
-
-      const result = await query(
-        `UPDATE user_custom_foods 
-         SET ${updateFields.join(', ')} 
-         WHERE id = $${paramIndex} AND user_id = $${paramIndex + 1}
-         RETURNING *`,
-        updateValues
-      );
+      // Cached searches may still list the old values
+      await cache.delPattern('food_search:*');
 
       res.json({
         success: true,
-        food: result.rows[0],
+        food,
+        possibleDuplicates: food.is_public ? await CommunityFoodService.findDuplicates(food) : [],
         message: '自定義食物更新成功'
       });
     } catch (error) {
+      if (
+        error instanceof QueryBuilderError ||
+        error instanceof RecipeService.RecipeError ||
+        error instanceof BarcodeService.BarcodeError
+      ) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Custom food update error:', error);
       res.status(500).json({
         success: false,
@@ -476,23 +505,55 @@ router.delete('/custom/:id',
     try {
       const { id } = req.params;
 
-      const result = await query(
-        'DELETE FROM user_custom_foods WHERE id = $1 AND user_id = $2 RETURNING id',
-        [id, req.user.id]
-      );
+      // Removing the food drops its recipe lines, so those recipes are recomputed.
+      // Lines in other users' recipes and saved meals block the delete instead.
+      const deleted = await withTransaction(async (client) => {
+        const owned = await client.query(
+          'SELECT id FROM user_custom_foods WHERE id = $1 AND user_id = $2 FOR UPDATE',
+          [id, req.user.id]
+        );
+        if (owned.rows.length === 0) {
+          return false;
+        }
+
+        await CommunityFoodService.assertNotUsedByOthers(id, req.user.id, client);
+        const recipeResult = await client.query(
+          `SELECT DISTINCT r.id, r.user_id
+           FROM user_recipes r
+           JOIN user_recipe_ingredients i ON i.recipe_id = r.id
+           WHERE i.custom_food_id = $1`,
+          [id]
+        );
+        await client.query('DELETE FROM user_custom_foods WHERE id = $1', [id]);
+
+        for (const recipe of recipeResult.rows) {
+          await RecipeService.recompute(recipe.id, recipe.user_id, client);
+        }
+        return true;
+      });
 
-      if (result.rows.length === 0) {
+      if (!deleted) {
         return res.status(404).json({
           success: false,
           message: '自定義食物不存在或無權限刪除'
         });
       }
 
+      // Cached searches may still list the food
+      await cache.delPattern('food_search:*');
+
       res.json({
         success: true,
         message: '自定義食物刪除成功'
       });
     } catch (error) {
+      if (error instanceof CommunityFoodService.CommunityFoodError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Custom food deletion error:', error);
       res.status(500).json({
         success: false,
@@ -502,6 +563,206 @@ router.delete('/custom/:id',
   }
 );
 
+/**
+ * @route GET /api/food/community/moderation
+ * @desc List community foods awaiting review or reported, with likely duplicates
+ * @access Admin
+ */
+router.get('/community/moderation',
+  authenticateToken,
+  requireAdmin,
+  validateRequest({
+    query: {
+      status: { required: false, type: 'string', enum: ['pending', 'reported'] },
+      limit: { required: false, type: 'integer', min: 1, max: 50 },
+      offset: { required: false, type: 'integer', min: 0 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { status, limit = 20, offset = 0 } = req.query;
+      const queue = await CommunityFoodService.getModerationQueue({ status, limit, offset });
+
+      res.json({
+        success: true,
+        ...queue,
+        limit,
+        offset
+      });
+    } catch (error) {
+      console.error('Community moderation queue error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取審核列表失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/food/community/:id/moderate
+ * @desc Approve, hide or merge a community food
+ * @access Admin
+ */
+router.post('/community/:id/moderate',
+  authenticateToken,
+  requireAdmin,
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    },
+    body: {
+      action: { required: true, type: 'string', enum: CommunityFoodService.MODERATION_ACTIONS },
+      mergeIntoId: { required: false, type: 'uuid' } // kept entry, for merge
+    }
+  }),
+  async (req, res) => {
+    try {
+      const food = await CommunityFoodService.moderate(req.params.id, req.user.id, req.body);
+
+      // Cached searches may still list the food
+      await cache.delPattern('food_search:*');
+
+      res.json({
+        success: true,
+        food,
+        message: '審核完成'
+      });
+    } catch (error) {
+      if (error instanceof CommunityFoodService.CommunityFoodError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Community moderation error:', error);
+      res.status(500).json({
+        success: false,
+        message: '審核社群食物失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/food/community/:id/upvote
+ * @desc Upvote a community food
+ * @access Private
+ */
+router.post('/community/:id/upvote',
+  authenticateToken,
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const upvoteCount = await CommunityFoodService.setVote(req.params.id, req.user.id, true);
+
+      res.json({
+        success: true,
+        upvoteCount,
+        message: '已推薦此食物'
+      });
+    } catch (error) {
+      if (error instanceof CommunityFoodService.CommunityFoodError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Community food upvote error:', error);
+      res.status(500).json({
+        success: false,
+        message: '推薦食物失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/food/community/:id/upvote
+ * @desc Remove an upvote from a community food
+ * @access Private
+ */
+router.delete('/community/:id/upvote',
+  authenticateToken,
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const upvoteCount = await CommunityFoodService.setVote(req.params.id, req.user.id, false);
+
+      res.json({
+        success: true,
+        upvoteCount,
+        message: '已取消推薦'
+      });
+    } catch (error) {
+      if (error instanceof CommunityFoodService.CommunityFoodError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Community food upvote removal error:', error);
+      res.status(500).json({
+        success: false,
+        message: '取消推薦失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/food/community/:id/report
+ * @desc Report a community food to moderators
+ * @access Private
+ */
+router.post('/community/:id/report',
+  authenticateToken,
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    },
+    body: {
+      reason: { required: true, type: 'string', enum: CommunityFoodService.REPORT_REASONS },
+      details: { required: false, type: 'string', maxLength: 1000 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const report = await CommunityFoodService.report(req.params.id, req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        report,
+        message: '已回報此食物，感謝協助'
+      });
+    } catch (error) {
+      if (error instanceof CommunityFoodService.CommunityFoodError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Community food report error:', error);
+      res.status(500).json({
+        success: false,
+        message: '回報食物失敗'
+      });
+    }
+  }
+);
+
 /**
  * @route GET /api/food/popular
  * @desc Get popular foods
@@ -559,4 +820,168 @@ router.get('/popular',
   }
 );
 
+/**
+ * @route GET /api/food/units
+ * @desc Get units accepted for logged amounts
+ * @access Private
+ */
+router.get('/units',
+  authenticateToken,
+  (req, res) => {
+    res.json({
+      success: true,
+      units: UnitConversionService.listUnits()
+    });
+  }
+);
+
+/**
+ * @route GET /api/food/barcode/:code
+ * @desc Look up a packaged food by EAN-8, EAN-13 or UPC-A barcode
+ * @access Private
+ * @note Unknown barcodes return 404 with the normalized barcode, which the
+ *       app can send to POST /api/food/custom to add the product
+ */
+router.get('/barcode/:code',
+  authenticateToken,
+  validateRequest({
+    params: {
+      code: { required: true, type: 'string', minLength: 8, maxLength: 20 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { gtin, format } = BarcodeService.normalize(req.params.code);
+      const barcode = { code: gtin, format };
+
+      // Check cache first
+      const cacheKey = `food_barcode:${gtin}`;
+      const cachedFood = await cache.get(cacheKey);
+
+      if (cachedFood) {
+        return res.json({
+          success: true,
+          barcode,
+          source: 'database',
+          food: cachedFood,
+          fromCache: true
+        });
+      }
+
+      const databaseFood = await BarcodeService.findFood(gtin);
+      if (databaseFood) {
+        const food = await withFoodDetails(databaseFood);
+
+        // Cache the result for 1 hour
+        await cache.set(cacheKey, food, 3600);
+
+        return res.json({
+          success: true,
+          barcode,
+          source: 'database',
+          food
+        });
+      }
+
+      // Products users have added; not cached, they change with moderation
+      const customFood = await CommunityFoodService.findByBarcode(gtin, req.user.id);
+      if (customFood) {
+        const { source, ...food } = customFood;
+        return res.json({
+          success: true,
+          barcode,
+          source,
+          food
+        });
+      }
+
+      res.status(404).json({
+        success: false,
+        barcode,
+        message: '找不到此條碼的商品，歡迎新增為自定義食物'
+      });
+    } catch (error) {
+      if (error instanceof BarcodeService.BarcodeError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Barcode lookup error:', error);
+      res.status(500).json({
+        success: false,
+        message: '條碼查詢失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/food/:id
+ * @desc Get food details by ID
+ * @access Private
+ * @note Registered last so it does not shadow the static routes above
+ */
+router.get('/:id',
+  authenticateToken,
+  validateRequest({
+    params: {
+      id: { required: true, type: 'number' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      
+      // Check cache first
+      const cacheKey = `food:${id}`;
+      const cachedFood = await cache.get(cacheKey);
+      
+      if (cachedFood) {
+        return res.json({
+          success: true,
+          food: cachedFood,
+          fromCache: true
+        });
+      }
+
+      // Get food details
+      const foodResult = await query(
+        `SELECT f.*, fc.name as category_name, fc.name_tw as category_name_tw,
+                uf.fdc_id as usda_fdc_id, uf.description as usda_description
+         FROM foods f
+         LEFT JOIN food_categories fc ON f.food_category_id = fc.id
+         LEFT JOIN foods uf ON f.usda_food_id = uf.id
+         WHERE f.id = $1`,
+        [id]
+      );
+
+      if (foodResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: '食物不存在'
+        });
+      }
+
+      // Get nutrition information and household portions
+      const food = await withFoodDetails(foodResult.rows[0]);
+
+      // Cache the result for 1 hour
+      await cache.set(cacheKey, food, 3600);
+
+      res.json({
+        success: true,
+        food
+      });
+    } catch (error) {
+      console.error('Food details error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取食物詳情失敗'
+      });
+    }
+  }
+);
+
 module.exports = router;
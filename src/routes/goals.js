@@ -0,0 +1,472 @@
+const express = require('express');
+const GoalService = require('../services/GoalService');
+const TimezoneService = require('../services/TimezoneService');
+const UserStatsService = require('../services/UserStatsService');
+const { authenticateToken } = require('../middleware/auth');
+const { applyUnitPreferences } = require('../middleware/units');
+const { validateRequest } = require('../middleware/validation');
+const { query, withTransaction } = require('../database/connection');
+const {
+  QueryBuilderError,
+  QueryParams,
+  buildUpdate
+} = require('../database/queryBuilder');
+const router = express.Router();
+
+const { GOAL_COLUMNS } = GoalService;
+
+const GOAL_TYPES = ['weight_loss', 'weight_gain', 'maintenance', 'muscle_gain'];
+
+// API fields that may be changed on a goal, and their columns
+const GOAL_UPDATE_FIELDS = {
+  targetValue: 'target_value',
+  targetDate: 'target_date'
+};
+
+// Goal weights are entered and shown in the user's units; goals store kg
+const GOAL_UNITS = {
+  input: {
+    bodyWeight: ['targetValue', 'startValue']
+  },
+  output: {
+    bodyWeight: [
+      'goal.start_value', 'goal.target_value', 'goal.current_value', 'goal.progress.remaining',
+      'goals.*.start_value', 'goals.*.target_value', 'goals.*.current_value', 'goals.*.progress.remaining',
+      'history.*.value', 'history.*.details.targetValue', 'history.*.details.startValue'
+    ]
+  }
+};
+
+// Check the target weight lies in the goal's direction from the start weight
+const validateTarget = (goalType, startValue, targetValue) => {
+  if (startValue === null || targetValue === null || targetValue === undefined) {
+    return null;
+  }
+  if (goalType === 'weight_loss' && targetValue >= startValue) {
+    return '減重目標體重需低於目前體重';
+  }
+  if ((goalType === 'weight_gain' || goalType === 'muscle_gain') && targetValue <= startValue) {
+    return '增重目標體重需高於目前體重';
+  }
+  return null;
+};
+
+// Attach freshly evaluated progress to goal rows
+const withProgress = (rows, evaluated) => {
+  const progressById = new Map(evaluated.map(goal => [goal.id, goal.progress]));
+  return rows.map(row => ({ ...row, progress: progressById.get(row.id) || null }));
+};
+
+/**
+ * @route GET /api/goals
+ * @desc List goals with progress for active ones
+ * @access Private
+ */
+router.get('/',
+  authenticateToken,
+  applyUnitPreferences(GOAL_UNITS),
+  validateRequest({
+    query: {
+      status: { required: false, type: 'string', enum: ['active', 'achieved', 'abandoned', 'all'] }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { status = 'active' } = req.query;
+
+      // Goals are marked achieved when weight or goals change; reads only compute progress
+      const evaluated = await GoalService.getProgress(req.user.id);
+
+      const params = new QueryParams([req.user.id]);
+      const conditions = ['user_id = $1'];
+      if (status !== 'all') {
+        conditions.push(`status = ${params.add(status)}`);
+      }
+
+      const result = await query(
+        `SELECT ${GOAL_COLUMNS} FROM user_goals
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY is_active DESC, created_at DESC`,
+        params.values
+      );
+
+      res.json({
+        success: true,
+        goals: withProgress(result.rows, evaluated)
+      });
+    } catch (error) {
+      console.error('Get goals error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取目標失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/goals/history
+ * @desc Get goal history events, including achieved and abandoned goals
+ * @access Private
+ */
+router.get('/history',
+  authenticateToken,
+  applyUnitPreferences(GOAL_UNITS),
+  validateRequest({
+    query: {
+      goalId: { required: false, type: 'uuid' },
+      limit: { required: false, type: 'integer', min: 1, max: 100 },
+      offset: { required: false, type: 'integer', min: 0 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { goalId, limit = 20, offset = 0 } = req.query;
+
+      const params = new QueryParams([req.user.id]);
+      const conditions = ['h.user_id = $1'];
+      if (goalId) {
+        conditions.push(`h.goal_id = ${params.add(goalId)}`);
+      }
+
+      const result = await query(
+        `SELECT h.id, h.goal_id, h.event, h.value, h.details, h.created_at,
+                g.goal_type, g.status as goal_status
+         FROM user_goal_history h
+         JOIN user_goals g ON h.goal_id = g.id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY h.created_at DESC
+         LIMIT ${params.add(limit)} OFFSET ${params.add(offset)}`,
+        params.values
+      );
+
+      res.json({
+        success: true,
+        history: result.rows,
+        limit,
+        offset
+      });
+    } catch (error) {
+      console.error('Goal history error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取目標歷史失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/goals/:id
+ * @desc Get a goal with progress and history
+ * @access Private
+ */
+router.get('/:id',
+  authenticateToken,
+  applyUnitPreferences(GOAL_UNITS),
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const evaluated = await GoalService.getProgress(req.user.id);
+
+      const [goalResult, historyResult] = await Promise.all([
+        query(
+          `SELECT ${GOAL_COLUMNS} FROM user_goals WHERE id = $1 AND user_id = $2`,
+          [req.params.id, req.user.id]
+        ),
+        query(
+          `SELECT id, event, value, details, created_at FROM user_goal_history
+           WHERE goal_id = $1 AND user_id = $2
+           ORDER BY created_at DESC`,
+          [req.params.id, req.user.id]
+        )
+      ]);
+
+      if (goalResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: '目標不存在'
+        });
+      }
+
+      res.json({
+        success: true,
+        goal: withProgress(goalResult.rows, evaluated)[0],
+        history: historyResult.rows
+      });
+    } catch (error) {
+      console.error('Get goal error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取目標失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/goals
+ * @desc Create a goal; only one active goal of each type is allowed
+ * @access Private
+ */
+router.post('/',
+  authenticateToken,
+  applyUnitPreferences(GOAL_UNITS),
+  validateRequest({
+    body: {
+      goalType: { required: true, type: 'string', enum: GOAL_TYPES },
+      targetValue: { required: false, type: 'number', min: 20, max: 500 }, // kg
+      targetDate: { required: false, type: 'date' },
+      startValue: { required: false, type: 'number', min: 20, max: 500 } // kg, defaults to current weight
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { goalType, targetValue, targetDate, startValue } = req.body;
+      const { today } = await TimezoneService.getUserToday(req.user.id);
+
+      if (goalType !== 'maintenance' && targetValue === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: '請提供目標體重'
+        });
+      }
+
+      if (targetDate && targetDate <= today) {
+        return res.status(400).json({
+          success: false,
+          message: '目標日期需晚於今天'
+        });
+      }
+
+      const context = await GoalService.loadContext(req.user.id, today);
+      const start = startValue !== undefined ? startValue : context.currentWeight;
+      const target = targetValue !== undefined ? targetValue : start;
+
+      const targetError = validateTarget(goalType, start, target);
+      if (targetError) {
+        return res.status(400).json({
+          success: false,
+          message: targetError
+        });
+      }
+
+      const goal = await withTransaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO user_goals (user_id, goal_type, target_value, target_date, start_value, start_date, current_value)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING ${GOAL_COLUMNS}`,
+          [req.user.id, goalType, target, targetDate || null, start, today, context.currentWeight]
+        );
+
+        await GoalService.recordHistory(result.rows[0], 'created', {}, client);
+        return result.rows[0];
+      });
+
+      const evaluated = await GoalService.evaluateGoals(req.user.id, today);
+      const [goalWithProgress] = withProgress([goal], evaluated);
+      await UserStatsService.invalidate(req.user.id);
+
+      res.status(201).json({
+        success: true,
+        goal: goalWithProgress,
+        message: '目標建立成功'
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: '已有相同類型的進行中目標'
+        });
+      }
+
+      console.error('Create goal error:', error);
+      res.status(500).json({
+        success: false,
+        message: '建立目標失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/goals/:id
+ * @desc Update a goal's target, or abandon / reactivate it with isActive
+ * @access Private
+ */
+router.put('/:id',
+  authenticateToken,
+  applyUnitPreferences(GOAL_UNITS),
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    },
+    body: {
+      targetValue: { required: false, type: 'number', min: 20, max: 500 },
+      targetDate: { required: false, nullable: true, type: 'date' },
+      isActive: { required: false, type: 'boolean' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { isActive, ...changes } = req.body;
+      const { today } = await TimezoneService.getUserToday(req.user.id);
+
+      if (changes.targetDate && changes.targetDate <= today) {
+        return res.status(400).json({
+          success: false,
+          message: '目標日期需晚於今天'
+        });
+      }
+
+      const goal = await withTransaction(async (client) => {
+        const existing = await client.query(
+          `SELECT ${GOAL_COLUMNS} FROM user_goals WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+          [req.params.id, req.user.id]
+        );
+        if (existing.rows.length === 0) {
+          return null;
+        }
+
+        const current = existing.rows[0];
+
+        if (current.status === 'achieved' && Object.keys(changes).length > 0) {
+          throw new GoalService.GoalError('已達成的目標無法修改目標值或日期');
+        }
+
+        const targetError = validateTarget(
+          current.goal_type,
+          current.start_value !== null ? parseFloat(current.start_value) : null,
+          changes.targetValue
+        );
+        if (targetError) {
+          throw new GoalService.GoalError(targetError);
+        }
+
+        if (Object.keys(changes).length > 0) {
+          const updateQuery = buildUpdate({
+            table: 'user_goals',
+            data: changes,
+            fieldMap: GOAL_UPDATE_FIELDS,
+            where: { id: current.id }
+          });
+          await client.query(updateQuery.text, updateQuery.values);
+        }
+
+        if (isActive === false && current.is_active) {
+          await client.query(
+            `UPDATE user_goals SET is_active = false, status = 'abandoned' WHERE id = $1`,
+            [current.id]
+          );
+        } else if (isActive === true && !current.is_active) {
+          if (current.status === 'achieved') {
+            throw new GoalService.GoalError('已達成的目標無法重新啟用');
+          }
+          await client.query(
+            `UPDATE user_goals SET is_active = true, status = 'active' WHERE id = $1`,
+            [current.id]
+          );
+        }
+
+        const updated = await client.query(
+          `SELECT ${GOAL_COLUMNS} FROM user_goals WHERE id = $1`,
+          [current.id]
+        );
+
+        if (Object.keys(changes).length > 0) {
+          await GoalService.recordHistory(updated.rows[0], 'updated', { changes }, client);
+        }
+        if (isActive === false && current.is_active) {
+          await GoalService.recordHistory(updated.rows[0], 'abandoned', {}, client);
+        }
+
+        return updated.rows[0];
+      });
+
+      if (!goal) {
+        return res.status(404).json({
+          success: false,
+          message: '目標不存在或無權限修改'
+        });
+      }
+
+      const evaluated = await GoalService.evaluateGoals(req.user.id, today);
+      const [goalWithProgress] = withProgress([goal], evaluated);
+      await UserStatsService.invalidate(req.user.id);
+
+      res.json({
+        success: true,
+        goal: goalWithProgress,
+        message: '目標更新成功'
+      });
+    } catch (error) {
+      if (error instanceof GoalService.GoalError || error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: '已有相同類型的進行中目標'
+        });
+      }
+
+      console.error('Update goal error:', error);
+      res.status(500).json({
+        success: false,
+        message: '更新目標失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/goals/:id
+ * @desc Delete a goal and its history
+ * @access Private
+ */
+router.delete('/:id',
+  authenticateToken,
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const result = await query(
+        'DELETE FROM user_goals WHERE id = $1 AND user_id = $2 RETURNING id',
+        [req.params.id, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: '目標不存在或無權限刪除'
+        });
+      }
+
+      await UserStatsService.invalidate(req.user.id);
+
+      res.json({
+        success: true,
+        message: '目標刪除成功'
+      });
+    } catch (error) {
+      console.error('Delete goal error:', error);
+      res.status(500).json({
+        success: false,
+        message: '刪除目標失敗'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,10 +1,142 @@
 const express = require('express');
+const UserStatsService = require('../services/UserStatsService');
+const AdaptiveTdeeService = require('../services/AdaptiveTdeeService');
+const TimezoneService = require('../services/TimezoneService');
+const FoodLogService = require('../services/FoodLogService');
+const NutrientService = require('../services/NutrientService');
+const SavedMealService = require('../services/SavedMealService');
 const { authenticateToken } = require('../middleware/auth');
+const { applyUnitPreferences } = require('../middleware/units');
 const { validateRequest } = require('../middleware/validation');
 const { cache } = require('../database/redis');
-const { query } = require('../database/connection');
+const { query, getClient, withTransaction } = require('../database/connection');
+const {
+  QueryBuilderError,
+  QueryParams,
+  buildUpdate,
+  lastDaysCondition,
+  dateRangeCondition
+} = require('../database/queryBuilder');
 const router = express.Router();
 
+// Fields accepted for one food log, shared by single and batch logging
+const FOOD_LOG_ITEM_SCHEMA = {
+  foodId: { required: false, type: 'number' },
+  customFoodId: { required: false, type: 'uuid' },
+  recipeId: { required: false, type: 'uuid' },
+  customFoodName: { required: false, type: 'string', maxLength: 200 },
+  amount: { required: true, type: 'number', min: 0.1 },
+  unit: { required: true, type: 'string', minLength: 1, maxLength: 20 },
+  mealType: { required: true, type: 'string', enum: ['breakfast', 'lunch', 'dinner', 'snack'] },
+  logDate: { required: true, type: 'date' },
+  logTime: { required: false, type: 'time' },
+  calories: { required: false, type: 'number', min: 0 },
+  protein: { required: false, type: 'number', min: 0 },
+  carbs: { required: false, type: 'number', min: 0 },
+  fat: { required: false, type: 'number', min: 0 },
+  fiber: { required: false, type: 'number', min: 0 },
+  sugar: { required: false, type: 'number', min: 0 },
+  sodium: { required: false, type: 'number', min: 0 }
+};
+
+// Most items accepted by one batch request
+const MAX_BATCH_ITEMS = 50;
+
+// API fields that may be changed on an existing food log, and their columns
+const FOOD_LOG_UPDATE_FIELDS = {
+  amount: 'amount',
+  unit: 'unit',
+  mealType: 'meal_type',
+  logTime: 'log_time',
+  grams: 'grams',
+  calories: 'calories',
+  protein: 'protein',
+  carbs: 'carbs',
+  fat: 'fat',
+  fiber: 'fiber',
+  sugar: 'sugar',
+  sodium: 'sodium'
+};
+
+// Energy and amounts in responses follow the user's units; logs store kcal and grams
+const LOG_UNITS = {
+  input: {
+    energy: ['calories']
+  },
+  output: {
+    energy: ['log.calories', 'nutrition.calories'],
+    mass: ['log.grams']
+  }
+};
+
+const BATCH_UNITS = {
+  input: {
+    energy: ['items.*.calories']
+  },
+  output: {
+    energy: ['results.*.log.calories', 'results.*.nutrition.calories'],
+    mass: ['results.*.log.grams']
+  }
+};
+
+const DAILY_UNITS = {
+  output: {
+    energy: [
+      'summary.total.calories', 'summary.targets.calories', 'summary.remaining.calories',
+      'summary.exercise.caloriesBurned', 'summary.net.calories', 'summary.net.remaining',
+      'meals.*.*.calories'
+    ],
+    mass: ['meals.*.*.grams'],
+    volume: ['summary.water.total', 'summary.water.goal', 'summary.water.remaining']
+  }
+};
+
+const TREND_UNITS = {
+  output: {
+    energy: ['trends.*.calories'],
+    volume: ['trends.*.water']
+  }
+};
+
+const WEEKLY_UNITS = {
+  output: {
+    energy: ['summary.total.calories', 'summary.average.calories', 'summary.dailyData.*.calories']
+  }
+};
+
+const ADAPTIVE_TDEE_UNITS = {
+  output: {
+    energy: [
+      'estimate.formulaTdee', 'estimate.estimatedTdee', 'estimate.observedTdee',
+      'estimate.averageIntake', 'autoAdjust.currentTdee', 'targets.calories'
+    ],
+    bodyWeight: ['estimate.weeklyWeightChange']
+  }
+};
+
+/**
+ * @route GET /api/nutrition/nutrients
+ * @desc List nutrients that can be requested from /daily and /trends
+ * @access Private
+ */
+router.get('/nutrients',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        nutrients: await NutrientService.listNutrients()
+      });
+    } catch (error) {
+      console.error('Nutrient list error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取營養素列表失敗'
+      });
+    }
+  }
+);
+
 /**
  * @route GET /api/nutrition/daily
  * @desc Get daily nutrition data for a specific date
@@ -12,10 +144,12 @@ const router = express.Router();
  */
 router.get('/daily',
   authenticateToken,
+  applyUnitPreferences(DAILY_UNITS),
   validateRequest({
     query: {
       date: { required: true, type: 'string' }, // YYYY-MM-DD format
-      includeMeals: { required: false, type: 'boolean' }
+      includeMeals: { required: false, type: 'boolean' },
+      nutrients: { required: false, type: 'string', maxLength: 300 } // nutrient numbers, e.g. "303,301,306", or "all"
     }
   }),
   async (req, res) => {
@@ -31,11 +165,15 @@ router.get('/daily',
         });
       }
 
+      const requestedNutrients = req.query.nutrients
+        ? await NutrientService.resolveCodes(req.query.nutrients)
+        : undefined;
+
       // Check cache first
       const cacheKey = `daily_nutrition:${req.user.id}:${date}`;
       const cachedData = await cache.get(cacheKey);
       
-      if (cachedData && !includeMeals) {
+      if (cachedData && !includeMeals && requestedNutrients === undefined) {
         return res.json({
           success: true,
           ...cachedData,
@@ -46,7 +184,7 @@ router.get('/daily',
       // Get user's target calories and preferences
       const userResult = await query(
         `SELECT u.*, up.calorie_goal, up.protein_goal, up.carb_goal, 
-                up.fat_goal, up.fiber_goal, up.sugar_goal, up.sodium_goal
+                up.fat_goal, up.fiber_goal, up.sugar_goal, up.sodium_goal, up.water_goal
          FROM users u
          LEFT JOIN user_preferences up ON u.id = up.user_id
          WHERE u.id = $1`,
@@ -80,12 +218,38 @@ router.get('/daily',
 
       const nutrition = nutritionResult.rows[0];
 
-      // Calculate targets (use preferences or calculate from user profile)
+      // Get exercise totals so the summary can show net calories
+      const exerciseResult = await query(
+        `SELECT 
+          COALESCE(SUM(calories_burned), 0) as calories_burned,
+          COALESCE(SUM(duration), 0) as duration,
+          COUNT(*) as sessions
+        FROM user_exercise_logs 
+        WHERE user_id = $1 AND log_date = $2`,
+        [req.user.id, date]
+      );
+
+      const exercise = exerciseResult.rows[0];
+
+      // Get water intake for the hydration ring
+      const waterResult = await query(
+        `SELECT COALESCE(SUM(amount), 0) as total
+         FROM user_water_logs
+         WHERE user_id = $1 AND log_date = $2`,
+        [req.user.id, date]
+      );
+
+      const waterTotal = parseInt(waterResult.rows[0].total);
+      const waterGoal = user.water_goal || 2000;
+      const caloriesBurned = parseFloat(exercise.calories_burned);
+      const netCalories = parseFloat(nutrition.total_calories) - caloriesBurned;
+
+      // Calculate targets (preferences override targets derived from the profile)
       const targets = {
-        calories: user.calorie_goal || user.target_calories || 2000,
-        protein: user.protein_goal || (user.weight ? user.weight * 1.6 : 150),
-        carbs: user.carb_goal || (user.target_calories ? user.target_calories * 0.45 / 4 : 250),
-        fat: user.fat_goal || (user.target_calories ? user.target_calories * 0.25 / 9 : 67),
+        calories: parseFloat(user.calorie_goal || user.target_calories || 2000),
+        protein: parseFloat(user.protein_goal || user.target_protein || (user.weight ? user.weight * 1.6 : 150)),
+        carbs: parseFloat(user.carb_goal || user.target_carbs || (user.target_calories ? user.target_calories * 0.45 / 4 : 250)),
+        fat: parseFloat(user.fat_goal || user.target_fat || (user.target_calories ? user.target_calories * 0.25 / 9 : 67)),
         fiber: user.fiber_goal || 25,
         sugar: user.sugar_goal || 50,
         sodium: user.sodium_goal || 2300
@@ -126,7 +290,22 @@ router.get('/daily',
             sugar: Math.max(0, targets.sugar - nutrition.total_sugar),
             sodium: Math.max(0, targets.sodium - nutrition.total_sodium)
           },
-          totalFoods: parseInt(nutrition.total_foods)
+          totalFoods: parseInt(nutrition.total_foods),
+          exercise: {
+            caloriesBurned,
+            duration: parseInt(exercise.duration),
+            sessions: parseInt(exercise.sessions)
+          },
+          net: {
+            calories: netCalories,
+            remaining: targets.calories - netCalories
+          },
+          water: {
+            total: waterTotal,
+            goal: waterGoal,
+            remaining: Math.max(0, waterGoal - waterTotal),
+            percentage: Math.round((waterTotal / waterGoal) * 100)
+          }
         }
       };
 
@@ -161,8 +340,20 @@ router.get('/daily',
       // Cache the result for 5 minutes
       await cache.set(cacheKey, response, 300);
 
+      // Any nutrient beyond the fixed columns is added on request, after caching
+      if (requestedNutrients !== undefined) {
+        response.summary.nutrients = await NutrientService.getDailyTotals(req.user.id, date, requestedNutrients);
+      }
+
       res.json(response);
     } catch (error) {
+      if (error instanceof NutrientService.NutrientError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Daily nutrition error:', error);
       res.status(500).json({
         success: false,
@@ -179,174 +370,218 @@ router.get('/daily',
  */
 router.post('/log',
   authenticateToken,
+  applyUnitPreferences(LOG_UNITS),
   validateRequest({
-    body: {
-      foodId: { required: false, type: 'number' },
-      customFoodId: { required: false, type: 'uuid' },
-      customFoodName: { required: false, type: 'string', maxLength: 200 },
-      amount: { required: true, type: 'number', min: 0.1 },
-      unit: { required: true, type: 'string', minLength: 1, maxLength: 20 },
-      mealType: { required: true, type: 'string', enum: ['breakfast', 'lunch', 'dinner', 'snack'] },
-      logDate: { required: true, type: 'string' }, // YYYY-MM-DD
-      logTime: { required: false, type: 'string' }, // HH:MM:SS
-      calories: { required: false, type: 'number', min: 0 },
-      protein: { required: false, type: 'number', min: 0 },
-      carbs: { required: false, type: 'number', min: 0 },
-      fat: { required: false, type: 'number', min: 0 },
-      fiber: { required: false, type: 'number', min: 0 },
-      sugar: { required: false, type: 'number', min: 0 },
-      sodium: { required: false, type: 'number', min: 0 }
-    }
+    body: FOOD_LOG_ITEM_SCHEMA
   }),
   async (req, res) => {
     try {
-      const {
-        foodId,
-        customFoodId,
-        customFoodName,
-        amount,
-        unit,
-        mealType,
-        logDate,
-        logTime,
-        calories,
-        protein,
-        carbs,
-        fat,
-        fiber,
-        sugar,
-        sodium
-      } = req.body;
+      const { log, nutrition } = await withTransaction(client =>
+        FoodLogService.createLog(req.user.id, req.body, client)
+      );
 
-      // Validate date format
-      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-      if (!dateRegex.test(logDate)) {
-        return res.status(400).json({
-          success: false,
-          message: '日期格式不正確，請使用 YYYY-MM-DD 格式'
-        });
-      }
+      // Clear cache for this date
+      const cacheKey = `daily_nutrition:${req.user.id}:${req.body.logDate}`;
+      await cache.del(cacheKey);
+      await UserStatsService.invalidate(req.user.id);
+      await AdaptiveTdeeService.applyIfDue(req.user.id);
 
-      // Ensure at least one food source is provided
-      if (!foodId && !customFoodId && !customFoodName) {
-        return res.status(400).json({
+      res.status(201).json({
+        success: true,
+        log,
+        nutrition,
+        message: '食物記錄添加成功'
+      });
+    } catch (error) {
+      if (error instanceof FoodLogService.FoodLogError) {
+        return res.status(error.status).json({
           success: false,
-          message: '必須提供食物ID或自定義食物信息'
+          message: error.message
         });
       }
 
-      // If custom food, get nutrition info
-      let nutritionData = {
-        calories: calories || 0,
-        protein: protein || 0,
-        carbs: carbs || 0,
-        fat: fat || 0,
-        fiber: fiber || 0,
-        sugar: sugar || 0,
-        sodium: sodium || 0
-      };
+      console.error('Food logging error:', error);
+      res.status(500).json({
+        success: false,
+        message: '記錄食物失敗'
+      });
+    }
+  }
+);
 
-      if (customFoodId) {
-        const customFoodResult = await query(
-          'SELECT * FROM user_custom_foods WHERE id = $1 AND user_id = $2',
-          [customFoodId, req.user.id]
-        );
+/**
+ * @route POST /api/nutrition/log/batch
+ * @desc Log several foods at once; either every item is saved or none are
+ * @access Private
+ */
+router.post('/log/batch',
+  authenticateToken,
+  applyUnitPreferences(BATCH_UNITS),
+  validateRequest({
+    body: {
+      items: {
+        required: true,
+        type: 'array',
+        minLength: 1,
+        maxLength: MAX_BATCH_ITEMS,
+        items: { type: 'object', properties: FOOD_LOG_ITEM_SCHEMA }
+      }
+    }
+  }),
+  async (req, res) => {
+    const { items } = req.body;
+    let client;
 
-        if (customFoodResult.rows.length === 0) {
-          return res.status(404).json({
-            success: false,
-            message: '自定義食物不存在'
-          });
+    try {
+      client = await getClient();
+      await client.query('BEGIN');
+
+      // Resolve every item first so all problems are reported together
+      const resolved = [];
+      for (const [index, item] of items.entries()) {
+        try {
+          resolved.push({ index, ...(await FoodLogService.resolveNutrition(req.user.id, item, client)) });
+        } catch (error) {
+          if (!(error instanceof FoodLogService.FoodLogError)) {
+            throw error;
+          }
+          resolved.push({ index, error });
         }
+      }
 
-        const customFood = customFoodResult.rows[0];
-        nutritionData = {
-          calories: (customFood.calories_per_serving || 0) * amount,
-          protein: (customFood.protein_per_serving || 0) * amount,
-          carbs: (customFood.carbs_per_serving || 0) * amount,
-          fat: (customFood.fat_per_serving || 0) * amount,
-          fiber: (customFood.fiber_per_serving || 0) * amount,
-          sugar: (customFood.sugar_per_serving || 0) * amount,
-          sodium: (customFood.sodium_per_serving || 0) * amount
-        };
-      } else if (foodId) {
-        // Get nutrition info from food database
-        const nutritionResult = await query(
-          `SELECT fn.amount, n.name, n.unit_name
-           FROM food_nutrients fn
-           JOIN nutrients n ON fn.nutrient_id = n.id
-           WHERE fn.food_id = $1 AND n.name IN (
-             'Energy (kcal)', 'Protein', 'Carbohydrate, by difference',
-             'Total lipid (fat)', 'Fiber, total dietary', 'Sugars, total',
-             'Sodium, Na'
-           )`,
-          [foodId]
-        );
+      const failed = resolved.filter(result => result.error);
+      if (failed.length > 0) {
+        await client.query('ROLLBACK');
 
-        // Calculate nutrition based on serving size
-        nutritionResult.rows.forEach(row => {
-          const nutrientAmount = parseFloat(row.amount) * amount;
-          switch (row.name) {
-            case 'Energy (kcal)':
-              nutritionData.calories = nutrientAmount;
-              break;
-            case 'Protein':
-              nutritionData.protein = nutrientAmount;
-              break;
-            case 'Carbohydrate, by difference':
-              nutritionData.carbs = nutrientAmount;
-              break;
-            case 'Total lipid (fat)':
-              nutritionData.fat = nutrientAmount;
-              break;
-            case 'Fiber, total dietary':
-              nutritionData.fiber = nutrientAmount;
-              break;
-            case 'Sugars, total':
-              nutritionData.sugar = nutrientAmount;
-              break;
-            case 'Sodium, Na':
-              nutritionData.sodium = nutrientAmount;
-              break;
-          }
+        return res.status(failed.some(result => result.error.status === 404) ? 404 : 400).json({
+          success: false,
+          message: '部分食物記錄無效，所有項目均未儲存',
+          results: resolved.map(result => ({
+            index: result.index,
+            success: false,
+            message: result.error ? result.error.message : '因其他項目失敗而未儲存'
+          }))
         });
       }
 
-      // Insert food log
-      const result = await query(
-        `INSERT INTO user_food_logs (
-          user_id, food_id, custom_food_name, amount, unit, meal_type,
-          log_date, log_time, calories, protein, carbs, fat, fiber, sugar, sodium
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
-        RETURNING *`,
-        [
-          req.user.id, foodId, customFoodName, amount, unit, mealType,
-          logDate, logTime || null, nutritionData.calories, nutritionData.protein,
-          nutritionData.carbs, nutritionData.fat, nutritionData.fiber,
-          nutritionData.sugar, nutritionData.sodium
-        ]
-      );
+      const results = [];
+      for (const { index, ...resolvedItem } of resolved) {
+        const { log, nutrition } = await FoodLogService.insertLog(
+          req.user.id, items[index], resolvedItem, client
+        );
+        results.push({ index, success: true, log, nutrition });
+      }
 
-      // Clear cache for this date
-      const cacheKey = `daily_nutrition:${req.user.id}:${logDate}`;
-      await cache.del(cacheKey);
+      await client.query('COMMIT');
+
+      // Invalidate each affected day once, after the commit
+      const dates = [...new Set(items.map(item => item.logDate))];
+      await Promise.all(dates.map(date => cache.del(`daily_nutrition:${req.user.id}:${date}`)));
+      await UserStatsService.invalidate(req.user.id);
+      await AdaptiveTdeeService.applyIfDue(req.user.id);
 
       res.status(201).json({
         success: true,
-        log: result.rows[0],
-        nutrition: nutritionData,
-        message: '食物記錄添加成功'
+        results,
+        count: results.length,
+        message: '食物記錄批次添加成功'
       });
     } catch (error) {
-      console.error('Food logging error:', error);
+      if (client) {
+        await client.query('ROLLBACK');
+      }
+
+      console.error('Batch food logging error:', error);
       res.status(500).json({
         success: false,
-        message: '記錄食物失敗'
+        message: '批次記錄食物失敗，所有項目均未儲存'
       });
+    } finally {
+      if (client) {
+        client.release();
+      }
     }
   }
 );
 
+// Copies the foods logged on one date to another, resolving each from its source food
+const copyLogs = async (req, res, options, logLabel, failureMessage) => {
+  try {
+    let { toDate } = req.body;
+    if (!toDate) {
+      ({ today: toDate } = await TimezoneService.getUserToday(req.user.id));
+    }
+
+    const logged = await withTransaction(client =>
+      SavedMealService.copyLogs(req.user.id, { ...options, toDate }, client)
+    );
+
+    await cache.del(`daily_nutrition:${req.user.id}:${toDate}`);
+    await UserStatsService.invalidate(req.user.id);
+    await AdaptiveTdeeService.applyIfDue(req.user.id);
+
+    res.status(201).json({
+      success: true,
+      toDate,
+      results: logged.map((result, index) => ({ index, success: true, ...result })),
+      count: logged.length,
+      message: '食物記錄複製成功'
+    });
+  } catch (error) {
+    if (error instanceof SavedMealService.SavedMealError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error(`${logLabel}:`, error);
+    res.status(500).json({
+      success: false,
+      message: failureMessage
+    });
+  }
+};
+
+/**
+ * @route POST /api/nutrition/copy-meal
+ * @desc Copy one meal's foods from a date to another date (default today)
+ * @access Private
+ */
+router.post('/copy-meal',
+  authenticateToken,
+  applyUnitPreferences(BATCH_UNITS),
+  validateRequest({
+    body: {
+      fromDate: { required: true, type: 'date' },
+      mealType: { required: true, type: 'string', enum: ['breakfast', 'lunch', 'dinner', 'snack'] },
+      toDate: { required: false, type: 'date' },
+      toMealType: { required: false, type: 'string', enum: ['breakfast', 'lunch', 'dinner', 'snack'] }
+    }
+  }),
+  (req, res) => {
+    const { fromDate, mealType, toMealType } = req.body;
+    return copyLogs(req, res, { fromDate, mealType, toMealType }, 'Copy meal error', '複製餐點失敗');
+  }
+);
+
+/**
+ * @route POST /api/nutrition/copy-day
+ * @desc Copy every food logged on a date to another date (default today)
+ * @access Private
+ */
+router.post('/copy-day',
+  authenticateToken,
+  applyUnitPreferences(BATCH_UNITS),
+  validateRequest({
+    body: {
+      fromDate: { required: true, type: 'date' },
+      toDate: { required: false, type: 'date' }
+    }
+  }),
+  (req, res) => copyLogs(req, res, { fromDate: req.body.fromDate }, 'Copy day error', '複製整日記錄失敗')
+);
+
 /**
  * @route PUT /api/nutrition/log/:id
  * @desc Update food log entry
@@ -354,6 +589,7 @@ router.post('/log',
  */
 router.put('/log/:id',
   authenticateToken,
+  applyUnitPreferences(LOG_UNITS),
   validateRequest({
     params: {
       id: { required: true, type: 'uuid' }
@@ -362,7 +598,7 @@ router.put('/log/:id',
       amount: { required: false, type: 'number', min: 0.1 },
       unit: { required: false, type: 'string', minLength: 1, maxLength: 20 },
       mealType: { required: false, type: 'string', enum: ['breakfast', 'lunch', 'dinner', 'snack'] },
-      logTime: { required: false, type: 'string' }
+      logTime: { required: false, type: 'time' }
     }
   }),
   async (req, res) => {
@@ -372,7 +608,8 @@ router.put('/log/:id',
 
       // Check if log exists and belongs to user
       const checkResult = await query(
-        'SELECT * FROM user_food_logs WHERE id = $1 AND user_id = $2',
+        `SELECT *, to_char(log_date, 'YYYY-MM-DD') as log_day
+         FROM user_food_logs WHERE id = $1 AND user_id = $2`,
         [id, req.user.id]
       );
 
@@ -385,40 +622,35 @@ router.put('/log/:id',
 
       const existingLog = checkResult.rows[0];
 
-      // Build update query dynamically
-      const updateFields = [];
-      const updateValues = [];
-      let paramIndex = 1;
-
-      Object.keys(updateData).forEach(key => {
-        if (updateData[key] !== undefined) {
-          updateFields.push(`${key} = $${paramIndex}`);
-          updateValues.push(updateData[key]);
-          paramIndex++;
-        }
-      });
-
-      if (updateFields.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: '沒有提供要更新的數據'
-        });
+      // A new amount or unit changes what was eaten, so nutrition follows it
+      let data = updateData;
+      let nutrients = null;
+      if (updateData.amount !== undefined || updateData.unit !== undefined) {
+        const recalculated = await FoodLogService.recalculate(req.user.id, existingLog, updateData);
+        data = { ...updateData, ...recalculated.nutrition, grams: recalculated.grams };
+        nutrients = recalculated.nutrients;
       }
 
-      updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
-      updateValues.push(id, req.user.id);
+      const updateQuery = buildUpdate({
+        table: 'user_food_logs',
+        data,
+        fieldMap: FOOD_LOG_UPDATE_FIELDS,
+        where: { id, user_id: req.user.id }
+      });
 
-      const result = await query(
-        `UPDATE user_food_logs 
-         SET ${updateFields.join(', ')} 
-         WHERE id = $${paramIndex} AND user_id = $${paramIndex + 1}
-         RETURNING *`,
-        updateValues
-      );
+      const result = await withTransaction(async (client) => {
+        const updated = await client.query(updateQuery.text, updateQuery.values);
+        if (nutrients) {
+          await FoodLogService.saveNutrients(id, nutrients, client);
+        }
+        return updated;
+      });
 
       // Clear cache for this date
-      const cacheKey = `daily_nutrition:${req.user.id}:${existingLog.log_date}`;
+      const cacheKey = `daily_nutrition:${req.user.id}:${existingLog.log_day}`;
       await cache.del(cacheKey);
+      await UserStatsService.invalidate(req.user.id);
+      await AdaptiveTdeeService.applyIfDue(req.user.id);
 
       res.json({
         success: true,
@@ -426,6 +658,13 @@ router.put('/log/:id',
         message: '食物記錄更新成功'
       });
     } catch (error) {
+      if (error instanceof QueryBuilderError || error instanceof FoodLogService.FoodLogError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Food log update error:', error);
       res.status(500).json({
         success: false,
@@ -453,7 +692,8 @@ router.delete('/log/:id',
 
       // Get log date before deletion for cache clearing
       const logResult = await query(
-        'SELECT log_date FROM user_food_logs WHERE id = $1 AND user_id = $2',
+        `SELECT to_char(log_date, 'YYYY-MM-DD') as log_date
+         FROM user_food_logs WHERE id = $1 AND user_id = $2`,
         [id, req.user.id]
       );
 
@@ -474,6 +714,8 @@ router.delete('/log/:id',
       // Clear cache for this date
       const cacheKey = `daily_nutrition:${req.user.id}:${logDate}`;
       await cache.del(cacheKey);
+      await UserStatsService.invalidate(req.user.id);
+      await AdaptiveTdeeService.applyIfDue(req.user.id);
 
       res.json({
         success: true,
@@ -496,45 +738,93 @@ router.delete('/log/:id',
  */
 router.get('/trends',
   authenticateToken,
+  applyUnitPreferences(TREND_UNITS),
   validateRequest({
     query: {
-      period: { required: false, type: 'number', min: 7, max: 365 }, // days
+      period: { required: false, type: 'integer', min: 7, max: 365 }, // days
       startDate: { required: false, type: 'string' },
-      endDate: { required: false, type: 'string' }
+      endDate: { required: false, type: 'string' },
+      nutrients: { required: false, type: 'string', maxLength: 300 } // nutrient numbers, e.g. "303,301,306"
     }
   }),
   async (req, res) => {
     try {
       const { period = 30, startDate, endDate } = req.query;
 
-      let dateCondition = '';
-      let queryParams = [req.user.id];
-
-      if (startDate && endDate) {
-        dateCondition = 'AND log_date BETWEEN $2 AND $3';
-        queryParams.push(startDate, endDate);
-      } else {
-        dateCondition = `AND log_date >= CURRENT_DATE - INTERVAL '${period} days'`;
+      if (req.query.nutrients === 'all') {
+        return res.status(400).json({
+          success: false,
+          message: '趨勢查詢請指定營養素代碼'
+        });
       }
 
+      const requestedNutrients = req.query.nutrients
+        ? await NutrientService.resolveCodes(req.query.nutrients)
+        : null;
+
+      // Rolling windows end on the user's local today, not the database server's
+      const { today } = await TimezoneService.getUserToday(req.user.id);
+
+      const windowCondition = (column, conditionParams) => (startDate && endDate
+        ? dateRangeCondition(column, startDate, endDate, conditionParams)
+        : lastDaysCondition(column, period, conditionParams, `${conditionParams.add(today)}::date`));
+
+      const params = new QueryParams([req.user.id]);
+      const dateCondition = windowCondition('log_date', params);
+
+      // Days with only water logged still appear, with zero nutrition
       const result = await query(
-        `SELECT 
-          log_date,
-          SUM(calories) as calories,
-          SUM(protein) as protein,
-          SUM(carbs) as carbs,
-          SUM(fat) as fat,
-          SUM(fiber) as fiber,
-          SUM(sugar) as sugar,
-          SUM(sodium) as sodium,
-          COUNT(*) as food_count
-        FROM user_food_logs 
-        WHERE user_id = $1 ${dateCondition}
-        GROUP BY log_date 
-        ORDER BY log_date ASC`,
-        queryParams
+        `WITH food AS (
+          SELECT 
+            log_date,
+            SUM(calories) as calories,
+            SUM(protein) as protein,
+            SUM(carbs) as carbs,
+            SUM(fat) as fat,
+            SUM(fiber) as fiber,
+            SUM(sugar) as sugar,
+            SUM(sodium) as sodium,
+            COUNT(*) as food_count
+          FROM user_food_logs 
+          WHERE user_id = $1 AND ${dateCondition}
+          GROUP BY log_date
+        ), water AS (
+          SELECT log_date, SUM(amount) as water
+          FROM user_water_logs
+          WHERE user_id = $1 AND ${dateCondition}
+          GROUP BY log_date
+        )
+        SELECT
+          to_char(COALESCE(food.log_date, water.log_date), 'YYYY-MM-DD') as log_date,
+          COALESCE(food.calories, 0) as calories,
+          COALESCE(food.protein, 0) as protein,
+          COALESCE(food.carbs, 0) as carbs,
+          COALESCE(food.fat, 0) as fat,
+          COALESCE(food.fiber, 0) as fiber,
+          COALESCE(food.sugar, 0) as sugar,
+          COALESCE(food.sodium, 0) as sodium,
+          COALESCE(food.food_count, 0) as food_count,
+          COALESCE(water.water, 0) as water
+        FROM food
+        FULL OUTER JOIN water ON food.log_date = water.log_date
+        ORDER BY 1 ASC`,
+        params.values
       );
 
+      const nutrientSeries = requestedNutrients
+        ? await NutrientService.getDailySeries(req.user.id, requestedNutrients, windowCondition)
+        : null;
+
+      // Requested nutrients for one day, 0 when nothing containing them was logged
+      const nutrientsForDay = (date) => {
+        const amounts = nutrientSeries.get(date) || {};
+        const day = {};
+        requestedNutrients.forEach(nutrient => {
+          day[nutrient.nutrient_nbr] = amounts[nutrient.nutrient_nbr] || 0;
+        });
+        return day;
+      };
+
       res.json({
         success: true,
         trends: result.rows.map(row => ({
@@ -546,12 +836,22 @@ router.get('/trends',
           fiber: parseFloat(row.fiber),
           sugar: parseFloat(row.sugar),
           sodium: parseFloat(row.sodium),
-          foodCount: parseInt(row.food_count)
+          water: parseInt(row.water),
+          foodCount: parseInt(row.food_count),
+          ...(requestedNutrients && { nutrients: nutrientsForDay(row.log_date) })
         })),
+        ...(requestedNutrients && { nutrients: requestedNutrients.map(NutrientService.toNutrient) }),
         period: period,
         totalDays: result.rows.length
       });
     } catch (error) {
+      if (error instanceof QueryBuilderError || error instanceof NutrientService.NutrientError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Nutrition trends error:', error);
       res.status(500).json({
         success: false,
@@ -568,9 +868,10 @@ router.get('/trends',
  */
 router.get('/weekly-summary',
   authenticateToken,
+  applyUnitPreferences(WEEKLY_UNITS),
   validateRequest({
     query: {
-      weekStart: { required: false, type: 'string' } // YYYY-MM-DD
+      weekStart: { required: false, type: 'date' }
     }
   }),
   async (req, res) => {
@@ -581,18 +882,12 @@ router.get('/weekly-summary',
       if (weekStart) {
         startDate = weekStart;
       } else {
-        // Get current week start (Monday)
-        const today = new Date();
-        const dayOfWeek = today.getDay();
-        const daysToMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-        const monday = new Date(today);
-        monday.setDate(today.getDate() - daysToMonday);
-        startDate = monday.toISOString().split('T')[0];
+        // Current week start (Monday) in the user's time zone
+        const { today } = await TimezoneService.getUserToday(req.user.id);
+        startDate = TimezoneService.weekStart(today);
       }
 
-      const endDate = new Date(startDate);
-      endDate.setDate(endDate.getDate() + 6);
-      const endDateStr = endDate.toISOString().split('T')[0];
+      const endDateStr = TimezoneService.addDays(startDate, 6);
 
       // Check cache first
       const cacheKey = `weekly_summary:${req.user.id}:${startDate}`;
@@ -608,7 +903,7 @@ router.get('/weekly-summary',
 
       const result = await query(
         `SELECT 
-          log_date,
+          to_char(log_date, 'YYYY-MM-DD') as log_date,
           SUM(calories) as calories,
           SUM(protein) as protein,
           SUM(carbs) as carbs,
@@ -701,4 +996,103 @@ router.get('/weekly-summary',
   }
 );
 
+/**
+ * @route GET /api/nutrition/adaptive-tdee
+ * @desc Estimate maintenance calories from logged intake and weight trend
+ * @access Private
+ */
+router.get('/adaptive-tdee',
+  authenticateToken,
+  applyUnitPreferences(ADAPTIVE_TDEE_UNITS),
+  validateRequest({
+    query: {
+      windowDays: { required: false, type: 'integer', min: 14, max: 90 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { windowDays } = req.query;
+
+      const userResult = await query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: '用戶不存在'
+        });
+      }
+
+      const user = userResult.rows[0];
+      const estimate = await AdaptiveTdeeService.estimateForUser(user, { windowDays });
+
+      res.json({
+        success: true,
+        estimate,
+        autoAdjust: {
+          enabled: user.adaptive_tdee_enabled,
+          currentTdee: user.adaptive_tdee,
+          confidence: user.adaptive_tdee_confidence ? parseFloat(user.adaptive_tdee_confidence) : null,
+          lastCheckedAt: user.adaptive_tdee_checked_at
+        }
+      });
+    } catch (error) {
+      console.error('Adaptive TDEE error:', error);
+      res.status(500).json({
+        success: false,
+        message: '估算每日消耗熱量失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/nutrition/adaptive-tdee
+ * @desc Opt in or out of weekly calorie target adjustment
+ * @access Private
+ */
+router.put('/adaptive-tdee',
+  authenticateToken,
+  applyUnitPreferences(ADAPTIVE_TDEE_UNITS),
+  validateRequest({
+    body: {
+      enabled: { required: true, type: 'boolean' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const userResult = await query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: '用戶不存在'
+        });
+      }
+
+      const { estimate, applied, user } = await AdaptiveTdeeService.setEnabled(
+        userResult.rows[0],
+        req.body.enabled
+      );
+
+      res.json({
+        success: true,
+        enabled: req.body.enabled,
+        applied,
+        estimate,
+        targets: {
+          calories: user.target_calories,
+          protein: user.target_protein ? parseFloat(user.target_protein) : null,
+          carbs: user.target_carbs ? parseFloat(user.target_carbs) : null,
+          fat: user.target_fat ? parseFloat(user.target_fat) : null
+        },
+        message: req.body.enabled ? '已啟用每週自動調整熱量目標' : '已停用每週自動調整熱量目標'
+      });
+    } catch (error) {
+      console.error('Adaptive TDEE settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: '更新自動調整設定失敗'
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,610 @@
+const express = require('express');
+const RecipeService = require('../services/RecipeService');
+const { authenticateToken } = require('../middleware/auth');
+const { applyUnitPreferences } = require('../middleware/units');
+const { validateRequest } = require('../middleware/validation');
+const { query, withTransaction } = require('../database/connection');
+const {
+  QueryBuilderError,
+  QueryParams,
+  buildUpdate
+} = require('../database/queryBuilder');
+const router = express.Router();
+
+// Most ingredient lines one recipe may have
+const MAX_INGREDIENTS = 100;
+
+// Fields accepted for one ingredient line
+const INGREDIENT_SCHEMA = {
+  foodId: { required: false, type: 'number' },
+  customFoodId: { required: false, type: 'uuid' },
+  amount: { required: true, type: 'number', min: 0.01 },
+  unit: { required: true, type: 'string', minLength: 1, maxLength: 20 },
+  notes: { required: false, type: 'string', maxLength: 500 }
+};
+
+// API fields that may be changed on a recipe, and their columns
+const RECIPE_UPDATE_FIELDS = {
+  name: 'name',
+  description: 'description',
+  servings: 'servings',
+  cookedWeight: 'cooked_weight_g',
+  cookingLoss: 'cooking_loss',
+  retentionFactors: 'retention_factors'
+};
+
+// API fields that may be changed on an ingredient line, and their columns
+const INGREDIENT_UPDATE_FIELDS = {
+  amount: 'amount',
+  unit: 'unit',
+  notes: 'notes',
+  position: 'position'
+};
+
+// Weights and calories follow the user's units
+const RECIPE_NUTRITION_PATHS = ['total', 'perServing', 'per100g'];
+const recipeUnits = (prefix) => ({
+  energy: RECIPE_NUTRITION_PATHS.map(path => `${prefix}.nutrition.${path}.calories`)
+    .concat([`${prefix}.calories`]),
+  mass: ['cooked_weight_g', 'raw_weight_g', 'yield_weight_g', 'weight_per_serving']
+    .map(column => `${prefix}.${column}`)
+    .concat([`${prefix}.ingredients.*.grams`])
+});
+
+const RECIPE_UNITS = {
+  input: {
+    mass: ['cookedWeight']
+  },
+  output: recipeUnits('recipe')
+};
+
+const RECIPE_LIST_UNITS = {
+  output: recipeUnits('recipes.*')
+};
+
+// Each ingredient references exactly one database food or custom food
+const ingredientSourceError = (ingredient) => {
+  if (!ingredient.foodId === !ingredient.customFoodId) {
+    return '每項食材必須提供 foodId 或 customFoodId 其中之一';
+  }
+  return null;
+};
+
+// Access to custom foods is checked when the recipe is recomputed; a food
+// that does not exist at all fails the foreign key here
+const insertIngredient = async (client, recipeId, ingredient, position) => {
+  try {
+    return await client.query(
+      `INSERT INTO user_recipe_ingredients (recipe_id, food_id, custom_food_id, amount, unit, position, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        recipeId, ingredient.foodId || null, ingredient.customFoodId || null,
+        ingredient.amount, ingredient.unit, position, ingredient.notes || null
+      ]
+    );
+  } catch (error) {
+    if (error.code === '23503') {
+      throw new RecipeService.RecipeError(ingredient.foodId ? '食物不存在' : '自定義食物不存在', 404);
+    }
+    throw error;
+  }
+};
+
+/**
+ * @route GET /api/recipes
+ * @desc List the user's recipes with per serving nutrition
+ * @access Private
+ */
+router.get('/',
+  authenticateToken,
+  applyUnitPreferences(RECIPE_LIST_UNITS),
+  validateRequest({
+    query: {
+      q: { required: false, type: 'string', maxLength: 200 },
+      limit: { required: false, type: 'integer', min: 1, max: 100 },
+      offset: { required: false, type: 'integer', min: 0 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { q, limit = 20, offset = 0 } = req.query;
+
+      const params = new QueryParams([req.user.id]);
+      const conditions = ['user_id = $1'];
+      if (q) {
+        conditions.push(`name ILIKE ${params.add(`%${q}%`)}`);
+      }
+
+      const result = await query(
+        `SELECT * FROM user_recipes
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY updated_at DESC
+         LIMIT ${params.add(limit)} OFFSET ${params.add(offset)}`,
+        params.values
+      );
+
+      res.json({
+        success: true,
+        recipes: result.rows.map(recipe => RecipeService.format(recipe)),
+        limit,
+        offset
+      });
+    } catch (error) {
+      if (error instanceof RecipeService.RecipeError || error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Recipes error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取食譜失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/recipes/:id
+ * @desc Get a recipe with ingredients and full nutrient breakdown
+ * @access Private
+ */
+router.get('/:id',
+  authenticateToken,
+  applyUnitPreferences(RECIPE_UNITS),
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const recipe = await RecipeService.getDetails(req.params.id, req.user.id);
+
+      if (!recipe) {
+        return res.status(404).json({
+          success: false,
+          message: '食譜不存在'
+        });
+      }
+
+      res.json({
+        success: true,
+        recipe
+      });
+    } catch (error) {
+      if (error instanceof RecipeService.RecipeError || error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Recipe details error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取食譜失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/recipes
+ * @desc Create a recipe; nutrition is computed from the ingredients
+ * @access Private
+ */
+router.post('/',
+  authenticateToken,
+  applyUnitPreferences(RECIPE_UNITS),
+  validateRequest({
+    body: {
+      name: { required: true, type: 'string', minLength: 1, maxLength: 200 },
+      description: { required: false, type: 'string', maxLength: 2000 },
+      servings: { required: true, type: 'number', min: 0.1, max: 1000 },
+      cookedWeight: { required: false, type: 'number', min: 1 }, // g
+      cookingLoss: { required: false, type: 'number', min: 0, max: 0.99 }, // fraction of raw weight
+      retentionFactors: { required: false, type: 'object' }, // { nutrient_nbr: fraction retained }
+      ingredients: {
+        required: true,
+        type: 'array',
+        minLength: 1,
+        maxLength: MAX_INGREDIENTS,
+        items: { type: 'object', properties: INGREDIENT_SCHEMA }
+      }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { name, description, servings, cookedWeight, cookingLoss, retentionFactors, ingredients } = req.body;
+
+      const inputError = RecipeService.validateRetentionFactors(retentionFactors) ||
+        ingredients.map(ingredientSourceError).find(Boolean);
+      if (inputError) {
+        return res.status(400).json({
+          success: false,
+          message: inputError
+        });
+      }
+
+      const recipeId = await withTransaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO user_recipes (user_id, name, description, servings, cooked_weight_g, cooking_loss, retention_factors)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING id`,
+          [
+            req.user.id, name, description || null, servings, cookedWeight || null,
+            cookingLoss === undefined ? null : cookingLoss,
+            retentionFactors ? JSON.stringify(retentionFactors) : null
+          ]
+        );
+        const id = result.rows[0].id;
+
+        for (const [position, ingredient] of ingredients.entries()) {
+          await insertIngredient(client, id, ingredient, position);
+        }
+
+        await RecipeService.recompute(id, req.user.id, client);
+        return id;
+      });
+
+      res.status(201).json({
+        success: true,
+        recipe: await RecipeService.getDetails(recipeId, req.user.id),
+        message: '食譜建立成功'
+      });
+    } catch (error) {
+      if (error instanceof RecipeService.RecipeError || error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Recipe creation error:', error);
+      res.status(500).json({
+        success: false,
+        message: '建立食譜失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/recipes/:id
+ * @desc Update a recipe's details or yield and recompute its nutrition
+ * @access Private
+ */
+router.put('/:id',
+  authenticateToken,
+  applyUnitPreferences(RECIPE_UNITS),
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    },
+    body: {
+      name: { required: false, type: 'string', minLength: 1, maxLength: 200 },
+      description: { required: false, nullable: true, type: 'string', maxLength: 2000 },
+      servings: { required: false, type: 'number', min: 0.1, max: 1000 },
+      cookedWeight: { required: false, nullable: true, type: 'number', min: 1 },
+      cookingLoss: { required: false, nullable: true, type: 'number', min: 0, max: 0.99 },
+      retentionFactors: { required: false, nullable: true, type: 'object' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const updateData = { ...req.body };
+
+      const retentionError = RecipeService.validateRetentionFactors(updateData.retentionFactors);
+      if (retentionError) {
+        return res.status(400).json({
+          success: false,
+          message: retentionError
+        });
+      }
+      if (updateData.retentionFactors) {
+        updateData.retentionFactors = JSON.stringify(updateData.retentionFactors);
+      }
+
+      const updateQuery = buildUpdate({
+        table: 'user_recipes',
+        data: updateData,
+        fieldMap: RECIPE_UPDATE_FIELDS,
+        where: { id: req.params.id, user_id: req.user.id }
+      });
+
+      const recipe = await withTransaction(async (client) => {
+        const result = await client.query(updateQuery.text, updateQuery.values);
+        if (result.rows.length === 0) {
+          return null;
+        }
+        return RecipeService.recompute(req.params.id, req.user.id, client);
+      });
+
+      if (!recipe) {
+        return res.status(404).json({
+          success: false,
+          message: '食譜不存在或無權限修改'
+        });
+      }
+
+      res.json({
+        success: true,
+        recipe: await RecipeService.getDetails(req.params.id, req.user.id),
+        message: '食譜更新成功'
+      });
+    } catch (error) {
+      if (error instanceof RecipeService.RecipeError || error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Recipe update error:', error);
+      res.status(500).json({
+        success: false,
+        message: '更新食譜失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/recipes/:id
+ * @desc Delete a recipe; logs made from it keep their nutrition
+ * @access Private
+ */
+router.delete('/:id',
+  authenticateToken,
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const result = await query(
+        'DELETE FROM user_recipes WHERE id = $1 AND user_id = $2 RETURNING id',
+        [req.params.id, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: '食譜不存在或無權限刪除'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: '食譜刪除成功'
+      });
+    } catch (error) {
+      if (error instanceof RecipeService.RecipeError || error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Recipe deletion error:', error);
+      res.status(500).json({
+        success: false,
+        message: '刪除食譜失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/recipes/:id/ingredients
+ * @desc Add an ingredient line and recompute the recipe
+ * @access Private
+ */
+router.post('/:id/ingredients',
+  authenticateToken,
+  applyUnitPreferences(RECIPE_UNITS),
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    },
+    body: INGREDIENT_SCHEMA
+  }),
+  async (req, res) => {
+    try {
+      const sourceError = ingredientSourceError(req.body);
+      if (sourceError) {
+        return res.status(400).json({
+          success: false,
+          message: sourceError
+        });
+      }
+
+      const recipe = await withTransaction(async (client) => {
+        const existing = await client.query(
+          `SELECT r.id, COUNT(i.id) as ingredient_count, COALESCE(MAX(i.position) + 1, 0) as next_position
+           FROM user_recipes r
+           LEFT JOIN user_recipe_ingredients i ON i.recipe_id = r.id
+           WHERE r.id = $1 AND r.user_id = $2
+           GROUP BY r.id`,
+          [req.params.id, req.user.id]
+        );
+        if (existing.rows.length === 0) {
+          return null;
+        }
+        if (parseInt(existing.rows[0].ingredient_count) >= MAX_INGREDIENTS) {
+          throw new RecipeService.RecipeError(`每個食譜最多${MAX_INGREDIENTS}項食材`);
+        }
+
+        await insertIngredient(client, req.params.id, req.body, parseInt(existing.rows[0].next_position));
+        return RecipeService.recompute(req.params.id, req.user.id, client);
+      });
+
+      if (!recipe) {
+        return res.status(404).json({
+          success: false,
+          message: '食譜不存在或無權限修改'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        recipe: await RecipeService.getDetails(req.params.id, req.user.id),
+        message: '食材新增成功'
+      });
+    } catch (error) {
+      if (error instanceof RecipeService.RecipeError || error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Recipe ingredient creation error:', error);
+      res.status(500).json({
+        success: false,
+        message: '新增食材失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/recipes/:id/ingredients/:ingredientId
+ * @desc Update an ingredient line and recompute the recipe
+ * @access Private
+ */
+router.put('/:id/ingredients/:ingredientId',
+  authenticateToken,
+  applyUnitPreferences(RECIPE_UNITS),
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' },
+      ingredientId: { required: true, type: 'uuid' }
+    },
+    body: {
+      amount: { required: false, type: 'number', min: 0.01 },
+      unit: { required: false, type: 'string', minLength: 1, maxLength: 20 },
+      notes: { required: false, nullable: true, type: 'string', maxLength: 500 },
+      position: { required: false, type: 'integer', min: 0 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const updateQuery = buildUpdate({
+        table: 'user_recipe_ingredients',
+        data: req.body,
+        fieldMap: INGREDIENT_UPDATE_FIELDS,
+        where: { id: req.params.ingredientId, recipe_id: req.params.id },
+        touchUpdatedAt: false
+      });
+
+      const recipe = await withTransaction(async (client) => {
+        const owned = await client.query(
+          'SELECT id FROM user_recipes WHERE id = $1 AND user_id = $2',
+          [req.params.id, req.user.id]
+        );
+        if (owned.rows.length === 0) {
+          return null;
+        }
+
+        const result = await client.query(updateQuery.text, updateQuery.values);
+        if (result.rows.length === 0) {
+          return null;
+        }
+        return RecipeService.recompute(req.params.id, req.user.id, client);
+      });
+
+      if (!recipe) {
+        return res.status(404).json({
+          success: false,
+          message: '食材不存在或無權限修改'
+        });
+      }
+
+      res.json({
+        success: true,
+        recipe: await RecipeService.getDetails(req.params.id, req.user.id),
+        message: '食材更新成功'
+      });
+    } catch (error) {
+      if (error instanceof RecipeService.RecipeError || error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Recipe ingredient update error:', error);
+      res.status(500).json({
+        success: false,
+        message: '更新食材失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/recipes/:id/ingredients/:ingredientId
+ * @desc Remove an ingredient line and recompute the recipe
+ * @access Private
+ */
+router.delete('/:id/ingredients/:ingredientId',
+  authenticateToken,
+  applyUnitPreferences(RECIPE_UNITS),
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' },
+      ingredientId: { required: true, type: 'uuid' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const recipe = await withTransaction(async (client) => {
+        const result = await client.query(
+          `DELETE FROM user_recipe_ingredients i
+           USING user_recipes r
+           WHERE i.id = $1 AND i.recipe_id = $2 AND r.id = i.recipe_id AND r.user_id = $3
+           RETURNING i.id`,
+          [req.params.ingredientId, req.params.id, req.user.id]
+        );
+        if (result.rows.length === 0) {
+          return null;
+        }
+        return RecipeService.recompute(req.params.id, req.user.id, client);
+      });
+
+      if (!recipe) {
+        return res.status(404).json({
+          success: false,
+          message: '食材不存在或無權限刪除'
+        });
+      }
+
+      res.json({
+        success: true,
+        recipe: await RecipeService.getDetails(req.params.id, req.user.id),
+        message: '食材刪除成功'
+      });
+    } catch (error) {
+      if (error instanceof RecipeService.RecipeError || error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Recipe ingredient deletion error:', error);
+      res.status(500).json({
+        success: false,
+        message: '刪除食材失敗'
+      });
+    }
+  }
+);
+
+module.exports = router;
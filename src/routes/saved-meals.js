@@ -0,0 +1,429 @@
+const express = require('express');
+const SavedMealService = require('../services/SavedMealService');
+const AdaptiveTdeeService = require('../services/AdaptiveTdeeService');
+const TimezoneService = require('../services/TimezoneService');
+const UserStatsService = require('../services/UserStatsService');
+const { authenticateToken } = require('../middleware/auth');
+const { applyUnitPreferences } = require('../middleware/units');
+const { validateRequest } = require('../middleware/validation');
+const { cache } = require('../database/redis');
+const { query, withTransaction } = require('../database/connection');
+const { QueryBuilderError, buildUpdate } = require('../database/queryBuilder');
+const router = express.Router();
+
+// Most items one saved meal may hold
+const MAX_SAVED_MEAL_ITEMS = 50;
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Fields accepted for one saved meal item; nutrition is only kept for manual items
+const SAVED_MEAL_ITEM_SCHEMA = {
+  foodId: { required: false, type: 'number' },
+  customFoodId: { required: false, type: 'uuid' },
+  recipeId: { required: false, type: 'uuid' },
+  customFoodName: { required: false, type: 'string', maxLength: 200 },
+  amount: { required: true, type: 'number', min: 0.1 },
+  unit: { required: true, type: 'string', minLength: 1, maxLength: 20 },
+  calories: { required: false, type: 'number', min: 0 },
+  protein: { required: false, type: 'number', min: 0 },
+  carbs: { required: false, type: 'number', min: 0 },
+  fat: { required: false, type: 'number', min: 0 },
+  fiber: { required: false, type: 'number', min: 0 },
+  sugar: { required: false, type: 'number', min: 0 },
+  sodium: { required: false, type: 'number', min: 0 }
+};
+
+const SAVED_MEAL_ITEMS = {
+  required: true,
+  type: 'array',
+  minLength: 1,
+  maxLength: MAX_SAVED_MEAL_ITEMS,
+  items: { type: 'object', properties: SAVED_MEAL_ITEM_SCHEMA }
+};
+
+// API fields that may be changed on a saved meal, and their columns
+const SAVED_MEAL_UPDATE_FIELDS = {
+  name: 'name',
+  description: 'description',
+  mealType: 'meal_type'
+};
+
+// Energy and amounts follow the user's units; saved meals store kcal and grams
+const SAVED_MEAL_UNITS = {
+  input: {
+    energy: ['items.*.calories']
+  },
+  output: {
+    energy: ['meal.nutrition.calories', 'meal.items.*.calories', 'meal.items.*.nutrition.calories']
+  }
+};
+
+const LOG_SAVED_MEAL_UNITS = {
+  output: {
+    energy: ['results.*.log.calories', 'results.*.nutrition.calories'],
+    mass: ['results.*.log.grams']
+  }
+};
+
+/**
+ * @route GET /api/saved-meals
+ * @desc List the user's saved meals
+ * @access Private
+ */
+router.get('/',
+  authenticateToken,
+  validateRequest({
+    query: {
+      mealType: { required: false, type: 'string', enum: MEAL_TYPES }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const params = [req.user.id];
+      let mealCondition = '';
+      if (req.query.mealType) {
+        params.push(req.query.mealType);
+        mealCondition = 'AND m.meal_type = $2';
+      }
+
+      const result = await query(
+        `SELECT m.*, COUNT(i.id) as item_count
+         FROM user_saved_meals m
+         LEFT JOIN user_saved_meal_items i ON i.saved_meal_id = m.id
+         WHERE m.user_id = $1 ${mealCondition}
+         GROUP BY m.id
+         ORDER BY m.name ASC`,
+        params
+      );
+
+      res.json({
+        success: true,
+        meals: result.rows.map(row => ({
+          ...row,
+          item_count: parseInt(row.item_count)
+        }))
+      });
+    } catch (error) {
+      console.error('Saved meals error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取常用餐點失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/saved-meals/:id
+ * @desc Get a saved meal with the nutrition it would log today
+ * @access Private
+ */
+router.get('/:id',
+  authenticateToken,
+  applyUnitPreferences(SAVED_MEAL_UNITS),
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const meal = await SavedMealService.getDetails(req.params.id, req.user.id);
+
+      if (!meal) {
+        return res.status(404).json({
+          success: false,
+          message: '常用餐點不存在'
+        });
+      }
+
+      res.json({
+        success: true,
+        meal
+      });
+    } catch (error) {
+      console.error('Saved meal details error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取常用餐點失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/saved-meals
+ * @desc Save a named bundle of foods
+ * @access Private
+ */
+router.post('/',
+  authenticateToken,
+  applyUnitPreferences(SAVED_MEAL_UNITS),
+  validateRequest({
+    body: {
+      name: { required: true, type: 'string', minLength: 1, maxLength: 200 },
+      description: { required: false, type: 'string', maxLength: 1000 },
+      mealType: { required: false, type: 'string', enum: MEAL_TYPES },
+      items: SAVED_MEAL_ITEMS
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { items, ...meal } = req.body;
+
+      const savedMealId = await withTransaction(client =>
+        SavedMealService.create(req.user.id, meal, items, client)
+      );
+
+      res.status(201).json({
+        success: true,
+        meal: await SavedMealService.getDetails(savedMealId, req.user.id),
+        message: '常用餐點建立成功'
+      });
+    } catch (error) {
+      if (error instanceof SavedMealService.SavedMealError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Saved meal creation error:', error);
+      res.status(500).json({
+        success: false,
+        message: '建立常用餐點失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/saved-meals/from-log
+ * @desc Save the foods logged for one meal of a day
+ * @access Private
+ */
+router.post('/from-log',
+  authenticateToken,
+  applyUnitPreferences(SAVED_MEAL_UNITS),
+  validateRequest({
+    body: {
+      name: { required: true, type: 'string', minLength: 1, maxLength: 200 },
+      description: { required: false, type: 'string', maxLength: 1000 },
+      logDate: { required: true, type: 'date' },
+      mealType: { required: true, type: 'string', enum: MEAL_TYPES }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const savedMealId = await withTransaction(client =>
+        SavedMealService.createFromLogs(req.user.id, req.body, client)
+      );
+
+      res.status(201).json({
+        success: true,
+        meal: await SavedMealService.getDetails(savedMealId, req.user.id),
+        message: '常用餐點建立成功'
+      });
+    } catch (error) {
+      if (error instanceof SavedMealService.SavedMealError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Saved meal from log error:', error);
+      res.status(500).json({
+        success: false,
+        message: '建立常用餐點失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/saved-meals/:id/log
+ * @desc Log every food in a saved meal; nutrition comes from the current foods
+ * @access Private
+ */
+router.post('/:id/log',
+  authenticateToken,
+  applyUnitPreferences(LOG_SAVED_MEAL_UNITS),
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    },
+    body: {
+      logDate: { required: false, type: 'date' }, // defaults to the user's today
+      mealType: { required: false, type: 'string', enum: MEAL_TYPES }, // defaults to the saved meal's
+      logTime: { required: false, type: 'time' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      let { logDate } = req.body;
+      if (!logDate) {
+        ({ today: logDate } = await TimezoneService.getUserToday(req.user.id));
+      }
+
+      const logged = await withTransaction(client =>
+        SavedMealService.logMeal(req.user.id, req.params.id, { ...req.body, logDate }, client)
+      );
+
+      if (!logged) {
+        return res.status(404).json({
+          success: false,
+          message: '常用餐點不存在'
+        });
+      }
+
+      await cache.del(`daily_nutrition:${req.user.id}:${logDate}`);
+      await UserStatsService.invalidate(req.user.id);
+      await AdaptiveTdeeService.applyIfDue(req.user.id);
+
+      res.status(201).json({
+        success: true,
+        results: logged.map((result, index) => ({ index, success: true, ...result })),
+        count: logged.length,
+        message: '常用餐點記錄成功'
+      });
+    } catch (error) {
+      if (error instanceof SavedMealService.SavedMealError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Saved meal logging error:', error);
+      res.status(500).json({
+        success: false,
+        message: '記錄常用餐點失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/saved-meals/:id
+ * @desc Rename a saved meal or replace its items
+ * @access Private
+ */
+router.put('/:id',
+  authenticateToken,
+  applyUnitPreferences(SAVED_MEAL_UNITS),
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    },
+    body: {
+      name: { required: false, type: 'string', minLength: 1, maxLength: 200 },
+      description: { required: false, nullable: true, type: 'string', maxLength: 1000 },
+      mealType: { required: false, nullable: true, type: 'string', enum: MEAL_TYPES },
+      items: { ...SAVED_MEAL_ITEMS, required: false }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { items, ...fields } = req.body;
+
+      const updated = await withTransaction(async (client) => {
+        const owned = await client.query(
+          'SELECT id FROM user_saved_meals WHERE id = $1 AND user_id = $2',
+          [req.params.id, req.user.id]
+        );
+        if (owned.rows.length === 0) {
+          return false;
+        }
+
+        if (Object.keys(fields).length > 0 || !items) {
+          const updateQuery = buildUpdate({
+            table: 'user_saved_meals',
+            data: fields,
+            fieldMap: SAVED_MEAL_UPDATE_FIELDS,
+            where: { id: req.params.id, user_id: req.user.id }
+          });
+          await client.query(updateQuery.text, updateQuery.values);
+        } else {
+          await client.query(
+            'UPDATE user_saved_meals SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [req.params.id]
+          );
+        }
+
+        if (items) {
+          await SavedMealService.replaceItems(req.user.id, req.params.id, items, client);
+        }
+        return true;
+      });
+
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          message: '常用餐點不存在或無權限修改'
+        });
+      }
+
+      res.json({
+        success: true,
+        meal: await SavedMealService.getDetails(req.params.id, req.user.id),
+        message: '常用餐點更新成功'
+      });
+    } catch (error) {
+      if (error instanceof SavedMealService.SavedMealError || error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Saved meal update error:', error);
+      res.status(500).json({
+        success: false,
+        message: '更新常用餐點失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/saved-meals/:id
+ * @desc Delete a saved meal; foods already logged from it are kept
+ * @access Private
+ */
+router.delete('/:id',
+  authenticateToken,
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const result = await query(
+        'DELETE FROM user_saved_meals WHERE id = $1 AND user_id = $2 RETURNING id',
+        [req.params.id, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: '常用餐點不存在或無權限刪除'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: '常用餐點刪除成功'
+      });
+    } catch (error) {
+      console.error('Saved meal deletion error:', error);
+      res.status(500).json({
+        success: false,
+        message: '刪除常用餐點失敗'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,34 +1,466 @@
 const express = require('express');
+const AuthService = require('../services/AuthService');
+const NutritionTargetService = require('../services/NutritionTargetService');
+const UserStatsService = require('../services/UserStatsService');
+const TimezoneService = require('../services/TimezoneService');
+const UnitPreferenceService = require('../services/UnitPreferenceService');
+const { authenticateToken } = require('../middleware/auth');
+const { applyUnitPreferences } = require('../middleware/units');
+const { validateRequest } = require('../middleware/validation');
+const { cache } = require('../database/redis');
+const { query } = require('../database/connection');
+const { QueryBuilderError, buildUpdate, buildUpsert } = require('../database/queryBuilder');
 const router = express.Router();
 
-// 簡化的用戶路由 - 暫時返回成功狀態
-router.get('/profile', (req, res) => {
-  res.json({
-    success: true,
-    message: 'User profile endpoint ready',
-    user: {
-      id: 'demo-user',
-      name: 'Demo User'
-    }
-  });
-});
-
-router.put('/profile', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Update profile endpoint ready'
-  });
-});
-
-router.get('/stats', (req, res) => {
-  res.json({
-    success: true,
-    message: 'User stats endpoint ready',
-    stats: {
-      totalMeals: 0,
-      totalCalories: 0
-    }
-  });
-});
+// API fields that may be changed on the profile, and their columns
+const PROFILE_UPDATE_FIELDS = {
+  username: 'username',
+  firstName: 'first_name',
+  lastName: 'last_name',
+  dateOfBirth: 'date_of_birth',
+  gender: 'gender',
+  height: 'height',
+  weight: 'weight',
+  activityLevel: 'activity_level',
+  goal: 'goal',
+  targetWeight: 'target_weight',
+  weeklyRate: 'weekly_rate',
+  bmrFormula: 'bmr_formula',
+  timezone: 'timezone',
+  profileImageUrl: 'profile_image_url'
+};
+
+// Derived columns written together with profile updates
+const DERIVED_FIELDS = {
+  bmr: 'bmr',
+  tdee: 'tdee',
+  target_calories: 'target_calories',
+  target_protein: 'target_protein',
+  target_carbs: 'target_carbs',
+  target_fat: 'target_fat'
+};
+
+// API fields stored in user_preferences, and their columns
+const PREFERENCE_FIELDS = {
+  language: 'language',
+  units: 'units',
+  energyUnit: 'energy_unit',
+  calorieGoal: 'calorie_goal',
+  proteinGoal: 'protein_goal',
+  carbGoal: 'carb_goal',
+  fatGoal: 'fat_goal',
+  fiberGoal: 'fiber_goal',
+  sugarGoal: 'sugar_goal',
+  sodiumGoal: 'sodium_goal',
+  waterGoal: 'water_goal',
+  reminders: 'reminders',
+  privacySettings: 'privacy_settings'
+};
+
+// Preference fields that change the targets shown in daily summaries
+const GOAL_FIELDS = [
+  'calorieGoal', 'proteinGoal', 'carbGoal', 'fatGoal',
+  'fiberGoal', 'sugarGoal', 'sodiumGoal', 'waterGoal'
+];
+
+const DEFAULT_PREFERENCES = {
+  language: 'zh-TW',
+  units: 'metric',
+  energy_unit: 'kcal',
+  calorie_goal: null,
+  protein_goal: null,
+  carb_goal: null,
+  fat_goal: null,
+  fiber_goal: null,
+  sugar_goal: null,
+  sodium_goal: null,
+  water_goal: null,
+  reminders: {
+    enabled: false
+  },
+  privacy_settings: {
+    shareProgress: false,
+    publicProfile: false,
+    allowAnalytics: true
+  }
+};
+
+const reminderSlotSchema = {
+  type: 'object',
+  properties: {
+    enabled: { required: true, type: 'boolean' },
+    time: { required: false, type: 'time' }
+  }
+};
+
+// Shape of user_preferences.reminders
+const remindersSchema = {
+  type: 'object',
+  properties: {
+    enabled: { required: true, type: 'boolean' },
+    meals: {
+      required: false,
+      type: 'object',
+      properties: {
+        breakfast: { required: false, ...reminderSlotSchema },
+        lunch: { required: false, ...reminderSlotSchema },
+        dinner: { required: false, ...reminderSlotSchema },
+        snack: { required: false, ...reminderSlotSchema }
+      }
+    },
+    water: {
+      required: false,
+      type: 'object',
+      properties: {
+        enabled: { required: true, type: 'boolean' },
+        intervalMinutes: { required: false, type: 'integer', min: 15, max: 480 },
+        startTime: { required: false, type: 'time' },
+        endTime: { required: false, type: 'time' }
+      }
+    },
+    weighIn: {
+      required: false,
+      type: 'object',
+      properties: {
+        enabled: { required: true, type: 'boolean' },
+        time: { required: false, type: 'time' },
+        days: { required: false, type: 'array', maxLength: 7, items: { type: 'integer', min: 0, max: 6 } } // 0 = Sunday
+      }
+    }
+  }
+};
+
+// Shape of user_preferences.privacy_settings
+const privacySettingsSchema = {
+  type: 'object',
+  properties: {
+    shareProgress: { required: false, type: 'boolean' },
+    publicProfile: { required: false, type: 'boolean' },
+    allowAnalytics: { required: false, type: 'boolean' }
+  }
+};
+
+// Measurement fields on the profile, in request and response form
+const PROFILE_UNITS = {
+  input: {
+    bodyWeight: ['weight', 'targetWeight', 'weeklyRate'],
+    height: ['height']
+  },
+  output: {
+    bodyWeight: ['user.weight', 'user.target_weight', 'user.weekly_rate'],
+    height: ['user.height'],
+    energy: [
+      'user.bmr', 'user.tdee', 'user.target_calories', 'user.adaptive_tdee',
+      'user.metrics.bmr', 'user.metrics.tdee', 'user.metrics.adaptiveTdee',
+      'user.targets.calories'
+    ]
+  }
+};
+
+// Shape the profile response with computed metrics
+const buildProfile = (user) => {
+  const metrics = NutritionTargetService.calculateForUser(user);
+
+  return {
+    ...AuthService.toPublicUser(user),
+    age: metrics.age,
+    metrics: {
+      bmr: metrics.bmr,
+      tdee: metrics.tdee,
+      tdeeSource: metrics.tdeeSource,
+      adaptiveTdee: user.adaptive_tdee
+    },
+    targets: metrics.targets
+  };
+};
+
+/**
+ * @route GET /api/user/profile
+ * @desc Get the current user's profile with BMR, TDEE and targets
+ * @access Private
+ */
+router.get('/profile',
+  authenticateToken,
+  applyUnitPreferences(PROFILE_UNITS),
+  async (req, res) => {
+    try {
+      const result = await query(
+        'SELECT * FROM users WHERE id = $1',
+        [req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: '用戶不存在'
+        });
+      }
+
+      res.json({
+        success: true,
+        user: buildProfile(result.rows[0])
+      });
+    } catch (error) {
+      console.error('Get profile error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取用戶資料失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/user/profile
+ * @desc Update profile and recompute calorie and macro targets
+ * @access Private
+ */
+router.put('/profile',
+  authenticateToken,
+  applyUnitPreferences(PROFILE_UNITS),
+  validateRequest({
+    body: {
+      username: { required: false, type: 'string', minLength: 1, maxLength: 100 },
+      firstName: { required: false, nullable: true, type: 'string', maxLength: 100 },
+      lastName: { required: false, nullable: true, type: 'string', maxLength: 100 },
+      dateOfBirth: { required: false, nullable: true, type: 'date' },
+      gender: { required: false, nullable: true, type: 'string', enum: ['male', 'female', 'other'] },
+      height: { required: false, nullable: true, type: 'number', min: 50, max: 300 }, // cm
+      weight: { required: false, nullable: true, type: 'number', min: 20, max: 500 }, // kg
+      activityLevel: { required: false, nullable: true, type: 'string', enum: ['sedentary', 'light', 'moderate', 'active', 'very_active'] },
+      goal: { required: false, nullable: true, type: 'string', enum: ['lose_weight', 'maintain_weight', 'gain_weight'] },
+      targetWeight: { required: false, nullable: true, type: 'number', min: 20, max: 500 }, // kg
+      weeklyRate: { required: false, nullable: true, type: 'number', min: 0, max: 1 }, // kg per week
+      bmrFormula: { required: false, type: 'string', enum: ['mifflin_st_jeor', 'harris_benedict'] },
+      timezone: { required: false, type: 'string', maxLength: 64 }, // IANA name, e.g. 'Asia/Taipei'
+      profileImageUrl: { required: false, nullable: true, type: 'string', maxLength: 500 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const updateData = req.body;
+
+      // users.height is whole centimetres; inches convert to fractions
+      if (typeof updateData.height === 'number') {
+        updateData.height = Math.round(updateData.height);
+      }
+
+      if (updateData.timezone !== undefined && !TimezoneService.isValid(updateData.timezone)) {
+        return res.status(400).json({
+          success: false,
+          message: '無效的時區'
+        });
+      }
+
+      const existingResult = await query(
+        'SELECT * FROM users WHERE id = $1',
+        [req.user.id]
+      );
+
+      if (existingResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: '用戶不存在'
+        });
+      }
+
+      const existing = existingResult.rows[0];
+      const today = TimezoneService.today(updateData.timezone || existing.timezone);
+
+      if (updateData.dateOfBirth && updateData.dateOfBirth > today) {
+        return res.status(400).json({
+          success: false,
+          message: '出生日期不能晚於今天'
+        });
+      }
+
+      // Merge the changes so targets are derived from the resulting profile
+      const merged = { ...existing };
+      Object.entries(updateData).forEach(([field, value]) => {
+        merged[PROFILE_UPDATE_FIELDS[field]] = value;
+      });
+      const derived = NutritionTargetService.toColumns(
+        NutritionTargetService.calculateForUser(merged)
+      );
+
+      const updateQuery = buildUpdate({
+        table: 'users',
+        data: { ...updateData, ...derived },
+        fieldMap: { ...PROFILE_UPDATE_FIELDS, ...DERIVED_FIELDS },
+        where: { id: req.user.id }
+      });
+
+      const result = await query(updateQuery.text, updateQuery.values);
+
+      // Cached daily summaries and stats embed the old targets; a new time
+      // zone also moves "today" for the stats
+      await cache.delPattern(`daily_nutrition:${req.user.id}:*`);
+      await UserStatsService.invalidate(req.user.id);
+
+      res.json({
+        success: true,
+        user: buildProfile(result.rows[0]),
+        message: '用戶資料更新成功'
+      });
+    } catch (error) {
+      if (error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: '用戶名稱已被使用'
+        });
+      }
+
+      console.error('Update profile error:', error);
+      res.status(500).json({
+        success: false,
+        message: '更新用戶資料失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/user/preferences
+ * @desc Get the current user's preferences (defaults when none saved)
+ * @access Private
+ */
+router.get('/preferences',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const result = await query(
+        'SELECT * FROM user_preferences WHERE user_id = $1',
+        [req.user.id]
+      );
+
+      res.json({
+        success: true,
+        preferences: result.rows[0] || { user_id: req.user.id, ...DEFAULT_PREFERENCES },
+        isDefault: result.rows.length === 0
+      });
+    } catch (error) {
+      console.error('Get preferences error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取偏好設定失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/user/preferences
+ * @desc Create or update the current user's preferences
+ * @access Private
+ */
+router.put('/preferences',
+  authenticateToken,
+  validateRequest({
+    body: {
+      language: { required: false, type: 'string', pattern: /^[a-z]{2}(-[A-Z]{2})?$/ },
+      units: { required: false, type: 'string', enum: ['metric', 'imperial'] },
+      energyUnit: { required: false, type: 'string', enum: UnitPreferenceService.ENERGY_UNITS },
+      calorieGoal: { required: false, nullable: true, type: 'integer', min: 800, max: 10000 },
+      proteinGoal: { required: false, nullable: true, type: 'number', min: 0, max: 1000 }, // g
+      carbGoal: { required: false, nullable: true, type: 'number', min: 0, max: 2000 }, // g
+      fatGoal: { required: false, nullable: true, type: 'number', min: 0, max: 1000 }, // g
+      fiberGoal: { required: false, nullable: true, type: 'number', min: 0, max: 200 }, // g
+      sugarGoal: { required: false, nullable: true, type: 'number', min: 0, max: 1000 }, // g
+      sodiumGoal: { required: false, nullable: true, type: 'number', min: 0, max: 20000 }, // mg
+      waterGoal: { required: false, nullable: true, type: 'integer', min: 0, max: 10000 }, // ml
+      reminders: { required: false, ...remindersSchema },
+      privacySettings: { required: false, ...privacySettingsSchema }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const updateData = { ...req.body };
+
+      // JSONB columns are stored as serialized JSON
+      ['reminders', 'privacySettings'].forEach(field => {
+        if (updateData[field] !== undefined) {
+          updateData[field] = JSON.stringify(updateData[field]);
+        }
+      });
+
+      const upsertQuery = buildUpsert({
+        table: 'user_preferences',
+        data: updateData,
+        fieldMap: PREFERENCE_FIELDS,
+        key: { user_id: req.user.id }
+      });
+
+      const result = await query(upsertQuery.text, upsertQuery.values);
+
+      // Cached daily summaries and stats embed the old targets
+      if (GOAL_FIELDS.some(field => req.body[field] !== undefined)) {
+        await cache.delPattern(`daily_nutrition:${req.user.id}:*`);
+        await UserStatsService.invalidate(req.user.id);
+      }
+
+      res.json({
+        success: true,
+        preferences: result.rows[0],
+        message: '偏好設定更新成功'
+      });
+    } catch (error) {
+      if (error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Update preferences error:', error);
+      res.status(500).json({
+        success: false,
+        message: '更新偏好設定失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/user/stats
+ * @desc Get lifetime logging stats, streaks and averages
+ * @access Private
+ */
+router.get('/stats',
+  authenticateToken,
+  applyUnitPreferences({
+    output: {
+      bodyWeight: ['stats.weight.startWeight', 'stats.weight.currentWeight', 'stats.weight.totalChange'],
+      energy: [
+        'stats.totalCalories', 'stats.averageDailyCalories.*.average', 'stats.calorieTarget',
+        'stats.exercise.totalCaloriesBurned'
+      ]
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { today } = await TimezoneService.getUserToday(req.user.id);
+      const { stats, fromCache } = await UserStatsService.getStats(req.user.id, today);
+
+      res.json({
+        success: true,
+        stats,
+        ...(fromCache && { fromCache: true })
+      });
+    } catch (error) {
+      console.error('User stats error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取用戶統計失敗'
+      });
+    }
+  }
+);
 
 module.exports = router;
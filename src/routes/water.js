@@ -0,0 +1,251 @@
+const express = require('express');
+const TimezoneService = require('../services/TimezoneService');
+const { authenticateToken } = require('../middleware/auth');
+const { applyUnitPreferences } = require('../middleware/units');
+const { validateRequest } = require('../middleware/validation');
+const { cache } = require('../database/redis');
+const { query } = require('../database/connection');
+const router = express.Router();
+
+// Amounts (ml) offered as one-tap buttons in the app
+const QUICK_ADD_AMOUNTS = [150, 250, 350, 500];
+
+// Daily goal used when the user has not set one
+const DEFAULT_WATER_GOAL = 2000;
+
+// Amounts are entered and shown in the user's units; logs store ml
+const WATER_UNITS = {
+  input: {
+    volume: ['amount']
+  },
+  output: {
+    volume: [
+      'summary.total', 'summary.goal', 'summary.remaining',
+      'log.amount', 'logs.*.amount', 'removed.amount', 'quickAddAmounts.*'
+    ]
+  }
+};
+
+// Daily summaries include water, so they must be refreshed too
+const clearWaterCache = async (userId, date) => {
+  await cache.del(`daily_nutrition:${userId}:${date}`);
+};
+
+// Total, goal and progress for one day
+const getDailyWater = async (userId, date) => {
+  const [totalResult, goalResult] = await Promise.all([
+    query(
+      `SELECT COALESCE(SUM(amount), 0) as total, COUNT(*) as entries
+       FROM user_water_logs
+       WHERE user_id = $1 AND log_date = $2`,
+      [userId, date]
+    ),
+    query('SELECT water_goal FROM user_preferences WHERE user_id = $1', [userId])
+  ]);
+
+  const total = parseInt(totalResult.rows[0].total);
+  const goal = goalResult.rows[0] && goalResult.rows[0].water_goal
+    ? goalResult.rows[0].water_goal
+    : DEFAULT_WATER_GOAL;
+
+  return {
+    date,
+    total,
+    goal,
+    remaining: Math.max(0, goal - total),
+    percentage: Math.round((total / goal) * 100),
+    entries: parseInt(totalResult.rows[0].entries)
+  };
+};
+
+/**
+ * @route GET /api/water/daily
+ * @desc Get water intake for a day with progress toward the goal
+ * @access Private
+ */
+router.get('/daily',
+  authenticateToken,
+  applyUnitPreferences(WATER_UNITS),
+  validateRequest({
+    query: {
+      date: { required: true, type: 'date' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { date } = req.query;
+
+      const [summary, logsResult] = await Promise.all([
+        getDailyWater(req.user.id, date),
+        query(
+          `SELECT id, amount, log_time, created_at FROM user_water_logs
+           WHERE user_id = $1 AND log_date = $2
+           ORDER BY created_at ASC`,
+          [req.user.id, date]
+        )
+      ]);
+
+      res.json({
+        success: true,
+        summary,
+        logs: logsResult.rows,
+        quickAddAmounts: QUICK_ADD_AMOUNTS
+      });
+    } catch (error) {
+      console.error('Daily water error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取每日飲水數據失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/water
+ * @desc Add water intake
+ * @access Private
+ */
+router.post('/',
+  authenticateToken,
+  applyUnitPreferences(WATER_UNITS),
+  validateRequest({
+    body: {
+      amount: { required: true, type: 'integer', min: 1, max: 5000 }, // ml
+      logDate: { required: false, type: 'date' }, // defaults to today in the user's zone
+      logTime: { required: false, type: 'time' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { amount } = req.body;
+      const { timeZone, today } = await TimezoneService.getUserToday(req.user.id);
+      const logDate = req.body.logDate || today;
+      const logTime = req.body.logTime || TimezoneService.currentTime(timeZone);
+
+      const result = await query(
+        `INSERT INTO user_water_logs (user_id, amount, log_date, log_time)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [req.user.id, amount, logDate, logTime]
+      );
+
+      await clearWaterCache(req.user.id, logDate);
+
+      res.status(201).json({
+        success: true,
+        log: result.rows[0],
+        summary: await getDailyWater(req.user.id, logDate),
+        message: '飲水記錄添加成功'
+      });
+    } catch (error) {
+      console.error('Water logging error:', error);
+      res.status(500).json({
+        success: false,
+        message: '記錄飲水失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/water/last
+ * @desc Undo the most recent water entry for a day
+ * @access Private
+ */
+router.delete('/last',
+  authenticateToken,
+  applyUnitPreferences(WATER_UNITS),
+  validateRequest({
+    query: {
+      date: { required: true, type: 'date' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { date } = req.query;
+
+      const result = await query(
+        `DELETE FROM user_water_logs
+         WHERE id = (
+           SELECT id FROM user_water_logs
+           WHERE user_id = $1 AND log_date = $2
+           ORDER BY created_at DESC
+           LIMIT 1
+         )
+         RETURNING *`,
+        [req.user.id, date]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: '當日沒有可撤銷的飲水記錄'
+        });
+      }
+
+      await clearWaterCache(req.user.id, date);
+
+      res.json({
+        success: true,
+        removed: result.rows[0],
+        summary: await getDailyWater(req.user.id, date),
+        message: '已撤銷上一筆飲水記錄'
+      });
+    } catch (error) {
+      console.error('Water undo error:', error);
+      res.status(500).json({
+        success: false,
+        message: '撤銷飲水記錄失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/water/:id
+ * @desc Delete a water entry
+ * @access Private
+ */
+router.delete('/:id',
+  authenticateToken,
+  applyUnitPreferences(WATER_UNITS),
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const result = await query(
+        `DELETE FROM user_water_logs WHERE id = $1 AND user_id = $2
+         RETURNING id, to_char(log_date, 'YYYY-MM-DD') as log_date`,
+        [req.params.id, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: '飲水記錄不存在或無權限刪除'
+        });
+      }
+
+      const date = result.rows[0].log_date;
+      await clearWaterCache(req.user.id, date);
+
+      res.json({
+        success: true,
+        summary: await getDailyWater(req.user.id, date),
+        message: '飲水記錄刪除成功'
+      });
+    } catch (error) {
+      console.error('Water log deletion error:', error);
+      res.status(500).json({
+        success: false,
+        message: '刪除飲水記錄失敗'
+      });
+    }
+  }
+);
+
+module.exports = router;
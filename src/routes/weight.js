@@ -0,0 +1,302 @@
+const express = require('express');
+const WeightTrendService = require('../services/WeightTrendService');
+const AdaptiveTdeeService = require('../services/AdaptiveTdeeService');
+const UserStatsService = require('../services/UserStatsService');
+const GoalService = require('../services/GoalService');
+const { authenticateToken } = require('../middleware/auth');
+const { applyUnitPreferences } = require('../middleware/units');
+const { validateRequest } = require('../middleware/validation');
+const { cache } = require('../database/redis');
+const { query, withTransaction } = require('../database/connection');
+const {
+  QueryBuilderError,
+  QueryParams,
+  buildUpdate,
+  dateRangeCondition
+} = require('../database/queryBuilder');
+const router = express.Router();
+
+// API fields that may be changed on a weight log, and their columns
+const WEIGHT_LOG_UPDATE_FIELDS = {
+  weight: 'weight',
+  logDate: 'log_date',
+  notes: 'notes'
+};
+
+// Weights are entered and shown in the user's units; logs store kg
+const WEIGHT_UNITS = {
+  input: {
+    bodyWeight: ['weight']
+  },
+  output: {
+    bodyWeight: [
+      'log.weight', 'logs.*.weight', 'points.*.weight', 'points.*.trend',
+      'currentTrend', 'latestWeight', 'weeklyRate', 'targetWeight'
+    ]
+  }
+};
+
+// A new weight changes derived targets, stats, cached daily summaries, goal
+// progress and, once a week, the adaptive maintenance estimate
+const refreshAfterWeightChange = async (userId) => {
+  await cache.delPattern(`daily_nutrition:${userId}:*`);
+  await UserStatsService.invalidate(userId);
+  await GoalService.evaluateGoals(userId);
+  await AdaptiveTdeeService.applyIfDue(userId);
+};
+
+/**
+ * @route GET /api/weight/trend
+ * @desc Get smoothed trend weight, weekly rate and goal projection
+ * @access Private
+ */
+router.get('/trend',
+  authenticateToken,
+  applyUnitPreferences(WEIGHT_UNITS),
+  validateRequest({
+    query: {
+      days: { required: false, type: 'integer', min: 7, max: 730 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { days = 90 } = req.query;
+      const trend = await WeightTrendService.getTrendForUser(req.user.id, days);
+
+      res.json({
+        success: true,
+        days,
+        ...trend
+      });
+    } catch (error) {
+      console.error('Weight trend error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取體重趨勢失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/weight
+ * @desc List weight logs
+ * @access Private
+ */
+router.get('/',
+  authenticateToken,
+  applyUnitPreferences(WEIGHT_UNITS),
+  validateRequest({
+    query: {
+      startDate: { required: false, type: 'date' },
+      endDate: { required: false, type: 'date' },
+      limit: { required: false, type: 'integer', min: 1, max: 365 },
+      offset: { required: false, type: 'integer', min: 0 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { startDate, endDate, limit = 30, offset = 0 } = req.query;
+
+      const params = new QueryParams([req.user.id]);
+      const conditions = ['user_id = $1'];
+
+      if (startDate && endDate) {
+        conditions.push(dateRangeCondition('log_date', startDate, endDate, params));
+      }
+
+      const result = await query(
+        `SELECT * FROM user_weight_logs
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY log_date DESC, created_at DESC
+         LIMIT ${params.add(limit)} OFFSET ${params.add(offset)}`,
+        params.values
+      );
+
+      res.json({
+        success: true,
+        logs: result.rows,
+        limit,
+        offset
+      });
+    } catch (error) {
+      if (error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Weight logs error:', error);
+      res.status(500).json({
+        success: false,
+        message: '獲取體重記錄失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/weight
+ * @desc Log a weigh-in and update the profile weight
+ * @access Private
+ */
+router.post('/',
+  authenticateToken,
+  applyUnitPreferences(WEIGHT_UNITS),
+  validateRequest({
+    body: {
+      weight: { required: true, type: 'number', min: 20, max: 500 }, // kg
+      logDate: { required: true, type: 'date' },
+      notes: { required: false, type: 'string', maxLength: 1000 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const { weight, logDate, notes } = req.body;
+
+      const log = await withTransaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO user_weight_logs (user_id, weight, log_date, notes)
+           VALUES ($1, $2, $3, $4)
+           RETURNING *`,
+          [req.user.id, weight, logDate, notes || null]
+        );
+
+        await WeightTrendService.syncUserWeight(req.user.id, client);
+        return result.rows[0];
+      });
+
+      await refreshAfterWeightChange(req.user.id);
+
+      res.status(201).json({
+        success: true,
+        log,
+        message: '體重記錄添加成功'
+      });
+    } catch (error) {
+      console.error('Weight logging error:', error);
+      res.status(500).json({
+        success: false,
+        message: '記錄體重失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/weight/:id
+ * @desc Update a weight log
+ * @access Private
+ */
+router.put('/:id',
+  authenticateToken,
+  applyUnitPreferences(WEIGHT_UNITS),
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    },
+    body: {
+      weight: { required: false, type: 'number', min: 20, max: 500 },
+      logDate: { required: false, type: 'date' },
+      notes: { required: false, nullable: true, type: 'string', maxLength: 1000 }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const updateQuery = buildUpdate({
+        table: 'user_weight_logs',
+        data: req.body,
+        fieldMap: WEIGHT_LOG_UPDATE_FIELDS,
+        where: { id: req.params.id, user_id: req.user.id },
+        touchUpdatedAt: false
+      });
+
+      const log = await withTransaction(async (client) => {
+        const result = await client.query(updateQuery.text, updateQuery.values);
+        if (result.rows.length > 0) {
+          await WeightTrendService.syncUserWeight(req.user.id, client);
+        }
+        return result.rows[0];
+      });
+
+      if (!log) {
+        return res.status(404).json({
+          success: false,
+          message: '體重記錄不存在或無權限修改'
+        });
+      }
+
+      await refreshAfterWeightChange(req.user.id);
+
+      res.json({
+        success: true,
+        log,
+        message: '體重記錄更新成功'
+      });
+    } catch (error) {
+      if (error instanceof QueryBuilderError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Weight log update error:', error);
+      res.status(500).json({
+        success: false,
+        message: '更新體重記錄失敗'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/weight/:id
+ * @desc Delete a weight log
+ * @access Private
+ */
+router.delete('/:id',
+  authenticateToken,
+  validateRequest({
+    params: {
+      id: { required: true, type: 'uuid' }
+    }
+  }),
+  async (req, res) => {
+    try {
+      const deleted = await withTransaction(async (client) => {
+        const result = await client.query(
+          'DELETE FROM user_weight_logs WHERE id = $1 AND user_id = $2 RETURNING id',
+          [req.params.id, req.user.id]
+        );
+        if (result.rows.length > 0) {
+          await WeightTrendService.syncUserWeight(req.user.id, client);
+        }
+        return result.rows.length > 0;
+      });
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: '體重記錄不存在或無權限刪除'
+        });
+      }
+
+      await refreshAfterWeightChange(req.user.id);
+
+      res.json({
+        success: true,
+        message: '體重記錄刪除成功'
+      });
+    } catch (error) {
+      console.error('Weight log deletion error:', error);
+      res.status(500).json({
+        success: false,
+        message: '刪除體重記錄失敗'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -7,12 +7,19 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const { connectDB } = require('./database/connection');
+const { migrate } = require('./database/migrator');
 const { connectRedis } = require('./database/redis');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const foodRoutes = require('./routes/food');
 const nutritionRoutes = require('./routes/nutrition');
 const aiRoutes = require('./routes/ai');
+const exerciseRoutes = require('./routes/exercise');
+const weightRoutes = require('./routes/weight');
+const goalRoutes = require('./routes/goals');
+const waterRoutes = require('./routes/water');
+const recipeRoutes = require('./routes/recipes');
+const savedMealRoutes = require('./routes/saved-meals');
 const foodRecognitionRoutes = require('./routes/food-recognition');
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
@@ -64,6 +71,12 @@ app.use('/api/user', userRoutes);
 app.use('/api/food', foodRoutes);
 app.use('/api/nutrition', nutritionRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/exercise', exerciseRoutes);
+app.use('/api/weight', weightRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/water', waterRoutes);
+app.use('/api/recipes', recipeRoutes);
+app.use('/api/saved-meals', savedMealRoutes);
 app.use('/api/food-recognition', foodRecognitionRoutes);
 
 // Error handling middleware
@@ -76,6 +89,11 @@ async function startServer() {
     // Connect to PostgreSQL
     await connectDB();
     console.log('✅ Connected to PostgreSQL database');
+
+    // Apply pending migrations; concurrent instances wait on the migration lock
+    if (process.env.DB_MIGRATE_ON_START === 'true') {
+      await migrate();
+    }
     
     // Connect to Redis
     await connectRedis();
@@ -3,6 +3,7 @@ const axios = require('axios');
 const sharp = require('sharp');
 const fs = require('fs');
 const path = require('path');
+const UnitConversionService = require('./UnitConversionService');
 
 // Initialize OpenAI client
 const openai = new OpenAI({
@@ -278,6 +279,9 @@ class AIService {
         3. 烹調建議
         4. 購物清單
         
+        每項食物請以 amount（數字）和 unit 表示份量，unit 請使用以下單位之一：
+        ${UnitConversionService.listUnits().map(unit => unit.key).join(', ')}
+        
         請考慮台灣常見食物和飲食習慣。
       `;
 
@@ -300,7 +304,8 @@ class AIService {
       const responseText = completion.choices[0].message.content;
       
       try {
-        const mealPlan = JSON.parse(responseText);
+        // Normalize units and add gram weights so plan items can be logged directly
+        const mealPlan = UnitConversionService.annotateAmounts(JSON.parse(responseText));
         return {
           success: true,
           mealPlan,
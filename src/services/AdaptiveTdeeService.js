@@ -0,0 +1,261 @@
+const NutritionTargetService = require('./NutritionTargetService');
+const WeightTrendService = require('./WeightTrendService');
+const TimezoneService = require('./TimezoneService');
+const { query } = require('../database/connection');
+const { cache } = require('../database/redis');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Energy in one kg of body weight change
+const KCAL_PER_KG = 7700;
+
+const DEFAULT_WINDOW_DAYS = 28;
+
+// Minimum data before any estimate is reported
+const MIN_LOGGED_DAYS = 7;
+const MIN_WEIGH_INS = 2;
+const MIN_WEIGHT_SPAN_DAYS = 7;
+
+// Weigh-ins every this many days count as full weight coverage
+const WEIGH_IN_INTERVAL_DAYS = 3;
+
+// Days with intake below this share of the reference TDEE are treated as partially logged
+const INCOMPLETE_DAY_RATIO = 0.5;
+const REFERENCE_TDEE = 2000;
+
+// Auto-adjustment settings
+const ADJUSTMENT_INTERVAL_DAYS = 7;
+const MIN_APPLY_CONFIDENCE = 0.4;
+const MAX_WEEKLY_ADJUSTMENT = 200; // kcal
+
+const toDayNumber = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return Math.round(Date.UTC(year, month - 1, date) / MS_PER_DAY);
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+class AdaptiveTdeeService {
+  /**
+   * Estimate maintenance calories by energy balance: average intake minus
+   * the energy stored or released by the weight trend. Unlogged and
+   * partially logged days are left out of the intake average rather than
+   * counted as zero, and lower coverage lowers the confidence. The reported
+   * estimate is pulled toward the formula TDEE in proportion to that
+   * confidence, so thin data cannot swing the target far.
+   * @param {Object} params - { intakeDays, weightEntries, startDate, endDate, formulaTdee }
+   * @returns {Object} Estimate with coverage and confidence
+   */
+  static calculateEstimate({ intakeDays, weightEntries, startDate, endDate, formulaTdee }) {
+    const windowDays = toDayNumber(endDate) - toDayNumber(startDate) + 1;
+    const reference = formulaTdee || REFERENCE_TDEE;
+
+    const inWindow = intakeDays.filter(day => day.date >= startDate && day.date <= endDate);
+    const complete = inWindow.filter(day => day.calories >= reference * INCOMPLETE_DAY_RATIO);
+
+    // Smooth over the full history so the window starts from a settled trend
+    const trendPoints = WeightTrendService.calculateTrend(
+      weightEntries.filter(entry => entry.date <= endDate)
+    ).filter(point => point.date >= startDate);
+
+    const weightSpanDays = trendPoints.length > 1
+      ? toDayNumber(trendPoints[trendPoints.length - 1].date) - toDayNumber(trendPoints[0].date)
+      : 0;
+
+    const coverage = {
+      windowDays,
+      loggedDays: complete.length,
+      incompleteDays: inWindow.length - complete.length,
+      missingDays: windowDays - inWindow.length,
+      weighIns: trendPoints.length,
+      weightSpanDays
+    };
+
+    const base = {
+      startDate,
+      endDate,
+      formulaTdee: formulaTdee || null,
+      coverage
+    };
+
+    if (complete.length < MIN_LOGGED_DAYS ||
+        trendPoints.length < MIN_WEIGH_INS ||
+        weightSpanDays < MIN_WEIGHT_SPAN_DAYS) {
+      return {
+        ...base,
+        status: 'insufficient_data',
+        estimatedTdee: null,
+        observedTdee: null,
+        averageIntake: null,
+        weeklyWeightChange: null,
+        confidence: 0,
+        confidenceLevel: 'none'
+      };
+    }
+
+    const averageIntake = complete.reduce((sum, day) => sum + day.calories, 0) / complete.length;
+    const weeklyWeightChange = WeightTrendService.calculateWeeklyRate(trendPoints, windowDays) || 0;
+    const observedTdee = averageIntake - (weeklyWeightChange / 7) * KCAL_PER_KG;
+
+    const intakeCoverage = complete.length / windowDays;
+    const weighInCoverage = Math.min(1, trendPoints.length / (windowDays / WEIGH_IN_INTERVAL_DAYS));
+    const spanCoverage = weightSpanDays / (windowDays - 1);
+    const confidence = Math.round(intakeCoverage * weighInCoverage * spanCoverage * 100) / 100;
+
+    const estimatedTdee = formulaTdee
+      ? formulaTdee + confidence * (observedTdee - formulaTdee)
+      : observedTdee;
+
+    return {
+      ...base,
+      status: 'ok',
+      estimatedTdee: Math.round(estimatedTdee),
+      observedTdee: Math.round(observedTdee),
+      averageIntake: Math.round(averageIntake),
+      weeklyWeightChange,
+      confidence,
+      confidenceLevel: confidence >= 0.7 ? 'high' : confidence >= MIN_APPLY_CONFIDENCE ? 'medium' : 'low'
+    };
+  }
+
+  /**
+   * Load a user's logs and estimate maintenance calories for the window
+   * ending yesterday (today is usually still being logged)
+   * @param {Object} user - User row
+   * @param {Object} options - { windowDays, today } (today defaults to the user's zone)
+   * @returns {Promise<Object>} Estimate
+   */
+  static async estimateForUser(user, {
+    windowDays = DEFAULT_WINDOW_DAYS,
+    today = TimezoneService.today(user.timezone)
+  } = {}) {
+    const endDate = TimezoneService.addDays(today, -1);
+    const startDate = TimezoneService.addDays(endDate, -(windowDays - 1));
+
+    const [intakeResult, weightResult] = await Promise.all([
+      query(
+        `SELECT to_char(log_date, 'YYYY-MM-DD') as date, COALESCE(SUM(calories), 0) as calories
+         FROM user_food_logs
+         WHERE user_id = $1 AND log_date BETWEEN $2 AND $3
+         GROUP BY log_date`,
+        [user.id, startDate, endDate]
+      ),
+      query(
+        `SELECT to_char(log_date, 'YYYY-MM-DD') as date, weight
+         FROM user_weight_logs
+         WHERE user_id = $1 AND log_date <= $2
+         ORDER BY log_date ASC, created_at ASC`,
+        [user.id, endDate]
+      )
+    ]);
+
+    return this.calculateEstimate({
+      intakeDays: intakeResult.rows.map(row => ({ date: row.date, calories: parseFloat(row.calories) })),
+      weightEntries: weightResult.rows,
+      startDate,
+      endDate,
+      formulaTdee: NutritionTargetService.calculateForUser(user).tdee
+    });
+  }
+
+  /**
+   * Whether an opted-in user is due for their weekly adjustment
+   * @param {Object} user - User row
+   * @param {Date} now - Reference time (optional)
+   * @returns {boolean} True when due
+   */
+  static isAdjustmentDue(user, now = new Date()) {
+    if (!user.adaptive_tdee_enabled) {
+      return false;
+    }
+    if (!user.adaptive_tdee_checked_at) {
+      return true;
+    }
+    return now - new Date(user.adaptive_tdee_checked_at) >= ADJUSTMENT_INTERVAL_DAYS * MS_PER_DAY;
+  }
+
+  /**
+   * Re-estimate and, when confident enough, store the new maintenance value
+   * and recompute targets. Each run moves the stored value by at most
+   * MAX_WEEKLY_ADJUSTMENT so targets change gradually.
+   * @param {Object} user - User row
+   * @param {Object} options - Passed to estimateForUser
+   * @returns {Promise<Object>} { estimate, applied, user }
+   */
+  static async applyEstimate(user, options = {}) {
+    const estimate = await this.estimateForUser(user, options);
+    const applied = estimate.status === 'ok' && estimate.confidence >= MIN_APPLY_CONFIDENCE;
+
+    let adaptiveTdee = user.adaptive_tdee;
+    if (applied) {
+      const previous = user.adaptive_tdee || estimate.formulaTdee;
+      adaptiveTdee = previous
+        ? Math.round(clamp(estimate.estimatedTdee, previous - MAX_WEEKLY_ADJUSTMENT, previous + MAX_WEEKLY_ADJUSTMENT))
+        : estimate.estimatedTdee;
+    }
+
+    // Record the check even when nothing changed, so it is not retried until next week
+    await query(
+      `UPDATE users
+       SET adaptive_tdee = $1, adaptive_tdee_confidence = $2, adaptive_tdee_checked_at = NOW()
+       WHERE id = $3`,
+      [adaptiveTdee, applied ? estimate.confidence : user.adaptive_tdee_confidence, user.id]
+    );
+
+    const updatedUser = await NutritionTargetService.recalculateForUser(user.id);
+
+    if (applied) {
+      await cache.delPattern(`daily_nutrition:${user.id}:*`);
+    }
+
+    return { estimate, applied, user: updatedUser };
+  }
+
+  /**
+   * Run the weekly adjustment for an opted-in user once it is due. Called
+   * after intake or weight is recorded; a failure is logged and retried on
+   * the next write rather than failing the write that triggered it.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Result of applyEstimate, or null when not due
+   */
+  static async applyIfDue(userId) {
+    try {
+      const result = await query('SELECT * FROM users WHERE id = $1', [userId]);
+      const user = result.rows[0];
+      if (!user || !this.isAdjustmentDue(user)) {
+        return null;
+      }
+      return await this.applyEstimate(user);
+    } catch (error) {
+      console.error('Adaptive TDEE adjustment error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Turn weekly auto-adjustment on or off. Turning it on runs the first
+   * adjustment straight away; turning it off restores formula targets.
+   * @param {Object} user - User row
+   * @param {boolean} enabled - Opt-in flag
+   * @returns {Promise<Object>} { estimate, applied, user }
+   */
+  static async setEnabled(user, enabled) {
+    await query(
+      `UPDATE users
+       SET adaptive_tdee_enabled = $1, adaptive_tdee_checked_at = NULL
+       WHERE id = $2`,
+      [enabled, user.id]
+    );
+
+    if (enabled) {
+      return await this.applyEstimate({ ...user, adaptive_tdee_enabled: true });
+    }
+
+    const updatedUser = await NutritionTargetService.recalculateForUser(user.id);
+    await cache.delPattern(`daily_nutrition:${user.id}:*`);
+
+    return { estimate: null, applied: false, user: updatedUser };
+  }
+}
+
+module.exports = AdaptiveTdeeService;
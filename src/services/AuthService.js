@@ -0,0 +1,163 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+const SALT_ROUNDS = 12;
+const JWT_ALGORITHM = 'HS256';
+
+// Columns that must never leave the server
+const PRIVATE_USER_FIELDS = [
+  'password_hash',
+  'verification_token',
+  'verification_expires',
+  'reset_password_token',
+  'reset_password_expires'
+];
+
+class AuthService {
+  /**
+   * Hash a plain text password with a per-password salt
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} bcrypt hash (salt included)
+   */
+  static async hashPassword(password) {
+    return await bcrypt.hash(password, SALT_ROUNDS);
+  }
+
+  /**
+   * Compare a plain text password against a stored hash
+   * @param {string} password - Plain text password
+   * @param {string} passwordHash - Stored bcrypt hash
+   * @returns {Promise<boolean>} Whether the password matches
+   */
+  static async verifyPassword(password, passwordHash) {
+    if (!password || !passwordHash) {
+      return false;
+    }
+    return await bcrypt.compare(password, passwordHash);
+  }
+
+  /**
+   * Sign a short-lived access token for a user
+   * @param {Object} user - User row (needs id and email)
+   * @param {string} sessionId - Session the token belongs to (optional)
+   * @returns {string} Signed JWT
+   */
+  static generateAccessToken(user, sessionId = null) {
+    return jwt.sign(
+      { sub: user.id, email: user.email, sid: sessionId, type: 'access' },
+      this.getSecret(),
+      {
+        algorithm: JWT_ALGORITHM,
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+      }
+    );
+  }
+
+  /**
+   * Verify an access token's signature and expiry
+   * @param {string} token - Signed JWT
+   * @returns {Object} Decoded payload
+   * @throws {Error} jsonwebtoken error (TokenExpiredError, JsonWebTokenError)
+   */
+  static verifyAccessToken(token) {
+    const payload = jwt.verify(token, this.getSecret(), { algorithms: [JWT_ALGORITHM] });
+    if (payload.type === 'refresh') {
+      throw new jwt.JsonWebTokenError('refresh token used as access token');
+    }
+    return payload;
+  }
+
+  /**
+   * Sign a long-lived refresh token. Each token carries a unique jti so the
+   * session can tell the current token apart from already-rotated ones.
+   * @param {Object} user - User row (needs id)
+   * @param {string} sessionId - Session (token family) id
+   * @returns {Object} { token, tokenId, expiresAt }
+   */
+  static generateRefreshToken(user, sessionId) {
+    const tokenId = crypto.randomUUID();
+    const token = jwt.sign(
+      { sub: user.id, sid: sessionId, type: 'refresh' },
+      this.getRefreshSecret(),
+      {
+        algorithm: JWT_ALGORITHM,
+        expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
+        jwtid: tokenId
+      }
+    );
+    const { exp } = jwt.decode(token);
+
+    return { token, tokenId, expiresAt: exp };
+  }
+
+  /**
+   * Verify a refresh token's signature and expiry
+   * @param {string} token - Signed refresh JWT
+   * @param {Object} options - jsonwebtoken verify options (optional)
+   * @returns {Object} Decoded payload
+   * @throws {Error} jsonwebtoken error (TokenExpiredError, JsonWebTokenError)
+   */
+  static verifyRefreshToken(token, options = {}) {
+    const payload = jwt.verify(token, this.getRefreshSecret(), {
+      ...options,
+      algorithms: [JWT_ALGORITHM]
+    });
+    if (payload.type !== 'refresh' || !payload.sid || !payload.jti) {
+      throw new jwt.JsonWebTokenError('not a refresh token');
+    }
+    return payload;
+  }
+
+  /**
+   * Create a random single-use token (email verification, password reset).
+   * Only the hash is stored so a database leak does not expose usable tokens.
+   * @returns {Object} { token, tokenHash }
+   */
+  static generateOneTimeToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: this.hashToken(token) };
+  }
+
+  /**
+   * Hash a single-use token for storage and lookup
+   * @param {string} token - Plain token
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Strip credential columns from a user row before returning it
+   * @param {Object} user - User row
+   * @returns {Object} Safe user object
+   */
+  static toPublicUser(user) {
+    const publicUser = { ...user };
+    PRIVATE_USER_FIELDS.forEach(field => delete publicUser[field]);
+    return publicUser;
+  }
+
+  /**
+   * Read the signing secret from the environment
+   * @returns {string} JWT secret
+   */
+  static getSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+    return secret;
+  }
+
+  /**
+   * Read the refresh token secret, falling back to the access token secret
+   * @returns {string} JWT secret
+   */
+  static getRefreshSecret() {
+    return process.env.JWT_REFRESH_SECRET || this.getSecret();
+  }
+}
+
+module.exports = AuthService;
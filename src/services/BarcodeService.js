@@ -0,0 +1,111 @@
+const { query } = require('../database/connection');
+
+// Barcode formats by digit count. Scanners and databases drop leading zeros
+// of UPC-A codes, so 9 to 11 digits are read as UPC-A.
+const FORMATS = {
+  8: 'EAN-8',
+  12: 'UPC-A',
+  13: 'EAN-13',
+  14: 'GTIN-14'
+};
+const SHORTENED_UPC_LENGTHS = [9, 10, 11];
+
+// Lengths barcodes are stored at in food databases (FDC uses 12 to 14)
+const STORED_LENGTHS = [8, 12, 13, 14];
+
+// Raised when a barcode is malformed or cannot be used
+class BarcodeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BarcodeError';
+    this.status = status;
+  }
+}
+
+// GS1 mod 10 check digit: weights 3 and 1 alternate from the right
+const checkDigit = (body) => {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const digit = Number(body[body.length - 1 - i]);
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+class BarcodeService {
+  /**
+   * Validate a scanned or typed barcode and bring it to GTIN-14, so the same
+   * product matches however its code was written
+   * @param {string} code - Barcode digits (spaces and dashes allowed)
+   * @returns {Object} { gtin: 14 digits, format: 'EAN-8'|'UPC-A'|'EAN-13'|'GTIN-14' }
+   */
+  static normalize(code) {
+    let digits = String(code || '').replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits)) {
+      throw new BarcodeError('條碼只能包含數字');
+    }
+    if (SHORTENED_UPC_LENGTHS.includes(digits.length)) {
+      digits = digits.padStart(12, '0');
+    }
+
+    const format = FORMATS[digits.length];
+    if (!format) {
+      throw new BarcodeError('條碼格式不正確，請使用 EAN-8、EAN-13 或 UPC-A 條碼');
+    }
+    if (checkDigit(digits.slice(0, -1)) !== Number(digits.slice(-1))) {
+      throw new BarcodeError('條碼檢查碼錯誤，請重新掃描');
+    }
+
+    return { gtin: digits.padStart(14, '0'), format };
+  }
+
+  /**
+   * Every way a GTIN may be written in foods.gtin_upc
+   * @param {string} gtin - Normalized GTIN-14
+   * @returns {Array} Codes to match
+   */
+  static storedForms(gtin) {
+    const core = gtin.replace(/^0+/, '');
+    const forms = STORED_LENGTHS
+      .filter(length => length >= core.length)
+      .map(length => core.padStart(length, '0'));
+    return [...new Set([core, ...forms])];
+  }
+
+  /**
+   * Find the database food with a barcode, newest data first
+   * @param {string} gtin - Normalized GTIN-14
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<Object|null>} foods row with its category names
+   */
+  static async findFood(gtin, db = { query }) {
+    const result = await db.query(
+      `SELECT f.*, fc.name as category_name, fc.name_tw as category_name_tw
+       FROM foods f
+       LEFT JOIN food_categories fc ON f.food_category_id = fc.id
+       WHERE f.gtin_upc = ANY($1)
+       ORDER BY f.publication_date DESC NULLS LAST, f.id DESC
+       LIMIT 1`,
+      [this.storedForms(gtin)]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Normalize a barcode a user is tying to a custom food. Products already
+   * in the food database cannot be submitted again.
+   * @param {string} code - Barcode as entered
+   * @returns {Promise<string>} Normalized GTIN-14
+   */
+  static async normalizeForSubmission(code) {
+    const { gtin } = this.normalize(code);
+    if (await this.findFood(gtin)) {
+      throw new BarcodeError('此條碼的商品已在食物資料庫中', 409);
+    }
+    return gtin;
+  }
+}
+
+BarcodeService.BarcodeError = BarcodeError;
+
+module.exports = BarcodeService;
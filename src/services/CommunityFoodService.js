@@ -0,0 +1,431 @@
+const UnitConversionService = require('./UnitConversionService');
+const { query, withTransaction } = require('../database/connection');
+const { QueryParams } = require('../database/queryBuilder');
+
+// Moderation states in which a public food is shown to other users
+const VISIBLE_STATUSES = ['pending', 'approved'];
+
+// Lowest trigram similarity for two names to count as the same food
+const NAME_SIMILARITY = 0.45;
+
+// Nutrition counts as the same within this fraction, or the absolute slack
+// below for small values
+const NUTRITION_TOLERANCE = 0.15;
+const NUTRITION_SLACK = {
+  calories_per_serving: 10,
+  protein_per_serving: 1,
+  carbs_per_serving: 1,
+  fat_per_serving: 1
+};
+
+// Most likely duplicates returned for one food
+const MAX_DUPLICATES = 5;
+
+const REPORT_REASONS = ['incorrect_nutrition', 'duplicate', 'inappropriate', 'other'];
+
+const MODERATION_ACTIONS = ['approve', 'hide', 'merge'];
+
+// Raised when a community action is not allowed
+class CommunityFoodError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CommunityFoodError';
+    this.status = status;
+  }
+}
+
+// Columns shown for a community food; the owner is credited by username only
+const COMMUNITY_COLUMNS = `
+  cf.id, cf.name, cf.description, cf.serving_size, cf.serving_unit, cf.serving_weight_g, cf.density,
+  cf.calories_per_serving, cf.protein_per_serving, cf.carbs_per_serving, cf.fat_per_serving,
+  cf.fiber_per_serving, cf.sugar_per_serving, cf.sodium_per_serving,
+  cf.barcode, cf.moderation_status, cf.upvote_count, cf.created_at, cf.updated_at,
+  u.username as author_username`;
+
+const toCommunityFood = (row) => {
+  const { author_username: authorUsername, ...food } = row;
+  return {
+    ...food,
+    source: 'community',
+    author: { username: authorUsername }
+  };
+};
+
+// Multiplier bringing a food's per serving values to a shared basis: per
+// 100 g when its weight is known, otherwise per one of its serving unit
+const comparableBasis = (food) => {
+  try {
+    const { multiplier } = UnitConversionService.customFoodMultiplier(100, 'g', food);
+    return { basis: 'per100g', multiplier };
+  } catch (error) {
+    if (!(error instanceof UnitConversionService.UnitConversionError)) {
+      throw error;
+    }
+    const unit = UnitConversionService.normalizeUnit(food.serving_unit);
+    return {
+      basis: unit ? unit.key : String(food.serving_unit).trim().toLowerCase(),
+      multiplier: 1 / parseFloat(food.serving_size)
+    };
+  }
+};
+
+const nutritionMatches = (food, candidate) => {
+  const a = comparableBasis(food);
+  const b = comparableBasis(candidate);
+  if (a.basis !== b.basis) {
+    return false;
+  }
+
+  return Object.entries(NUTRITION_SLACK).every(([column, slack]) => {
+    const valueA = (parseFloat(food[column]) || 0) * a.multiplier;
+    const valueB = (parseFloat(candidate[column]) || 0) * b.multiplier;
+    const allowed = Math.max(slack, NUTRITION_TOLERANCE * Math.max(valueA, valueB));
+    return Math.abs(valueA - valueB) <= allowed;
+  });
+};
+
+class CommunityFoodService {
+  /**
+   * Search public custom foods shared by other users
+   * @param {string} q - Text to find in the name or description
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { foods, total }
+   */
+  static async search(q, { limit = 20, offset = 0 } = {}) {
+    const params = new QueryParams([`%${q}%`, VISIBLE_STATUSES]);
+    const whereClause = `cf.is_public = true
+      AND cf.moderation_status = ANY($2)
+      AND (cf.name ILIKE $1 OR cf.description ILIKE $1)`;
+    const filterValues = [...params.values];
+
+    const result = await query(
+      `SELECT ${COMMUNITY_COLUMNS}
+       FROM user_custom_foods cf
+       JOIN users u ON cf.user_id = u.id
+       WHERE ${whereClause}
+       ORDER BY (cf.moderation_status = 'approved') DESC, cf.upvote_count DESC, cf.name ASC
+       LIMIT ${params.add(limit)} OFFSET ${params.add(offset)}`,
+      params.values
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM user_custom_foods cf WHERE ${whereClause}`,
+      filterValues
+    );
+
+    return {
+      foods: result.rows.map(toCommunityFood),
+      total: parseInt(countResult.rows[0].total)
+    };
+  }
+
+  /**
+   * Find community foods that look like the same food: a similar name and
+   * nutrition within tolerance on a shared basis
+   * @param {Object} food - user_custom_foods row (or one being created)
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<Array>} Likely duplicates, most similar name first
+   */
+  static async findDuplicates(food, db = { query }) {
+    const result = await db.query(
+      `SELECT ${COMMUNITY_COLUMNS}, cf.user_id, similarity(cf.name, $1) as name_similarity
+       FROM user_custom_foods cf
+       JOIN users u ON cf.user_id = u.id
+       WHERE cf.is_public = true
+         AND cf.moderation_status = ANY($2)
+         AND cf.id IS DISTINCT FROM $3
+         AND cf.name % $1
+         AND similarity(cf.name, $1) >= $4
+       ORDER BY name_similarity DESC
+       LIMIT 20`,
+      [food.name, VISIBLE_STATUSES, food.id || null, NAME_SIMILARITY]
+    );
+
+    return result.rows
+      .filter(candidate => nutritionMatches(food, candidate))
+      .slice(0, MAX_DUPLICATES)
+      .map(({ user_id: userId, name_similarity: similarity, ...candidate }) => ({
+        ...toCommunityFood(candidate),
+        nameSimilarity: Math.round(parseFloat(similarity) * 100) / 100
+      }));
+  }
+
+  /**
+   * Find the custom food tied to a barcode: the user's own first, then the
+   * best public one
+   * @param {string} gtin - Normalized GTIN-14
+   * @param {string} userId - Scanning user's ID
+   * @returns {Promise<Object|null>} Own custom food row or community food
+   */
+  static async findByBarcode(gtin, userId) {
+    const own = await query(
+      `SELECT * FROM user_custom_foods
+       WHERE barcode = $1 AND user_id = $2
+       ORDER BY updated_at DESC
+       LIMIT 1`,
+      [gtin, userId]
+    );
+    if (own.rows.length > 0) {
+      return { ...own.rows[0], source: 'custom' };
+    }
+
+    const shared = await query(
+      `SELECT ${COMMUNITY_COLUMNS}
+       FROM user_custom_foods cf
+       JOIN users u ON cf.user_id = u.id
+       WHERE cf.barcode = $1 AND cf.is_public = true AND cf.moderation_status = ANY($2)
+       ORDER BY (cf.moderation_status = 'approved') DESC, cf.upvote_count DESC, cf.created_at ASC
+       LIMIT 1`,
+      [gtin, VISIBLE_STATUSES]
+    );
+    return shared.rows.length > 0 ? toCommunityFood(shared.rows[0]) : null;
+  }
+
+  /**
+   * Load a public food another user may vote on or report
+   * @param {string} foodId - Custom food ID
+   * @param {string} userId - Acting user's ID
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<Object>} user_custom_foods row
+   */
+  static async getVisibleFood(foodId, userId, db = { query }) {
+    const result = await db.query(
+      `SELECT * FROM user_custom_foods
+       WHERE id = $1 AND is_public = true AND moderation_status = ANY($2)`,
+      [foodId, VISIBLE_STATUSES]
+    );
+
+    if (result.rows.length === 0) {
+      throw new CommunityFoodError('社群食物不存在', 404);
+    }
+    if (result.rows[0].user_id === userId) {
+      throw new CommunityFoodError('無法對自己分享的食物執行此操作');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Refuse to delete a food other users' recipes or saved meals are built on;
+   * deleting it would silently drop those lines
+   * @param {string} foodId - Custom food ID
+   * @param {string} ownerId - ID of the user deleting the food
+   * @param {Object} db - Query runner (pool query or transaction client)
+   */
+  static async assertNotUsedByOthers(foodId, ownerId, db = { query }) {
+    const result = await db.query(
+      `SELECT 1 FROM user_recipe_ingredients i
+       JOIN user_recipes r ON r.id = i.recipe_id
+       WHERE i.custom_food_id = $1 AND r.user_id <> $2
+       UNION ALL
+       SELECT 1 FROM user_saved_meal_items m
+       JOIN user_saved_meals s ON s.id = m.saved_meal_id
+       WHERE m.custom_food_id = $1 AND s.user_id <> $2
+       LIMIT 1`,
+      [foodId, ownerId]
+    );
+
+    if (result.rows.length > 0) {
+      throw new CommunityFoodError('其他用戶的食譜或常用餐點正在使用此食物，無法刪除；可改為取消分享', 409);
+    }
+  }
+
+  /**
+   * Add or remove the user's upvote on a public food
+   * @param {string} foodId - Custom food ID
+   * @param {string} userId - Voting user's ID
+   * @param {boolean} upvote - true to add, false to remove
+   * @returns {Promise<number>} New upvote count
+   */
+  static async setVote(foodId, userId, upvote) {
+    return withTransaction(async (client) => {
+      await this.getVisibleFood(foodId, userId, client);
+
+      if (upvote) {
+        await client.query(
+          `INSERT INTO custom_food_votes (custom_food_id, user_id) VALUES ($1, $2)
+           ON CONFLICT (custom_food_id, user_id) DO NOTHING`,
+          [foodId, userId]
+        );
+      } else {
+        await client.query(
+          'DELETE FROM custom_food_votes WHERE custom_food_id = $1 AND user_id = $2',
+          [foodId, userId]
+        );
+      }
+
+      return this.recountVotes(foodId, client);
+    });
+  }
+
+  /**
+   * Store a food's upvote total from its votes
+   * @param {string} foodId - Custom food ID
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<number>} Upvote count
+   */
+  static async recountVotes(foodId, db = { query }) {
+    const result = await db.query(
+      `UPDATE user_custom_foods
+       SET upvote_count = (SELECT COUNT(*) FROM custom_food_votes WHERE custom_food_id = $1)
+       WHERE id = $1
+       RETURNING upvote_count`,
+      [foodId]
+    );
+    return result.rows[0].upvote_count;
+  }
+
+  /**
+   * Report a public food to moderators; a user's new report replaces their last
+   * @param {string} foodId - Custom food ID
+   * @param {string} userId - Reporting user's ID
+   * @param {Object} report - { reason, details }
+   * @returns {Promise<Object>} custom_food_reports row
+   */
+  static async report(foodId, userId, { reason, details }) {
+    await this.getVisibleFood(foodId, userId);
+
+    const result = await query(
+      `INSERT INTO custom_food_reports (custom_food_id, user_id, reason, details)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (custom_food_id, user_id) DO UPDATE
+       SET reason = EXCLUDED.reason, details = EXCLUDED.details, status = 'open',
+           resolved_by = NULL, resolved_at = NULL, created_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [foodId, userId, reason, details || null]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Public foods awaiting review or with open reports, with their reports and
+   * likely duplicates
+   * @param {Object} options - { status: 'pending'|'reported' (both when omitted), limit, offset }
+   * @returns {Promise<Object>} { foods, total }
+   */
+  static async getModerationQueue({ status, limit = 20, offset = 0 } = {}) {
+    const pending = `cf.moderation_status = 'pending'`;
+    const reported = `EXISTS (
+      SELECT 1 FROM custom_food_reports r WHERE r.custom_food_id = cf.id AND r.status = 'open'
+    )`;
+    const queueCondition = status === 'pending'
+      ? pending
+      : status === 'reported' ? reported : `(${pending} OR ${reported})`;
+    const whereClause = `cf.is_public = true AND cf.moderation_status <> 'merged' AND ${queueCondition}`;
+
+    const params = new QueryParams();
+    const result = await query(
+      `SELECT ${COMMUNITY_COLUMNS}, cf.user_id
+       FROM user_custom_foods cf
+       JOIN users u ON cf.user_id = u.id
+       WHERE ${whereClause}
+       ORDER BY cf.created_at ASC
+       LIMIT ${params.add(limit)} OFFSET ${params.add(offset)}`,
+      params.values
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM user_custom_foods cf WHERE ${whereClause}`
+    );
+
+    const reportResult = await query(
+      `SELECT r.id, r.custom_food_id, r.reason, r.details, r.created_at, u.username as reporter_username
+       FROM custom_food_reports r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.custom_food_id = ANY($1) AND r.status = 'open'
+       ORDER BY r.created_at ASC`,
+      [result.rows.map(row => row.id)]
+    );
+
+    const foods = [];
+    for (const row of result.rows) {
+      const { user_id: userId, ...food } = row;
+      foods.push({
+        ...toCommunityFood(food),
+        authorId: userId,
+        reports: reportResult.rows
+          .filter(report => report.custom_food_id === row.id)
+          .map(({ custom_food_id: foodId, ...report }) => report),
+        possibleDuplicates: await this.findDuplicates(row)
+      });
+    }
+
+    return {
+      foods,
+      total: parseInt(countResult.rows[0].total)
+    };
+  }
+
+  /**
+   * Approve, hide or merge a public food and resolve its open reports.
+   * Merging moves its upvotes to the kept entry; logs, recipes and saved
+   * meals that already use it keep working.
+   * @param {string} foodId - Custom food ID
+   * @param {string} adminId - Moderating admin's user ID
+   * @param {Object} decision - { action, mergeIntoId }
+   * @returns {Promise<Object>} Updated user_custom_foods row
+   */
+  static async moderate(foodId, adminId, { action, mergeIntoId }) {
+    return withTransaction(async (client) => {
+      const foodResult = await client.query(
+        'SELECT * FROM user_custom_foods WHERE id = $1 AND is_public = true FOR UPDATE',
+        [foodId]
+      );
+      if (foodResult.rows.length === 0) {
+        throw new CommunityFoodError('社群食物不存在', 404);
+      }
+
+      let status = action === 'approve' ? 'approved' : 'hidden';
+      let mergedInto = null;
+
+      if (action === 'merge') {
+        if (!mergeIntoId || mergeIntoId === foodId) {
+          throw new CommunityFoodError('請指定要合併到的另一個社群食物');
+        }
+        const targetResult = await client.query(
+          `SELECT id, user_id FROM user_custom_foods
+           WHERE id = $1 AND is_public = true AND moderation_status = ANY($2)`,
+          [mergeIntoId, VISIBLE_STATUSES]
+        );
+        if (targetResult.rows.length === 0) {
+          throw new CommunityFoodError('合併目標不存在', 404);
+        }
+
+        status = 'merged';
+        mergedInto = mergeIntoId;
+
+        // The kept entry's owner cannot vote for their own food
+        await client.query(
+          `INSERT INTO custom_food_votes (custom_food_id, user_id, created_at)
+           SELECT $1, user_id, created_at FROM custom_food_votes
+           WHERE custom_food_id = $2 AND user_id <> $3
+           ON CONFLICT (custom_food_id, user_id) DO NOTHING`,
+          [mergeIntoId, foodId, targetResult.rows[0].user_id]
+        );
+        await this.recountVotes(mergeIntoId, client);
+      }
+
+      const updated = await client.query(
+        `UPDATE user_custom_foods
+         SET moderation_status = $1, merged_into_id = $2, moderated_by = $3, moderated_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING *`,
+        [status, mergedInto, adminId, foodId]
+      );
+
+      await client.query(
+        `UPDATE custom_food_reports
+         SET status = 'resolved', resolved_by = $1, resolved_at = CURRENT_TIMESTAMP
+         WHERE custom_food_id = $2 AND status = 'open'`,
+        [adminId, foodId]
+      );
+
+      return updated.rows[0];
+    });
+  }
+}
+
+CommunityFoodService.CommunityFoodError = CommunityFoodError;
+CommunityFoodService.REPORT_REASONS = REPORT_REASONS;
+CommunityFoodService.MODERATION_ACTIONS = MODERATION_ACTIONS;
+
+module.exports = CommunityFoodService;
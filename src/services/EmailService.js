@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Outbox transport: writes each message as a JSON file instead of sending it.
+ * Used for local development and tests so links can be read from disk.
+ */
+const outboxTransport = {
+  async send(message) {
+    const outboxDir = path.resolve(process.env.EMAIL_OUTBOX_DIR || './outbox');
+    if (!fs.existsSync(outboxDir)) {
+      fs.mkdirSync(outboxDir, { recursive: true });
+    }
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(outboxDir, `${id}.json`);
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ id, ...message, createdAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { id, filePath };
+  }
+};
+
+/**
+ * SMTP transport backed by nodemailer, configured from EMAIL_* settings
+ */
+const smtpTransport = {
+  transporter: null,
+
+  async send(message) {
+    if (!this.transporter) {
+      const nodemailer = require('nodemailer');
+      this.transporter = nodemailer.createTransport({
+        service: process.env.EMAIL_SERVICE,
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASSWORD
+        }
+      });
+    }
+
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+};
+
+const transports = {
+  outbox: outboxTransport,
+  smtp: smtpTransport
+};
+
+class EmailService {
+  /**
+   * Register a custom transport (anything with an async send(message))
+   * @param {string} name - Transport name used in EMAIL_TRANSPORT
+   * @param {Object} transport - Transport implementation
+   */
+  static registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error(`Email transport "${name}" must implement send()`);
+    }
+    transports[name] = transport;
+  }
+
+  /**
+   * Resolve the active transport from EMAIL_TRANSPORT
+   * (defaults to smtp in production and outbox everywhere else)
+   * @returns {Object} Transport
+   */
+  static getTransport() {
+    const name = process.env.EMAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox');
+    const transport = transports[name];
+
+    if (!transport) {
+      throw new Error(`Unknown email transport: ${name}`);
+    }
+    return transport;
+  }
+
+  /**
+   * Send an email through the active transport
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} Transport result
+   */
+  static async send(message) {
+    const from = process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@ai-calorie.app';
+    return await this.getTransport().send({ from, ...message });
+  }
+
+  /**
+   * Send the email address verification link
+   * @param {Object} user - User row (needs email)
+   * @param {string} token - Plain verification token
+   * @returns {Promise<Object>} Transport result
+   */
+  static async sendVerificationEmail(user, token) {
+    const link = this.buildLink('/verify-email', token);
+
+    return await this.send({
+      to: user.email,
+      subject: '請驗證您的電子郵件 - AI 熱量精算師',
+      text: `您好！\n\n請點擊以下連結完成電子郵件驗證（24 小時內有效）：\n${link}\n\n如果您沒有註冊帳號，請忽略此郵件。`,
+      html: `<p>您好！</p><p>請點擊以下連結完成電子郵件驗證（24 小時內有效）：</p><p><a href="${link}">${link}</a></p><p>如果您沒有註冊帳號，請忽略此郵件。</p>`
+    });
+  }
+
+  /**
+   * Send the password reset link
+   * @param {Object} user - User row (needs email)
+   * @param {string} token - Plain reset token
+   * @returns {Promise<Object>} Transport result
+   */
+  static async sendPasswordResetEmail(user, token) {
+    const link = this.buildLink('/reset-password', token);
+
+    return await this.send({
+      to: user.email,
+      subject: '重設密碼 - AI 熱量精算師',
+      text: `您好！\n\n請點擊以下連結重設密碼（1 小時內有效）：\n${link}\n\n如果您沒有申請重設密碼，請忽略此郵件。`,
+      html: `<p>您好！</p><p>請點擊以下連結重設密碼（1 小時內有效）：</p><p><a href="${link}">${link}</a></p><p>如果您沒有申請重設密碼，請忽略此郵件。</p>`
+    });
+  }
+
+  /**
+   * Build an app link carrying a token
+   * @param {string} pathname - App path
+   * @param {string} token - Token to include
+   * @returns {string} Absolute URL
+   */
+  static buildLink(pathname, token) {
+    const baseUrl = process.env.APP_BASE_URL || 'http://localhost:3000';
+    return `${baseUrl.replace(/\/$/, '')}${pathname}?token=${encodeURIComponent(token)}`;
+  }
+}
+
+module.exports = EmailService;
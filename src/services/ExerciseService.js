@@ -0,0 +1,102 @@
+const metActivities = require('../data/metActivities');
+
+// Fallback METs when the exercise is not in the activity table
+const GENERIC_MET = {
+  low: 3.0,
+  moderate: 5.0,
+  high: 8.0
+};
+
+// Body weight assumed when the user has not entered one
+const DEFAULT_WEIGHT_KG = 70;
+
+// Names and aliases an activity can be matched by, lowercased
+const candidatesOf = (activity) =>
+  [activity.key, activity.name, activity.name_tw, ...activity.aliases].map(candidate => candidate.toLowerCase());
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Chinese names have no spaces between words, so they match anywhere in the
+// name; Latin names must match whole words ('run' is not in 'crunches')
+const appearsIn = (name, candidate) => {
+  if (/[^\x00-\x7f]/.test(candidate)) {
+    return name.includes(candidate);
+  }
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(candidate)}($|[^a-z0-9])`).test(name);
+};
+
+class ExerciseService {
+  /**
+   * Look up an activity by key, or by matching the exercise name. An exact
+   * match wins; otherwise the longest name or alias found in it, so
+   * 'table tennis' is not read as tennis.
+   * @param {string} exerciseName - Logged exercise name
+   * @param {string} activityKey - Activity key (optional, takes precedence)
+   * @returns {Object|null} Activity entry
+   */
+  static findActivity(exerciseName, activityKey = null) {
+    if (activityKey) {
+      return metActivities.find(activity => activity.key === activityKey) || null;
+    }
+
+    const name = String(exerciseName || '').trim().toLowerCase();
+    if (!name) {
+      return null;
+    }
+
+    const exact = metActivities.find(activity => candidatesOf(activity).includes(name));
+    if (exact) {
+      return exact;
+    }
+
+    let best = null;
+    let bestLength = 0;
+    metActivities.forEach(activity => {
+      candidatesOf(activity).forEach(candidate => {
+        if (candidate.length > bestLength && appearsIn(name, candidate)) {
+          best = activity;
+          bestLength = candidate.length;
+        }
+      });
+    });
+    return best;
+  }
+
+  /**
+   * Estimate calories burned: MET × body weight (kg) × hours
+   * @param {Object} params - { exerciseName, activityKey, intensity, duration (min), weight (kg) }
+   * @returns {Object} { caloriesBurned, met, activityKey, weightUsed, weightIsDefault }
+   */
+  static estimateCalories({ exerciseName, activityKey, intensity, duration, weight }) {
+    const level = intensity || 'moderate';
+    const activity = this.findActivity(exerciseName, activityKey);
+    const met = activity ? activity.met[level] : GENERIC_MET[level];
+    const weightUsed = weight ? parseFloat(weight) : DEFAULT_WEIGHT_KG;
+
+    return {
+      caloriesBurned: Math.round(met * weightUsed * (duration / 60) * 10) / 10,
+      met,
+      activityKey: activity ? activity.key : null,
+      weightUsed,
+      weightIsDefault: !weight
+    };
+  }
+
+  /**
+   * List activities, optionally filtered by a search term
+   * @param {string} search - Search term (optional)
+   * @returns {Array} Activities
+   */
+  static listActivities(search = '') {
+    const term = search.trim().toLowerCase();
+    if (!term) {
+      return metActivities;
+    }
+
+    return metActivities.filter(activity =>
+      candidatesOf(activity).some(candidate => candidate.includes(term))
+    );
+  }
+}
+
+module.exports = ExerciseService;
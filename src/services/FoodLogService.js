@@ -0,0 +1,324 @@
+const UnitConversionService = require('./UnitConversionService');
+const { query } = require('../database/connection');
+
+// USDA nutrient numbers mapped to food log columns. Numbers rather than
+// names, since FDC reuses names across units (Energy in kcal and kJ).
+const NUTRIENT_COLUMNS = {
+  '208': 'calories', // Energy (kcal)
+  '203': 'protein', // Protein
+  '205': 'carbs', // Carbohydrate, by difference
+  '204': 'fat', // Total lipid (fat)
+  '291': 'fiber', // Fiber, total dietary
+  '269': 'sugar', // Sugars, total
+  '307': 'sodium' // Sodium, Na
+};
+
+const EMPTY_NUTRITION = {
+  calories: 0,
+  protein: 0,
+  carbs: 0,
+  fat: 0,
+  fiber: 0,
+  sugar: 0,
+  sodium: 0
+};
+
+// Raised when a log item cannot be resolved to nutrition values
+class FoodLogError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FoodLogError';
+    this.status = status;
+  }
+}
+
+class FoodLogService {
+  /**
+   * Work out the nutrition for one log item from a database food, a custom
+   * food, a recipe, or the manual values sent with it. The amount is converted
+   * through the item's unit; units that cannot be converted for the food
+   * are rejected rather than guessed.
+   * @param {string} userId - User ID
+   * @param {Object} item - Log item (API field names)
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<Object>} { nutrition, nutrients, customFoodName, grams }
+   */
+  static async resolveNutrition(userId, item, db = { query }) {
+    const { foodId, customFoodId, recipeId, customFoodName, amount, unit } = item;
+
+    if (!foodId && !customFoodId && !recipeId && !customFoodName) {
+      throw new FoodLogError('必須提供食物ID或自定義食物信息');
+    }
+
+    try {
+      if (recipeId) {
+        const [recipeResult, nutrientResult] = await Promise.all([
+          db.query('SELECT * FROM user_recipes WHERE id = $1 AND user_id = $2', [recipeId, userId]),
+          db.query('SELECT nutrient_id, amount FROM user_recipe_nutrients WHERE recipe_id = $1', [recipeId])
+        ]);
+
+        if (recipeResult.rows.length === 0) {
+          throw new FoodLogError('食譜不存在', 404);
+        }
+
+        // Recipe totals are for the whole dish
+        const recipe = recipeResult.rows[0];
+        const { multiplier, grams } = UnitConversionService.recipeMultiplier(amount, unit, recipe);
+
+        const nutrition = {};
+        Object.values(NUTRIENT_COLUMNS).forEach(column => {
+          nutrition[column] = (parseFloat(recipe[column]) || 0) * multiplier;
+        });
+
+        return {
+          nutrition,
+          nutrients: nutrientResult.rows.map(row => ({
+            nutrientId: row.nutrient_id,
+            amount: parseFloat(row.amount) * multiplier
+          })),
+          customFoodName: customFoodName || recipe.name,
+          grams
+        };
+      }
+
+      if (customFoodId) {
+        // Public foods stay usable after moderation so existing recipes and
+        // saved meals that reference them keep resolving
+        const customFoodResult = await db.query(
+          'SELECT * FROM user_custom_foods WHERE id = $1 AND (user_id = $2 OR is_public = true)',
+          [customFoodId, userId]
+        );
+
+        if (customFoodResult.rows.length === 0) {
+          throw new FoodLogError('自定義食物不存在', 404);
+        }
+
+        const customFood = customFoodResult.rows[0];
+        const { multiplier, grams } =
+          UnitConversionService.customFoodMultiplier(amount, unit, customFood);
+
+        const nutrition = {
+          calories: (customFood.calories_per_serving || 0) * multiplier,
+          protein: (customFood.protein_per_serving || 0) * multiplier,
+          carbs: (customFood.carbs_per_serving || 0) * multiplier,
+          fat: (customFood.fat_per_serving || 0) * multiplier,
+          fiber: (customFood.fiber_per_serving || 0) * multiplier,
+          sugar: (customFood.sugar_per_serving || 0) * multiplier,
+          sodium: (customFood.sodium_per_serving || 0) * multiplier
+        };
+
+        return {
+          nutrition,
+          nutrients: await this.coreNutrients(nutrition, db),
+          customFoodName: customFoodName || customFood.name,
+          grams
+        };
+      }
+
+      if (foodId) {
+        const [foodResult, portionResult, nutritionResult] = await Promise.all([
+          db.query('SELECT id, density FROM foods WHERE id = $1', [foodId]),
+          db.query('SELECT unit, amount, gram_weight FROM food_portions WHERE food_id = $1', [foodId]),
+          db.query(
+            `SELECT fn.nutrient_id, fn.amount, n.nutrient_nbr
+             FROM food_nutrients fn
+             JOIN nutrients n ON fn.nutrient_id = n.id
+             WHERE fn.food_id = $1 AND fn.amount IS NOT NULL`,
+            [foodId]
+          )
+        ]);
+
+        if (foodResult.rows.length === 0) {
+          throw new FoodLogError('食物不存在', 404);
+        }
+
+        // Nutrient amounts are per 100 g
+        const { multiplier, grams } = UnitConversionService.foodMultiplier(amount, unit, {
+          portions: portionResult.rows,
+          density: foodResult.rows[0].density
+        });
+
+        const nutrition = { ...EMPTY_NUTRITION };
+        const nutrients = nutritionResult.rows.map(row => {
+          const scaled = parseFloat(row.amount) * multiplier;
+          if (NUTRIENT_COLUMNS[row.nutrient_nbr]) {
+            nutrition[NUTRIENT_COLUMNS[row.nutrient_nbr]] = scaled;
+          }
+          return { nutrientId: row.nutrient_id, amount: scaled };
+        });
+
+        return { nutrition, nutrients, customFoodName: customFoodName || null, grams };
+      }
+
+      // Manual entries carry totals for the logged amount; the unit must still
+      // be known. Without a food there is no density, so only masses have grams.
+      const normalized = UnitConversionService.requireUnit(unit);
+      const grams = normalized.type === 'mass' ? UnitConversionService.toGrams(amount, unit).grams : null;
+
+      const nutrition = {
+        calories: item.calories || 0,
+        protein: item.protein || 0,
+        carbs: item.carbs || 0,
+        fat: item.fat || 0,
+        fiber: item.fiber || 0,
+        sugar: item.sugar || 0,
+        sodium: item.sodium || 0
+      };
+
+      return {
+        nutrition,
+        nutrients: await this.coreNutrients(nutrition, db),
+        customFoodName,
+        grams
+      };
+    } catch (error) {
+      if (error instanceof UnitConversionService.UnitConversionError) {
+        throw new FoodLogError(error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Nutrient rows for entries that only carry the fixed columns (custom
+   * foods and manual entries)
+   * @param {Object} nutrition - { calories, protein, ... }
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<Array>} [{ nutrientId, amount }]
+   */
+  static async coreNutrients(nutrition, db = { query }) {
+    const result = await db.query(
+      'SELECT id, nutrient_nbr FROM nutrients WHERE nutrient_nbr = ANY($1)',
+      [Object.keys(NUTRIENT_COLUMNS)]
+    );
+
+    return result.rows.map(row => ({
+      nutrientId: row.id,
+      amount: parseFloat(nutrition[NUTRIENT_COLUMNS[row.nutrient_nbr]]) || 0
+    }));
+  }
+
+  /**
+   * Replace the nutrient rows stored for a log
+   * @param {string} logId - Food log ID
+   * @param {Array} nutrients - [{ nutrientId, amount }]
+   * @param {Object} db - Query runner (pool query or transaction client)
+   */
+  static async saveNutrients(logId, nutrients, db = { query }) {
+    await db.query('DELETE FROM user_food_log_nutrients WHERE log_id = $1', [logId]);
+
+    if (nutrients.length === 0) {
+      return;
+    }
+
+    await db.query(
+      `INSERT INTO user_food_log_nutrients (log_id, nutrient_id, amount)
+       SELECT $1, unnest($2::int[]), unnest($3::numeric[])`,
+      [logId, nutrients.map(n => n.nutrientId), nutrients.map(n => n.amount)]
+    );
+  }
+
+  /**
+   * Resolve and insert one food log
+   * @param {string} userId - User ID
+   * @param {Object} item - Log item (API field names)
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<Object>} { log, nutrition }
+   */
+  static async createLog(userId, item, db = { query }) {
+    const resolved = await this.resolveNutrition(userId, item, db);
+    return await this.insertLog(userId, item, resolved, db);
+  }
+
+  /**
+   * Insert a food log with already resolved nutrition
+   * @param {string} userId - User ID
+   * @param {Object} item - Log item (API field names)
+   * @param {Object} resolved - Result of resolveNutrition
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<Object>} { log, nutrition }
+   */
+  static async insertLog(userId, item, { nutrition, nutrients = [], customFoodName, grams }, db = { query }) {
+    const result = await db.query(
+      `INSERT INTO user_food_logs (
+        user_id, food_id, custom_food_id, recipe_id, custom_food_name, amount, unit, grams, meal_type,
+        log_date, log_time, calories, protein, carbs, fat, fiber, sugar, sodium
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+      RETURNING *`,
+      [
+        userId, item.foodId || null, item.customFoodId || null, item.recipeId || null, customFoodName,
+        item.amount, item.unit, grams, item.mealType,
+        item.logDate, item.logTime || null, nutrition.calories, nutrition.protein,
+        nutrition.carbs, nutrition.fat, nutrition.fiber,
+        nutrition.sugar, nutrition.sodium
+      ]
+    );
+
+    await this.saveNutrients(result.rows[0].id, nutrients, db);
+
+    return { log: result.rows[0], nutrition };
+  }
+
+  /**
+   * Recompute nutrition when a log's amount or unit changes. Logs linked
+   * to a food or recipe are resolved again; manual entries are scaled by the change
+   * in amount, or in grams or millilitres when the unit changes.
+   * @param {string} userId - User ID
+   * @param {Object} log - Existing user_food_logs row
+   * @param {Object} changes - { amount, unit } (either may be undefined)
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<Object>} { nutrition, nutrients, grams }
+   */
+  static async recalculate(userId, log, { amount, unit }, db = { query }) {
+    const newAmount = amount !== undefined ? amount : parseFloat(log.amount);
+    const newUnit = unit !== undefined ? unit : log.unit;
+
+    if (log.food_id || log.custom_food_id || log.recipe_id) {
+      const resolved = await this.resolveNutrition(userId, {
+        foodId: log.food_id,
+        customFoodId: log.custom_food_id,
+        recipeId: log.recipe_id,
+        customFoodName: log.custom_food_name,
+        amount: newAmount,
+        unit: newUnit
+      }, db);
+      return { nutrition: resolved.nutrition, nutrients: resolved.nutrients, grams: resolved.grams };
+    }
+
+    let ratio;
+    let grams = null;
+    try {
+      const normalized = UnitConversionService.requireUnit(newUnit);
+      const previous = UnitConversionService.normalizeUnit(log.unit);
+      if (normalized.type === 'mass') {
+        grams = UnitConversionService.toGrams(newAmount, newUnit).grams;
+      }
+
+      if (previous && previous.key === normalized.key) {
+        ratio = newAmount / parseFloat(log.amount);
+      } else if (previous && previous.type === 'volume' && normalized.type === 'volume') {
+        ratio = (newAmount * normalized.factor) / (parseFloat(log.amount) * previous.factor);
+      } else if (grams !== null && log.grams) {
+        ratio = grams / parseFloat(log.grams);
+      } else {
+        throw new FoodLogError('無法換算此單位，請重新輸入營養數值');
+      }
+    } catch (error) {
+      if (error instanceof UnitConversionService.UnitConversionError) {
+        throw new FoodLogError(error.message);
+      }
+      throw error;
+    }
+
+    const nutrition = {};
+    Object.values(NUTRIENT_COLUMNS).forEach(column => {
+      nutrition[column] = (parseFloat(log[column]) || 0) * ratio;
+    });
+    return { nutrition, nutrients: await this.coreNutrients(nutrition, db), grams };
+  }
+}
+
+FoodLogService.FoodLogError = FoodLogError;
+FoodLogService.NUTRIENT_COLUMNS = NUTRIENT_COLUMNS;
+
+module.exports = FoodLogService;
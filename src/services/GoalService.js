@@ -0,0 +1,327 @@
+const WeightTrendService = require('./WeightTrendService');
+const TimezoneService = require('./TimezoneService');
+const { query } = require('../database/connection');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Goal types whose progress is measured as movement toward a target weight
+const WEIGHT_GOAL_DIRECTION = {
+  weight_loss: -1,
+  weight_gain: 1,
+  muscle_gain: 1
+};
+
+// A maintenance goal is held while the trend stays within this many kg of the target
+const MAINTENANCE_TOLERANCE_KG = 1.5;
+
+// Percentage points a goal may trail its schedule before it counts as behind
+const PACE_TOLERANCE_PERCENT = 10;
+
+// Recent days used for nutrition adherence
+const ADHERENCE_WINDOW_DAYS = 14;
+
+// A day is on target when calories are within this share of the target
+const CALORIE_TOLERANCE = 0.1;
+
+// Adherence below this share of logged days marks a goal as behind
+const MIN_ADHERENCE = 0.5;
+
+// Fewer logged days than this are not enough to judge adherence
+const MIN_ADHERENCE_DAYS = 3;
+
+// Raised when a goal change is not allowed
+class GoalError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GoalError';
+    this.status = status;
+  }
+}
+
+// Goal columns with dates formatted as YYYY-MM-DD
+const GOAL_COLUMNS = `id, user_id, goal_type, target_value, start_value, current_value,
+  to_char(target_date, 'YYYY-MM-DD') as target_date,
+  to_char(start_date, 'YYYY-MM-DD') as start_date,
+  status, achieved_at, is_active, created_at, updated_at`;
+
+const toDayNumber = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return Math.round(Date.UTC(year, month - 1, date) / MS_PER_DAY);
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+class GoalService {
+  /**
+   * Share of recently logged days that met the calorie and protein targets
+   * @param {Array} days - [{ calories, protein }] one per logged day
+   * @param {Object} targets - { calories, protein }
+   * @returns {Object} { daysLogged, calorieAdherence, proteinAdherence }
+   */
+  static calculateAdherence(days, { calories, protein }) {
+    if (days.length === 0) {
+      return { daysLogged: 0, calorieAdherence: null, proteinAdherence: null };
+    }
+
+    const onCalories = days.filter(day =>
+      Math.abs(day.calories - calories) <= calories * CALORIE_TOLERANCE
+    ).length;
+    const onProtein = protein
+      ? days.filter(day => day.protein >= protein).length
+      : null;
+
+    return {
+      daysLogged: days.length,
+      calorieAdherence: Math.round((onCalories / days.length) * 100) / 100,
+      proteinAdherence: onProtein === null ? null : Math.round((onProtein / days.length) * 100) / 100
+    };
+  }
+
+  /**
+   * Compute progress for one goal
+   * @param {Object} goal - Goal row (dates as YYYY-MM-DD)
+   * @param {Object} context - { currentWeight, weeklyRate, adherence, today }
+   * @returns {Object} { percentComplete, expectedPercent, status, isMet, remaining, projection }
+   */
+  static calculateProgress(goal, { currentWeight, weeklyRate, adherence, today }) {
+    const start = toNumber(goal.start_value);
+    const target = goal.target_value !== null ? toNumber(goal.target_value) : start;
+
+    let expectedPercent = null;
+    if (goal.target_date && goal.start_date) {
+      const totalDays = toDayNumber(goal.target_date) - toDayNumber(goal.start_date);
+      const elapsed = toDayNumber(today) - toDayNumber(goal.start_date);
+      expectedPercent = totalDays > 0 ? Math.round(clamp(elapsed / totalDays, 0, 1) * 100) : 100;
+    }
+
+    if (currentWeight === null || target === null) {
+      return {
+        percentComplete: null,
+        expectedPercent,
+        status: 'not_enough_data',
+        isMet: false,
+        remaining: null,
+        projection: null,
+        adherence
+      };
+    }
+
+    const lowAdherence = adherence.daysLogged >= MIN_ADHERENCE_DAYS && (
+      adherence.calorieAdherence < MIN_ADHERENCE ||
+      (goal.goal_type === 'muscle_gain' && adherence.proteinAdherence !== null &&
+        adherence.proteinAdherence < MIN_ADHERENCE)
+    );
+
+    if (goal.goal_type === 'maintenance') {
+      const withinBand = Math.abs(currentWeight - target) <= MAINTENANCE_TOLERANCE_KG;
+      const periodOver = goal.target_date ? today >= goal.target_date : false;
+
+      return {
+        percentComplete: expectedPercent,
+        expectedPercent,
+        status: withinBand && !lowAdherence ? 'on_track' : 'behind',
+        isMet: periodOver && withinBand,
+        remaining: Math.round((target - currentWeight) * 100) / 100,
+        projection: null,
+        adherence
+      };
+    }
+
+    const direction = WEIGHT_GOAL_DIRECTION[goal.goal_type];
+    const isMet = (target - currentWeight) * direction <= 0;
+    let percentComplete = null;
+    if (isMet || (start !== null && target === start)) {
+      percentComplete = 100;
+    } else if (start !== null) {
+      percentComplete = Math.round(clamp((currentWeight - start) / (target - start), 0, 1) * 100);
+    }
+
+    let status;
+    if (expectedPercent !== null && percentComplete !== null) {
+      status = percentComplete >= expectedPercent - PACE_TOLERANCE_PERCENT ? 'on_track' : 'behind';
+    } else if (weeklyRate === null) {
+      status = 'not_enough_data';
+    } else {
+      status = weeklyRate * direction > 0 ? 'on_track' : 'behind';
+    }
+    if (status === 'on_track' && lowAdherence) {
+      status = 'behind';
+    }
+
+    return {
+      percentComplete,
+      expectedPercent,
+      status: isMet ? 'achieved' : status,
+      isMet,
+      remaining: Math.round((target - currentWeight) * 100) / 100,
+      projection: isMet ? null : WeightTrendService.projectGoalDate({
+        currentTrend: currentWeight,
+        weeklyRate,
+        targetWeight: target,
+        fromDate: today
+      }),
+      adherence
+    };
+  }
+
+  /**
+   * Load the weight and nutrition data progress is measured against
+   * @param {string} userId - User ID
+   * @param {string} today - Today's date as YYYY-MM-DD
+   * @returns {Promise<Object>} { currentWeight, weeklyRate, adherence, today }
+   */
+  static async loadContext(userId, today) {
+    const [trend, userResult, dailyResult] = await Promise.all([
+      WeightTrendService.getTrendForUser(userId),
+      query(
+        `SELECT u.weight, u.target_calories, u.target_protein, up.calorie_goal, up.protein_goal
+         FROM users u
+         LEFT JOIN user_preferences up ON u.id = up.user_id
+         WHERE u.id = $1`,
+        [userId]
+      ),
+      query(
+        `SELECT COALESCE(SUM(calories), 0) as calories, COALESCE(SUM(protein), 0) as protein
+         FROM user_food_logs
+         WHERE user_id = $1
+           AND log_date > $2::date - make_interval(days => $3)
+           AND log_date <= $2::date
+         GROUP BY log_date`,
+        [userId, today, ADHERENCE_WINDOW_DAYS]
+      )
+    ]);
+
+    const user = userResult.rows[0] || {};
+    const adherence = this.calculateAdherence(
+      dailyResult.rows.map(row => ({
+        calories: parseFloat(row.calories),
+        protein: parseFloat(row.protein)
+      })),
+      {
+        calories: parseFloat(user.calorie_goal || user.target_calories || 2000),
+        protein: toNumber(user.protein_goal || user.target_protein)
+      }
+    );
+
+    return {
+      currentWeight: trend.currentTrend !== null ? trend.currentTrend : toNumber(user.weight),
+      weeklyRate: trend.weeklyRate,
+      adherence,
+      today
+    };
+  }
+
+  /**
+   * Add an entry to a goal's history
+   * @param {Object} goal - Goal row
+   * @param {string} event - 'created', 'updated', 'achieved' or 'abandoned'
+   * @param {Object} details - Extra data stored with the entry
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<Object>} History row
+   */
+  static async recordHistory(goal, event, details = {}, db = { query }) {
+    const result = await db.query(
+      `INSERT INTO user_goal_history (goal_id, user_id, event, value, details)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        goal.id,
+        goal.user_id,
+        event,
+        goal.current_value,
+        JSON.stringify({
+          goalType: goal.goal_type,
+          targetValue: toNumber(goal.target_value),
+          targetDate: goal.target_date,
+          startValue: toNumber(goal.start_value),
+          ...details
+        })
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Load a user's active goals and, when there are any, their progress context
+   * @param {string} userId - User ID
+   * @param {string} today - Today's date as YYYY-MM-DD in the user's zone (optional)
+   * @returns {Promise<Object>} { goals, context }
+   */
+  static async loadActiveGoals(userId, today = null) {
+    if (!today) {
+      ({ today } = await TimezoneService.getUserToday(userId));
+    }
+
+    const goalResult = await query(
+      `SELECT ${GOAL_COLUMNS} FROM user_goals
+       WHERE user_id = $1 AND is_active = true
+       ORDER BY created_at ASC`,
+      [userId]
+    );
+
+    if (goalResult.rows.length === 0) {
+      return { goals: [], context: null };
+    }
+
+    return { goals: goalResult.rows, context: await this.loadContext(userId, today) };
+  }
+
+  /**
+   * Progress on every active goal, for reads; nothing is saved
+   * @param {string} userId - User ID
+   * @param {string} today - Today's date as YYYY-MM-DD in the user's zone (optional)
+   * @returns {Promise<Array>} Active goals with progress
+   */
+  static async getProgress(userId, today = null) {
+    const { goals, context } = await this.loadActiveGoals(userId, today);
+    return goals.map(goal => ({ ...goal, progress: this.calculateProgress(goal, context) }));
+  }
+
+  /**
+   * Refresh progress on every active goal, marking met goals achieved.
+   * Runs after weight or goal changes.
+   * @param {string} userId - User ID
+   * @param {string} today - Today's date as YYYY-MM-DD in the user's zone (optional)
+   * @returns {Promise<Array>} Active and newly achieved goals with progress
+   */
+  static async evaluateGoals(userId, today = null) {
+    const { goals, context } = await this.loadActiveGoals(userId, today);
+
+    return await Promise.all(goals.map(async (goal) => {
+      const progress = this.calculateProgress(goal, context);
+
+      if (!progress.isMet) {
+        const result = await query(
+          `UPDATE user_goals SET current_value = $1 WHERE id = $2 RETURNING ${GOAL_COLUMNS}`,
+          [context.currentWeight, goal.id]
+        );
+        return { ...result.rows[0], progress };
+      }
+
+      const result = await query(
+        `UPDATE user_goals
+         SET current_value = $1, status = 'achieved', is_active = false, achieved_at = NOW()
+         WHERE id = $2 AND is_active = true
+         RETURNING ${GOAL_COLUMNS}`,
+        [context.currentWeight, goal.id]
+      );
+
+      // Another request may have marked it achieved first
+      if (result.rows.length > 0) {
+        await this.recordHistory(result.rows[0], 'achieved', {
+          percentComplete: progress.percentComplete,
+          adherence: progress.adherence
+        });
+        return { ...result.rows[0], progress };
+      }
+      return { ...goal, progress };
+    }));
+  }
+}
+
+GoalService.GOAL_COLUMNS = GOAL_COLUMNS;
+GoalService.GoalError = GoalError;
+
+module.exports = GoalService;
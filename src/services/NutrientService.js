@@ -0,0 +1,153 @@
+const { cache } = require('../database/redis');
+const { query } = require('../database/connection');
+const { QueryParams } = require('../database/queryBuilder');
+
+// Most nutrients that can be requested by code at once
+const MAX_REQUESTED_NUTRIENTS = 30;
+
+// Comma-separated USDA nutrient numbers, e.g. "303,301,306" (iron, calcium, potassium)
+const NUTRIENT_CODES_PATTERN = /^\d+(\.\d+)?(,\d+(\.\d+)?)*$/;
+
+const NUTRIENT_COLUMNS = `n.id, n.nutrient_nbr, n.name, n.name_tw, n.unit_name`;
+
+const toNutrient = (row) => ({
+  nutrientNbr: row.nutrient_nbr,
+  name: row.name,
+  nameTw: row.name_tw,
+  unit: row.unit_name
+});
+
+// Raised when requested nutrient codes are malformed or unknown
+class NutrientError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NutrientError';
+    this.status = 400;
+  }
+}
+
+class NutrientService {
+  /**
+   * List every nutrient that can be requested
+   * @returns {Promise<Array>} Nutrients in display order
+   */
+  static async listNutrients() {
+    const cacheKey = 'nutrients';
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const result = await query(
+      `SELECT ${NUTRIENT_COLUMNS} FROM nutrients n ORDER BY n.rank ASC NULLS LAST, n.name ASC`
+    );
+    const nutrients = result.rows.map(toNutrient);
+
+    await cache.set(cacheKey, nutrients, 86400);
+    return nutrients;
+  }
+
+  /**
+   * Look up nutrients from a "nutrients" query value
+   * @param {string} value - Comma-separated nutrient numbers, or 'all'
+   * @returns {Promise<Array|null>} Nutrient rows, or null for all nutrients
+   */
+  static async resolveCodes(value) {
+    if (value === 'all') {
+      return null;
+    }
+    if (!NUTRIENT_CODES_PATTERN.test(value)) {
+      throw new NutrientError('營養素代碼格式不正確，請以逗號分隔，例如 303,301,306');
+    }
+
+    const codes = [...new Set(value.split(','))];
+    if (codes.length > MAX_REQUESTED_NUTRIENTS) {
+      throw new NutrientError(`一次最多查詢${MAX_REQUESTED_NUTRIENTS}種營養素`);
+    }
+
+    const result = await query(
+      `SELECT ${NUTRIENT_COLUMNS} FROM nutrients n WHERE n.nutrient_nbr = ANY($1)`,
+      [codes]
+    );
+
+    const found = new Set(result.rows.map(row => row.nutrient_nbr));
+    const unknown = codes.filter(code => !found.has(code));
+    if (unknown.length > 0) {
+      throw new NutrientError(`未知的營養素代碼: ${unknown.join(', ')}`);
+    }
+
+    return result.rows;
+  }
+
+  /**
+   * Total each nutrient logged on one day. Requested nutrients with nothing
+   * logged are returned as 0; with all nutrients, only logged ones appear.
+   * @param {string} userId - User ID
+   * @param {string} date - YYYY-MM-DD
+   * @param {Array|null} nutrients - Rows from resolveCodes, or null for all
+   * @returns {Promise<Array>} [{ nutrientNbr, name, nameTw, unit, amount }]
+   */
+  static async getDailyTotals(userId, date, nutrients) {
+    const params = new QueryParams([userId, date]);
+    const nutrientFilter = nutrients
+      ? `WHERE n.id = ANY(${params.add(nutrients.map(n => n.id))})`
+      : 'WHERE totals.amount IS NOT NULL';
+
+    const result = await query(
+      `SELECT ${NUTRIENT_COLUMNS}, COALESCE(totals.amount, 0) as amount
+       FROM nutrients n
+       LEFT JOIN (
+         SELECT lnt.nutrient_id, SUM(lnt.amount) as amount
+         FROM user_food_log_nutrients lnt
+         JOIN user_food_logs l ON lnt.log_id = l.id
+         WHERE l.user_id = $1 AND l.log_date = $2
+         GROUP BY lnt.nutrient_id
+       ) totals ON totals.nutrient_id = n.id
+       ${nutrientFilter}
+       ORDER BY n.rank ASC NULLS LAST, n.name ASC`,
+      params.values
+    );
+
+    return result.rows.map(row => ({
+      ...toNutrient(row),
+      amount: Math.round(parseFloat(row.amount) * 1000) / 1000
+    }));
+  }
+
+  /**
+   * Daily amounts of the requested nutrients over a date window
+   * @param {string} userId - User ID
+   * @param {Array} nutrients - Rows from resolveCodes
+   * @param {Function} buildCondition - (column, params) => SQL condition on the log date
+   * @returns {Promise<Map>} date => { nutrientNbr: amount }
+   */
+  static async getDailySeries(userId, nutrients, buildCondition) {
+    const params = new QueryParams([userId, nutrients.map(n => n.id)]);
+
+    const result = await query(
+      `SELECT
+         to_char(l.log_date, 'YYYY-MM-DD') as log_date,
+         n.nutrient_nbr,
+         SUM(lnt.amount) as amount
+       FROM user_food_log_nutrients lnt
+       JOIN user_food_logs l ON lnt.log_id = l.id
+       JOIN nutrients n ON lnt.nutrient_id = n.id
+       WHERE l.user_id = $1 AND lnt.nutrient_id = ANY($2) AND ${buildCondition('l.log_date', params)}
+       GROUP BY l.log_date, n.nutrient_nbr`,
+      params.values
+    );
+
+    const series = new Map();
+    result.rows.forEach(row => {
+      const day = series.get(row.log_date) || {};
+      day[row.nutrient_nbr] = Math.round(parseFloat(row.amount) * 1000) / 1000;
+      series.set(row.log_date, day);
+    });
+    return series;
+  }
+}
+
+NutrientService.NutrientError = NutrientError;
+NutrientService.toNutrient = toNutrient;
+
+module.exports = NutrientService;
@@ -0,0 +1,229 @@
+const TimezoneService = require('./TimezoneService');
+const { query } = require('../database/connection');
+
+// Multipliers applied to BMR to estimate total daily energy expenditure
+const ACTIVITY_MULTIPLIERS = {
+  sedentary: 1.2,
+  light: 1.375,
+  moderate: 1.55,
+  active: 1.725,
+  very_active: 1.9
+};
+
+// Energy in one kg of body weight change
+const KCAL_PER_KG = 7700;
+
+// Weekly rate (kg) used when the user has not chosen one
+const DEFAULT_WEEKLY_RATE = {
+  lose_weight: 0.5,
+  maintain_weight: 0,
+  gain_weight: 0.25
+};
+
+// Protein grams per kg of body weight by goal
+const PROTEIN_PER_KG = {
+  lose_weight: 2.0,
+  maintain_weight: 1.6,
+  gain_weight: 1.8
+};
+
+// Share of calories from fat; carbs take the remainder
+const FAT_CALORIE_RATIO = 0.25;
+
+// Lowest calorie target we will ever suggest
+const MIN_CALORIES = {
+  male: 1500,
+  female: 1200,
+  other: 1200
+};
+
+// Calendar year, month and day of a YYYY-MM-DD string or a Date (pg returns
+// DATE columns as local midnight)
+const toCalendarParts = (value) => {
+  if (value instanceof Date) {
+    return { year: value.getFullYear(), month: value.getMonth() + 1, date: value.getDate() };
+  }
+  const [year, month, date] = String(value).split('T')[0].split('-').map(Number);
+  return { year, month, date };
+};
+
+class NutritionTargetService {
+  /**
+   * Calculate age in whole years
+   * @param {string|Date} dateOfBirth - Date of birth
+   * @param {string|Date} today - Reference date as YYYY-MM-DD in the user's zone (optional)
+   * @returns {number|null} Age in years
+   */
+  static calculateAge(dateOfBirth, today = TimezoneService.today()) {
+    if (!dateOfBirth) {
+      return null;
+    }
+
+    const birth = toCalendarParts(dateOfBirth);
+    const now = toCalendarParts(today);
+    let age = now.year - birth.year;
+    const hadBirthday = now.month > birth.month ||
+      (now.month === birth.month && now.date >= birth.date);
+
+    if (!hadBirthday) {
+      age--;
+    }
+    return age;
+  }
+
+  /**
+   * Calculate basal metabolic rate
+   * @param {Object} params - { weight (kg), height (cm), age, gender }
+   * @param {string} formula - 'mifflin_st_jeor' or 'harris_benedict'
+   * @returns {number|null} BMR in kcal/day
+   */
+  static calculateBMR({ weight, height, age, gender }, formula = 'mifflin_st_jeor') {
+    if (!weight || !height || !age) {
+      return null;
+    }
+
+    const w = parseFloat(weight);
+    const h = parseFloat(height);
+
+    if (formula === 'harris_benedict') {
+      // Revised Harris-Benedict (Roza & Shizgal, 1984)
+      const male = 88.362 + 13.397 * w + 4.799 * h - 5.677 * age;
+      const female = 447.593 + 9.247 * w + 3.098 * h - 4.330 * age;
+
+      if (gender === 'male') return male;
+      if (gender === 'female') return female;
+      return (male + female) / 2;
+    }
+
+    // Mifflin-St Jeor; 'other' uses the midpoint of the sex constants
+    const base = 10 * w + 6.25 * h - 5 * age;
+    const sexConstant = gender === 'male' ? 5 : gender === 'female' ? -161 : -78;
+    return base + sexConstant;
+  }
+
+  /**
+   * Calculate total daily energy expenditure
+   * @param {number} bmr - BMR in kcal/day
+   * @param {string} activityLevel - Activity level key
+   * @returns {number|null} TDEE in kcal/day
+   */
+  static calculateTDEE(bmr, activityLevel) {
+    if (!bmr) {
+      return null;
+    }
+    return bmr * (ACTIVITY_MULTIPLIERS[activityLevel] || ACTIVITY_MULTIPLIERS.sedentary);
+  }
+
+  /**
+   * Derive calorie and macro targets from TDEE and goal
+   * @param {Object} params - { tdee, weight, goal, weeklyRate, gender }
+   * @returns {Object|null} { calories, protein, carbs, fat } (kcal / grams)
+   */
+  static deriveTargets({ tdee, weight, goal, weeklyRate, gender }) {
+    if (!tdee) {
+      return null;
+    }
+
+    const effectiveGoal = goal || 'maintain_weight';
+    const rate = weeklyRate !== null && weeklyRate !== undefined
+      ? Math.abs(parseFloat(weeklyRate))
+      : DEFAULT_WEEKLY_RATE[effectiveGoal];
+    const dailyDelta = (rate * KCAL_PER_KG) / 7;
+
+    let calories = tdee;
+    if (effectiveGoal === 'lose_weight') {
+      calories = tdee - dailyDelta;
+    } else if (effectiveGoal === 'gain_weight') {
+      calories = tdee + dailyDelta;
+    }
+    calories = Math.round(Math.max(calories, MIN_CALORIES[gender] || MIN_CALORIES.other));
+
+    const protein = Math.round(parseFloat(weight) * PROTEIN_PER_KG[effectiveGoal]);
+    const fat = Math.round((calories * FAT_CALORIE_RATIO) / 9);
+    const carbs = Math.max(0, Math.round((calories - protein * 4 - fat * 9) / 4));
+
+    return { calories, protein, carbs, fat };
+  }
+
+  /**
+   * Compute every derived metric for a user row
+   * @param {Object} user - User row
+   * @returns {Object} { age, bmr, tdee, tdeeSource, targets }
+   */
+  static calculateForUser(user) {
+    const age = this.calculateAge(user.date_of_birth, TimezoneService.today(user.timezone));
+    const bmr = this.calculateBMR(
+      { weight: user.weight, height: user.height, age, gender: user.gender },
+      user.bmr_formula || 'mifflin_st_jeor'
+    );
+    const tdee = this.calculateTDEE(bmr, user.activity_level);
+
+    // Opted-in users get targets from their observed maintenance instead
+    const adaptive = user.adaptive_tdee_enabled && user.adaptive_tdee;
+    const targetTdee = adaptive ? parseFloat(user.adaptive_tdee) : tdee;
+
+    const targets = this.deriveTargets({
+      tdee: targetTdee,
+      weight: user.weight,
+      goal: user.goal,
+      weeklyRate: user.weekly_rate,
+      gender: user.gender
+    });
+
+    return {
+      age,
+      bmr: bmr ? Math.round(bmr) : null,
+      tdee: tdee ? Math.round(tdee) : null,
+      tdeeSource: adaptive ? 'adaptive' : 'formula',
+      targets
+    };
+  }
+
+  /**
+   * Map derived metrics onto users table columns
+   * @param {Object} metrics - Result of calculateForUser
+   * @returns {Object} Column values
+   */
+  static toColumns(metrics) {
+    return {
+      bmr: metrics.bmr,
+      tdee: metrics.tdee,
+      target_calories: metrics.targets ? metrics.targets.calories : null,
+      target_protein: metrics.targets ? metrics.targets.protein : null,
+      target_carbs: metrics.targets ? metrics.targets.carbs : null,
+      target_fat: metrics.targets ? metrics.targets.fat : null
+    };
+  }
+
+  /**
+   * Recalculate and store a user's derived targets
+   * @param {string} userId - User ID
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<Object|null>} Updated user row
+   */
+  static async recalculateForUser(userId, db = { query }) {
+    const userResult = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return null;
+    }
+
+    const columns = this.toColumns(this.calculateForUser(userResult.rows[0]));
+
+    const result = await db.query(
+      `UPDATE users
+       SET bmr = $1, tdee = $2, target_calories = $3,
+           target_protein = $4, target_carbs = $5, target_fat = $6
+       WHERE id = $7
+       RETURNING *`,
+      [
+        columns.bmr, columns.tdee, columns.target_calories,
+        columns.target_protein, columns.target_carbs, columns.target_fat,
+        userId
+      ]
+    );
+
+    return result.rows[0];
+  }
+}
+
+module.exports = NutritionTargetService;
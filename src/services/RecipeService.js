@@ -0,0 +1,283 @@
+const FoodLogService = require('./FoodLogService');
+const { query } = require('../database/connection');
+
+const { NUTRIENT_COLUMNS } = FoodLogService;
+const NUTRITION_FIELDS = Object.values(NUTRIENT_COLUMNS);
+
+const NUTRIENT_NBR_REGEX = /^\d+(\.\d+)?$/;
+
+// Raised when a recipe cannot be computed from its ingredients
+class RecipeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RecipeError';
+    this.status = status;
+  }
+}
+
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+// Scale each nutrition field, keeping nulls
+const scaleNutrition = (nutrition, factor) => {
+  const scaled = {};
+  NUTRITION_FIELDS.forEach(field => {
+    scaled[field] = factor === null ? null : round((parseFloat(nutrition[field]) || 0) * factor);
+  });
+  return scaled;
+};
+
+class RecipeService {
+  /**
+   * Check retention factors are { nutrient_nbr: fraction } with fractions in (0, 1]
+   * @param {Object} retentionFactors - Factors as sent by the client
+   * @returns {string|null} Error message
+   */
+  static validateRetentionFactors(retentionFactors) {
+    if (retentionFactors === undefined || retentionFactors === null) {
+      return null;
+    }
+
+    const invalid = Object.entries(retentionFactors).find(([code, factor]) =>
+      !NUTRIENT_NBR_REGEX.test(code) || typeof factor !== 'number' || factor <= 0 || factor > 1
+    );
+    return invalid ? `保留係數格式不正確: ${invalid[0]}` : null;
+  }
+
+  /**
+   * Cooked weight used for per 100 g values: the weighed yield when given,
+   * otherwise the raw ingredient weight less the cooking loss
+   * @param {Object} recipe - user_recipes row
+   * @param {number|null} rawWeight - Sum of ingredient grams, null if any is unknown
+   * @returns {number|null} Grams
+   */
+  static calculateYieldWeight(recipe, rawWeight) {
+    if (recipe.cooked_weight_g) {
+      return parseFloat(recipe.cooked_weight_g);
+    }
+    if (rawWeight === null) {
+      return null;
+    }
+    const loss = recipe.cooking_loss ? parseFloat(recipe.cooking_loss) : 0;
+    return round(rawWeight * (1 - loss));
+  }
+
+  /**
+   * Recompute ingredient weights, nutrient totals and yield for a recipe.
+   * Called whenever the recipe or anything it is made from changes.
+   * @param {string} recipeId - Recipe ID
+   * @param {string} userId - Owner's user ID
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<Object|null>} Updated user_recipes row, null if not found
+   */
+  static async recompute(recipeId, userId, db = { query }) {
+    const recipeResult = await db.query(
+      'SELECT * FROM user_recipes WHERE id = $1 AND user_id = $2',
+      [recipeId, userId]
+    );
+    if (recipeResult.rows.length === 0) {
+      return null;
+    }
+    const recipe = recipeResult.rows[0];
+
+    const ingredientResult = await db.query(
+      'SELECT * FROM user_recipe_ingredients WHERE recipe_id = $1 ORDER BY position ASC, created_at ASC',
+      [recipeId]
+    );
+
+    const totals = scaleNutrition({}, 1);
+    const nutrientTotals = new Map();
+    let rawWeight = 0;
+    let weightKnown = ingredientResult.rows.length > 0;
+
+    // Sequential: db may be a single transaction client
+    for (const ingredient of ingredientResult.rows) {
+      let resolved;
+      try {
+        resolved = await FoodLogService.resolveNutrition(userId, {
+          foodId: ingredient.food_id,
+          customFoodId: ingredient.custom_food_id,
+          amount: parseFloat(ingredient.amount),
+          unit: ingredient.unit
+        }, db);
+      } catch (error) {
+        if (error instanceof FoodLogService.FoodLogError) {
+          throw new RecipeError(error.message);
+        }
+        throw error;
+      }
+
+      NUTRITION_FIELDS.forEach(field => {
+        totals[field] += resolved.nutrition[field] || 0;
+      });
+      resolved.nutrients.forEach(({ nutrientId, amount }) => {
+        nutrientTotals.set(nutrientId, (nutrientTotals.get(nutrientId) || 0) + amount);
+      });
+
+      if (resolved.grams === null) {
+        weightKnown = false;
+      } else {
+        rawWeight += resolved.grams;
+      }
+
+      const storedGrams = ingredient.grams === null ? null : parseFloat(ingredient.grams);
+      if (storedGrams !== resolved.grams) {
+        await db.query(
+          'UPDATE user_recipe_ingredients SET grams = $1 WHERE id = $2',
+          [resolved.grams, ingredient.id]
+        );
+      }
+    }
+
+    // Cooking destroys some nutrients; fixed columns follow their nutrient
+    const retention = recipe.retention_factors || {};
+    if (Object.keys(retention).length > 0 && nutrientTotals.size > 0) {
+      const nutrientResult = await db.query(
+        'SELECT id, nutrient_nbr FROM nutrients WHERE id = ANY($1)',
+        [[...nutrientTotals.keys()]]
+      );
+      nutrientResult.rows.forEach(nutrient => {
+        const factor = retention[nutrient.nutrient_nbr];
+        if (factor === undefined) {
+          return;
+        }
+        nutrientTotals.set(nutrient.id, nutrientTotals.get(nutrient.id) * factor);
+        if (NUTRIENT_COLUMNS[nutrient.nutrient_nbr]) {
+          totals[NUTRIENT_COLUMNS[nutrient.nutrient_nbr]] *= factor;
+        }
+      });
+    }
+
+    const rawWeightValue = weightKnown ? round(rawWeight) : null;
+    const yieldWeight = this.calculateYieldWeight(recipe, rawWeightValue);
+
+    const updated = await db.query(
+      `UPDATE user_recipes
+       SET raw_weight_g = $1, yield_weight_g = $2, calories = $3, protein = $4, carbs = $5,
+           fat = $6, fiber = $7, sugar = $8, sodium = $9
+       WHERE id = $10
+       RETURNING *`,
+      [
+        rawWeightValue, yieldWeight, round(totals.calories), round(totals.protein), round(totals.carbs),
+        round(totals.fat), round(totals.fiber), round(totals.sugar), round(totals.sodium), recipeId
+      ]
+    );
+
+    await db.query('DELETE FROM user_recipe_nutrients WHERE recipe_id = $1', [recipeId]);
+    if (nutrientTotals.size > 0) {
+      await db.query(
+        `INSERT INTO user_recipe_nutrients (recipe_id, nutrient_id, amount)
+         SELECT $1, unnest($2::int[]), unnest($3::numeric[])`,
+        [recipeId, [...nutrientTotals.keys()], [...nutrientTotals.values()]]
+      );
+    }
+
+    return updated.rows[0];
+  }
+
+  /**
+   * Recompute every recipe that uses a custom food, including other users'
+   * recipes made with a shared public food
+   * @param {string} customFoodId - Custom food ID
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<Array>} IDs of recomputed recipes
+   */
+  static async recomputeForCustomFood(customFoodId, db = { query }) {
+    const result = await db.query(
+      `SELECT DISTINCT r.id, r.user_id
+       FROM user_recipes r
+       JOIN user_recipe_ingredients i ON i.recipe_id = r.id
+       WHERE i.custom_food_id = $1`,
+      [customFoodId]
+    );
+
+    for (const recipe of result.rows) {
+      await this.recompute(recipe.id, recipe.user_id, db);
+    }
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Shape a recipe row with total, per serving and per 100 g nutrition
+   * @param {Object} recipe - user_recipes row
+   * @returns {Object} Recipe for responses
+   */
+  static format(recipe) {
+    const servings = parseFloat(recipe.servings);
+    const yieldWeight = recipe.yield_weight_g ? parseFloat(recipe.yield_weight_g) : null;
+
+    return {
+      ...recipe,
+      weight_per_serving: yieldWeight ? round(yieldWeight / servings) : null,
+      nutrition: {
+        total: scaleNutrition(recipe, 1),
+        perServing: scaleNutrition(recipe, 1 / servings),
+        per100g: scaleNutrition(recipe, yieldWeight ? 100 / yieldWeight : null)
+      }
+    };
+  }
+
+  /**
+   * Load a recipe with its ingredients and every nutrient per serving and per 100 g
+   * @param {string} recipeId - Recipe ID
+   * @param {string} userId - Owner's user ID
+   * @returns {Promise<Object|null>} Formatted recipe
+   */
+  static async getDetails(recipeId, userId) {
+    const recipeResult = await query(
+      'SELECT * FROM user_recipes WHERE id = $1 AND user_id = $2',
+      [recipeId, userId]
+    );
+    if (recipeResult.rows.length === 0) {
+      return null;
+    }
+    const recipe = this.format(recipeResult.rows[0]);
+
+    const [ingredientResult, nutrientResult] = await Promise.all([
+      query(
+        `SELECT i.*, f.description as food_name, f.description_tw as food_name_tw,
+                cf.name as custom_food_name
+         FROM user_recipe_ingredients i
+         LEFT JOIN foods f ON i.food_id = f.id
+         LEFT JOIN user_custom_foods cf ON i.custom_food_id = cf.id
+         WHERE i.recipe_id = $1
+         ORDER BY i.position ASC, i.created_at ASC`,
+        [recipeId]
+      ),
+      query(
+        `SELECT n.nutrient_nbr, n.name, n.name_tw, n.unit_name, rn.amount
+         FROM user_recipe_nutrients rn
+         JOIN nutrients n ON rn.nutrient_id = n.id
+         WHERE rn.recipe_id = $1
+         ORDER BY n.rank ASC NULLS LAST, n.name ASC`,
+        [recipeId]
+      )
+    ]);
+
+    const servings = parseFloat(recipe.servings);
+    const yieldWeight = recipe.yield_weight_g ? parseFloat(recipe.yield_weight_g) : null;
+
+    return {
+      ...recipe,
+      ingredients: ingredientResult.rows,
+      nutrients: nutrientResult.rows.map(row => {
+        const total = parseFloat(row.amount);
+        return {
+          nutrientNbr: row.nutrient_nbr,
+          name: row.name,
+          nameTw: row.name_tw,
+          unit: row.unit_name,
+          total: round(total, 3),
+          perServing: round(total / servings, 3),
+          per100g: yieldWeight ? round((total * 100) / yieldWeight, 3) : null
+        };
+      })
+    };
+  }
+}
+
+RecipeService.RecipeError = RecipeError;
+
+module.exports = RecipeService;
@@ -0,0 +1,299 @@
+const FoodLogService = require('./FoodLogService');
+const { query } = require('../database/connection');
+
+const NUTRITION_FIELDS = Object.values(FoodLogService.NUTRIENT_COLUMNS);
+
+// Raised when a saved meal or copied logs cannot be logged
+class SavedMealError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SavedMealError';
+    this.status = status;
+  }
+}
+
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+const hasSource = (row) => Boolean(row.food_id || row.custom_food_id || row.recipe_id);
+
+// A food log or saved meal item row as a log item. Items with a source food
+// are resolved again when logged; manual items keep their entered totals.
+const toLogItem = (row) => {
+  const item = {
+    foodId: row.food_id || undefined,
+    customFoodId: row.custom_food_id || undefined,
+    recipeId: row.recipe_id || undefined,
+    customFoodName: row.custom_food_name || undefined,
+    amount: parseFloat(row.amount),
+    unit: row.unit
+  };
+
+  if (!hasSource(row)) {
+    NUTRITION_FIELDS.forEach(field => {
+      item[field] = parseFloat(row[field]) || 0;
+    });
+  }
+  return item;
+};
+
+const itemLabel = (item, index) => item.customFoodName || `第${index + 1}項`;
+
+const insertItem = (db, savedMealId, item, position) => {
+  const manual = !item.foodId && !item.customFoodId && !item.recipeId;
+  return db.query(
+    `INSERT INTO user_saved_meal_items (
+      saved_meal_id, food_id, custom_food_id, recipe_id, custom_food_name, amount, unit, position,
+      calories, protein, carbs, fat, fiber, sugar, sodium
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+    [
+      savedMealId, item.foodId || null, item.customFoodId || null, item.recipeId || null,
+      item.customFoodName || null, item.amount, item.unit, position,
+      ...NUTRITION_FIELDS.map(field => (manual ? item[field] || 0 : null))
+    ]
+  );
+};
+
+class SavedMealService {
+  /**
+   * Food logs in one meal of a day, or the whole day when no meal is given
+   * @param {string} userId - User ID
+   * @param {string} logDate - YYYY-MM-DD
+   * @param {string|null} mealType - breakfast, lunch, dinner or snack
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<Array>} user_food_logs rows in the order they were eaten
+   */
+  static async getLogs(userId, logDate, mealType, db = { query }) {
+    const params = [userId, logDate];
+    let mealCondition = '';
+    if (mealType) {
+      params.push(mealType);
+      mealCondition = 'AND meal_type = $3';
+    }
+
+    const result = await db.query(
+      `SELECT * FROM user_food_logs
+       WHERE user_id = $1 AND log_date = $2 ${mealCondition}
+       ORDER BY log_time ASC NULLS LAST, created_at ASC`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Resolve and insert log items, nutrition coming from each item's source
+   * food. Every item is resolved before anything is inserted.
+   * @param {string} userId - User ID
+   * @param {Array} items - Log items (API field names) with mealType and logDate
+   * @param {Object} db - Query runner; pass a transaction client so a failure saves nothing
+   * @returns {Promise<Array>} [{ log, nutrition }]
+   */
+  static async logItems(userId, items, db = { query }) {
+    const resolved = [];
+    for (const [index, item] of items.entries()) {
+      try {
+        resolved.push(await FoodLogService.resolveNutrition(userId, item, db));
+      } catch (error) {
+        if (error instanceof FoodLogService.FoodLogError) {
+          throw new SavedMealError(`${itemLabel(item, index)}: ${error.message}`, error.status);
+        }
+        throw error;
+      }
+    }
+
+    const results = [];
+    for (const [index, item] of items.entries()) {
+      results.push(await FoodLogService.insertLog(userId, item, resolved[index], db));
+    }
+    return results;
+  }
+
+  /**
+   * Copy one meal, or a whole day, of food logs to another date
+   * @param {string} userId - User ID
+   * @param {Object} options - { fromDate, toDate, mealType, toMealType }
+   * @param {Object} db - Query runner (transaction client)
+   * @returns {Promise<Array>} [{ log, nutrition }]
+   */
+  static async copyLogs(userId, { fromDate, toDate, mealType, toMealType }, db = { query }) {
+    const logs = await this.getLogs(userId, fromDate, mealType, db);
+    if (logs.length === 0) {
+      throw new SavedMealError('來源日期沒有可複製的食物記錄', 404);
+    }
+
+    return this.logItems(userId, logs.map(log => ({
+      ...toLogItem(log),
+      mealType: toMealType || log.meal_type,
+      logDate: toDate,
+      logTime: log.log_time || undefined
+    })), db);
+  }
+
+  /**
+   * Check every item can be resolved, then store them as a saved meal's items
+   * @param {string} userId - Owner's user ID
+   * @param {string} savedMealId - Saved meal ID
+   * @param {Array} items - Log items (API field names)
+   * @param {Object} db - Query runner (transaction client)
+   */
+  static async replaceItems(userId, savedMealId, items, db = { query }) {
+    for (const [index, item] of items.entries()) {
+      try {
+        await FoodLogService.resolveNutrition(userId, item, db);
+      } catch (error) {
+        if (error instanceof FoodLogService.FoodLogError) {
+          throw new SavedMealError(`${itemLabel(item, index)}: ${error.message}`, error.status);
+        }
+        throw error;
+      }
+    }
+
+    await db.query('DELETE FROM user_saved_meal_items WHERE saved_meal_id = $1', [savedMealId]);
+    for (const [position, item] of items.entries()) {
+      await insertItem(db, savedMealId, item, position);
+    }
+  }
+
+  /**
+   * Create a saved meal from log items
+   * @param {string} userId - User ID
+   * @param {Object} meal - { name, description, mealType }
+   * @param {Array} items - Log items (API field names)
+   * @param {Object} db - Query runner (transaction client)
+   * @returns {Promise<string>} Saved meal ID
+   */
+  static async create(userId, { name, description, mealType }, items, db = { query }) {
+    const result = await db.query(
+      `INSERT INTO user_saved_meals (user_id, name, description, meal_type)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [userId, name, description || null, mealType || null]
+    );
+
+    const savedMealId = result.rows[0].id;
+    await this.replaceItems(userId, savedMealId, items, db);
+    return savedMealId;
+  }
+
+  /**
+   * Create a saved meal from the food logs of one meal on a day
+   * @param {string} userId - User ID
+   * @param {Object} meal - { name, description, logDate, mealType }
+   * @param {Object} db - Query runner (transaction client)
+   * @returns {Promise<string>} Saved meal ID
+   */
+  static async createFromLogs(userId, { name, description, logDate, mealType }, db = { query }) {
+    const logs = await this.getLogs(userId, logDate, mealType, db);
+    if (logs.length === 0) {
+      throw new SavedMealError('該餐沒有食物記錄', 404);
+    }
+
+    return this.create(userId, { name, description, mealType }, logs.map(toLogItem), db);
+  }
+
+  /**
+   * Log every item of a saved meal
+   * @param {string} userId - User ID
+   * @param {string} savedMealId - Saved meal ID
+   * @param {Object} target - { logDate, mealType, logTime }; mealType defaults to the meal's own
+   * @param {Object} db - Query runner (transaction client)
+   * @returns {Promise<Array|null>} [{ log, nutrition }], null if the meal is not found
+   */
+  static async logMeal(userId, savedMealId, { logDate, mealType, logTime }, db = { query }) {
+    const mealResult = await db.query(
+      'SELECT * FROM user_saved_meals WHERE id = $1 AND user_id = $2',
+      [savedMealId, userId]
+    );
+    if (mealResult.rows.length === 0) {
+      return null;
+    }
+
+    const targetMealType = mealType || mealResult.rows[0].meal_type;
+    if (!targetMealType) {
+      throw new SavedMealError('請指定餐別');
+    }
+
+    const itemResult = await db.query(
+      'SELECT * FROM user_saved_meal_items WHERE saved_meal_id = $1 ORDER BY position ASC, created_at ASC',
+      [savedMealId]
+    );
+    if (itemResult.rows.length === 0) {
+      throw new SavedMealError('此常用餐點沒有任何食物');
+    }
+
+    return this.logItems(userId, itemResult.rows.map(row => ({
+      ...toLogItem(row),
+      mealType: targetMealType,
+      logDate,
+      logTime
+    })), db);
+  }
+
+  /**
+   * Load a saved meal with its items and the nutrition they would log now.
+   * Items that can no longer be resolved are returned without nutrition.
+   * @param {string} savedMealId - Saved meal ID
+   * @param {string} userId - Owner's user ID
+   * @returns {Promise<Object|null>} Saved meal
+   */
+  static async getDetails(savedMealId, userId) {
+    const mealResult = await query(
+      'SELECT * FROM user_saved_meals WHERE id = $1 AND user_id = $2',
+      [savedMealId, userId]
+    );
+    if (mealResult.rows.length === 0) {
+      return null;
+    }
+
+    const itemResult = await query(
+      `SELECT i.*, f.description as food_name, f.description_tw as food_name_tw,
+              cf.name as linked_custom_food_name, r.name as recipe_name
+       FROM user_saved_meal_items i
+       LEFT JOIN foods f ON i.food_id = f.id
+       LEFT JOIN user_custom_foods cf ON i.custom_food_id = cf.id
+       LEFT JOIN user_recipes r ON i.recipe_id = r.id
+       WHERE i.saved_meal_id = $1
+       ORDER BY i.position ASC, i.created_at ASC`,
+      [savedMealId]
+    );
+
+    const nutrition = {};
+    NUTRITION_FIELDS.forEach(field => {
+      nutrition[field] = 0;
+    });
+
+    const items = [];
+    for (const row of itemResult.rows) {
+      let itemNutrition = null;
+      try {
+        const resolved = await FoodLogService.resolveNutrition(userId, toLogItem(row));
+        itemNutrition = {};
+        NUTRITION_FIELDS.forEach(field => {
+          itemNutrition[field] = round(resolved.nutrition[field] || 0);
+          nutrition[field] += itemNutrition[field];
+        });
+      } catch (error) {
+        if (!(error instanceof FoodLogService.FoodLogError)) {
+          throw error;
+        }
+      }
+      items.push({ ...row, nutrition: itemNutrition });
+    }
+
+    NUTRITION_FIELDS.forEach(field => {
+      nutrition[field] = round(nutrition[field]);
+    });
+
+    return {
+      ...mealResult.rows[0],
+      items,
+      nutrition
+    };
+  }
+}
+
+SavedMealService.SavedMealError = SavedMealError;
+
+module.exports = SavedMealService;
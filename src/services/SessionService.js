@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const AuthService = require('./AuthService');
+const { session } = require('../database/redis');
+
+/**
+ * Error raised when a refresh token cannot be exchanged.
+ * `reason` is one of 'invalid', 'expired', 'revoked' or 'reused'.
+ */
+class SessionError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'SessionError';
+    this.reason = reason;
+    this.status = 401;
+  }
+}
+
+class SessionService {
+  /**
+   * Start a new session (refresh token family) for a user
+   * @param {Object} user - User row
+   * @param {Object} client - Request metadata ({ userAgent, ip })
+   * @returns {Promise<Object>} Token pair and session id
+   */
+  static async createSession(user, client = {}) {
+    const sessionId = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const refresh = AuthService.generateRefreshToken(user, sessionId);
+
+    const sessionData = {
+      id: sessionId,
+      userId: user.id,
+      email: user.email,
+      currentTokenId: refresh.tokenId,
+      userAgent: client.userAgent || null,
+      ip: client.ip || null,
+      createdAt: now,
+      lastUsedAt: now
+    };
+
+    const stored = await session.store(user.id, sessionId, sessionData, this.ttlUntil(refresh.expiresAt));
+    if (!stored) {
+      throw new Error('Failed to store session');
+    }
+
+    return this.buildTokenResponse(user, sessionId, refresh);
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. Presenting a token that
+   * has already been rotated means it was copied, so the whole family is revoked.
+   * @param {string} refreshToken - Refresh token from the client
+   * @param {Object} client - Request metadata ({ userAgent, ip })
+   * @returns {Promise<Object>} New token pair and session id
+   * @throws {SessionError} When the token is invalid, expired, revoked or reused
+   */
+  static async rotateSession(refreshToken, client = {}) {
+    const payload = this.decodeRefreshToken(refreshToken);
+    const userId = payload.sub;
+    const sessionId = payload.sid;
+
+    const sessionData = await session.get(userId, sessionId);
+    if (!sessionData) {
+      throw new SessionError('revoked', '登入階段已失效，請重新登入');
+    }
+
+    if (sessionData.currentTokenId !== payload.jti) {
+      await session.delete(userId, sessionId);
+      console.warn('Refresh token reuse detected', { userId, sessionId });
+      throw new SessionError('reused', '偵測到重複使用的刷新令牌，已登出此裝置');
+    }
+
+    const user = { id: userId, email: sessionData.email };
+    const refresh = AuthService.generateRefreshToken(user, sessionId);
+
+    // Swapped only if the session still holds this token, so a concurrent
+    // refresh with the same token is caught as reuse
+    const outcome = await session.rotate(userId, sessionId, payload.jti, {
+      ...sessionData,
+      currentTokenId: refresh.tokenId,
+      userAgent: client.userAgent || sessionData.userAgent,
+      ip: client.ip || sessionData.ip,
+      lastUsedAt: new Date().toISOString()
+    }, this.ttlUntil(refresh.expiresAt));
+
+    if (outcome === 'missing') {
+      throw new SessionError('revoked', '登入階段已失效，請重新登入');
+    }
+    if (outcome === 'reused') {
+      console.warn('Refresh token reuse detected', { userId, sessionId });
+      throw new SessionError('reused', '偵測到重複使用的刷新令牌，已登出此裝置');
+    }
+    if (outcome !== 'rotated') {
+      throw new Error('Failed to store session');
+    }
+
+    return this.buildTokenResponse(user, sessionId, refresh);
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to. Expired tokens are still
+   * accepted here so that logging out never fails on a stale client.
+   * @param {string} refreshToken - Refresh token from the client
+   * @returns {Promise<boolean>} Whether a session was found and removed
+   */
+  static async revokeByRefreshToken(refreshToken) {
+    let payload;
+    try {
+      payload = AuthService.verifyRefreshToken(refreshToken, { ignoreExpiration: true });
+    } catch (error) {
+      return false;
+    }
+
+    const existing = await session.get(payload.sub, payload.sid);
+    await session.delete(payload.sub, payload.sid);
+    return Boolean(existing);
+  }
+
+  /**
+   * Revoke a single session of a user
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} Whether the session existed
+   */
+  static async revokeSession(userId, sessionId) {
+    const existing = await session.get(userId, sessionId);
+    if (!existing) {
+      return false;
+    }
+    return await session.delete(userId, sessionId);
+  }
+
+  /**
+   * Revoke every session of a user (log out all devices)
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeAllSessions(userId) {
+    return await session.deleteAll(userId);
+  }
+
+  /**
+   * List a user's active sessions, most recently used first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Session summaries
+   */
+  static async listSessions(userId) {
+    const sessions = await session.list(userId);
+
+    return sessions
+      .map(({ id, userAgent, ip, createdAt, lastUsedAt }) => ({
+        id, userAgent, ip, createdAt, lastUsedAt
+      }))
+      .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+  }
+
+  /**
+   * Verify a refresh token and map jsonwebtoken errors to SessionError
+   * @param {string} refreshToken - Refresh token from the client
+   * @returns {Object} Decoded payload
+   */
+  static decodeRefreshToken(refreshToken) {
+    try {
+      return AuthService.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new SessionError('expired', '刷新令牌已過期，請重新登入');
+      }
+      throw new SessionError('invalid', '刷新令牌無效');
+    }
+  }
+
+  /**
+   * Build the token pair returned to clients
+   * @param {Object} user - User (needs id and email)
+   * @param {string} sessionId - Session ID
+   * @param {Object} refresh - Result of AuthService.generateRefreshToken
+   * @returns {Object} Token response
+   */
+  static buildTokenResponse(user, sessionId, refresh) {
+    return {
+      token: AuthService.generateAccessToken(user, sessionId),
+      refreshToken: refresh.token,
+      refreshTokenExpiresAt: new Date(refresh.expiresAt * 1000).toISOString(),
+      sessionId
+    };
+  }
+
+  /**
+   * Seconds from now until a JWT exp timestamp
+   * @param {number} exp - Expiry in seconds since epoch
+   * @returns {number} TTL in seconds (at least 1)
+   */
+  static ttlUntil(exp) {
+    return Math.max(1, exp - Math.floor(Date.now() / 1000));
+  }
+}
+
+SessionService.SessionError = SessionError;
+
+module.exports = SessionService;
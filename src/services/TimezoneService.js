@@ -0,0 +1,110 @@
+const { query } = require('../database/connection');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Zone assumed for users who have not set one
+const DEFAULT_TIMEZONE = 'Asia/Taipei';
+
+// Read calendar parts of an instant as seen in a time zone
+const zonedParts = (timeZone, now) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+
+  return parts.reduce((result, part) => ({ ...result, [part.type]: part.value }), {});
+};
+
+class TimezoneService {
+  /**
+   * Check a name is a time zone the runtime knows (e.g. 'Asia/Taipei')
+   * @param {string} timeZone - IANA time zone name
+   * @returns {boolean} True when valid
+   */
+  static isValid(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) {
+      return false;
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Resolve a stored zone, falling back to the default when missing or unknown
+   * @param {string} timeZone - IANA time zone name
+   * @returns {string} Usable time zone
+   */
+  static resolve(timeZone) {
+    return this.isValid(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * Calendar date in a time zone
+   * @param {string} timeZone - IANA time zone name
+   * @param {Date} now - Instant to convert (optional)
+   * @returns {string} YYYY-MM-DD
+   */
+  static today(timeZone, now = new Date()) {
+    const { year, month, day } = zonedParts(this.resolve(timeZone), now);
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * Wall-clock time in a time zone
+   * @param {string} timeZone - IANA time zone name
+   * @param {Date} now - Instant to convert (optional)
+   * @returns {string} HH:MM:SS
+   */
+  static currentTime(timeZone, now = new Date()) {
+    const { hour, minute, second } = zonedParts(this.resolve(timeZone), now);
+    return `${hour}:${minute}:${second}`;
+  }
+
+  /**
+   * Shift a YYYY-MM-DD date by a number of days. Pure calendar arithmetic,
+   * so the result never depends on the server's zone.
+   * @param {string} day - Date string
+   * @param {number} offset - Days to add (may be negative)
+   * @returns {string} Date string
+   */
+  static addDays(day, offset) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, date) + offset * MS_PER_DAY).toISOString().split('T')[0];
+  }
+
+  /**
+   * Monday of the week containing a date
+   * @param {string} day - Date string
+   * @returns {string} Date string
+   */
+  static weekStart(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    const dayOfWeek = new Date(Date.UTC(year, month - 1, date)).getUTCDay();
+    return this.addDays(day, dayOfWeek === 0 ? -6 : 1 - dayOfWeek);
+  }
+
+  /**
+   * Look up a user's zone and today's date in it
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { timeZone, today }
+   */
+  static async getUserToday(userId) {
+    const result = await query('SELECT timezone FROM users WHERE id = $1', [userId]);
+    const timeZone = this.resolve(result.rows[0] ? result.rows[0].timezone : null);
+    return { timeZone, today: this.today(timeZone) };
+  }
+}
+
+TimezoneService.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
+
+module.exports = TimezoneService;
@@ -0,0 +1,216 @@
+const units = require('../data/units');
+
+// Nutrient values in food_nutrients are per this many grams
+const NUTRIENT_BASIS_GRAMS = 100;
+
+// Raised when an amount cannot be converted for the given food
+class UnitConversionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnitConversionError';
+    this.status = 400;
+  }
+}
+
+const UNIT_LOOKUP = new Map();
+units.forEach(unit => {
+  [unit.key, ...unit.aliases].forEach(name => UNIT_LOOKUP.set(name.toLowerCase(), unit));
+});
+
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+class UnitConversionService {
+  /**
+   * Look up a unit by key or alias ('碗', 'Tbsp', 'grams', ...)
+   * @param {string} unit - Unit as entered
+   * @returns {Object|null} Unit entry
+   */
+  static normalizeUnit(unit) {
+    if (typeof unit !== 'string') {
+      return null;
+    }
+    return UNIT_LOOKUP.get(unit.trim().toLowerCase()) || null;
+  }
+
+  /**
+   * Normalize a unit or throw
+   * @param {string} unit - Unit as entered
+   * @returns {Object} Unit entry
+   */
+  static requireUnit(unit) {
+    const normalized = this.normalizeUnit(unit);
+    if (!normalized) {
+      throw new UnitConversionError(`不支援的單位: ${unit}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Convert an amount to grams. A gram weight recorded for the food wins
+   * (so "1 cup" of chopped vegetables uses its measured weight), then mass
+   * units convert directly and volume units go through the food's density.
+   * Volumes are not guessed for foods without a density.
+   * @param {number} amount - Amount in the given unit
+   * @param {string} unit - Unit as entered
+   * @param {Object} food - { portions: [{ unit, amount, gram_weight }], density }
+   * @returns {Object} { grams, unit, method }
+   */
+  static toGrams(amount, unit, { portions = [], density = null } = {}) {
+    const normalized = this.requireUnit(unit);
+
+    const portion = portions.find(p => p.unit === normalized.key);
+    if (portion) {
+      return {
+        grams: round((amount * parseFloat(portion.gram_weight)) / parseFloat(portion.amount || 1)),
+        unit: normalized.key,
+        method: 'portion'
+      };
+    }
+
+    if (normalized.type === 'mass') {
+      return { grams: round(amount * normalized.factor), unit: normalized.key, method: 'mass' };
+    }
+
+    if (normalized.type === 'volume') {
+      if (!density) {
+        throw new UnitConversionError(`此食物沒有密度資料，無法將「${unit}」換算為重量，請改用公克或其他單位`);
+      }
+      return {
+        grams: round(amount * normalized.factor * parseFloat(density)),
+        unit: normalized.key,
+        method: 'volume'
+      };
+    }
+
+    throw new UnitConversionError(`此食物沒有「${unit}」的份量重量資料，請改用公克或其他單位`);
+  }
+
+  /**
+   * Multiplier applied to a database food's per-100 g nutrients
+   * @param {number} amount - Amount in the given unit
+   * @param {string} unit - Unit as entered
+   * @param {Object} food - { portions, density }
+   * @returns {Object} { multiplier, grams }
+   */
+  static foodMultiplier(amount, unit, food) {
+    const { grams } = this.toGrams(amount, unit, food);
+    return { multiplier: grams / NUTRIENT_BASIS_GRAMS, grams };
+  }
+
+  /**
+   * Multiplier applied to a custom food's per-serving nutrients. Amounts in
+   * the food's own serving unit (or in servings) scale directly, as do
+   * volumes of a food served by volume; anything else is converted through
+   * grams.
+   * @param {number} amount - Amount in the given unit
+   * @param {string} unit - Unit as entered
+   * @param {Object} customFood - user_custom_foods row
+   * @returns {Object} { multiplier, grams }
+   */
+  static customFoodMultiplier(amount, unit, customFood) {
+    const servingSize = parseFloat(customFood.serving_size);
+    const servingWeight = customFood.serving_weight_g ? parseFloat(customFood.serving_weight_g) : null;
+    const sameAsServingUnit = String(customFood.serving_unit).trim().toLowerCase() === String(unit).trim().toLowerCase();
+    const normalized = sameAsServingUnit ? this.normalizeUnit(unit) : this.requireUnit(unit);
+    const servingUnit = this.normalizeUnit(customFood.serving_unit);
+
+    if (normalized && normalized.key === 'serving') {
+      return { multiplier: amount, grams: servingWeight ? round(amount * servingWeight) : null };
+    }
+
+    if (sameAsServingUnit || (normalized && servingUnit && normalized.key === servingUnit.key)) {
+      const multiplier = amount / servingSize;
+      return { multiplier, grams: servingWeight ? round(multiplier * servingWeight) : null };
+    }
+
+    if (normalized && servingUnit && normalized.type === 'volume' && servingUnit.type === 'volume') {
+      const multiplier = (amount * normalized.factor) / (servingSize * servingUnit.factor);
+      return { multiplier, grams: servingWeight ? round(multiplier * servingWeight) : null };
+    }
+
+    const food = { density: customFood.density };
+    let servingGrams = servingWeight;
+    if (!servingGrams) {
+      if (!servingUnit || servingUnit.type === 'portion') {
+        throw new UnitConversionError(`請使用「${customFood.serving_unit}」或份為單位，或為此食物設定每份重量`);
+      }
+      servingGrams = this.toGrams(servingSize, customFood.serving_unit, food).grams;
+    }
+
+    const { grams } = this.toGrams(amount, unit, food);
+    return { multiplier: grams / servingGrams, grams };
+  }
+
+  /**
+   * Fraction of a whole recipe in a logged amount. Servings scale by the
+   * recipe's yield; anything else is converted through its cooked weight.
+   * @param {number} amount - Amount in the given unit
+   * @param {string} unit - Unit as entered
+   * @param {Object} recipe - user_recipes row
+   * @returns {Object} { multiplier, grams }
+   */
+  static recipeMultiplier(amount, unit, recipe) {
+    const normalized = this.requireUnit(unit);
+    const servings = parseFloat(recipe.servings);
+    const yieldWeight = recipe.yield_weight_g ? parseFloat(recipe.yield_weight_g) : null;
+
+    if (normalized.key === 'serving') {
+      return {
+        multiplier: amount / servings,
+        grams: yieldWeight ? round((amount * yieldWeight) / servings) : null
+      };
+    }
+
+    if (!yieldWeight) {
+      throw new UnitConversionError('此食譜沒有成品重量，請以份為單位記錄');
+    }
+
+    const { grams } = this.toGrams(amount, unit);
+    return { multiplier: grams / yieldWeight, grams };
+  }
+
+  /**
+   * Tag every { amount, unit } pair in a nested structure (such as an AI
+   * meal plan) with its normalized unit and, for mass units, grams
+   * @param {*} value - Object or array to walk
+   * @returns {*} Annotated copy
+   */
+  static annotateAmounts(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.annotateAmounts(item));
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    const annotated = {};
+    Object.entries(value).forEach(([key, item]) => {
+      annotated[key] = this.annotateAmounts(item);
+    });
+
+    const amount = parseFloat(value.amount);
+    if (typeof value.unit === 'string' && Number.isFinite(amount)) {
+      const normalized = this.normalizeUnit(value.unit);
+      annotated.unitKey = normalized ? normalized.key : null;
+      annotated.grams = normalized && normalized.type === 'mass'
+        ? this.toGrams(amount, value.unit).grams
+        : null;
+    }
+    return annotated;
+  }
+
+  /**
+   * List supported units
+   * @returns {Array} Unit entries
+   */
+  static listUnits() {
+    return units;
+  }
+}
+
+UnitConversionService.UnitConversionError = UnitConversionError;
+
+module.exports = UnitConversionService;
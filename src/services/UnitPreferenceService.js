@@ -0,0 +1,215 @@
+const { query } = require('../database/connection');
+
+// Kilojoules in one kilocalorie (thermochemical)
+const KJ_PER_KCAL = 4.184;
+
+// Display units per measurement system. factor is the canonical (metric)
+// amount in one display unit; digits is the precision kept when input is
+// converted back to canonical units, displayDigits when shown imperial.
+const DIMENSIONS = {
+  bodyWeight: {
+    metric: 'kg',
+    imperial: 'lb',
+    factor: 0.45359237,
+    digits: 2,
+    displayDigits: 1
+  },
+  height: {
+    metric: 'cm',
+    imperial: 'in',
+    factor: 2.54,
+    digits: 1,
+    displayDigits: 1
+  },
+  volume: {
+    metric: 'ml',
+    imperial: 'fl_oz',
+    factor: 29.5735,
+    digits: 0,
+    displayDigits: 1
+  },
+  mass: {
+    metric: 'g',
+    imperial: 'oz',
+    factor: 28.349523125,
+    digits: 2,
+    displayDigits: 1
+  }
+};
+
+const ENERGY_UNITS = ['kcal', 'kj'];
+
+const DEFAULT_UNITS = {
+  system: 'metric',
+  energy: 'kcal'
+};
+
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+// pg returns DECIMAL columns as strings, so accept numeric strings too
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  return null;
+};
+
+// Apply convert to every value matched by a dotted path; '*' matches any
+// key or array index
+const convertPath = (target, segments, convert) => {
+  if (target === null || typeof target !== 'object') {
+    return;
+  }
+
+  const [segment, ...rest] = segments;
+  const keys = segment === '*' ? Object.keys(target) : [segment];
+
+  keys.forEach(key => {
+    if (!(key in target)) {
+      return;
+    }
+    if (rest.length > 0) {
+      convertPath(target[key], rest, convert);
+      return;
+    }
+    const value = toNumber(target[key]);
+    if (value !== null) {
+      target[key] = convert(value);
+    }
+  });
+};
+
+class UnitPreferenceService {
+  /**
+   * Load a user's preferred measurement system and energy unit
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { system: 'metric'|'imperial', energy: 'kcal'|'kj' }
+   */
+  static async getForUser(userId) {
+    const result = await query(
+      'SELECT units, energy_unit FROM user_preferences WHERE user_id = $1',
+      [userId]
+    );
+
+    const row = result.rows[0] || {};
+    return {
+      system: row.units === 'imperial' ? 'imperial' : DEFAULT_UNITS.system,
+      energy: ENERGY_UNITS.includes(row.energy_unit) ? row.energy_unit : DEFAULT_UNITS.energy
+    };
+  }
+
+  /**
+   * Whether values can be passed through unchanged
+   * @param {Object} units - { system, energy }
+   * @returns {boolean}
+   */
+  static isCanonical(units) {
+    return units.system === 'metric' && units.energy === 'kcal';
+  }
+
+  /**
+   * Unit labels for each dimension, returned with converted responses
+   * @param {Object} units - { system, energy }
+   * @returns {Object} { bodyWeight, height, volume, mass, energy }
+   */
+  static labels(units) {
+    const labels = {};
+    Object.entries(DIMENSIONS).forEach(([dimension, config]) => {
+      labels[dimension] = config[units.system];
+    });
+    labels.energy = units.energy;
+    return labels;
+  }
+
+  /**
+   * Convert a canonical metric value to the user's units
+   * @param {string} dimension - bodyWeight, height, volume, mass or energy
+   * @param {number} value - Canonical value
+   * @param {Object} units - { system, energy }
+   * @returns {number} Display value
+   */
+  static toDisplay(dimension, value, units) {
+    if (dimension === 'energy') {
+      return units.energy === 'kj' ? Math.round(value * KJ_PER_KCAL) : value;
+    }
+
+    const config = DIMENSIONS[dimension];
+    if (units.system === 'metric') {
+      return value;
+    }
+    return round(value / config.factor, config.displayDigits);
+  }
+
+  /**
+   * Convert a value entered in the user's units to canonical metric
+   * @param {string} dimension - bodyWeight, height, volume, mass or energy
+   * @param {number} value - Value in the user's units
+   * @param {Object} units - { system, energy }
+   * @returns {number} Canonical value
+   */
+  static toCanonical(dimension, value, units) {
+    if (dimension === 'energy') {
+      return units.energy === 'kj' ? round(value / KJ_PER_KCAL) : value;
+    }
+
+    const config = DIMENSIONS[dimension];
+    if (units.system === 'metric') {
+      return value;
+    }
+    return round(value * config.factor, config.digits);
+  }
+
+  /**
+   * Copy a response body with the listed fields converted for display
+   * @param {Object} body - Response body in canonical units
+   * @param {Object} fields - { dimension: ['dotted.path', 'list.*.field'] }
+   * @param {Object} units - { system, energy }
+   * @returns {Object} Converted copy
+   */
+  static formatResponse(body, fields, units) {
+    if (this.isCanonical(units)) {
+      return body;
+    }
+
+    const formatted = JSON.parse(JSON.stringify(body));
+    Object.entries(fields).forEach(([dimension, paths]) => {
+      paths.forEach(path => {
+        convertPath(formatted, path.split('.'), value => this.toDisplay(dimension, value, units));
+      });
+    });
+    return formatted;
+  }
+
+  /**
+   * Copy request input with the listed fields converted to canonical units.
+   * Only numeric values are converted; anything else is left for validation.
+   * @param {Object} input - Request body in the user's units
+   * @param {Object} fields - { dimension: ['dotted.path', 'list.*.field'] }
+   * @param {Object} units - { system, energy }
+   * @returns {Object} Converted copy
+   */
+  static normalizeInput(input, fields, units) {
+    if (this.isCanonical(units) || input === null || typeof input !== 'object') {
+      return input;
+    }
+
+    const normalized = JSON.parse(JSON.stringify(input));
+    Object.entries(fields).forEach(([dimension, paths]) => {
+      paths.forEach(path => {
+        convertPath(normalized, path.split('.'), value => this.toCanonical(dimension, value, units));
+      });
+    });
+    return normalized;
+  }
+}
+
+UnitPreferenceService.ENERGY_UNITS = ENERGY_UNITS;
+UnitPreferenceService.DEFAULT_UNITS = DEFAULT_UNITS;
+
+module.exports = UnitPreferenceService;
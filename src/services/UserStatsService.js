@@ -0,0 +1,215 @@
+const TimezoneService = require('./TimezoneService');
+const { query } = require('../database/connection');
+const { cache } = require('../database/redis');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// A day counts as "on target" when intake is within this share of the target
+const ON_TARGET_TOLERANCE = 0.1;
+
+const AVERAGE_WINDOWS = [7, 30, 90];
+
+const STATS_CACHE_TTL = 3600;
+
+class UserStatsService {
+  /**
+   * Cache key for a user's stats
+   * @param {string} userId - User ID
+   * @returns {string} Redis key
+   */
+  static cacheKey(userId) {
+    return `user_stats:${userId}`;
+  }
+
+  /**
+   * Drop cached stats; call whenever logs, targets or goals change
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Cache delete result
+   */
+  static async invalidate(userId) {
+    return await cache.del(this.cacheKey(userId));
+  }
+
+  /**
+   * Get lifetime stats for a user, from cache when available
+   * @param {string} userId - User ID
+   * @param {string} today - Today's date as YYYY-MM-DD in the user's zone (optional)
+   * @returns {Promise<Object>} { stats, fromCache }
+   */
+  static async getStats(userId, today = null) {
+    if (!today) {
+      ({ today } = await TimezoneService.getUserToday(userId));
+    }
+
+    const key = this.cacheKey(userId);
+    const cached = await cache.get(key);
+
+    // Streaks depend on the current day, so a cached copy from yesterday is stale
+    if (cached && cached.asOf === today) {
+      return { stats: cached, fromCache: true };
+    }
+
+    const stats = await this.computeStats(userId, today);
+    await cache.set(key, stats, STATS_CACHE_TTL);
+
+    return { stats, fromCache: false };
+  }
+
+  /**
+   * Compute stats from the log tables
+   * @param {string} userId - User ID
+   * @param {string} today - Today's date as YYYY-MM-DD
+   * @returns {Promise<Object>} Stats
+   */
+  static async computeStats(userId, today) {
+    const [dailyResult, targetResult, exerciseResult, weightResult] = await Promise.all([
+      query(
+        `SELECT
+          to_char(log_date, 'YYYY-MM-DD') as day,
+          COALESCE(SUM(calories), 0) as calories,
+          COUNT(DISTINCT meal_type) as meals,
+          COUNT(*) as foods
+        FROM user_food_logs
+        WHERE user_id = $1
+        GROUP BY log_date
+        ORDER BY log_date ASC`,
+        [userId]
+      ),
+      query(
+        `SELECT u.target_calories, up.calorie_goal
+         FROM users u
+         LEFT JOIN user_preferences up ON u.id = up.user_id
+         WHERE u.id = $1`,
+        [userId]
+      ),
+      query(
+        `SELECT
+          COUNT(*) as sessions,
+          COALESCE(SUM(duration), 0) as minutes,
+          COALESCE(SUM(calories_burned), 0) as calories_burned,
+          to_char(MIN(log_date), 'YYYY-MM-DD') as first_date
+        FROM user_exercise_logs
+        WHERE user_id = $1`,
+        [userId]
+      ),
+      query(
+        `(SELECT weight, to_char(log_date, 'YYYY-MM-DD') as day FROM user_weight_logs
+          WHERE user_id = $1 ORDER BY log_date ASC, created_at ASC LIMIT 1)
+         UNION ALL
+         (SELECT weight, to_char(log_date, 'YYYY-MM-DD') as day FROM user_weight_logs
+          WHERE user_id = $1 ORDER BY log_date DESC, created_at DESC LIMIT 1)`,
+        [userId]
+      )
+    ]);
+
+    const days = dailyResult.rows.map(row => ({
+      day: row.day,
+      calories: parseFloat(row.calories),
+      meals: parseInt(row.meals),
+      foods: parseInt(row.foods)
+    }));
+
+    const targetRow = targetResult.rows[0] || {};
+    const calorieTarget = parseFloat(targetRow.calorie_goal || targetRow.target_calories || 2000);
+
+    const streaks = this.calculateStreaks(days.map(d => d.day), today);
+
+    const averageDailyCalories = {};
+    AVERAGE_WINDOWS.forEach(windowDays => {
+      const windowStart = this.addDays(today, -(windowDays - 1));
+      const inWindow = days.filter(d => d.day >= windowStart && d.day <= today);
+      const total = inWindow.reduce((sum, d) => sum + d.calories, 0);
+      averageDailyCalories[`last${windowDays}Days`] = {
+        average: inWindow.length > 0 ? Math.round(total / inWindow.length) : 0,
+        daysLogged: inWindow.length
+      };
+    });
+
+    const daysOnTarget = days.filter(d =>
+      Math.abs(d.calories - calorieTarget) <= calorieTarget * ON_TARGET_TOLERANCE
+    ).length;
+
+    const exercise = exerciseResult.rows[0];
+    const [firstWeight, latestWeight] = weightResult.rows;
+
+    const firstDates = [
+      days.length > 0 ? days[0].day : null,
+      exercise.first_date,
+      firstWeight ? firstWeight.day : null
+    ].filter(Boolean).sort();
+
+    return {
+      asOf: today,
+      totalMeals: days.reduce((sum, d) => sum + d.meals, 0),
+      totalFoodLogs: days.reduce((sum, d) => sum + d.foods, 0),
+      totalCalories: Math.round(days.reduce((sum, d) => sum + d.calories, 0)),
+      totalDaysLogged: days.length,
+      currentStreak: streaks.current,
+      longestStreak: streaks.longest,
+      averageDailyCalories,
+      calorieTarget,
+      daysOnTarget,
+      firstLogDate: firstDates[0] || null,
+      weight: {
+        startWeight: firstWeight ? parseFloat(firstWeight.weight) : null,
+        currentWeight: latestWeight ? parseFloat(latestWeight.weight) : null,
+        totalChange: firstWeight && latestWeight
+          ? Math.round((parseFloat(latestWeight.weight) - parseFloat(firstWeight.weight)) * 100) / 100
+          : null
+      },
+      exercise: {
+        totalSessions: parseInt(exercise.sessions),
+        totalMinutes: parseInt(exercise.minutes),
+        totalCaloriesBurned: Math.round(parseFloat(exercise.calories_burned))
+      }
+    };
+  }
+
+  /**
+   * Find the current and longest runs of consecutive logged days.
+   * The current streak stays alive until a full day is missed, so it
+   * still counts when the user has not logged anything yet today.
+   * @param {Array<string>} sortedDays - Distinct YYYY-MM-DD dates, ascending
+   * @param {string} today - Today's date as YYYY-MM-DD
+   * @returns {Object} { current, longest }
+   */
+  static calculateStreaks(sortedDays, today) {
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+
+    sortedDays.forEach(day => {
+      const dayNumber = this.toDayNumber(day);
+      run = previous !== null && dayNumber === previous + 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      previous = dayNumber;
+    });
+
+    const todayNumber = this.toDayNumber(today);
+    const current = previous !== null && todayNumber - previous <= 1 ? run : 0;
+
+    return { current, longest };
+  }
+
+  /**
+   * Convert YYYY-MM-DD to a whole day count since the epoch
+   * @param {string} day - Date string
+   * @returns {number} Day number
+   */
+  static toDayNumber(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return Math.round(Date.UTC(year, month - 1, date) / MS_PER_DAY);
+  }
+
+  /**
+   * Shift a YYYY-MM-DD date by a number of days
+   * @param {string} day - Date string
+   * @param {number} offset - Days to add (may be negative)
+   * @returns {string} Date string
+   */
+  static addDays(day, offset) {
+    return TimezoneService.addDays(day, offset);
+  }
+}
+
+module.exports = UserStatsService;
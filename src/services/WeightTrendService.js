@@ -0,0 +1,199 @@
+const NutritionTargetService = require('./NutritionTargetService');
+const { query } = require('../database/connection');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Smoothing factor per day (Hacker's Diet style, ~10% of each new reading)
+const DEFAULT_ALPHA = 0.1;
+
+// Days of trend used to estimate the current rate of change
+const RATE_WINDOW_DAYS = 28;
+
+const toDayNumber = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return Math.round(Date.UTC(year, month - 1, date) / MS_PER_DAY);
+};
+
+const fromDayNumber = (dayNumber) => new Date(dayNumber * MS_PER_DAY).toISOString().split('T')[0];
+
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+class WeightTrendService {
+  /**
+   * Exponentially smooth weigh-ins into a trend line. Several readings on
+   * one day are averaged, and gaps decay as if the missing days were
+   * smoothed in one step, so sparse logging does not over-weight one reading.
+   * @param {Array} entries - [{ date: 'YYYY-MM-DD', weight }] in any order
+   * @param {number} alpha - Smoothing factor per day
+   * @returns {Array} [{ date, weight, trend }] ascending by date
+   */
+  static calculateTrend(entries, alpha = DEFAULT_ALPHA) {
+    const byDay = new Map();
+    entries.forEach(({ date, weight }) => {
+      const day = byDay.get(date) || { total: 0, count: 0 };
+      day.total += parseFloat(weight);
+      day.count++;
+      byDay.set(date, day);
+    });
+
+    const days = [...byDay.keys()].sort();
+    const points = [];
+    let trend = null;
+    let previousDay = null;
+
+    days.forEach(date => {
+      const { total, count } = byDay.get(date);
+      const weight = total / count;
+      const dayNumber = toDayNumber(date);
+
+      if (trend === null) {
+        trend = weight;
+      } else {
+        const gap = dayNumber - previousDay;
+        const effectiveAlpha = 1 - Math.pow(1 - alpha, gap);
+        trend = trend + effectiveAlpha * (weight - trend);
+      }
+
+      points.push({ date, weight: round(weight), trend: round(trend) });
+      previousDay = dayNumber;
+    });
+
+    return points;
+  }
+
+  /**
+   * Weekly rate of change from a least-squares fit of the recent trend
+   * @param {Array} points - Output of calculateTrend
+   * @param {number} windowDays - Days of trend to fit
+   * @returns {number|null} kg per week (negative when losing)
+   */
+  static calculateWeeklyRate(points, windowDays = RATE_WINDOW_DAYS) {
+    if (points.length < 2) {
+      return null;
+    }
+
+    const lastDay = toDayNumber(points[points.length - 1].date);
+    const recent = points.filter(point => lastDay - toDayNumber(point.date) < windowDays);
+    if (recent.length < 2) {
+      return null;
+    }
+
+    const xs = recent.map(point => toDayNumber(point.date));
+    const ys = recent.map(point => point.trend);
+    const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+
+    let numerator = 0;
+    let denominator = 0;
+    xs.forEach((x, i) => {
+      numerator += (x - meanX) * (ys[i] - meanY);
+      denominator += (x - meanX) * (x - meanX);
+    });
+
+    if (denominator === 0) {
+      return null;
+    }
+    return round((numerator / denominator) * 7, 3);
+  }
+
+  /**
+   * Project when the trend reaches the target weight at the current rate
+   * @param {Object} params - { currentTrend, weeklyRate, targetWeight, fromDate }
+   * @returns {Object} { projectedDate, daysRemaining, status }
+   */
+  static projectGoalDate({ currentTrend, weeklyRate, targetWeight, fromDate }) {
+    if (!targetWeight) {
+      return { projectedDate: null, daysRemaining: null, status: 'no_target' };
+    }
+
+    const remaining = parseFloat(targetWeight) - currentTrend;
+    if (Math.abs(remaining) < 0.1) {
+      return { projectedDate: fromDate, daysRemaining: 0, status: 'reached' };
+    }
+
+    // Not moving, or moving away from the target
+    if (!weeklyRate || Math.sign(weeklyRate) !== Math.sign(remaining)) {
+      return { projectedDate: null, daysRemaining: null, status: 'not_progressing' };
+    }
+
+    const daysRemaining = Math.ceil(remaining / (weeklyRate / 7));
+    return {
+      projectedDate: fromDayNumber(toDayNumber(fromDate) + daysRemaining),
+      daysRemaining,
+      status: 'on_track'
+    };
+  }
+
+  /**
+   * Load a user's weigh-ins and build the full trend summary
+   * @param {string} userId - User ID
+   * @param {number} days - Days of history to return
+   * @returns {Promise<Object>} Trend summary
+   */
+  static async getTrendForUser(userId, days = 90) {
+    const [logResult, userResult] = await Promise.all([
+      query(
+        `SELECT to_char(log_date, 'YYYY-MM-DD') as date, weight
+         FROM user_weight_logs
+         WHERE user_id = $1
+         ORDER BY log_date ASC, created_at ASC`,
+        [userId]
+      ),
+      query('SELECT target_weight FROM users WHERE id = $1', [userId])
+    ]);
+
+    // Smooth over the full history so the start of the window is already settled
+    const points = this.calculateTrend(logResult.rows);
+    const targetWeight = userResult.rows[0] ? userResult.rows[0].target_weight : null;
+
+    if (points.length === 0) {
+      return { points: [], currentTrend: null, weeklyRate: null, targetWeight, projection: null };
+    }
+
+    const latest = points[points.length - 1];
+    const windowStart = fromDayNumber(toDayNumber(latest.date) - days + 1);
+    const weeklyRate = this.calculateWeeklyRate(points);
+
+    return {
+      points: points.filter(point => point.date >= windowStart),
+      currentTrend: latest.trend,
+      latestWeight: latest.weight,
+      weeklyRate,
+      targetWeight: targetWeight ? parseFloat(targetWeight) : null,
+      projection: this.projectGoalDate({
+        currentTrend: latest.trend,
+        weeklyRate,
+        targetWeight,
+        fromDate: latest.date
+      })
+    };
+  }
+
+  /**
+   * Copy the most recent weigh-in to users.weight and recompute targets
+   * @param {string} userId - User ID
+   * @param {Object} db - Query runner (pool query or transaction client)
+   * @returns {Promise<Object|null>} Updated user row
+   */
+  static async syncUserWeight(userId, db = { query }) {
+    await db.query(
+      `UPDATE users
+       SET weight = (
+         SELECT weight FROM user_weight_logs
+         WHERE user_id = $1
+         ORDER BY log_date DESC, created_at DESC
+         LIMIT 1
+       )
+       WHERE id = $1
+         AND EXISTS (SELECT 1 FROM user_weight_logs WHERE user_id = $1)`,
+      [userId]
+    );
+
+    return await NutritionTargetService.recalculateForUser(userId, db);
+  }
+}
+
+module.exports = WeightTrendService;
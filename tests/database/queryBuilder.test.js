@@ -0,0 +1,142 @@
+const {
+  QueryBuilderError,
+  QueryParams,
+  buildUpdate,
+  buildUpsert,
+  toDayCount,
+  lastDaysCondition,
+  dateRangeCondition
+} = require('../../src/database/queryBuilder');
+
+describe('QueryParams', () => {
+  test('numbers placeholders after the initial values', () => {
+    const params = new QueryParams(['user-1']);
+
+    expect(params.add('2024-01-01')).toBe('$2');
+    expect(params.add(10)).toBe('$3');
+    expect(params.values).toEqual(['user-1', '2024-01-01', 10]);
+  });
+});
+
+describe('buildUpdate', () => {
+  const fieldMap = { mealType: 'meal_type', amount: 'amount' };
+
+  test('maps API fields to whitelisted columns and binds every value', () => {
+    const query = buildUpdate({
+      table: 'user_food_logs',
+      data: { mealType: 'lunch', amount: 150, unit: undefined },
+      fieldMap,
+      where: { id: 'log-1', user_id: 'user-1' }
+    });
+
+    expect(query.text).toBe(
+      'UPDATE user_food_logs SET meal_type = $1, amount = $2, updated_at = CURRENT_TIMESTAMP ' +
+      'WHERE id = $3 AND user_id = $4 RETURNING *'
+    );
+    expect(query.values).toEqual(['lunch', 150, 'log-1', 'user-1']);
+  });
+
+  test('leaves updated_at alone when asked', () => {
+    const query = buildUpdate({
+      table: 'user_weight_logs',
+      data: { amount: 1 },
+      fieldMap,
+      where: { id: 'log-1' },
+      touchUpdatedAt: false
+    });
+
+    expect(query.text).toBe('UPDATE user_weight_logs SET amount = $1 WHERE id = $2 RETURNING *');
+  });
+
+  test('rejects fields outside the whitelist, naming the field', () => {
+    let error;
+    try {
+      buildUpdate({ table: 'users', data: { isAdmin: true }, fieldMap, where: { id: 'user-1' } });
+    } catch (thrown) {
+      error = thrown;
+    }
+
+    expect(error).toBeInstanceOf(QueryBuilderError);
+    expect(error.field).toBe('isAdmin');
+    expect(error.status).toBe(400);
+  });
+
+  test('rejects an update with nothing to change', () => {
+    expect(() => buildUpdate({
+      table: 'users',
+      data: { amount: undefined },
+      fieldMap,
+      where: { id: 'user-1' }
+    })).toThrow('沒有提供要更新的數據');
+  });
+});
+
+describe('buildUpsert', () => {
+  test('inserts the key and provided fields and updates only those fields', () => {
+    const query = buildUpsert({
+      table: 'user_preferences',
+      data: { calorieGoal: 1800, units: undefined },
+      fieldMap: { calorieGoal: 'calorie_goal', units: 'units' },
+      key: { user_id: 'user-1' }
+    });
+
+    expect(query.text).toBe(
+      'INSERT INTO user_preferences (user_id, calorie_goal) VALUES ($1, $2) ' +
+      'ON CONFLICT (user_id) DO UPDATE SET calorie_goal = EXCLUDED.calorie_goal, ' +
+      'updated_at = CURRENT_TIMESTAMP RETURNING *'
+    );
+    expect(query.values).toEqual(['user-1', 1800]);
+  });
+
+  test('rejects fields outside the whitelist', () => {
+    expect(() => buildUpsert({
+      table: 'user_preferences',
+      data: { userId: 'someone-else' },
+      fieldMap: { calorieGoal: 'calorie_goal' },
+      key: { user_id: 'user-1' }
+    })).toThrow(QueryBuilderError);
+  });
+});
+
+describe('toDayCount', () => {
+  test('accepts integers in range, including numeric strings', () => {
+    expect(toDayCount('30')).toBe(30);
+    expect(toDayCount(7, { min: 7, max: 90 })).toBe(7);
+  });
+
+  test.each([0, 366, 1.5, 'week', null])('rejects %p', (days) => {
+    expect(() => toDayCount(days)).toThrow(QueryBuilderError);
+  });
+});
+
+describe('lastDaysCondition', () => {
+  test('binds the day count and compares against today', () => {
+    const params = new QueryParams(['user-1']);
+
+    expect(lastDaysCondition('log_date', 7, params)).toBe(
+      'log_date >= CURRENT_DATE - make_interval(days => $2)'
+    );
+    expect(lastDaysCondition('log_date', 7, params, '$1::date')).toBe(
+      'log_date >= $1::date - make_interval(days => $3)'
+    );
+    expect(params.values).toEqual(['user-1', 7, 7]);
+  });
+});
+
+describe('dateRangeCondition', () => {
+  test('binds both dates', () => {
+    const params = new QueryParams();
+
+    expect(dateRangeCondition('log_date', '2024-01-01', '2024-01-31', params)).toBe(
+      'log_date BETWEEN $1 AND $2'
+    );
+    expect(params.values).toEqual(['2024-01-01', '2024-01-31']);
+  });
+
+  test('rejects malformed or reversed ranges', () => {
+    const params = new QueryParams();
+
+    expect(() => dateRangeCondition('log_date', '2024-1-1', '2024-01-31', params)).toThrow(QueryBuilderError);
+    expect(() => dateRangeCondition('log_date', '2024-02-01', '2024-01-31', params)).toThrow('開始日期不能晚於結束日期');
+  });
+});
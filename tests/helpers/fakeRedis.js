@@ -0,0 +1,143 @@
+// In-memory stand-in for the redis v4 client, covering the commands the
+// cache, session and rate limit helpers use. Use it with
+//   jest.mock('redis', () => require('../helpers/fakeRedis'));
+// and call connectRedis() before the first request. TTLs are recorded but
+// keys never expire.
+
+class FakeRedisClient {
+  constructor() {
+    this.strings = new Map();
+    this.sets = new Map();
+    this.ttls = new Map();
+  }
+
+  on() {
+    return this;
+  }
+
+  async connect() {}
+
+  async quit() {}
+
+  // Every key currently stored, for assertions
+  keys() {
+    return [...this.strings.keys(), ...this.sets.keys()];
+  }
+
+  async get(key) {
+    return this.strings.has(key) ? this.strings.get(key) : null;
+  }
+
+  async setEx(key, ttl, value) {
+    this.strings.set(key, value);
+    this.ttls.set(key, ttl);
+    return 'OK';
+  }
+
+  async mGet(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async exists(key) {
+    return this.strings.has(key) || this.sets.has(key) ? 1 : 0;
+  }
+
+  async del(keys) {
+    let deleted = 0;
+    [].concat(keys).forEach(key => {
+      if (this.strings.delete(key) || this.sets.delete(key)) {
+        deleted++;
+      }
+      this.ttls.delete(key);
+    });
+    return deleted;
+  }
+
+  async incr(key) {
+    const value = parseInt(this.strings.get(key) || '0') + 1;
+    this.strings.set(key, String(value));
+    return value;
+  }
+
+  async ttl(key) {
+    if (!this.strings.has(key) && !this.sets.has(key)) {
+      return -2;
+    }
+    return this.ttls.has(key) ? this.ttls.get(key) : -1;
+  }
+
+  async expire(key, ttl) {
+    this.ttls.set(key, ttl);
+    return 1;
+  }
+
+  async sAdd(key, member) {
+    const set = this.sets.get(key) || new Set();
+    set.add(member);
+    this.sets.set(key, set);
+    return 1;
+  }
+
+  async sRem(key, members) {
+    const set = this.sets.get(key);
+    if (!set) {
+      return 0;
+    }
+    let removed = 0;
+    [].concat(members).forEach(member => {
+      if (set.delete(member)) {
+        removed++;
+      }
+    });
+    if (set.size === 0) {
+      this.sets.delete(key);
+    }
+    return removed;
+  }
+
+  async sMembers(key) {
+    return [...(this.sets.get(key) || [])];
+  }
+
+  async *scanIterator({ MATCH }) {
+    const pattern = new RegExp(`^${MATCH.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    for (const key of this.keys()) {
+      if (pattern.test(key)) {
+        yield key;
+      }
+    }
+  }
+
+  // Only the session rotation script is run through EVAL; this mirrors it
+  async eval(script, { keys, arguments: args }) {
+    const [sessionKey, indexKey] = keys;
+    const [expectedTokenId, data, ttl, sessionId] = args;
+
+    const current = await this.get(sessionKey);
+    if (!current) {
+      return 'missing';
+    }
+    if (JSON.parse(current).currentTokenId !== expectedTokenId) {
+      await this.del(sessionKey);
+      await this.sRem(indexKey, sessionId);
+      return 'reused';
+    }
+    await this.setEx(sessionKey, Number(ttl), data);
+    await this.sAdd(indexKey, sessionId);
+    return 'rotated';
+  }
+}
+
+let lastClient = null;
+
+module.exports = {
+  createClient() {
+    lastClient = new FakeRedisClient();
+    return lastClient;
+  },
+
+  // The client created by the most recent connectRedis()
+  getFakeClient() {
+    return lastClient;
+  }
+};
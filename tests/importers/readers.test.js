@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { readCsv, readJsonArray, readJsonLines, inBatches } = require('../../src/importers/readers');
+
+let dir;
+
+// Write a file into the temporary directory, gzipping names ending in .gz
+const write = (name, content) => {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, name.endsWith('.gz') ? zlib.gzipSync(content) : content);
+  return filePath;
+};
+
+const collect = async (records) => {
+  const items = [];
+  for await (const item of records) {
+    items.push(item);
+  }
+  return items;
+};
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'readers-'));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('readCsv', () => {
+  test('keys records by the trimmed header row', async () => {
+    const filePath = write('foods.csv', '\uFEFFfdc_id, description\r\n1,Apple\r\n2,Banana\r\n');
+
+    expect(await collect(readCsv(filePath))).toEqual([
+      { row: 1, record: { fdc_id: '1', description: 'Apple' } },
+      { row: 2, record: { fdc_id: '2', description: 'Banana' } }
+    ]);
+  });
+
+  test('handles quoted commas, escaped quotes and newlines', async () => {
+    const filePath = write('quoted.csv', 'name,notes\n"Rice, white","12"" bowl\nsteamed"\n');
+
+    expect(await collect(readCsv(filePath))).toEqual([
+      { row: 1, record: { name: 'Rice, white', notes: '12" bowl\nsteamed' } }
+    ]);
+  });
+
+  test('skips blank lines, fills short rows and reads a last line without a newline', async () => {
+    const filePath = write('short.csv', 'a,b,c\n\n1,2\n3,4,5');
+
+    expect(await collect(readCsv(filePath))).toEqual([
+      { row: 1, record: { a: '1', b: '2', c: '' } },
+      { row: 2, record: { a: '3', b: '4', c: '5' } }
+    ]);
+  });
+
+  test('treats quotes as ordinary characters when asked', async () => {
+    const filePath = write('products.tsv.gz', 'code\tproduct_name\n471\t"Oolong" tea\n');
+
+    expect(await collect(readCsv(filePath, { delimiter: '\t', quoted: false }))).toEqual([
+      { row: 1, record: { code: '471', product_name: '"Oolong" tea' } }
+    ]);
+  });
+});
+
+describe('readJsonArray', () => {
+  test('reads the items of a top-level array', async () => {
+    const filePath = write('array.json', '[{"id":1,"tags":["a","b"]},{"id":2,"name":"brace } in \\"string\\""}]');
+
+    expect(await collect(readJsonArray(filePath))).toEqual([
+      { row: 1, record: { id: 1, tags: ['a', 'b'] } },
+      { row: 2, record: { id: 2, name: 'brace } in "string"' } }
+    ]);
+  });
+
+  test('reads the first array inside the root object', async () => {
+    const filePath = write('foundation.json.gz', JSON.stringify({
+      FoundationFoods: [{ fdcId: 1, foodNutrients: [{ amount: 2 }] }, { fdcId: 2, foodNutrients: [] }]
+    }, null, 2));
+
+    expect((await collect(readJsonArray(filePath))).map(item => item.record.fdcId)).toEqual([1, 2]);
+  });
+
+  test('reads items that span several stream chunks', async () => {
+    const description = 'x'.repeat(200 * 1024);
+    const filePath = write('large.json', JSON.stringify([{ description }, { description: 'short' }]));
+
+    const items = await collect(readJsonArray(filePath));
+
+    expect(items).toHaveLength(2);
+    expect(items[0].record.description).toHaveLength(description.length);
+    expect(items[1].record.description).toBe('short');
+  });
+});
+
+describe('readJsonLines', () => {
+  test('reports invalid lines by number and keeps reading', async () => {
+    const filePath = write('products.jsonl.gz', '{"code":"1"}\n\nnot json\n{"code":"2"}\n');
+
+    const items = await collect(readJsonLines(filePath));
+
+    expect(items.map(item => item.row)).toEqual([1, 3, 4]);
+    expect(items[0].record).toEqual({ code: '1' });
+    expect(items[1].error).toMatch(/^invalid JSON: /);
+    expect(items[2].record).toEqual({ code: '2' });
+  });
+});
+
+describe('inBatches', () => {
+  test('groups records and yields the remainder', async () => {
+    async function* numbers() {
+      for (let i = 1; i <= 5; i++) {
+        yield i;
+      }
+    }
+
+    expect(await collect(inBatches(numbers(), 2))).toEqual([[1, 2], [3, 4], [5]]);
+  });
+});
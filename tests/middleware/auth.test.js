@@ -0,0 +1,80 @@
+jest.mock('redis', () => require('../helpers/fakeRedis'));
+
+const { connectRedis } = require('../../src/database/redis');
+const { authenticateToken } = require('../../src/middleware/auth');
+const AuthService = require('../../src/services/AuthService');
+const SessionService = require('../../src/services/SessionService');
+
+const user = { id: 'user-1', email: 'amy@example.com' };
+
+// Run the middleware with a bearer token and report what happened
+const run = async (token) => {
+  const req = { headers: token ? { authorization: `Bearer ${token}` } : {} };
+  const res = {
+    statusCode: 200,
+    payload: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.payload = payload;
+      return this;
+    }
+  };
+  const next = jest.fn();
+
+  await authenticateToken(req, res, next);
+  return { req, res, next };
+};
+
+describe('authenticateToken', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await connectRedis();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('accepts an access token of a live session', async () => {
+    const { token, sessionId } = await SessionService.createSession(user);
+
+    const { req, next } = await run(token);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toEqual({ id: user.id, email: user.email, sessionId });
+  });
+
+  test('rejects an access token whose session was deleted', async () => {
+    const { token, sessionId } = await SessionService.createSession(user);
+    await SessionService.revokeSession(user.id, sessionId);
+
+    const { res, next } = await run(token);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.payload.message).toBe('登入階段已失效，請重新登入');
+  });
+
+  test('rejects access tokens after logging out of all devices', async () => {
+    const { token } = await SessionService.createSession(user);
+    await SessionService.revokeAllSessions(user.id);
+
+    expect((await run(token)).res.statusCode).toBe(401);
+  });
+
+  test('rejects tokens without a session, refresh tokens and missing headers', async () => {
+    const sessionless = AuthService.generateAccessToken(user);
+    const { refreshToken } = await SessionService.createSession(user);
+
+    expect((await run(sessionless)).res.statusCode).toBe(401);
+    expect((await run(refreshToken)).res.payload.message).toBe('認證令牌無效');
+    expect((await run(null)).res.payload.message).toBe('未提供認證令牌');
+  });
+});
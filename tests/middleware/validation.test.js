@@ -0,0 +1,180 @@
+const { validateRequest } = require('../../src/middleware/validation');
+
+// Run the middleware against a fake request and report what happened
+const run = (schema, req) => {
+  const request = { params: {}, query: {}, body: {}, ...req };
+  const response = {
+    statusCode: 200,
+    payload: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.payload = payload;
+      return this;
+    }
+  };
+  const next = jest.fn();
+
+  validateRequest(schema)(request, response, next);
+  return { req: request, res: response, next };
+};
+
+describe('validateRequest', () => {
+  test('coerces query and params strings to the declared types', () => {
+    const { req, next } = run({
+      params: { id: { required: true, type: 'integer' } },
+      query: {
+        limit: { required: false, type: 'number', min: 1, max: 100 },
+        includeMeals: { required: false, type: 'boolean' }
+      }
+    }, {
+      params: { id: '42' },
+      query: { limit: '20', includeMeals: 'true' }
+    });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.params).toEqual({ id: 42 });
+    expect(req.query).toEqual({ limit: 20, includeMeals: true });
+  });
+
+  test('does not coerce body values', () => {
+    const { res, next } = run({
+      body: { amount: { required: true, type: 'number' } }
+    }, {
+      body: { amount: '100' }
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(400);
+    expect(res.payload.errors).toEqual([
+      { location: 'body', field: 'amount', message: 'amount 必須是數字' }
+    ]);
+  });
+
+  test('strips fields that are not declared', () => {
+    const { req } = run({
+      body: { name: { required: true, type: 'string' } }
+    }, {
+      body: { name: '雞胸肉', isAdmin: true }
+    });
+
+    expect(req.body).toEqual({ name: '雞胸肉' });
+  });
+
+  test('reports missing required fields and range errors together', () => {
+    const { res } = run({
+      body: {
+        logDate: { required: true, type: 'date' },
+        amount: { required: true, type: 'number', min: 0.01 }
+      }
+    }, {
+      body: { amount: 0 }
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.payload.success).toBe(false);
+    expect(res.payload.errors.map(error => error.field)).toEqual(['logDate', 'amount']);
+  });
+
+  test('keeps an explicit null only for nullable fields', () => {
+    const { req } = run({
+      body: {
+        notes: { required: false, nullable: true, type: 'string' },
+        unit: { required: false, type: 'string' }
+      }
+    }, {
+      body: { notes: null, unit: null }
+    });
+
+    expect(req.body).toEqual({ notes: null });
+  });
+
+  test('treats empty query strings as missing', () => {
+    const { req, res } = run({
+      query: {
+        limit: { required: false, type: 'integer' },
+        q: { required: false, type: 'string' }
+      }
+    }, {
+      query: { limit: '', q: '' }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(req.query).toEqual({ q: '' });
+  });
+
+  test('rejects impossible dates and malformed times and uuids', () => {
+    const { res } = run({
+      body: {
+        logDate: { required: true, type: 'date' },
+        logTime: { required: true, type: 'time' },
+        foodId: { required: true, type: 'uuid' }
+      }
+    }, {
+      body: { logDate: '2024-02-30', logTime: '24:00', foodId: 'not-a-uuid' }
+    });
+
+    expect(res.payload.errors.map(error => error.field)).toEqual(['logDate', 'logTime', 'foodId']);
+  });
+
+  test('checks enums and string lengths', () => {
+    const { res } = run({
+      body: {
+        mealType: { required: true, type: 'string', enum: ['breakfast', 'lunch'] },
+        name: { required: true, type: 'string', maxLength: 3 }
+      }
+    }, {
+      body: { mealType: 'brunch', name: '四個字元' }
+    });
+
+    expect(res.payload.errors).toEqual([
+      { location: 'body', field: 'mealType', message: 'mealType 必須是以下其中之一: breakfast, lunch' },
+      { location: 'body', field: 'name', message: 'name 長度不能超過 3' }
+    ]);
+  });
+
+  test('validates array items and nested objects with dotted field names', () => {
+    const { req, res } = run({
+      body: {
+        items: {
+          required: true,
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              amount: { required: true, type: 'number', min: 0 },
+              unit: { required: true, type: 'string' }
+            }
+          }
+        }
+      }
+    }, {
+      body: { items: [{ amount: 1, unit: 'g', extra: 'x' }, { amount: -1 }] }
+    });
+
+    expect(res.payload.errors.map(error => error.field)).toEqual(['items[1].amount', 'items[1].unit']);
+    // Rejected requests are left as they were
+    expect(req.body).toEqual({ items: [{ amount: 1, unit: 'g', extra: 'x' }, { amount: -1 }] });
+  });
+
+  test('replaces the request locations with sanitized nested values', () => {
+    const { req, next } = run({
+      body: {
+        privacySettings: {
+          required: false,
+          type: 'object',
+          properties: {
+            shareProgress: { required: false, type: 'boolean' }
+          }
+        }
+      }
+    }, {
+      body: { privacySettings: { shareProgress: false, unknown: 1 } }
+    });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.body).toEqual({ privacySettings: { shareProgress: false } });
+  });
+});
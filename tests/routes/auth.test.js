@@ -0,0 +1,95 @@
+jest.mock('redis', () => require('../helpers/fakeRedis'));
+
+const express = require('express');
+const redis = require('redis');
+const { connectRedis } = require('../../src/database/redis');
+const SessionService = require('../../src/services/SessionService');
+const authRoutes = require('../../src/routes/auth');
+
+const user = { id: 'user-1', email: 'amy@example.com' };
+
+describe('auth routes', () => {
+  let server;
+  let baseUrl;
+
+  const post = async (path, { body, token } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify(body || {})
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await connectRedis();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /refresh', () => {
+    test('returns a new token pair and revokes the session when the old token is reused', async () => {
+      const login = await SessionService.createSession(user);
+
+      const refreshed = await post('/api/auth/refresh', { body: { refreshToken: login.refreshToken } });
+      expect(refreshed.status).toBe(200);
+      expect(refreshed.body).toMatchObject({ success: true, sessionId: login.sessionId });
+
+      const reused = await post('/api/auth/refresh', { body: { refreshToken: login.refreshToken } });
+      expect(reused.status).toBe(401);
+      expect(reused.body).toMatchObject({ success: false, reason: 'reused' });
+
+      const afterReuse = await post('/api/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+      expect(afterReuse.status).toBe(401);
+      expect(afterReuse.body.reason).toBe('revoked');
+    });
+
+    test('rejects an invalid token', async () => {
+      const response = await post('/api/auth/refresh', { body: { refreshToken: 'garbage' } });
+
+      expect(response.status).toBe(401);
+      expect(response.body.reason).toBe('invalid');
+    });
+  });
+
+  describe('POST /logout-all', () => {
+    test('removes every session of the user and the session index', async () => {
+      const phone = await SessionService.createSession(user);
+      const laptop = await SessionService.createSession(user);
+
+      const response = await post('/api/auth/logout-all', { token: phone.token });
+      expect(response.status).toBe(200);
+      expect(response.body.revokedCount).toBe(2);
+
+      const keys = redis.getFakeClient().keys();
+      expect(keys.filter(key => key.startsWith(`session:${user.id}:`))).toEqual([]);
+      expect(keys).not.toContain(`sessions:${user.id}`);
+
+      expect((await post('/api/auth/logout-all', { token: laptop.token })).status).toBe(401);
+      expect((await post('/api/auth/refresh', { body: { refreshToken: laptop.refreshToken } })).status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const AdaptiveTdeeService = require('../../src/services/AdaptiveTdeeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Consecutive dates in January 2024
+const january = (count, build) => Array.from({ length: count }, (_, i) =>
+  build(`2024-01-${String(i + 1).padStart(2, '0')}`, i)
+);
+
+describe('AdaptiveTdeeService', () => {
+  describe('calculateEstimate', () => {
+    const window = { startDate: '2024-01-01', endDate: '2024-01-28' };
+    const steadyWeight = january(28, date => ({ date, weight: '80' }));
+
+    test('uses average intake as maintenance when the weight is stable', () => {
+      const estimate = AdaptiveTdeeService.calculateEstimate({
+        ...window,
+        intakeDays: january(28, date => ({ date, calories: 2500 })),
+        weightEntries: steadyWeight,
+        formulaTdee: 2300
+      });
+
+      expect(estimate).toMatchObject({
+        status: 'ok',
+        observedTdee: 2500,
+        estimatedTdee: 2500,
+        averageIntake: 2500,
+        weeklyWeightChange: 0,
+        confidence: 1,
+        confidenceLevel: 'high'
+      });
+    });
+
+    test('leaves out partially logged days and pulls toward the formula by confidence', () => {
+      const intakeDays = january(28, (date, i) => ({ date, calories: i < 14 ? 2500 : 600 }));
+
+      const estimate = AdaptiveTdeeService.calculateEstimate({
+        ...window, intakeDays, weightEntries: steadyWeight, formulaTdee: 2300
+      });
+
+      expect(estimate.coverage).toMatchObject({ loggedDays: 14, incompleteDays: 14, missingDays: 0 });
+      expect(estimate.averageIntake).toBe(2500);
+      expect(estimate.confidence).toBe(0.5);
+      expect(estimate.estimatedTdee).toBe(2400);
+      expect(estimate.confidenceLevel).toBe('medium');
+    });
+
+    test('subtracts the energy stored by weight gain', () => {
+      // Smoothing over earlier history leaves the trend rising 0.1 kg a day
+      const weightEntries = Array.from({ length: 200 }, (_, i) => {
+        const date = new Date(Date.UTC(2024, 0, 28) - (199 - i) * DAY_MS).toISOString().split('T')[0];
+        return { date, weight: 60 + 0.1 * i };
+      });
+
+      const estimate = AdaptiveTdeeService.calculateEstimate({
+        ...window,
+        intakeDays: january(28, date => ({ date, calories: 2500 })),
+        weightEntries,
+        formulaTdee: null
+      });
+
+      expect(estimate.weeklyWeightChange).toBe(0.7);
+      expect(estimate.observedTdee).toBe(1730);
+      expect(estimate.estimatedTdee).toBe(1730);
+    });
+
+    test('reports insufficient data without enough logged days or weigh-ins', () => {
+      const fewDays = AdaptiveTdeeService.calculateEstimate({
+        ...window,
+        intakeDays: january(6, date => ({ date, calories: 2500 })),
+        weightEntries: steadyWeight,
+        formulaTdee: 2300
+      });
+      const oneWeighIn = AdaptiveTdeeService.calculateEstimate({
+        ...window,
+        intakeDays: january(28, date => ({ date, calories: 2500 })),
+        weightEntries: [{ date: '2024-01-10', weight: '80' }],
+        formulaTdee: 2300
+      });
+
+      expect(fewDays).toMatchObject({ status: 'insufficient_data', estimatedTdee: null, confidence: 0 });
+      expect(fewDays.coverage.missingDays).toBe(22);
+      expect(oneWeighIn.status).toBe('insufficient_data');
+    });
+  });
+
+  describe('isAdjustmentDue', () => {
+    const now = new Date('2024-01-15T12:00:00Z');
+
+    test('is never due for users who have not opted in', () => {
+      expect(AdaptiveTdeeService.isAdjustmentDue({ adaptive_tdee_enabled: false }, now)).toBe(false);
+    });
+
+    test('is due on the first run and a week after the last check', () => {
+      expect(AdaptiveTdeeService.isAdjustmentDue({ adaptive_tdee_enabled: true }, now)).toBe(true);
+      expect(AdaptiveTdeeService.isAdjustmentDue({
+        adaptive_tdee_enabled: true,
+        adaptive_tdee_checked_at: '2024-01-08T12:00:00Z'
+      }, now)).toBe(true);
+      expect(AdaptiveTdeeService.isAdjustmentDue({
+        adaptive_tdee_enabled: true,
+        adaptive_tdee_checked_at: '2024-01-09T12:00:00Z'
+      }, now)).toBe(false);
+    });
+  });
+});
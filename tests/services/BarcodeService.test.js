@@ -0,0 +1,64 @@
+const BarcodeService = require('../../src/services/BarcodeService');
+
+const { BarcodeError } = BarcodeService;
+
+describe('BarcodeService', () => {
+  describe('normalize', () => {
+    test.each([
+      ['96385074', '00000096385074', 'EAN-8'],
+      ['036000291452', '00036000291452', 'UPC-A'],
+      ['4006381333931', '04006381333931', 'EAN-13'],
+      ['10012345678902', '10012345678902', 'GTIN-14']
+    ])('accepts %s as %s (%s)', (code, gtin, format) => {
+      expect(BarcodeService.normalize(code)).toEqual({ gtin, format });
+    });
+
+    test('ignores spaces and dashes', () => {
+      expect(BarcodeService.normalize(' 4006381-333931 ').gtin).toBe('04006381333931');
+    });
+
+    test('reads a UPC-A code with its leading zeros dropped', () => {
+      expect(BarcodeService.normalize('36000291452')).toEqual({ gtin: '00036000291452', format: 'UPC-A' });
+    });
+
+    test('rejects non-digits, unsupported lengths and wrong check digits with a 400', () => {
+      const attempt = (code) => {
+        try {
+          BarcodeService.normalize(code);
+        } catch (error) {
+          return error;
+        }
+        return null;
+      };
+
+      const letters = attempt('40063813339AB');
+      expect(letters).toBeInstanceOf(BarcodeError);
+      expect(letters.status).toBe(400);
+      expect(letters.message).toBe('條碼只能包含數字');
+
+      expect(attempt(null).message).toBe('條碼只能包含數字');
+      expect(attempt('1234567').message).toBe('條碼格式不正確，請使用 EAN-8、EAN-13 或 UPC-A 條碼');
+      expect(attempt('4006381333932').message).toBe('條碼檢查碼錯誤，請重新掃描');
+    });
+  });
+
+  describe('storedForms', () => {
+    test('lists every padded length the code fits', () => {
+      expect(BarcodeService.storedForms('00036000291452')).toEqual([
+        '36000291452',
+        '036000291452',
+        '0036000291452',
+        '00036000291452'
+      ]);
+    });
+
+    test('includes the EAN-8 form for short codes', () => {
+      expect(BarcodeService.storedForms('00000096385074')).toEqual([
+        '96385074',
+        '000096385074',
+        '0000096385074',
+        '00000096385074'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const ExerciseService = require('../../src/services/ExerciseService');
+const metActivities = require('../../src/data/metActivities');
+
+const keyOf = (name) => {
+  const activity = ExerciseService.findActivity(name);
+  return activity ? activity.key : null;
+};
+
+describe('ExerciseService', () => {
+  describe('findActivity', () => {
+    test('uses the activity key when given', () => {
+      expect(ExerciseService.findActivity('crunches', 'yoga').key).toBe('yoga');
+      expect(ExerciseService.findActivity('Running', 'unknown')).toBeNull();
+    });
+
+    test('matches an exact key, name or alias', () => {
+      expect(keyOf('jump_rope')).toBe('jump_rope');
+      expect(keyOf('Rowing machine')).toBe('rowing');
+      expect(keyOf('  JOGGING ')).toBe('running');
+    });
+
+    test('matches names and aliases as whole words', () => {
+      expect(keyOf('Morning run')).toBe('running');
+      expect(keyOf('Incline walk, 20 min')).toBe('walking');
+      expect(keyOf('kickboxing class')).toBe('martial_arts');
+    });
+
+    test.each(['crunches', 'Dumbbell rows', 'bent-over row', 'brunch walkabout'])(
+      'does not match %p through part of a word',
+      (name) => {
+        expect(keyOf(name)).toBeNull();
+      }
+    );
+
+    test('prefers the longest matching alias', () => {
+      expect(keyOf('Table tennis league')).toBe('table_tennis');
+      expect(keyOf('circuit training')).toBe('hiit');
+    });
+
+    test('matches Chinese names anywhere in the name', () => {
+      expect(keyOf('晨間慢跑5公里')).toBe('running');
+      expect(keyOf('划船機30分鐘')).toBe('rowing');
+    });
+  });
+
+  describe('estimateCalories', () => {
+    test('uses the activity MET, body weight and duration', () => {
+      expect(ExerciseService.estimateCalories({
+        exerciseName: 'Morning run', intensity: 'moderate', duration: 30, weight: '60'
+      })).toEqual({
+        caloriesBurned: 294,
+        met: 9.8,
+        activityKey: 'running',
+        weightUsed: 60,
+        weightIsDefault: false
+      });
+    });
+
+    test('falls back to the generic MET and default weight for unknown exercises', () => {
+      expect(ExerciseService.estimateCalories({ exerciseName: 'crunches', duration: 60 })).toEqual({
+        caloriesBurned: 350,
+        met: 5,
+        activityKey: null,
+        weightUsed: 70,
+        weightIsDefault: true
+      });
+    });
+  });
+
+  describe('listActivities', () => {
+    test('filters by any part of a name or alias', () => {
+      expect(ExerciseService.listActivities('row').map(activity => activity.key)).toEqual(['rowing']);
+      expect(ExerciseService.listActivities('')).toBe(metActivities);
+    });
+  });
+});
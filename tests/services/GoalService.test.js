@@ -0,0 +1,182 @@
+const GoalService = require('../../src/services/GoalService');
+
+const GOOD_ADHERENCE = { daysLogged: 10, calorieAdherence: 0.9, proteinAdherence: 0.9 };
+
+const goal = (overrides) => ({
+  goal_type: 'weight_loss',
+  start_value: '90.00',
+  target_value: '80.00',
+  start_date: '2024-01-01',
+  target_date: '2024-04-10',
+  ...overrides
+});
+
+// Halfway through the 100 days from start_date to target_date
+const context = (overrides) => ({
+  currentWeight: 85,
+  weeklyRate: -0.7,
+  adherence: GOOD_ADHERENCE,
+  today: '2024-02-20',
+  ...overrides
+});
+
+describe('GoalService', () => {
+  describe('calculateAdherence', () => {
+    test('counts days within 10% of the calorie target and days meeting protein', () => {
+      const days = [
+        { calories: 2000, protein: 150 },
+        { calories: 2300, protein: 100 },
+        { calories: 1850, protein: 120 },
+        { calories: 1500, protein: 160 }
+      ];
+
+      expect(GoalService.calculateAdherence(days, { calories: 2000, protein: 120 })).toEqual({
+        daysLogged: 4,
+        calorieAdherence: 0.5,
+        proteinAdherence: 0.75
+      });
+    });
+
+    test('leaves protein out without a protein target', () => {
+      expect(GoalService.calculateAdherence([{ calories: 2000, protein: 10 }], { calories: 2000, protein: null }))
+        .toEqual({ daysLogged: 1, calorieAdherence: 1, proteinAdherence: null });
+    });
+
+    test('reports no adherence without logged days', () => {
+      expect(GoalService.calculateAdherence([], { calories: 2000, protein: 120 }))
+        .toEqual({ daysLogged: 0, calorieAdherence: null, proteinAdherence: null });
+    });
+  });
+
+  describe('calculateProgress', () => {
+    describe('weight loss', () => {
+      test('is on track when keeping pace with the schedule', () => {
+        const progress = GoalService.calculateProgress(goal(), context());
+
+        expect(progress).toMatchObject({
+          percentComplete: 50,
+          expectedPercent: 50,
+          status: 'on_track',
+          isMet: false,
+          remaining: -5
+        });
+        expect(progress.projection.status).toBe('on_track');
+      });
+
+      test('allows trailing the schedule by up to ten points', () => {
+        expect(GoalService.calculateProgress(goal(), context({ currentWeight: 86 })).status).toBe('on_track');
+        expect(GoalService.calculateProgress(goal(), context({ currentWeight: 86.5 })).status).toBe('behind');
+      });
+
+      test('is achieved once the target is passed', () => {
+        expect(GoalService.calculateProgress(goal(), context({ currentWeight: 79.8 }))).toMatchObject({
+          percentComplete: 100,
+          status: 'achieved',
+          isMet: true,
+          projection: null
+        });
+      });
+
+      test('is downgraded to behind when calorie adherence is low', () => {
+        const adherence = { daysLogged: 5, calorieAdherence: 0.4, proteinAdherence: 0.9 };
+
+        expect(GoalService.calculateProgress(goal(), context({ adherence })).status).toBe('behind');
+      });
+
+      test('does not judge adherence from too few logged days', () => {
+        const adherence = { daysLogged: 2, calorieAdherence: 0, proteinAdherence: 0 };
+
+        expect(GoalService.calculateProgress(goal(), context({ adherence })).status).toBe('on_track');
+      });
+    });
+
+    describe('weight and muscle gain without a target date', () => {
+      const gain = (type) => goal({
+        goal_type: type,
+        start_value: '70.00',
+        target_value: '75.00',
+        target_date: null
+      });
+
+      test('follows the direction of the weekly rate', () => {
+        const rising = GoalService.calculateProgress(gain('weight_gain'), context({ currentWeight: 71, weeklyRate: 0.2 }));
+
+        expect(rising).toMatchObject({ percentComplete: 20, expectedPercent: null, status: 'on_track' });
+        expect(GoalService.calculateProgress(gain('weight_gain'), context({ currentWeight: 71, weeklyRate: -0.1 })).status)
+          .toBe('behind');
+      });
+
+      test('has not enough data without a weekly rate', () => {
+        expect(GoalService.calculateProgress(gain('weight_gain'), context({ currentWeight: 71, weeklyRate: null })).status)
+          .toBe('not_enough_data');
+      });
+
+      test('counts low protein adherence against muscle gain only', () => {
+        const adherence = { daysLogged: 7, calorieAdherence: 0.8, proteinAdherence: 0.3 };
+        const ctx = context({ currentWeight: 71, weeklyRate: 0.2, adherence });
+
+        expect(GoalService.calculateProgress(gain('muscle_gain'), ctx).status).toBe('behind');
+        expect(GoalService.calculateProgress(gain('weight_gain'), ctx).status).toBe('on_track');
+      });
+    });
+
+    describe('maintenance', () => {
+      const maintenance = goal({ goal_type: 'maintenance', start_value: '70.00', target_value: '70.00' });
+
+      test('is on track inside the 1.5 kg band and behind outside it', () => {
+        expect(GoalService.calculateProgress(maintenance, context({ currentWeight: 71.5 }))).toMatchObject({
+          percentComplete: 50,
+          status: 'on_track',
+          isMet: false,
+          remaining: -1.5,
+          projection: null
+        });
+        expect(GoalService.calculateProgress(maintenance, context({ currentWeight: 68.4 })).status).toBe('behind');
+      });
+
+      test('is met when the period ends inside the band', () => {
+        expect(GoalService.calculateProgress(maintenance, context({ currentWeight: 70.5, today: '2024-04-10' })))
+          .toMatchObject({ percentComplete: 100, status: 'on_track', isMet: true });
+      });
+
+      test('falls back to the start weight without a target', () => {
+        const open = { ...maintenance, target_value: null, target_date: null };
+
+        expect(GoalService.calculateProgress(open, context({ currentWeight: 70.2 }))).toMatchObject({
+          percentComplete: null,
+          status: 'on_track',
+          isMet: false
+        });
+      });
+    });
+
+    test('has not enough data without a current weight', () => {
+      expect(GoalService.calculateProgress(goal(), context({ currentWeight: null }))).toMatchObject({
+        percentComplete: null,
+        expectedPercent: 50,
+        status: 'not_enough_data',
+        isMet: false,
+        remaining: null
+      });
+    });
+
+    test('has not enough data without a target or start weight', () => {
+      const progress = GoalService.calculateProgress(
+        goal({ start_value: null, target_value: null }),
+        context()
+      );
+
+      expect(progress.status).toBe('not_enough_data');
+    });
+  });
+
+  describe('GoalError', () => {
+    test('carries a 400 status by default', () => {
+      const error = new GoalService.GoalError('已達成的目標無法重新啟用');
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('GoalError');
+      expect(error.status).toBe(400);
+    });
+  });
+});
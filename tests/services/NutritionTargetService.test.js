@@ -0,0 +1,135 @@
+const NutritionTargetService = require('../../src/services/NutritionTargetService');
+
+describe('NutritionTargetService', () => {
+  describe('calculateAge', () => {
+    test('counts a year only once the birthday has passed', () => {
+      const birth = new Date(1990, 5, 15);
+
+      expect(NutritionTargetService.calculateAge(birth, new Date(2024, 5, 14))).toBe(33);
+      expect(NutritionTargetService.calculateAge(birth, new Date(2024, 5, 15))).toBe(34);
+    });
+
+    test('accepts YYYY-MM-DD dates', () => {
+      expect(NutritionTargetService.calculateAge('2000-02-29', '2024-02-28')).toBe(23);
+      expect(NutritionTargetService.calculateAge('2000-02-29', '2024-02-29')).toBe(24);
+    });
+
+    test('returns null without a date of birth', () => {
+      expect(NutritionTargetService.calculateAge(null)).toBeNull();
+    });
+  });
+
+  describe('calculateBMR', () => {
+    const person = { weight: 80, height: 180, age: 30 };
+
+    test('uses Mifflin-St Jeor by default', () => {
+      expect(NutritionTargetService.calculateBMR({ ...person, gender: 'male' })).toBe(1780);
+      expect(NutritionTargetService.calculateBMR({ ...person, gender: 'female' })).toBe(1614);
+      expect(NutritionTargetService.calculateBMR({ ...person, gender: 'other' })).toBe(1697);
+    });
+
+    test('supports the revised Harris-Benedict formula', () => {
+      const male = NutritionTargetService.calculateBMR({ ...person, gender: 'male' }, 'harris_benedict');
+      const female = NutritionTargetService.calculateBMR({ ...person, gender: 'female' }, 'harris_benedict');
+      const other = NutritionTargetService.calculateBMR({ ...person, gender: 'other' }, 'harris_benedict');
+
+      expect(male).toBeCloseTo(1853.632, 3);
+      expect(other).toBeCloseTo((male + female) / 2, 6);
+    });
+
+    test('needs weight, height and age', () => {
+      expect(NutritionTargetService.calculateBMR({ weight: 80, height: null, age: 30 })).toBeNull();
+    });
+  });
+
+  describe('calculateTDEE', () => {
+    test('applies the activity multiplier, defaulting to sedentary', () => {
+      expect(NutritionTargetService.calculateTDEE(1780, 'moderate')).toBeCloseTo(2759, 6);
+      expect(NutritionTargetService.calculateTDEE(1780, 'unknown')).toBeCloseTo(2136, 6);
+      expect(NutritionTargetService.calculateTDEE(null, 'moderate')).toBeNull();
+    });
+  });
+
+  describe('deriveTargets', () => {
+    test('subtracts the weekly rate deficit and splits macros', () => {
+      expect(NutritionTargetService.deriveTargets({
+        tdee: 2759, weight: 80, goal: 'lose_weight', weeklyRate: null, gender: 'male'
+      })).toEqual({ calories: 2209, protein: 160, carbs: 255, fat: 61 });
+    });
+
+    test('adds a surplus for weight gain using the chosen rate', () => {
+      const targets = NutritionTargetService.deriveTargets({
+        tdee: 2500, weight: 70, goal: 'gain_weight', weeklyRate: 0.35, gender: 'female'
+      });
+
+      expect(targets.calories).toBe(2885);
+      expect(targets.protein).toBe(126);
+    });
+
+    test('never suggests less than the minimum for the sex', () => {
+      const targets = NutritionTargetService.deriveTargets({
+        tdee: 1300, weight: 50, goal: 'lose_weight', weeklyRate: 1, gender: 'female'
+      });
+
+      expect(targets.calories).toBe(1200);
+    });
+
+    test('returns null without a TDEE', () => {
+      expect(NutritionTargetService.deriveTargets({ tdee: null, weight: 70 })).toBeNull();
+    });
+  });
+
+  describe('calculateForUser', () => {
+    const user = {
+      date_of_birth: new Date(new Date().getFullYear() - 30, 0, 1),
+      weight: '80',
+      height: 180,
+      gender: 'male',
+      activity_level: 'moderate',
+      goal: 'maintain_weight',
+      weekly_rate: null
+    };
+
+    test('derives targets from the formula TDEE', () => {
+      const metrics = NutritionTargetService.calculateForUser(user);
+
+      expect(metrics).toMatchObject({ age: 30, bmr: 1780, tdee: 2759, tdeeSource: 'formula' });
+      expect(metrics.targets.calories).toBe(2759);
+    });
+
+    test('uses the adaptive TDEE for opted-in users', () => {
+      const metrics = NutritionTargetService.calculateForUser({
+        ...user, adaptive_tdee_enabled: true, adaptive_tdee: 2500
+      });
+
+      expect(metrics.tdee).toBe(2759);
+      expect(metrics.tdeeSource).toBe('adaptive');
+      expect(metrics.targets.calories).toBe(2500);
+    });
+
+    test('rolls the age over on the birthday in the user\'s zone', () => {
+      jest.useFakeTimers({ now: new Date('2024-06-14T17:00:00Z') });
+      try {
+        const birthday = { ...user, date_of_birth: '1990-06-15' };
+
+        expect(NutritionTargetService.calculateForUser({ ...birthday, timezone: 'Asia/Taipei' }).age).toBe(34);
+        expect(NutritionTargetService.calculateForUser({ ...birthday, timezone: 'America/Los_Angeles' }).age).toBe(33);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('maps metrics onto users columns', () => {
+      const columns = NutritionTargetService.toColumns(NutritionTargetService.calculateForUser(user));
+
+      expect(columns).toEqual({
+        bmr: 1780,
+        tdee: 2759,
+        target_calories: 2759,
+        target_protein: 128,
+        target_carbs: 389,
+        target_fat: 77
+      });
+    });
+  });
+});
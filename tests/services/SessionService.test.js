@@ -0,0 +1,124 @@
+jest.mock('redis', () => require('../helpers/fakeRedis'));
+
+const redis = require('redis');
+const { connectRedis, session } = require('../../src/database/redis');
+const SessionService = require('../../src/services/SessionService');
+
+const { SessionError } = SessionService;
+
+const user = { id: 'user-1', email: 'amy@example.com' };
+
+// Run an exchange that should fail and return the SessionError
+const rejection = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected the exchange to be rejected');
+};
+
+describe('SessionService', () => {
+  let client;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  beforeEach(async () => {
+    await connectRedis();
+    client = redis.getFakeClient();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('rotateSession', () => {
+    test('swaps the refresh token and keeps the session', async () => {
+      const first = await SessionService.createSession(user, { userAgent: 'iPhone', ip: '10.0.0.1' });
+      const second = await SessionService.rotateSession(first.refreshToken, { ip: '10.0.0.2' });
+
+      expect(second.sessionId).toBe(first.sessionId);
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+
+      const stored = await session.get(user.id, first.sessionId);
+      expect(stored).toMatchObject({ userAgent: 'iPhone', ip: '10.0.0.2' });
+    });
+
+    test('revokes the session when a rotated token is presented again', async () => {
+      const first = await SessionService.createSession(user);
+      const second = await SessionService.rotateSession(first.refreshToken);
+
+      const reused = await rejection(SessionService.rotateSession(first.refreshToken));
+      expect(reused).toBeInstanceOf(SessionError);
+      expect(reused.reason).toBe('reused');
+      expect(reused.status).toBe(401);
+
+      // The whole family is gone, including the token issued by the legitimate refresh
+      expect(await session.exists(user.id, first.sessionId)).toBe(false);
+      expect(await client.sMembers(`sessions:${user.id}`)).toEqual([]);
+      expect((await rejection(SessionService.rotateSession(second.refreshToken))).reason).toBe('revoked');
+    });
+
+    test('treats a token that loses a concurrent refresh as reused', async () => {
+      const first = await SessionService.createSession(user);
+      const key = `session:${user.id}:${first.sessionId}`;
+      const stored = JSON.parse(await client.get(key));
+
+      // Another refresh with the same token swaps the session between the read and the swap
+      const get = client.get.bind(client);
+      jest.spyOn(client, 'get').mockImplementationOnce(async (requested) => {
+        const value = await get(requested);
+        await client.setEx(key, 60, JSON.stringify({ ...stored, currentTokenId: 'other-token' }));
+        return value;
+      });
+
+      expect((await rejection(SessionService.rotateSession(first.refreshToken))).reason).toBe('reused');
+      expect(await session.exists(user.id, first.sessionId)).toBe(false);
+    });
+
+    test('rejects malformed tokens and tokens of revoked sessions', async () => {
+      expect((await rejection(SessionService.rotateSession('not-a-token'))).reason).toBe('invalid');
+
+      const { refreshToken, sessionId } = await SessionService.createSession(user);
+      await SessionService.revokeSession(user.id, sessionId);
+
+      expect((await rejection(SessionService.rotateSession(refreshToken))).reason).toBe('revoked');
+    });
+  });
+
+  describe('revokeAllSessions', () => {
+    test('removes every session key of the user and the index', async () => {
+      await SessionService.createSession(user);
+      await SessionService.createSession(user);
+      const other = await SessionService.createSession({ id: 'user-2', email: 'ben@example.com' });
+
+      expect(await SessionService.revokeAllSessions(user.id)).toBe(2);
+
+      expect(client.keys().filter(key => key.startsWith(`session:${user.id}:`))).toEqual([]);
+      expect(client.keys()).not.toContain(`sessions:${user.id}`);
+      expect(await session.exists('user-2', other.sessionId)).toBe(true);
+    });
+  });
+
+  describe('listSessions', () => {
+    test('lists sessions without token ids, most recently used first', async () => {
+      const older = await SessionService.createSession(user, { userAgent: 'iPad' });
+      const newer = await SessionService.createSession(user, { userAgent: 'Pixel' });
+      const stored = await session.get(user.id, older.sessionId);
+      await client.setEx(
+        `session:${user.id}:${older.sessionId}`,
+        60,
+        JSON.stringify({ ...stored, lastUsedAt: '2000-01-01T00:00:00.000Z' })
+      );
+
+      const sessions = await SessionService.listSessions(user.id);
+
+      expect(sessions.map(item => item.id)).toEqual([newer.sessionId, older.sessionId]);
+      expect(sessions[0]).not.toHaveProperty('currentTokenId');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const TimezoneService = require('../../src/services/TimezoneService');
+
+describe('TimezoneService', () => {
+  describe('today', () => {
+    test('changes date at midnight in Asia/Taipei, not UTC', () => {
+      expect(TimezoneService.today('Asia/Taipei', new Date('2024-03-09T15:59:59Z'))).toBe('2024-03-09');
+      expect(TimezoneService.today('Asia/Taipei', new Date('2024-03-09T16:00:00Z'))).toBe('2024-03-10');
+      expect(TimezoneService.today('UTC', new Date('2024-03-09T16:00:00Z'))).toBe('2024-03-09');
+    });
+
+    test('rolls over months and years', () => {
+      expect(TimezoneService.today('Asia/Taipei', new Date('2024-02-29T16:30:00Z'))).toBe('2024-03-01');
+      expect(TimezoneService.today('Asia/Taipei', new Date('2023-12-31T16:00:00Z'))).toBe('2024-01-01');
+      expect(TimezoneService.today('America/New_York', new Date('2024-01-01T03:00:00Z'))).toBe('2023-12-31');
+    });
+
+    test('falls back to Asia/Taipei for missing or unknown zones', () => {
+      const now = new Date('2024-03-09T16:00:00Z');
+
+      expect(TimezoneService.today(null, now)).toBe('2024-03-10');
+      expect(TimezoneService.today('Mars/Olympus_Mons', now)).toBe('2024-03-10');
+    });
+  });
+
+  describe('currentTime', () => {
+    test('reads the wall clock in the zone with a 24-hour clock', () => {
+      expect(TimezoneService.currentTime('Asia/Taipei', new Date('2024-03-09T16:05:09Z'))).toBe('00:05:09');
+      expect(TimezoneService.currentTime('Asia/Taipei', new Date('2024-03-09T15:59:59Z'))).toBe('23:59:59');
+    });
+  });
+
+  describe('isValid', () => {
+    test('accepts IANA zone names only', () => {
+      expect(TimezoneService.isValid('Asia/Taipei')).toBe(true);
+      expect(TimezoneService.isValid('Mars/Olympus_Mons')).toBe(false);
+      expect(TimezoneService.isValid('')).toBe(false);
+      expect(TimezoneService.isValid(8)).toBe(false);
+    });
+  });
+
+  describe('addDays', () => {
+    test('shifts across month, leap day and year boundaries', () => {
+      expect(TimezoneService.addDays('2024-02-28', 1)).toBe('2024-02-29');
+      expect(TimezoneService.addDays('2024-03-01', -1)).toBe('2024-02-29');
+      expect(TimezoneService.addDays('2023-03-01', -1)).toBe('2023-02-28');
+      expect(TimezoneService.addDays('2024-12-31', 1)).toBe('2025-01-01');
+      expect(TimezoneService.addDays('2024-01-01', -27)).toBe('2023-12-05');
+    });
+  });
+
+  describe('weekStart', () => {
+    test('returns the Monday of the week', () => {
+      expect(TimezoneService.weekStart('2024-03-11')).toBe('2024-03-11');
+      expect(TimezoneService.weekStart('2024-03-13')).toBe('2024-03-11');
+    });
+
+    test('treats Sunday as the last day of the week', () => {
+      expect(TimezoneService.weekStart('2024-03-10')).toBe('2024-03-04');
+    });
+
+    test('crosses month and year boundaries', () => {
+      expect(TimezoneService.weekStart('2024-03-02')).toBe('2024-02-26');
+      expect(TimezoneService.weekStart('2025-01-01')).toBe('2024-12-30');
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const UnitConversionService = require('../../src/services/UnitConversionService');
+
+const { UnitConversionError } = UnitConversionService;
+
+describe('UnitConversionService', () => {
+  describe('normalizeUnit', () => {
+    test('matches keys and aliases case-insensitively', () => {
+      expect(UnitConversionService.normalizeUnit(' Tbsp ').key).toBe('tbsp');
+      expect(UnitConversionService.normalizeUnit('大匙').key).toBe('tbsp');
+      expect(UnitConversionService.normalizeUnit('台斤').key).toBe('catty');
+      expect(UnitConversionService.normalizeUnit('handful')).toBeNull();
+      expect(UnitConversionService.normalizeUnit(5)).toBeNull();
+    });
+  });
+
+  describe('toGrams', () => {
+    test('converts mass units directly', () => {
+      expect(UnitConversionService.toGrams(2, 'oz')).toEqual({ grams: 56.7, unit: 'oz', method: 'mass' });
+      expect(UnitConversionService.toGrams(0.5, '斤')).toEqual({ grams: 300, unit: 'catty', method: 'mass' });
+    });
+
+    test('prefers a gram weight recorded for the food', () => {
+      const food = { portions: [{ unit: 'cup', amount: '1', gram_weight: '128' }], density: 1 };
+
+      expect(UnitConversionService.toGrams(1.5, '杯', food)).toEqual({ grams: 192, unit: 'cup', method: 'portion' });
+    });
+
+    test('scales a portion recorded for more than one unit', () => {
+      const food = { portions: [{ unit: 'piece', amount: '2', gram_weight: '100' }] };
+
+      expect(UnitConversionService.toGrams(3, '顆', food).grams).toBe(150);
+    });
+
+    test('converts volumes through the food density', () => {
+      expect(UnitConversionService.toGrams(250, 'ml', { density: '1.03' }))
+        .toEqual({ grams: 257.5, unit: 'ml', method: 'volume' });
+    });
+
+    test('refuses to guess a volume without a density', () => {
+      expect(() => UnitConversionService.toGrams(1, 'cup', {}))
+        .toThrow('此食物沒有密度資料，無法將「cup」換算為重量，請改用公克或其他單位');
+    });
+
+    test('needs a gram weight for portion units', () => {
+      expect(() => UnitConversionService.toGrams(1, '碗', {})).toThrow(UnitConversionError);
+    });
+
+    test('rejects unknown units with a 400', () => {
+      let error;
+      try {
+        UnitConversionService.toGrams(1, 'handful');
+      } catch (thrown) {
+        error = thrown;
+      }
+
+      expect(error).toBeInstanceOf(UnitConversionError);
+      expect(error.status).toBe(400);
+      expect(error.message).toBe('不支援的單位: handful');
+    });
+  });
+
+  describe('foodMultiplier', () => {
+    test('scales per-100 g nutrients', () => {
+      expect(UnitConversionService.foodMultiplier(250, 'g', {})).toEqual({ multiplier: 2.5, grams: 250 });
+    });
+  });
+
+  describe('customFoodMultiplier', () => {
+    const drink = { serving_size: '350', serving_unit: 'ml', serving_weight_g: null, density: null };
+
+    test('scales amounts in the serving unit or in servings directly', () => {
+      expect(UnitConversionService.customFoodMultiplier(700, 'ml', drink)).toEqual({ multiplier: 2, grams: null });
+      expect(UnitConversionService.customFoodMultiplier(1.5, '份', drink)).toEqual({ multiplier: 1.5, grams: null });
+    });
+
+    test('scales between volume units without a density', () => {
+      const { multiplier } = UnitConversionService.customFoodMultiplier(1, 'l', drink);
+
+      expect(multiplier).toBeCloseTo(1000 / 350, 10);
+    });
+
+    test('accepts a serving unit that is not a known unit', () => {
+      const dumpling = { serving_size: '6', serving_unit: '顆水餃', serving_weight_g: '120' };
+
+      expect(UnitConversionService.customFoodMultiplier(9, '顆水餃', dumpling)).toEqual({ multiplier: 1.5, grams: 180 });
+    });
+
+    test('converts other units through the serving weight', () => {
+      const bar = { serving_size: '1', serving_unit: 'piece', serving_weight_g: '40' };
+
+      expect(UnitConversionService.customFoodMultiplier(60, 'g', bar)).toEqual({ multiplier: 1.5, grams: 60 });
+    });
+
+    test('needs a serving weight to convert a portion serving to grams', () => {
+      const bar = { serving_size: '1', serving_unit: 'piece', serving_weight_g: null };
+
+      expect(() => UnitConversionService.customFoodMultiplier(60, 'g', bar))
+        .toThrow('請使用「piece」或份為單位，或為此食物設定每份重量');
+    });
+  });
+
+  describe('recipeMultiplier', () => {
+    const recipe = { servings: '4', yield_weight_g: '1200' };
+
+    test('scales servings by the yield and weights by the cooked weight', () => {
+      expect(UnitConversionService.recipeMultiplier(1, 'serving', recipe)).toEqual({ multiplier: 0.25, grams: 300 });
+      expect(UnitConversionService.recipeMultiplier(600, 'g', recipe)).toEqual({ multiplier: 0.5, grams: 600 });
+    });
+
+    test('needs a cooked weight for anything but servings', () => {
+      expect(() => UnitConversionService.recipeMultiplier(100, 'g', { servings: '4' }))
+        .toThrow('此食譜沒有成品重量，請以份為單位記錄');
+    });
+  });
+
+  describe('annotateAmounts', () => {
+    test('tags nested amounts, giving grams only for mass units', () => {
+      const plan = {
+        meals: [
+          { name: '白飯', amount: 1, unit: '碗' },
+          { name: '雞胸肉', amount: '0.5', unit: 'lb', items: [{ amount: 1, unit: 'cup' }] }
+        ]
+      };
+
+      expect(UnitConversionService.annotateAmounts(plan)).toEqual({
+        meals: [
+          { name: '白飯', amount: 1, unit: '碗', unitKey: 'bowl', grams: null },
+          {
+            name: '雞胸肉',
+            amount: '0.5',
+            unit: 'lb',
+            unitKey: 'lb',
+            grams: 226.8,
+            items: [{ amount: 1, unit: 'cup', unitKey: 'cup', grams: null }]
+          }
+        ]
+      });
+    });
+  });
+});
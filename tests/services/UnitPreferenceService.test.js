@@ -0,0 +1,88 @@
+const UnitPreferenceService = require('../../src/services/UnitPreferenceService');
+
+const METRIC_KCAL = { system: 'metric', energy: 'kcal' };
+const IMPERIAL_KJ = { system: 'imperial', energy: 'kj' };
+
+describe('UnitPreferenceService', () => {
+  describe('toDisplay', () => {
+    test('converts metric values to imperial units', () => {
+      expect(UnitPreferenceService.toDisplay('bodyWeight', 80, IMPERIAL_KJ)).toBe(176.4);
+      expect(UnitPreferenceService.toDisplay('height', 180, IMPERIAL_KJ)).toBe(70.9);
+      expect(UnitPreferenceService.toDisplay('volume', 500, IMPERIAL_KJ)).toBe(16.9);
+      expect(UnitPreferenceService.toDisplay('mass', 100, IMPERIAL_KJ)).toBe(3.5);
+    });
+
+    test('converts energy to whole kilojoules', () => {
+      expect(UnitPreferenceService.toDisplay('energy', 2000, IMPERIAL_KJ)).toBe(8368);
+    });
+
+    test('passes canonical units through', () => {
+      expect(UnitPreferenceService.toDisplay('bodyWeight', 80.25, METRIC_KCAL)).toBe(80.25);
+      expect(UnitPreferenceService.toDisplay('energy', 1999.5, METRIC_KCAL)).toBe(1999.5);
+    });
+  });
+
+  describe('toCanonical', () => {
+    test('converts imperial input back to metric at storage precision', () => {
+      expect(UnitPreferenceService.toCanonical('bodyWeight', 176.4, IMPERIAL_KJ)).toBe(80.01);
+      expect(UnitPreferenceService.toCanonical('height', 71, IMPERIAL_KJ)).toBe(180.3);
+      expect(UnitPreferenceService.toCanonical('volume', 12, IMPERIAL_KJ)).toBe(355);
+      expect(UnitPreferenceService.toCanonical('energy', 8368, IMPERIAL_KJ)).toBe(2000);
+    });
+
+    test('passes canonical units through', () => {
+      expect(UnitPreferenceService.toCanonical('height', 175.5, METRIC_KCAL)).toBe(175.5);
+    });
+  });
+
+  describe('labels', () => {
+    test('names the unit used for each dimension', () => {
+      expect(UnitPreferenceService.labels(IMPERIAL_KJ)).toEqual({
+        bodyWeight: 'lb', height: 'in', volume: 'fl_oz', mass: 'oz', energy: 'kj'
+      });
+      expect(UnitPreferenceService.labels({ system: 'metric', energy: 'kj' }).bodyWeight).toBe('kg');
+    });
+  });
+
+  describe('formatResponse', () => {
+    const fields = {
+      bodyWeight: ['user.weight', 'logs.*.weight'],
+      energy: ['stats.averageDailyCalories.*.average']
+    };
+
+    test('converts the listed paths, including DECIMAL strings, on a copy', () => {
+      const body = {
+        user: { weight: '80.00', name: 'Amy' },
+        logs: [{ weight: 80 }, { weight: null }],
+        stats: { averageDailyCalories: { week: { average: 2000, days: 7 } } }
+      };
+
+      expect(UnitPreferenceService.formatResponse(body, fields, IMPERIAL_KJ)).toEqual({
+        user: { weight: 176.4, name: 'Amy' },
+        logs: [{ weight: 176.4 }, { weight: null }],
+        stats: { averageDailyCalories: { week: { average: 8368, days: 7 } } }
+      });
+      expect(body.user.weight).toBe('80.00');
+    });
+
+    test('returns the body untouched for canonical units', () => {
+      const body = { user: { weight: '80.00' } };
+
+      expect(UnitPreferenceService.formatResponse(body, fields, METRIC_KCAL)).toBe(body);
+    });
+  });
+
+  describe('normalizeInput', () => {
+    test('converts only numeric values and skips missing paths', () => {
+      const input = { weight: 176.4, targetWeight: 'heavy', notes: '早上' };
+
+      expect(UnitPreferenceService.normalizeInput(input, {
+        bodyWeight: ['weight', 'targetWeight', 'startWeight']
+      }, IMPERIAL_KJ)).toEqual({ weight: 80.01, targetWeight: 'heavy', notes: '早上' });
+    });
+
+    test('returns non-object input unchanged', () => {
+      expect(UnitPreferenceService.normalizeInput(null, { bodyWeight: ['weight'] }, IMPERIAL_KJ)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const WeightTrendService = require('../../src/services/WeightTrendService');
+
+describe('WeightTrendService', () => {
+  describe('calculateTrend', () => {
+    test('averages same-day weigh-ins and sorts by date', () => {
+      const points = WeightTrendService.calculateTrend([
+        { date: '2024-01-02', weight: '79' },
+        { date: '2024-01-01', weight: '80' },
+        { date: '2024-01-01', weight: '82' }
+      ]);
+
+      expect(points).toEqual([
+        { date: '2024-01-01', weight: 81, trend: 81 },
+        { date: '2024-01-02', weight: 79, trend: 80.8 }
+      ]);
+    });
+
+    test('decays a gap as if the missing days were smoothed in one step', () => {
+      const points = WeightTrendService.calculateTrend([
+        { date: '2024-01-01', weight: 81 },
+        { date: '2024-01-03', weight: 79 }
+      ]);
+
+      // 1 - 0.9^2 of the difference is applied across the two-day gap
+      expect(points[1].trend).toBe(80.62);
+    });
+
+    test('returns no points without weigh-ins', () => {
+      expect(WeightTrendService.calculateTrend([])).toEqual([]);
+    });
+  });
+
+  describe('calculateWeeklyRate', () => {
+    const linear = (days, start, perDay) => Array.from({ length: days }, (_, i) => ({
+      date: `2024-01-${String(i + 1).padStart(2, '0')}`,
+      trend: start + perDay * i
+    }));
+
+    test('fits the recent trend and reports kg per week', () => {
+      expect(WeightTrendService.calculateWeeklyRate(linear(10, 80, -0.1))).toBe(-0.7);
+    });
+
+    test('only fits points inside the window', () => {
+      const points = [
+        { date: '2023-06-01', trend: 95 },
+        ...linear(10, 80, 0.05)
+      ];
+
+      expect(WeightTrendService.calculateWeeklyRate(points)).toBe(0.35);
+    });
+
+    test('needs two points in the window', () => {
+      expect(WeightTrendService.calculateWeeklyRate(linear(1, 80, 0))).toBeNull();
+      expect(WeightTrendService.calculateWeeklyRate([
+        { date: '2023-06-01', trend: 95 },
+        { date: '2024-01-01', trend: 80 }
+      ])).toBeNull();
+    });
+  });
+
+  describe('projectGoalDate', () => {
+    const base = { currentTrend: 80, fromDate: '2024-01-30' };
+
+    test('projects the date the trend reaches the target', () => {
+      expect(WeightTrendService.projectGoalDate({ ...base, weeklyRate: -3.5, targetWeight: '78' })).toEqual({
+        projectedDate: '2024-02-03',
+        daysRemaining: 4,
+        status: 'on_track'
+      });
+    });
+
+    test('reports a reached target', () => {
+      expect(WeightTrendService.projectGoalDate({ ...base, weeklyRate: -0.5, targetWeight: 80.05 }).status)
+        .toBe('reached');
+    });
+
+    test('does not project when moving away from the target or standing still', () => {
+      expect(WeightTrendService.projectGoalDate({ ...base, weeklyRate: 0.5, targetWeight: 75 }).status)
+        .toBe('not_progressing');
+      expect(WeightTrendService.projectGoalDate({ ...base, weeklyRate: null, targetWeight: 75 }).status)
+        .toBe('not_progressing');
+    });
+
+    test('reports a missing target', () => {
+      expect(WeightTrendService.projectGoalDate({ ...base, weeklyRate: -0.5, targetWeight: null }))
+        .toEqual({ projectedDate: null, daysRemaining: null, status: 'no_target' });
+    });
+  });
+});